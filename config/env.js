@@ -120,6 +120,13 @@ const config = {
     "FLUTTERWAVE_WEBHOOK_HASH",
     "Webhook secret hash for Flutterwave."
   ),
+  // Point this at mock_flutterwave_server.js to test deposits locally.
+  FLUTTERWAVE_API_URL:
+    process.env.FLUTTERWAVE_API_URL || "https://api.flutterwave.com/v3",
+  DEPOSIT_EXPIRY_MINUTES: parseInt(
+    process.env.DEPOSIT_EXPIRY_MINUTES || "60",
+    10
+  ),
 
   // Nodemailer for Emails
   EMAIL_SERVICE: process.env.EMAIL_SERVICE || "gmail",
@@ -143,6 +150,32 @@ const config = {
   ),
   ADMIN_ALERT_EMAIL: process.env.ADMIN_ALERT_EMAIL,
   HIGH_STAKE_THRESHOLD: parseInt(process.env.HIGH_STAKE_THRESHOLD || "100", 10),
+
+  // Cash-out pricing
+  CASH_OUT_MARGIN: parseFloat(process.env.CASH_OUT_MARGIN || "0.05"),
+  CASH_OUT_QUOTE_TTL_SECONDS: parseInt(
+    process.env.CASH_OUT_QUOTE_TTL_SECONDS || "10",
+    10
+  ),
+
+  // Referrals: the referrer's cash reward, paid once the referee has made a first
+  // deposit and had this many bets settled.
+  REFERRAL_REWARD_AMOUNT: parseFloat(
+    process.env.REFERRAL_REWARD_AMOUNT || "10"
+  ),
+  REFERRAL_QUALIFYING_BETS: parseInt(
+    process.env.REFERRAL_QUALIFYING_BETS || "3",
+    10
+  ),
+
+  // Instant games (dice, mines): the share of every fair payout the house keeps,
+  // and the most a single round can pay.
+  INSTANT_GAME_HOUSE_EDGE: parseFloat(
+    process.env.INSTANT_GAME_HOUSE_EDGE || "0.01"
+  ),
+  INSTANT_GAME_MAX_PAYOUT: parseFloat(
+    process.env.INSTANT_GAME_MAX_PAYOUT || "10000"
+  ),
 };
 
 module.exports = config;
@@ -5,6 +5,18 @@ const GoogleStrategy = require("passport-google-oauth20").Strategy;
 const FacebookStrategy = require("passport-facebook").Strategy;
 const User = require("../models/User"); // Adjust path as needed
 const config = require("./env"); // <-- IMPORT the new config
+const { findReferrer, recordReferral } = require("../services/referralService");
+
+// A referral code sent to /auth/google?ref=CODE (or /auth/facebook) comes back in
+// the OAuth 'state' parameter. A bad code is ignored rather than failing the sign-up.
+const recordSocialReferral = async (req, newUser) => {
+  try {
+    const referrer = await findReferrer(req.query.state);
+    if (referrer) await recordReferral(referrer, newUser);
+  } catch (error) {
+    console.error("Failed to record social sign-up referral:", error.message);
+  }
+};
 
 passport.use(
   new GoogleStrategy(
@@ -12,8 +24,9 @@ passport.use(
       clientID: config.GOOGLE_CLIENT_ID, // <-- USE config
       clientSecret: config.GOOGLE_CLIENT_SECRET, // <-- USE config
       callbackURL: `${config.API_CALLBACK_URL}/auth/google/callback`, // <-- USE config
+      passReqToCallback: true,
     },
-    async (accessToken, refreshToken, profile, done) => {
+    async (req, accessToken, refreshToken, profile, done) => {
       // This is the "verify" callback function that runs after Google authenticates the user
       try {
         // Check if user already exists in our DB with this Google ID
@@ -42,6 +55,7 @@ passport.use(
               lastName: profile.name.familyName,
               // Password is not set for Google users
             }).save();
+            await recordSocialReferral(req, newUser);
             return done(null, newUser);
           }
         }
@@ -59,8 +73,9 @@ passport.use(
       clientSecret: config.FACEBOOK_APP_SECRET, // <-- USE config
       callbackURL: `${config.API_CALLBACK_URL}/auth/facebook/callback`, // <-- USE config
       profileFields: ["id", "displayName", "emails", "name"],
+      passReqToCallback: true,
     },
-    async (accessToken, refreshToken, profile, done) => {
+    async (req, accessToken, refreshToken, profile, done) => {
       // This logic is very similar to the Google strategy
       try {
         let user = await User.findOne({ facebookId: profile.id });
@@ -82,6 +97,7 @@ passport.use(
           firstName: profile.name.givenName,
           lastName: profile.name.familyName,
         }).save();
+        await recordSocialReferral(req, newUser);
         return done(null, newUser);
       } catch (error) {
         return done(error, false);
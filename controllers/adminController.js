@@ -10,6 +10,11 @@ const config = require("../config/env");
 const Notification = require("../models/Notification");
 const { extractJson } = require("../utils/jsonExtractor");
 const aiProvider = require("../services/aiProviderService"); // Using our centralized AI provider
+const ledgerService = require("../services/ledgerService");
+const statementService = require("../services/statementService");
+const { forfeitActiveBonus } = require("../services/bonusService");
+const TradingLimit = require("../models/TradingLimit");
+const { LIMIT_FIELDS } = require("../services/tradingLimitService");
 
 // Note: The direct 'genAI' initialization is no longer needed here.
 
@@ -146,6 +151,20 @@ exports.validateAdminUserAction = [
     .withMessage("A valid user ID must be provided in the URL."),
 ];
 
+exports.validateAdminGetUserDetail = [
+  param("id")
+    .isMongoId()
+    .withMessage("A valid user ID must be provided in the URL."),
+  query("format")
+    .optional()
+    .isIn(["json", "csv", "pdf"])
+    .withMessage("Format must be 'json', 'csv' or 'pdf'."),
+  query(["startDate", "endDate"])
+    .if(query("format").isIn(["csv", "pdf"]))
+    .isISO8601()
+    .withMessage("A statement needs a valid startDate and endDate."),
+];
+
 exports.validateAdminUpdateRole = [
   param("id")
     .isMongoId()
@@ -179,6 +198,30 @@ exports.validateProcessWithdrawal = [
     .withMessage('Status must be either "approved" or "rejected".'),
 ];
 
+exports.validateSetTradingLimits = [
+  body("league")
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage(
+      "League must be a non-empty string, or null for the defaults."
+    ),
+  ...LIMIT_FIELDS.map((field) =>
+    body(field)
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage(
+        `${field} must be a non-negative number, or null for no limit.`
+      )
+      .toFloat()
+  ),
+];
+
+exports.validateDeleteTradingLimits = [
+  param("id").isMongoId().withMessage("A valid trading limit ID is required."),
+];
+
 // --- Controller functions (no changes to user-related admin functions) ---
 exports.listUsers = async (req, res, next) => {
   const errors = validationResult(req);
@@ -272,8 +315,18 @@ exports.adminGetUserDetail = async (req, res, next) => {
       order = "desc",
       startDate,
       endDate,
+      format = "json",
     } = req.query;
 
+    // A CSV or PDF statement covers every bet and transaction in the date range.
+    if (format !== "json") {
+      const statement = await statementService.buildStatement(id, {
+        from: startDate,
+        to: endDate,
+      });
+      return statementService.sendStatement(res, statement, format);
+    }
+
     const userId = new mongoose.Types.ObjectId(id);
     const user = await User.findById(userId).select("-password").lean();
 
@@ -360,17 +413,14 @@ exports.adminAdjustUserWallet = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id).session(session);
     if (!user) throw new Error("User not found.");
-    user.walletBalance += amount;
-    if (user.walletBalance < 0)
+    if (user.walletBalance + amount < 0)
       throw new Error("Adjustment would result in a negative wallet balance.");
-    await new Transaction({
-      user: user._id,
-      type: amount > 0 ? "admin_credit" : "admin_debit",
-      amount: amount,
-      balanceAfter: user.walletBalance,
-      description: description || "Admin wallet adjustment.",
-    }).save({ session });
-    await user.save({ session });
+    await ledgerService.adjustByAdmin(
+      user,
+      amount,
+      { description: description || "Admin wallet adjustment." },
+      session
+    );
     await session.commitTransaction();
     res.status(200).json({
       msg: `User ${user.username}'s wallet adjusted by ${amount}. New balance: ${user.walletBalance}.`,
@@ -383,6 +433,69 @@ exports.adminAdjustUserWallet = async (req, res, next) => {
   }
 };
 
+// --- Ledger: Prove that the books balance ---
+exports.getLedgerTrialBalance = async (req, res, next) => {
+  try {
+    const trialBalance = await ledgerService.getTrialBalance();
+    res.status(200).json({
+      message: trialBalance.isBalanced
+        ? "The ledger is balanced."
+        : "The ledger is NOT balanced. Investigate immediately.",
+      ...trialBalance,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getLedgerReconciliation = async (req, res, next) => {
+  try {
+    const [users, ledgerBalances] = await Promise.all([
+      User.find({}).select("username walletBalance").lean(),
+      ledgerService.getUserCashBalances(),
+    ]);
+
+    const mismatches = users
+      .map((user) => {
+        const walletBalance = ledgerService.roundMoney(user.walletBalance);
+        const ledgerBalance = ledgerBalances.get(user._id.toString()) || 0;
+        return {
+          userId: user._id,
+          username: user.username,
+          walletBalance,
+          ledgerBalance,
+          difference: ledgerService.roundMoney(walletBalance - ledgerBalance),
+        };
+      })
+      .filter((row) => row.difference !== 0);
+
+    res.status(200).json({
+      usersChecked: users.length,
+      mismatchCount: mismatches.length,
+      mismatches,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.adminReconcileUserLedger = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select("username walletBalance")
+      .lean();
+    if (!user) {
+      const err = new Error("User not found.");
+      err.statusCode = 404;
+      return next(err);
+    }
+    const reconciliation = await ledgerService.reconcileUser(user);
+    res.status(200).json({ username: user.username, ...reconciliation });
+  } catch (err) {
+    next(err);
+  }
+};
+
 exports.adminDeleteUser = async (req, res, next) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
@@ -460,15 +573,18 @@ exports.adminProcessWithdrawal = async (req, res, next) => {
         throw new Error(
           "User no longer has sufficient funds for this withdrawal."
         );
-      user.walletBalance -= withdrawalRequest.amount;
-      await new Transaction({
-        user: user._id,
-        type: "withdrawal",
-        amount: -withdrawalRequest.amount,
-        balanceAfter: user.walletBalance,
-        description: `Withdrawal of ${withdrawalRequest.amount} approved.`,
-      }).save({ session });
-      await user.save({ session });
+      // Withdrawing gives up any bonus still being wagered.
+      await forfeitActiveBonus(user, session);
+      await ledgerService.recordWithdrawal(
+        user,
+        withdrawalRequest.amount,
+        {
+          source: withdrawalRequest,
+          sourceModel: "Withdrawal",
+          description: `Withdrawal of ${withdrawalRequest.amount} approved.`,
+        },
+        session
+      );
     }
     await withdrawalRequest.save({ session });
     await session.commitTransaction();
@@ -520,7 +636,7 @@ exports.adminProcessWithdrawal = async (req, res, next) => {
 exports.manualGameSync = async (req, res, next) => {
   const { source = "apifootball" } = req.body;
   try {
-    await syncGames(source);
+    await syncGames(source, req.io);
     res.status(200).json({
       msg: `Synchronization from '${source}' has been successfully triggered.`,
     });
@@ -662,6 +778,62 @@ exports.getGameRiskSummary = async (req, res, next) => {
   }
 };
 
+// Admin: List the default trading limits and every league override
+exports.getTradingLimits = async (req, res, next) => {
+  try {
+    const limits = await TradingLimit.find().sort({ league: 1 }).lean();
+    res.status(200).json({
+      defaults: limits.find((l) => l.league === null) || null,
+      leagues: limits.filter((l) => l.league !== null),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admin: Create or update the default trading limits (no league) or a league's overrides
+exports.setTradingLimits = async (req, res, next) => {
+  try {
+    const league = req.body.league || null;
+    const update = { updatedBy: req.user._id };
+    for (const field of LIMIT_FIELDS) {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    }
+
+    const limits = await TradingLimit.findOneAndUpdate(
+      { league },
+      { $set: update },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      }
+    );
+    res.status(200).json({
+      message: league
+        ? `Trading limits for ${league} updated.`
+        : "Default trading limits updated.",
+      limits,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admin: Remove a league's overrides so the defaults apply again
+exports.deleteTradingLimits = async (req, res, next) => {
+  try {
+    const limits = await TradingLimit.findByIdAndDelete(req.params.id);
+    if (!limits) {
+      return res.status(404).json({ msg: "Trading limits not found." });
+    }
+    res.status(200).json({ message: "Trading limits removed." });
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.getRiskOverview = async (req, res, next) => {
   try {
     const RISK_THRESHOLD = config.PLATFORM_RISK_THRESHOLD;
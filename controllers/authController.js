@@ -5,6 +5,7 @@ const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
 const TokenBlacklist = require("../models/TokenBlacklist");
 const { sendEmail } = require("../services/emailService");
+const { findReferrer, recordReferral } = require("../services/referralService");
 const config = require("../config/env");
 
 // --- Helper Functions ---
@@ -42,6 +43,12 @@ exports.validateRegister = [
     .notEmpty()
     .withMessage("Last name is required.")
     .escape(),
+  body("referralCode")
+    .optional({ values: "falsy" })
+    .isString()
+    .trim()
+    .isLength({ max: 32 })
+    .withMessage("Invalid referral code."),
 ];
 exports.validateLogin = [
   body("email")
@@ -87,7 +94,15 @@ exports.register = async (req, res, next) => {
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
-  const { username, email, password, firstName, lastName, state } = req.body;
+  const {
+    username,
+    email,
+    password,
+    firstName,
+    lastName,
+    state,
+    referralCode,
+  } = req.body;
   try {
     let user = await User.findOne({
       $or: [
@@ -100,6 +115,12 @@ exports.register = async (req, res, next) => {
       err.statusCode = 400;
       return next(err);
     }
+    const referrer = await findReferrer(referralCode);
+    if (referralCode && !referrer) {
+      const err = new Error("Invalid referral code.");
+      err.statusCode = 400;
+      return next(err);
+    }
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
     user = new User({
@@ -111,6 +132,7 @@ exports.register = async (req, res, next) => {
       state: state ? state.trim() : undefined,
     });
     await user.save();
+    if (referrer) await recordReferral(referrer, user);
 
     // --- Implementation: Send a welcome email after saving the user ---
     const welcomeSubject = `Welcome to ${config.APP_NAME}!`;
@@ -151,6 +173,7 @@ exports.register = async (req, res, next) => {
         state: user.state,
         role: user.role,
         walletBalance: user.walletBalance,
+        referralCode: user.referralCode,
       },
     });
   } catch (error) {
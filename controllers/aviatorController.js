@@ -1,13 +1,24 @@
 // In: Bet/Backend/controllers/aviatorController.js
 
-const { body, validationResult } = require("express-validator");
-const mongoose = require("mongoose");
-const User = require("../models/User");
+const { body, param, query, validationResult } = require("express-validator");
 const AviatorBet = require("../models/AviatorBet");
-const Transaction = require("../models/Transaction");
+const { BET_PANELS } = AviatorBet;
+const { STAKE_ACTIONS } = require("../models/AviatorAutoBet");
+const aviatorBetService = require("../services/aviatorBetService");
+const { verifyRound } = require("../services/aviatorFairnessService");
+const aviatorStatsService = require("../services/aviatorStatsService");
 
 // --- Validation Rules ---
+const panelRule = (location) =>
+  location("panel")
+    .optional()
+    .isInt()
+    .toInt()
+    .isIn(BET_PANELS)
+    .withMessage(`Bet panel must be one of ${BET_PANELS.join(", ")}.`);
+
 exports.validatePlaceBet = [
+  panelRule(body),
   body("stake")
     .isFloat({ gt: 0 })
     .withMessage("A positive stake amount is required.")
@@ -17,6 +28,102 @@ exports.validatePlaceBet = [
     .isFloat({ gt: 1.0 })
     .withMessage("Auto cash-out multiplier must be greater than 1.0.")
     .toFloat(),
+  // Mixed into the round's result; one is generated if the player sends none.
+  body("clientSeed")
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{1,64}$/)
+    .withMessage(
+      "A client seed must be 1 to 64 letters, digits, dashes or underscores."
+    ),
+];
+
+exports.validateCashOut = [panelRule(body)];
+
+const stakeAdjustmentRules = (field) => [
+  body(`${field}.action`)
+    .optional()
+    .isIn(STAKE_ACTIONS)
+    .withMessage(`${field}.action must be 'reset' or 'increase'.`),
+  body(`${field}.percent`)
+    .optional()
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage(`${field}.percent must be between 0 and 1000.`)
+    .toFloat(),
+];
+
+exports.validateCreateAutoBet = [
+  panelRule(body),
+  body("baseStake")
+    .isFloat({ gt: 0 })
+    .withMessage("A positive base stake is required.")
+    .toFloat(),
+  body("autoCashOutAt")
+    .isFloat({ gt: 1.0 })
+    .withMessage("An auto cash-out multiplier greater than 1.0 is required.")
+    .toFloat(),
+  body("rounds")
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Rounds must be between 1 and 1000.")
+    .toInt(),
+  ...stakeAdjustmentRules("onWin"),
+  ...stakeAdjustmentRules("onLoss"),
+  body("stopLoss")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("Stop-loss must be a positive amount.")
+    .toFloat(),
+  body("takeProfit")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("Take-profit must be a positive amount.")
+    .toFloat(),
+];
+
+exports.validateGetAutoBets = [
+  query("status")
+    .optional()
+    .isIn(["active", "completed", "stopped", "cancelled"])
+    .withMessage(
+      "Status must be 'active', 'completed', 'stopped' or 'cancelled'."
+    ),
+];
+
+exports.validateCancelAutoBet = [
+  param("id").isMongoId().withMessage("Invalid auto-bet ID."),
+];
+
+const paginationRules = [
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+exports.validateGetHistory = paginationRules;
+
+exports.validateGetMyBets = [
+  ...paginationRules,
+  query("status")
+    .optional()
+    .isIn(["pending", "won", "lost", "void"])
+    .withMessage("Status must be 'pending', 'won', 'lost' or 'void'."),
+];
+
+exports.validateGetStats = [
+  query("from")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("'from' must be a valid date."),
+  query("to")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("'to' must be a valid date."),
+];
+
+exports.validateVerifyRound = [
+  param("id").isMongoId().withMessage("Invalid Aviator round ID."),
 ];
 
 // --- Controller Functions ---
@@ -28,8 +135,7 @@ exports.placeBet = async (req, res, next) => {
   }
 
   const aviatorService = req.aviatorService;
-  const { stake, autoCashOutAt } = req.body;
-  const userId = req.user._id;
+  const { panel, stake, autoCashOutAt, clientSeed } = req.body;
 
   // Check game state from the service
   if (aviatorService.gameState !== "betting") {
@@ -49,67 +155,26 @@ exports.placeBet = async (req, res, next) => {
   }
   // --- END FIX ---
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
   try {
-    const user = await User.findById(userId).session(session);
-    if (!user) {
-      throw new Error("User not found.");
-    }
-    if (user.walletBalance < stake) {
-      throw new Error("Insufficient funds.");
-    }
-    const existingBet = await AviatorBet.findOne({
-      user: userId,
-      game: aviatorService.currentGame._id,
-    }).session(session);
-    if (existingBet) {
-      const err = new Error("You have already placed a bet on this round.");
-      err.statusCode = 400;
-      throw err;
-    }
-
-    // Deduct stake and create records
-    user.walletBalance -= stake;
-
-    const bet = new AviatorBet({
-      user: userId,
-      game: aviatorService.currentGame._id,
-      stake: stake,
-      autoCashOutAt: autoCashOutAt || null,
-    });
-
-    const transaction = new Transaction({
-      user: userId,
-      type: "bet",
-      amount: -stake,
-      balanceAfter: user.walletBalance,
-      description: `Aviator bet for round #${aviatorService.currentGame._id}`,
+    const { bet, walletBalance } = await aviatorService.placeBet(req.user._id, {
+      panel,
+      stake,
+      autoCashOutAt,
+      clientSeed,
     });
 
-    await user.save({ session });
-    await bet.save({ session });
-    await transaction.save({ session });
-
-    await session.commitTransaction();
-
     res.status(201).json({
       message: "Bet placed successfully!",
       bet,
-      walletBalance: user.walletBalance,
+      walletBalance,
     });
   } catch (error) {
-    await session.abortTransaction();
     next(error);
-  } finally {
-    session.endSession();
   }
 };
 
 exports.cashOut = async (req, res, next) => {
   const aviatorService = req.aviatorService;
-  const userId = req.user._id;
 
   if (aviatorService.gameState !== "running") {
     const err = new Error("You can only cash out while the game is running.");
@@ -127,70 +192,116 @@ exports.cashOut = async (req, res, next) => {
   }
   // --- END FIX ---
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
   try {
-    const bet = await AviatorBet.findOne({
-      user: userId,
-      game: aviatorService.currentGame._id,
-      status: "pending",
-    }).session(session);
-
-    if (!bet) {
-      throw new Error("No active bet found for this round to cash out.");
-    }
-
-    const cashOutMultiplier = aviatorService.multiplier;
-    const payout = bet.stake * cashOutMultiplier;
-
-    bet.status = "won";
-    bet.cashOutAt = cashOutMultiplier;
-    bet.payout = parseFloat(payout.toFixed(2));
-
-    const user = await User.findById(userId).session(session);
-    user.walletBalance += bet.payout;
-
-    const transaction = new Transaction({
-      user: userId,
-      type: "win",
-      amount: bet.payout,
-      balanceAfter: user.walletBalance,
-      description: `Aviator cash out at ${cashOutMultiplier}x`,
-    });
-
-    await bet.save({ session });
-    await user.save({ session });
-    await transaction.save({ session });
-
-    await session.commitTransaction();
-
-    // Notify clients of the cash out
-    aviatorService.io.emit("aviator:cashed_out", {
-      username: user.username,
-      payout: bet.payout,
-      multiplier: cashOutMultiplier,
-    });
+    const { bet, walletBalance } = await aviatorService.cashOut(
+      req.user._id,
+      req.body.panel
+    );
 
     res.status(200).json({
       message: "Cashed out successfully!",
+      panel: bet.panel,
       payout: bet.payout,
-      multiplier: cashOutMultiplier,
-      walletBalance: user.walletBalance,
+      multiplier: bet.cashOutAt,
+      walletBalance,
     });
   } catch (error) {
-    await session.abortTransaction();
     next(error);
-  } finally {
-    session.endSession();
   }
 };
 
 exports.getGameState = (req, res, next) => {
   const aviatorService = req.aviatorService;
+  const game = aviatorService.currentGame;
   res.status(200).json({
     state: aviatorService.gameState,
     multiplier: aviatorService.multiplier,
-    publicHash: aviatorService.currentGame?.publicHash || null,
+    publicHash: game?.publicHash || null,
+    salt: game?.salt || null,
+    nonce: game?.nonce ?? null,
+    // Set once betting closes.
+    clientSeed: game?.clientSeed || null,
+    commitment: aviatorService.currentChain?.commitment || null,
   });
 };
+
+exports.verifyRound = async (req, res, next) => {
+  try {
+    const verification = await verifyRound(req.params.id);
+    res.status(200).json(verification);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getRoundHistory = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const history = await aviatorStatsService.getRoundHistory({ page, limit });
+    res.status(200).json(history);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getMyBets = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const history = await aviatorStatsService.getUserBetHistory(req.user._id, {
+      status,
+      page,
+      limit,
+    });
+    res.status(200).json(history);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getStats = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const stats = await aviatorStatsService.getAviatorStats({ from, to });
+    res.status(200).json(stats);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createAutoBet = async (req, res, next) => {
+  try {
+    const autoBet = await aviatorBetService.createAutoBet(
+      req.user._id,
+      req.body
+    );
+    res.status(201).json({
+      message: "Auto-bet started. It will bet from the next round.",
+      autoBet,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getAutoBets = async (req, res, next) => {
+  try {
+    const autoBets = await aviatorBetService.getAutoBets(req.user._id, {
+      status: req.query.status,
+    });
+    res.status(200).json(autoBets);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.cancelAutoBet = async (req, res, next) => {
+  try {
+    const autoBet = await aviatorBetService.cancelAutoBet(
+      req.user._id,
+      req.params.id
+    );
+    res.status(200).json({ message: "Auto-bet stopped.", autoBet });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,25 +1,91 @@
 const { body, query, param, validationResult } = require("express-validator");
-const mongoose = require("mongoose");
 const Bet = require("../models/Bet");
-const Game = require("../models/Game");
-const User = require("../models/User");
-const Transaction = require("../models/Transaction");
+const { ODDS_CHANGE_POLICIES } = require("../models/User");
 const bettingService = require("../services/bettingService");
+const { MARKETS, isValidSelection } = require("../services/marketService");
+const {
+  SYSTEM_TYPES,
+  CUSTOM_SYSTEM_TYPE,
+  MAX_SYSTEM_SELECTIONS,
+} = require("../services/systemBetService");
+const cashOutService = require("../services/cashOutService");
+const betSlipService = require("../services/betSlipService");
+const sharedSlipService = require("../services/sharedSlipService");
+const scheduledBetService = require("../services/scheduledBetService");
+const freeBetService = require("../services/freeBetService");
+const ScheduledBet = require("../models/ScheduledBet");
+const { TRIGGER_TYPES } = require("../models/ScheduledBet");
 const SharedSlip = require("../models/SharedSlip");
 const crypto = require("crypto");
 const { sendEmail } = require("../services/emailService");
 const config = require("../config/env");
 
 // --- Validation Rules ---
+
+const MAX_BET_BUILDER_SELECTIONS = 6;
+
+// The odds the client displayed, and how to treat a change since then.
+const displayedOddsRules = (oddsField) => [
+  body(oddsField)
+    .optional()
+    .isFloat({ gt: 1 })
+    .withMessage("Displayed odds must be greater than 1.")
+    .toFloat(),
+  body("oddsChangePolicy")
+    .optional()
+    .isIn(ODDS_CHANGE_POLICIES)
+    .withMessage(
+      `oddsChangePolicy must be one of: ${ODDS_CHANGE_POLICIES.join(", ")}.`
+    ),
+  // Place at the largest stake the trading limits allow instead of being rejected.
+  body("acceptMaxStake").optional().isBoolean().toBoolean(),
+];
+
+// A selection's outcome must belong to its market (the match result when none is given).
+const checkSelectionForMarket = (selection) => {
+  const market = selection.market || MARKETS.MATCH_RESULT;
+  if (!isValidSelection(market, selection.outcome, selection.line)) {
+    throw new Error(
+      `'${selection.outcome}' is not a valid outcome for the ${market} market${
+        selection.line !== undefined ? ` at line ${selection.line}` : ""
+      }.`
+    );
+  }
+  return true;
+};
+
+// Stake the user's bonus balance instead of their cash.
+const useBonusRule = body("useBonus").optional().isBoolean().toBoolean();
+
+// A free bet stakes its own amount, so the stake may be left out when one is used.
+const freeBetIdRule = body("freeBetId")
+  .optional()
+  .isMongoId()
+  .withMessage("freeBetId must be a valid free bet ID.");
+const unlessFreeBet = body("freeBetId").not().exists();
+
 exports.validatePlaceBet = [
   body("gameId").isMongoId().withMessage("Valid gameId is required."),
-  body("outcome")
-    .isIn(["A", "B", "Draw"])
-    .withMessage("Outcome must be 'A', 'B', or 'Draw'."),
+  body("market")
+    .optional()
+    .isIn(Object.values(MARKETS))
+    .withMessage("Unsupported market."),
+  body("line").optional().isFloat().toFloat(),
+  body("outcome").custom((outcome, { req }) =>
+    checkSelectionForMarket({ ...req.body, outcome })
+  ),
   body("stake")
+    .if(unlessFreeBet)
     .isFloat({ gt: 0 })
     .withMessage("Stake must be a positive number.")
     .toFloat(),
+  ...displayedOddsRules("odds"),
+  useBonusRule,
+  freeBetIdRule,
+  body("oddsBoostId")
+    .optional()
+    .isMongoId()
+    .withMessage("oddsBoostId must be a valid odds boost ID."),
 ];
 
 exports.validatePlaceMultipleSingles = [
@@ -33,13 +99,13 @@ exports.validatePlaceMultipleSingles = [
   body("selections.*.gameId")
     .isMongoId()
     .withMessage("Each selection must have a valid gameId."),
-  body("selections.*.outcome")
-    .isIn(["A", "B", "Draw"])
-    .withMessage("Each selection outcome must be 'A', 'B', or 'Draw'."),
+  body("selections.*").custom(checkSelectionForMarket),
+  ...displayedOddsRules("selections.*.odds"),
 ];
 
 exports.validateGetUserBets = [
   query("status").optional().isIn(["pending", "won", "lost", "cancelled"]),
+  query("stakeSource").optional().isIn(["cash", "bonus", "free_bet"]),
   query("gameId").optional().isMongoId(),
   query("page").optional().isInt({ min: 1 }).toInt(),
   query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
@@ -59,6 +125,7 @@ exports.validateGetBetById = [
 
 exports.validatePlaceMultiBet = [
   body("stake")
+    .if(unlessFreeBet)
     .isFloat({ gt: 0 })
     .withMessage("A positive stake is required.")
     .toFloat(),
@@ -68,29 +135,116 @@ exports.validatePlaceMultiBet = [
   body("selections.*.gameId")
     .isMongoId()
     .withMessage("Each selection must have a valid gameId."),
-  body("selections.*.outcome")
-    .isIn(["A", "B", "Draw"])
-    .withMessage("Each selection outcome must be 'A', 'B', or 'Draw'."),
+  body("selections.*").custom(checkSelectionForMarket),
   body("selections").custom((selections) => {
     const gameIds = selections.map((s) => s.gameId);
     const uniqueGameIds = new Set(gameIds);
     if (uniqueGameIds.size !== gameIds.length) {
       throw new Error(
-        "A multi-bet cannot contain multiple selections from the same game."
+        "A multi-bet cannot contain multiple selections from the same game. Use the bet builder to combine markets from one game."
+      );
+    }
+    return true;
+  }),
+  ...displayedOddsRules("selections.*.odds"),
+  useBonusRule,
+  freeBetIdRule,
+];
+
+exports.validatePlaceSystemBet = [
+  body("stakePerLine")
+    .isFloat({ gt: 0 })
+    .withMessage("A positive stake per line is required.")
+    .toFloat(),
+  body("systemType")
+    .isIn([...Object.keys(SYSTEM_TYPES), CUSTOM_SYSTEM_TYPE])
+    .withMessage("A valid system bet type is required."),
+  body("folds")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Folds must be an array of fold sizes."),
+  body("selections")
+    .isArray({ min: 3, max: MAX_SYSTEM_SELECTIONS })
+    .withMessage(
+      `A system bet must contain between 3 and ${MAX_SYSTEM_SELECTIONS} selections.`
+    ),
+  body("selections.*.gameId")
+    .isMongoId()
+    .withMessage("Each selection must have a valid gameId."),
+  body("selections.*").custom(checkSelectionForMarket),
+  body("selections").custom((selections) => {
+    const gameIds = selections.map((s) => s.gameId);
+    if (new Set(gameIds).size !== gameIds.length) {
+      throw new Error(
+        "A system bet cannot contain multiple selections from the same game."
       );
     }
     return true;
   }),
+  ...displayedOddsRules("selections.*.odds"),
+];
+
+exports.validatePlaceBetBuilder = [
+  body("gameId").isMongoId().withMessage("Valid gameId is required."),
+  body("stake")
+    .isFloat({ gt: 0 })
+    .withMessage("A positive stake is required.")
+    .toFloat(),
+  body("selections")
+    .isArray({ min: 2, max: MAX_BET_BUILDER_SELECTIONS })
+    .withMessage(
+      `A bet builder must contain between 2 and ${MAX_BET_BUILDER_SELECTIONS} selections.`
+    ),
+  body("selections.*").custom(checkSelectionForMarket),
+  body("selections").custom((selections) => {
+    const markets = selections.map(
+      (s) => `${s.market || MARKETS.MATCH_RESULT}:${s.line ?? ""}`
+    );
+    if (new Set(markets).size !== markets.length) {
+      throw new Error("A bet builder can only take one selection per market.");
+    }
+    return true;
+  }),
+  ...displayedOddsRules("odds"),
+  useBonusRule,
+];
+
+exports.validateCashOutQuote = [
+  param("betId").isMongoId().withMessage("A valid bet ID is required."),
 ];
 
 exports.validateCashOut = [
   param("betId").isMongoId().withMessage("A valid bet ID is required."),
+  body("quoteId")
+    .isMongoId()
+    .withMessage("A valid cash out quote ID is required."),
   body("amount")
     .optional()
     .isFloat({ gt: 0 })
     .withMessage("Cash out amount must be a positive number."),
 ];
 
+exports.validateAddCashOutRule = [
+  param("betId").isMongoId().withMessage("A valid bet ID is required."),
+  body("type")
+    .isIn(["full", "partial"])
+    .withMessage("Rule type must be 'full' or 'partial'."),
+  body("threshold")
+    .isFloat({ gt: 0 })
+    .withMessage("A positive cash out threshold is required.")
+    .toFloat(),
+  body("percentage")
+    .if(body("type").equals("partial"))
+    .isInt({ min: 1, max: 99 })
+    .withMessage("A partial rule needs a percentage between 1 and 99.")
+    .toInt(),
+];
+
+exports.validateCancelCashOutRule = [
+  param("betId").isMongoId().withMessage("A valid bet ID is required."),
+  param("ruleId").isMongoId().withMessage("A valid rule ID is required."),
+];
+
 exports.validateShareSlip = [
   body("selections")
     .isArray({ min: 1 })
@@ -101,9 +255,103 @@ exports.validateShareSlip = [
   body("selections.*.gameId")
     .isMongoId()
     .withMessage("Invalid game ID in selections."),
-  body("selections.*.outcome")
-    .isIn(["A", "B", "Draw"])
-    .withMessage("Invalid outcome in selections."),
+  body("selections.*").custom(checkSelectionForMarket),
+];
+
+exports.validateAddSlipSelection = [
+  body("gameId").isMongoId().withMessage("Valid gameId is required."),
+  body("market")
+    .optional()
+    .isIn(Object.values(MARKETS))
+    .withMessage("Unsupported market."),
+  body("line").optional().isFloat().toFloat(),
+  body("outcome").custom((outcome, { req }) =>
+    checkSelectionForMarket({ ...req.body, outcome })
+  ),
+];
+
+exports.validateRemoveSlipSelection = [
+  param("selectionId")
+    .isMongoId()
+    .withMessage("A valid selection ID is required."),
+];
+
+exports.validateUpdateSlip = [
+  body("stake")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Stake cannot be negative.")
+    .toFloat(),
+  body("betType")
+    .optional()
+    .isIn(["single", "multi"])
+    .withMessage("Bet type must be 'single' or 'multi'."),
+];
+
+exports.validatePlaceSlip = [
+  body("oddsChangePolicy")
+    .optional()
+    .isIn(ODDS_CHANGE_POLICIES)
+    .withMessage(
+      `oddsChangePolicy must be one of: ${ODDS_CHANGE_POLICIES.join(", ")}.`
+    ),
+  body("acceptMaxStake").optional().isBoolean().toBoolean(),
+];
+
+exports.validateTailSharedSlip = [
+  param("shareId").isString().trim().notEmpty(),
+  body("stake")
+    .isFloat({ gt: 0 })
+    .withMessage("A positive stake is required.")
+    .toFloat(),
+  body("odds")
+    .optional()
+    .isArray()
+    .withMessage("Odds must list the displayed price of each selection."),
+  ...displayedOddsRules("odds.*"),
+];
+
+exports.validateCreateScheduledBet = [
+  body("gameId").isMongoId().withMessage("Valid gameId is required."),
+  body("market")
+    .optional()
+    .isIn(Object.values(MARKETS))
+    .withMessage("Unsupported market."),
+  body("line").optional().isFloat().toFloat(),
+  body("outcome").custom((outcome, { req }) =>
+    checkSelectionForMarket({ ...req.body, outcome })
+  ),
+  body("stake")
+    .isFloat({ gt: 0 })
+    .withMessage("Stake must be a positive number.")
+    .toFloat(),
+  body("trigger.type")
+    .isIn(TRIGGER_TYPES)
+    .withMessage(`Trigger type must be one of: ${TRIGGER_TYPES.join(", ")}.`),
+  body("trigger.placeAt")
+    .if(body("trigger.type").equals("time"))
+    .isISO8601()
+    .withMessage("A time trigger needs a valid placeAt date.")
+    .toDate(),
+  body("trigger.targetOdds")
+    .if(body("trigger.type").equals("odds"))
+    .isFloat({ gt: 1 })
+    .withMessage("An odds trigger needs targetOdds greater than 1.")
+    .toFloat(),
+];
+
+exports.validateGetScheduledBets = [
+  query("status")
+    .optional()
+    .isIn(["pending", "placed", "failed", "cancelled", "expired"]),
+];
+
+exports.validateCancelScheduledBet = [
+  param("id").isMongoId().withMessage("A valid scheduled bet ID is required."),
+];
+
+exports.validateGetFreeBets = [
+  query("status").optional().isIn(["available", "used", "expired"]),
 ];
 
 // --- Controller Functions ---
@@ -114,7 +362,19 @@ exports.placeBet = async (req, res, next) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { gameId, outcome, stake } = req.body;
+  const {
+    gameId,
+    outcome,
+    stake,
+    market,
+    line,
+    odds,
+    oddsChangePolicy,
+    acceptMaxStake,
+    useBonus,
+    freeBetId,
+    oddsBoostId,
+  } = req.body;
   const userId = req.user._id;
 
   try {
@@ -122,18 +382,29 @@ exports.placeBet = async (req, res, next) => {
       userId,
       gameId,
       outcome,
-      stake
+      stake,
+      {
+        market,
+        line,
+        odds,
+        oddsChangePolicy,
+        acceptMaxStake,
+        useBonus,
+        freeBetId,
+        oddsBoostId,
+      }
     );
 
+    const placedStake = result.bet.stake;
     const HIGH_STAKE_THRESHOLD = 100;
-    if (stake >= HIGH_STAKE_THRESHOLD) {
+    if (placedStake >= HIGH_STAKE_THRESHOLD) {
       try {
         await sendEmail({
           to: req.user.email,
           subject: "High-Stakes Bet Confirmation",
           html: `<p>Hi ${
             req.user.firstName
-          },</p><p>This is a confirmation that you have placed a bet of $${stake.toFixed(
+          },</p><p>This is a confirmation that you have placed a bet of $${placedStake.toFixed(
             2
           )}. If you did not authorize this, please contact support immediately.</p>`,
         });
@@ -149,6 +420,7 @@ exports.placeBet = async (req, res, next) => {
       msg: "Bet placed successfully!",
       bet: result.bet,
       walletBalance: result.walletBalance,
+      bonusBalance: result.bonusBalance,
     });
   } catch (error) {
     next(error);
@@ -161,92 +433,39 @@ exports.placeMultiBet = async (req, res, next) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { stake, selections } = req.body;
-  const userId = req.user._id;
-
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  const {
+    selections,
+    stake,
+    oddsChangePolicy,
+    acceptMaxStake,
+    useBonus,
+    freeBetId,
+  } = req.body;
 
   try {
-    const user = await User.findById(userId).session(session);
-    if (!user) throw new Error("User not found.");
-    if (user.walletBalance < stake) throw new Error("Insufficient funds.");
-
-    const gameIds = selections.map((s) => s.gameId);
-    const games = await Game.find({
-      _id: { $in: gameIds },
-      status: "upcoming",
-    }).session(session);
-
-    if (games.length !== selections.length) {
-      throw new Error(
-        "One or more selected games are not available for betting (they may have started or do not exist)."
-      );
-    }
-
-    let totalOdds = 1;
-    const finalSelections = [];
-
-    for (const selection of selections) {
-      const game = games.find((g) => g._id.toString() === selection.gameId);
-      if (!game) throw new Error(`Game with ID ${selection.gameId} not found.`);
-
-      let selectionOdds;
-      if (selection.outcome === "A") selectionOdds = game.odds.home;
-      else if (selection.outcome === "B") selectionOdds = game.odds.away;
-      else if (selection.outcome === "Draw") selectionOdds = game.odds.draw;
-
-      if (!selectionOdds)
-        throw new Error(
-          `Odds for the selected outcome in game ${game.homeTeam} vs ${game.awayTeam} are not available.`
-        );
-
-      totalOdds *= selectionOdds;
-      finalSelections.push({
-        game: game._id,
-        outcome: selection.outcome,
-        odds: selectionOdds,
-      });
-    }
-
-    user.walletBalance -= stake;
-    await user.save({ session });
-
-    const multiBet = new Bet({
-      user: userId,
-      betType: "multi",
+    const result = await bettingService.placeMultiBet(
+      req.user._id,
+      selections,
       stake,
-      totalOdds: parseFloat(totalOdds.toFixed(2)),
-      selections: finalSelections,
-    });
-    await multiBet.save({ session });
-
-    await new Transaction({
-      user: user._id,
-      type: "bet",
-      amount: -stake,
-      balanceAfter: user.walletBalance,
-      bet: multiBet._id,
-      description: `Multi-bet with ${finalSelections.length} selections.`,
-    }).save({ session });
-
-    await session.commitTransaction();
+      { oddsChangePolicy, acceptMaxStake, useBonus, freeBetId }
+    );
 
+    const placedStake = result.bet.stake;
     const HIGH_STAKE_THRESHOLD = 100;
-    if (stake >= HIGH_STAKE_THRESHOLD) {
+    if (placedStake >= HIGH_STAKE_THRESHOLD) {
       try {
         await sendEmail({
-          to: user.email,
+          to: req.user.email,
           subject: "High-Stakes Bet Confirmation",
           html: `<p>Hi ${
-            user.firstName
-          },</p><p>This is a confirmation that you have placed a multi-bet of $${stake.toFixed(
+            req.user.firstName
+          },</p><p>This is a confirmation that you have placed a multi-bet of $${placedStake.toFixed(
             2
           )}. If you did not authorize this, please contact support immediately.</p>`,
         });
       } catch (emailError) {
         console.error(
-          `Failed to send high-stakes multi-bet email to ${user.email}:`,
+          `Failed to send high-stakes multi-bet email to ${req.user.email}:`,
           emailError
         );
       }
@@ -254,96 +473,75 @@ exports.placeMultiBet = async (req, res, next) => {
 
     res.status(201).json({
       msg: "Multi-bet placed successfully!",
-      bet: multiBet,
-      walletBalance: user.walletBalance,
+      bet: result.bet,
+      walletBalance: result.walletBalance,
+      bonusBalance: result.bonusBalance,
     });
   } catch (error) {
-    await session.abortTransaction();
     next(error);
-  } finally {
-    session.endSession();
   }
 };
 
-exports.placeMultipleSingles = async (req, res, next) => {
+/**
+ * Places a system bet: the selections are expanded into every accumulator line the
+ * system type calls for, each carrying stakePerLine. The total stake is taken once.
+ */
+exports.placeSystemBet = async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const { stakePerBet, selections } = req.body;
-  const userId = req.user._id;
-  const totalStake = stakePerBet * selections.length;
-
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  const {
+    systemType,
+    folds,
+    selections,
+    stakePerLine,
+    oddsChangePolicy,
+    acceptMaxStake,
+  } = req.body;
 
   try {
-    const user = await User.findById(userId).session(session);
-    if (!user) throw new Error("User not found.");
-    if (user.walletBalance < totalStake)
-      throw new Error("Insufficient funds for the total stake.");
-
-    const gameIds = selections.map((s) => s.gameId);
-    const games = await Game.find({
-      _id: { $in: gameIds },
-      status: "upcoming",
-    }).session(session);
-    if (games.length !== selections.length) {
-      throw new Error(
-        "One or more selected games are not available for betting."
-      );
-    }
+    const { bet, walletBalance } = await bettingService.placeSystemBet(
+      req.user._id,
+      selections,
+      systemType,
+      stakePerLine,
+      { folds, oddsChangePolicy, acceptMaxStake }
+    );
+    res.status(201).json({
+      msg: "System bet placed successfully!",
+      bet,
+      walletBalance,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    user.walletBalance -= totalStake;
-
-    const bets = [];
-    for (const selection of selections) {
-      const game = games.find((g) => g._id.toString() === selection.gameId);
-      if (!game) throw new Error(`Game with ID ${selection.gameId} not found.`);
-
-      let selectedOdd;
-      if (selection.outcome === "A") selectedOdd = game.odds.home;
-      else if (selection.outcome === "B") selectedOdd = game.odds.away;
-      else selectedOdd = game.odds.draw;
-
-      const bet = new Bet({
-        user: userId,
-        betType: "single",
-        stake: stakePerBet,
-        totalOdds: selectedOdd,
-        selections: [
-          { game: game._id, outcome: selection.outcome, odds: selectedOdd },
-        ],
-      });
-      bets.push(bet);
-
-      await new Transaction({
-        user: user._id,
-        type: "bet",
-        amount: -stakePerBet,
-        balanceAfter:
-          user.walletBalance + totalStake - bets.length * stakePerBet,
-        bet: bet._id,
-        game: game._id,
-        description: `Bet on ${game.homeTeam} vs ${game.awayTeam}`,
-      }).save({ session });
-    }
+exports.placeMultipleSingles = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    await Bet.insertMany(bets, { session });
-    await user.save({ session });
+  const { stakePerBet, selections, oddsChangePolicy, acceptMaxStake } =
+    req.body;
 
-    await session.commitTransaction();
+  try {
+    const { bets, walletBalance } = await bettingService.placeMultipleSingles(
+      req.user._id,
+      selections,
+      stakePerBet,
+      { oddsChangePolicy, acceptMaxStake }
+    );
     res.status(201).json({
       msg: `${bets.length} single bets placed successfully!`,
       bets,
-      walletBalance: user.walletBalance,
+      walletBalance,
     });
   } catch (error) {
-    await session.abortTransaction();
     next(error);
-  } finally {
-    session.endSession();
   }
 };
 
@@ -362,6 +560,7 @@ exports.getUserBets = async (req, res, next) => {
 
     const filter = { user: req.user._id };
     if (status) filter.status = status;
+    if (req.query.stakeSource) filter.stakeSource = req.query.stakeSource;
     // --- Correction: Consistently use selections.game for filtering ---
     if (gameId) filter["selections.game"] = gameId;
     if (startDate && endDate) {
@@ -379,12 +578,22 @@ exports.getUserBets = async (req, res, next) => {
         path: "selections.game",
         select: "homeTeam awayTeam league matchDate result",
       })
+      .populate({ path: "freeBetToken", select: "amount promo" })
       .lean();
 
     const normalizedBets = bets.map((bet) => {
+      // A system bet's totalOdds is the sum of its line odds, so its maximum return
+      // is per line. A free bet returns its winnings without the stake.
+      const maxReturn =
+        bet.betType === "system"
+          ? bet.stakePerLine * bet.totalOdds
+          : bet.stake * bet.totalOdds;
+      const freeStake = bet.stakeSource === "free_bet" ? bet.stake : 0;
+      const potentialPayout = parseFloat((maxReturn - freeStake).toFixed(2));
       if ((!bet.selections || bet.selections.length === 0) && bet.game) {
         return {
           ...bet,
+          potentialPayout,
           selections: [
             {
               game: bet.game,
@@ -394,13 +603,13 @@ exports.getUserBets = async (req, res, next) => {
           ],
         };
       }
-      return bet;
+      return { ...bet, potentialPayout };
     });
 
     const totalBets = await Bet.countDocuments(filter);
 
     res.status(200).json({
-      bets: bets, // Send the directly fetched bets
+      bets: normalizedBets,
       currentPage: parseInt(page),
       totalPages: Math.ceil(totalBets / limit),
       totalCount: totalBets,
@@ -458,111 +667,143 @@ exports.getBetById = async (req, res, next) => {
   }
 };
 
-// --- Correction: Added 'exports.' to the cashOutBet function ---
-exports.cashOutBet = async (req, res, next) => {
+/**
+ * Lists the user's free bet tokens, optionally by status.
+ */
+exports.getFreeBets = async (req, res, next) => {
+  try {
+    const freeBets = await freeBetService.getFreeBets(
+      req.user._id,
+      req.query.status
+    );
+    res.status(200).json({ freeBets });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Places a bet builder: several markets from one game, priced together.
+ */
+exports.placeBetBuilder = async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
-  try {
-    const { betId } = req.params;
-    const { amount: partialCashOutAmount } = req.body;
-    const userId = req.user._id;
+  const {
+    gameId,
+    selections,
+    stake,
+    odds,
+    oddsChangePolicy,
+    acceptMaxStake,
+    useBonus,
+  } = req.body;
 
-    const bet = await Bet.findOne({ _id: betId, user: userId }).session(
-      session
+  try {
+    const result = await bettingService.placeBetBuilder(
+      req.user._id,
+      gameId,
+      selections,
+      stake,
+      { odds, oddsChangePolicy, acceptMaxStake, useBonus }
     );
-    if (!bet || bet.status !== "pending") {
-      throw new Error("This bet is not available for cash out.");
-    }
 
-    const game = await Game.findById(bet.selections[0].game).session(session);
-    if (!game || game.status !== "live") {
-      throw new Error("Cash out is only available for live games.");
-    }
+    res.status(201).json({
+      msg: "Bet builder placed successfully!",
+      bet: result.bet,
+      walletBalance: result.walletBalance,
+      bonusBalance: result.bonusBalance,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const originalOdds = bet.selections[0].odds;
-    const currentOutcomeOdds =
-      game.odds[bet.selections[0].outcome.toLowerCase()];
-    const fullCashOutValue = parseFloat(
-      ((bet.stake * originalOdds) / currentOutcomeOdds).toFixed(2)
+/**
+ * Quotes a cash-out price for a pending bet. The quote must be passed back to
+ * cashOutBet before it expires.
+ */
+exports.getCashOutQuote = async (req, res, next) => {
+  try {
+    const quote = await cashOutService.createQuote(
+      req.user._id,
+      req.params.betId
     );
+    res.status(200).json({
+      quoteId: quote._id,
+      amount: quote.amount,
+      expiresAt: quote.expiresAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (fullCashOutValue <= 0) {
-      throw new Error("Cash out value is not high enough at this time.");
-    }
+exports.cashOutBet = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    const user = await User.findById(userId).session(session);
+  try {
+    const { betId } = req.params;
+    const { quoteId, amount: partialCashOutAmount } = req.body;
 
-    if (partialCashOutAmount) {
-      if (partialCashOutAmount >= fullCashOutValue) {
-        throw new Error(
-          "Partial cash out amount must be less than the full cash out value."
-        );
-      }
-      const cashOutPortion = partialCashOutAmount / fullCashOutValue;
-      const remainingPortion = 1 - cashOutPortion;
-      const cashedOutStake = bet.stake * cashOutPortion;
-      user.walletBalance += partialCashOutAmount;
-
-      await new Transaction({
-        user: user._id,
-        type: "win",
-        amount: partialCashOutAmount,
-        balanceAfter: user.walletBalance,
-        bet: bet._id,
-        game: game._id,
-        description: `Partial cash out for bet`,
-      }).save({ session });
-
-      bet.stake *= remainingPortion;
-      bet.payout = bet.stake * originalOdds;
-
-      await user.save({ session });
-      await bet.save({ session });
-
-      res
-        .status(200)
-        .json({
-          msg: `Successfully cashed out.`,
-          walletBalance: user.walletBalance,
-        });
-    } else {
-      user.walletBalance += fullCashOutValue;
-      bet.status = "won";
-      bet.payout = fullCashOutValue;
-
-      await new Transaction({
-        user: user._id,
-        type: "win",
-        amount: fullCashOutValue,
-        balanceAfter: user.walletBalance,
-        bet: bet._id,
-        game: game._id,
-        description: `Cashed out bet`,
-      }).save({ session });
-
-      await user.save({ session });
-      await bet.save({ session });
-
-      res
-        .status(200)
-        .json({
-          msg: "Bet cashed out successfully!",
-          payout: fullCashOutValue,
-          walletBalance: user.walletBalance,
-        });
-    }
+    const { payout, partial, walletBalance } = await cashOutService.acceptQuote(
+      req.user._id,
+      betId,
+      quoteId,
+      partialCashOutAmount
+    );
 
-    await session.commitTransaction();
+    res.status(200).json({
+      msg: partial
+        ? "Successfully cashed out."
+        : "Bet cashed out successfully!",
+      payout,
+      walletBalance,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Adds an auto cash-out rule to a pending bet. Rules are checked whenever the live
+ * odds of one of its games change.
+ */
+exports.addCashOutRule = async (req, res, next) => {
+  try {
+    const { type, threshold, percentage } = req.body;
+    const bet = await cashOutService.addCashOutRule(
+      req.user._id,
+      req.params.betId,
+      { type, threshold, percentage }
+    );
+    res.status(201).json({
+      msg: "Auto cash out rule added.",
+      cashOutRules: bet.cashOutRules,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.cancelCashOutRule = async (req, res, next) => {
+  try {
+    const bet = await cashOutService.cancelCashOutRule(
+      req.user._id,
+      req.params.betId,
+      req.params.ruleId
+    );
+    res.status(200).json({
+      msg: "Auto cash out rule cancelled.",
+      cashOutRules: bet.cashOutRules,
+    });
   } catch (error) {
-    await session.abortTransaction();
     next(error);
-  } finally {
-    session.endSession();
   }
 };
 
@@ -596,9 +837,9 @@ exports.getSharedSlip = async (req, res, next) => {
   try {
     const { shareId } = req.params;
     const slip = await SharedSlip.findOne({ shareId }).populate({
-      path: "selections.game",
+      path: "selections.gameId",
       model: "Game",
-      select: "homeTeam awayTeam odds",
+      select: "homeTeam awayTeam odds markets matchDate status",
     });
 
     if (!slip) {
@@ -614,3 +855,140 @@ exports.getSharedSlip = async (req, res, next) => {
     next(error);
   }
 };
+
+// Place a shared slip for the current user, crediting the user who shared it
+exports.tailSharedSlip = async (req, res, next) => {
+  try {
+    const { stake, odds, oddsChangePolicy, acceptMaxStake } = req.body;
+    const { bets, walletBalance } = await sharedSlipService.tailSharedSlip(
+      req.user._id,
+      req.params.shareId,
+      { stake, odds, oddsChangePolicy, acceptMaxStake }
+    );
+    res.status(201).json({
+      msg: "Slip tailed successfully!",
+      bets,
+      walletBalance,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// --- Scheduled Bets ---
+
+exports.createScheduledBet = async (req, res, next) => {
+  try {
+    const { gameId, market, line, outcome, stake, trigger } = req.body;
+    const scheduledBet = await scheduledBetService.createScheduledBet(
+      req.user._id,
+      { gameId, market, line, outcome, stake, trigger }
+    );
+    res.status(201).json({ msg: "Bet scheduled successfully!", scheduledBet });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getScheduledBets = async (req, res, next) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+    const scheduledBets = await ScheduledBet.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate("game", "homeTeam awayTeam matchDate status")
+      .lean();
+    res.status(200).json({ scheduledBets });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.cancelScheduledBet = async (req, res, next) => {
+  try {
+    const scheduledBet = await scheduledBetService.cancelScheduledBet(
+      req.user._id,
+      req.params.id
+    );
+    res.status(200).json({ msg: "Scheduled bet cancelled.", scheduledBet });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// --- Draft Bet Slip ---
+
+exports.getSlip = async (req, res, next) => {
+  try {
+    const slip = await betSlipService.getSlip(req.user._id);
+    res.status(200).json({ slip });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.addSlipSelection = async (req, res, next) => {
+  try {
+    const slip = await betSlipService.addSelection(req.user._id, req.body);
+    res.status(200).json({ msg: "Selection added to your bet slip.", slip });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.removeSlipSelection = async (req, res, next) => {
+  try {
+    const slip = await betSlipService.removeSelection(
+      req.user._id,
+      req.params.selectionId
+    );
+    res
+      .status(200)
+      .json({ msg: "Selection removed from your bet slip.", slip });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateSlip = async (req, res, next) => {
+  try {
+    const { stake, betType } = req.body;
+    const slip = await betSlipService.updateSlip(req.user._id, {
+      stake,
+      betType,
+    });
+    res.status(200).json({ msg: "Bet slip updated.", slip });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.clearSlip = async (req, res, next) => {
+  try {
+    const slip = await betSlipService.clearSlip(req.user._id);
+    res.status(200).json({ msg: "Bet slip cleared.", slip });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.placeSlip = async (req, res, next) => {
+  try {
+    const { oddsChangePolicy, acceptMaxStake } = req.body;
+    const { bets, walletBalance } = await betSlipService.placeSlip(
+      req.user._id,
+      { oddsChangePolicy, acceptMaxStake }
+    );
+    res.status(201).json({
+      msg:
+        bets.length === 1
+          ? "Bet placed successfully!"
+          : `${bets.length} bets placed successfully!`,
+      bets,
+      walletBalance,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -5,10 +5,31 @@ const mongoose = require("mongoose");
 const Game = require("../models/Game");
 const Bet = require("../models/Bet");
 const User = require("../models/User");
-const Transaction = require("../models/Transaction");
 const { generateGameSummary } = require("./aiController");
 const { generateOddsForGame } = require("../services/oddsService");
-const { resolveBetsForGame } = require("../services/betResolutionService");
+const {
+  assertValidMarkets,
+  buildStandardMarkets,
+  rederiveMarkets,
+} = require("../services/marketService");
+const SettlementAudit = require("../models/SettlementAudit");
+const {
+  resolveBetsForGame,
+  voidSelectionsForGame,
+  resettleGame: resettleGameBets,
+} = require("../services/betResolutionService");
+const { evaluateOddsTriggers } = require("../services/scheduledBetService");
+const oddsBoostService = require("../services/oddsBoostService");
+const { MARKETS } = require("../models/Game");
+
+// Scheduled bets waiting on a target price are checked after the response is sent.
+const checkOddsTriggers = (game, io) =>
+  evaluateOddsTriggers([game._id], io).catch((error) =>
+    console.error(
+      `[Scheduled Bets] Error checking odds triggers for game ${game._id}:`,
+      error.message
+    )
+  );
 
 // --- Define all functions and validation rules as local constants ---
 const getLiveGames = async (req, res, next) => {
@@ -107,6 +128,27 @@ const validateSetResult = [
     .toInt(),
 ];
 
+const validateResettleGame = [
+  param("id").isMongoId().withMessage("Invalid game ID format."),
+  body("result")
+    .isIn(["A", "B", "Draw"])
+    .withMessage("Result must be 'A', 'B', or 'Draw'."),
+  body("homeScore")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Home score must be a non-negative integer.")
+    .toInt(),
+  body("awayScore")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Away score must be a non-negative integer.")
+    .toInt(),
+  body("reason")
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage("A reason between 5 and 500 characters is required."),
+];
+
 const validateUpdateGame = [
   param("id").isMongoId().withMessage("Invalid game ID format."),
   body("homeTeam").optional().trim().isLength({ min: 2, max: 100 }).escape(),
@@ -167,6 +209,44 @@ const validateAdjustOdds = [
     .withMessage("Draw odds must be at least 1.01."),
 ];
 
+const validateSetMarkets = [
+  param("id").isMongoId().withMessage("A valid game ID is required."),
+  body("markets").optional().isArray().withMessage("Markets must be an array."),
+];
+
+const validateCreateOddsBoost = [
+  param("id").isMongoId().withMessage("A valid game ID is required."),
+  body("market")
+    .optional()
+    .isIn(Object.values(MARKETS))
+    .withMessage("Unsupported market."),
+  body("line").optional().isFloat().toFloat(),
+  body("outcome").isString().notEmpty().withMessage("An outcome is required."),
+  body("boostedOdds")
+    .isFloat({ min: 1.01 })
+    .withMessage("Boosted odds must be at least 1.01.")
+    .toFloat(),
+  body("maxStake")
+    .isFloat({ gt: 0 })
+    .withMessage("A positive maximum stake is required.")
+    .toFloat(),
+  body("perUserLimit")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("The per-user limit must be at least 1.")
+    .toInt(),
+  body("startsAt").optional().isISO8601().toDate(),
+  body("endsAt").optional().isISO8601().toDate(),
+  body("promoId").optional().isMongoId(),
+];
+
+const validateCancelOddsBoost = [
+  param("id").isMongoId().withMessage("A valid game ID is required."),
+  param("boostId")
+    .isMongoId()
+    .withMessage("A valid odds boost ID is required."),
+];
+
 const getGames = async (req, res, next) => {
   const { league, status, date, page = 1, limit = 100, search } = req.query;
   const filter = {};
@@ -201,7 +281,7 @@ const getGames = async (req, res, next) => {
     .lean();
   const totalGames = await Game.countDocuments(filter);
   res.json({
-    games,
+    games: await oddsBoostService.withBoosts(games),
     currentPage: page,
     totalPages: Math.ceil(totalGames / limit),
     totalCount: totalGames,
@@ -209,16 +289,24 @@ const getGames = async (req, res, next) => {
 };
 
 const createGame = async (req, res, next) => {
-  let { homeTeam, awayTeam, odds, league, matchDate, status } = req.body;
+  let { homeTeam, awayTeam, odds, league, matchDate, status, markets } =
+    req.body;
   try {
     if (!odds) {
       odds = await generateOddsForGame(homeTeam, awayTeam);
     }
+    if (markets) {
+      assertValidMarkets(markets);
+      markets = markets.map((market) => ({ ...market, manual: true }));
+    } else {
+      markets = buildStandardMarkets(odds);
+    }
     const gameSummary = await generateGameSummary(homeTeam, awayTeam, league);
     const game = new Game({
       homeTeam,
       awayTeam,
       odds,
+      markets,
       league,
       matchDate,
       status: status || "upcoming",
@@ -241,7 +329,8 @@ const getGameById = async (req, res, next) => {
     err.statusCode = 404;
     return next(err);
   }
-  res.json(game);
+  const [withBoosts] = await oddsBoostService.withBoosts([game]);
+  res.json(withBoosts);
 };
 
 // --- UPDATE: Modify the setResult function ---
@@ -287,6 +376,49 @@ const setResult = async (req, res, next) => {
   }
 };
 
+// Reverses the settlement of a finished game and settles it again with a corrected result.
+const resettleGame = async (req, res, next) => {
+  try {
+    const { result, homeScore, awayScore, reason } = req.body;
+    const scores =
+      homeScore !== undefined && awayScore !== undefined
+        ? { home: homeScore, away: awayScore }
+        : undefined;
+
+    const audit = await resettleGameBets(
+      req.params.id,
+      { result, scores, reason, adminId: req.user._id },
+      req.io
+    );
+
+    req.io.emit("gameResultUpdated", {
+      gameId: audit.game,
+      result: audit.newResult,
+      status: "finished",
+      scores: audit.newScores,
+    });
+
+    res.json({
+      msg: `Game resettled from '${audit.previousResult}' to '${audit.newResult}'. ${audit.reversal.length} bets were reversed and settled again.`,
+      audit,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSettlementAudits = async (req, res, next) => {
+  try {
+    const audits = await SettlementAudit.find({ game: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate("performedBy", "username")
+      .lean();
+    res.json({ audits });
+  } catch (error) {
+    next(error);
+  }
+};
+
 const updateGame = async (req, res, next) => {
   const { id } = req.params;
   const updates = req.body;
@@ -303,8 +435,10 @@ const updateGame = async (req, res, next) => {
       game[key] = updates[key];
     }
   });
+  if (updates.odds) game.markets = rederiveMarkets(game.odds, game.markets);
   await game.save();
   res.json({ msg: "Game updated successfully.", game });
+  if (updates.odds) checkOddsTriggers(game, req.io);
 };
 
 const cancelGame = async (req, res, next) => {
@@ -317,32 +451,15 @@ const cancelGame = async (req, res, next) => {
     game.status = "cancelled";
     game.result = null;
     await game.save({ session });
-    const betsToRefund = await Bet.find({
-      "selections.game": game._id,
-      status: "pending",
-    })
-      .populate("user")
-      .session(session);
-    for (const bet of betsToRefund) {
-      if (bet.user) {
-        bet.user.walletBalance += bet.stake;
-        await bet.user.save({ session });
-        await new Transaction({
-          user: bet.user._id,
-          type: "refund",
-          amount: bet.stake,
-          balanceAfter: bet.user.walletBalance,
-          bet: bet._id,
-          game: game._id,
-          description: `Refund for cancelled game: ${game.homeTeam} vs ${game.awayTeam}`,
-        }).save({ session });
-      }
-      bet.status = "cancelled";
-      await bet.save({ session });
-    }
+    // Singles are refunded; multi-bets only lose this leg and keep riding.
+    const { refunded, voidedLegs } = await voidSelectionsForGame(
+      game,
+      session,
+      req.io
+    );
     await session.commitTransaction();
     res.json({
-      msg: `Game ${game.homeTeam} vs ${game.awayTeam} cancelled. ${betsToRefund.length} pending bets refunded.`,
+      msg: `Game ${game.homeTeam} vs ${game.awayTeam} cancelled. ${refunded} pending bets refunded and ${voidedLegs} multi-bets continue without this leg.`,
       game,
     });
   } catch (error) {
@@ -429,9 +546,45 @@ const adjustOdds = async (req, res, next) => {
     }
     game.oddsHistory.push({ odds: game.odds, timestamp: new Date() });
     game.odds = { home, away, draw };
+    game.markets = rederiveMarkets(game.odds, game.markets);
     await game.save();
     req.io.emit("oddsUpdate", { gameId: game._id, odds: game.odds });
+    req.io.emit("marketsUpdate", { gameId: game._id, markets: game.markets });
     res.status(200).json({ msg: "Odds have been successfully updated.", game });
+    checkOddsTriggers(game, req.io);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replaces a game's additional markets. Without a 'markets' body, they are
+// re-derived from the game's current 1X2 odds.
+const setMarkets = async (req, res, next) => {
+  try {
+    const game = await Game.findById(req.params.id);
+    if (!game) {
+      const err = new Error("Game not found.");
+      err.statusCode = 404;
+      return next(err);
+    }
+    if (game.status !== "upcoming") {
+      const err = new Error(
+        `Cannot change markets for a game that is already '${game.status}'.`
+      );
+      err.statusCode = 400;
+      return next(err);
+    }
+
+    const { markets } = req.body;
+    if (markets) assertValidMarkets(markets);
+    game.markets = markets
+      ? markets.map((market) => ({ ...market, manual: true }))
+      : buildStandardMarkets(game.odds);
+    await game.save();
+
+    req.io.emit("marketsUpdate", { gameId: game._id, markets: game.markets });
+    res.status(200).json({ msg: "Markets have been updated.", game });
+    checkOddsTriggers(game, req.io);
   } catch (error) {
     next(error);
   }
@@ -452,7 +605,36 @@ const getGameDetails = async (req, res, next) => {
       events = await getFixtureEvents(fixtureId);
     }
 
-    res.json({ ...game, events });
+    const [withBoosts] = await oddsBoostService.withBoosts([game]);
+    res.json({ ...withBoosts, events });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attaches a boosted price to one selection of the game.
+const createOddsBoost = async (req, res, next) => {
+  try {
+    const boost = await oddsBoostService.createOddsBoost(
+      req.params.id,
+      req.body,
+      req.user._id
+    );
+    req.io.emit("oddsBoostUpdate", { gameId: boost.game, boost });
+    res.status(201).json({ msg: "Odds boost created.", boost });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const cancelOddsBoost = async (req, res, next) => {
+  try {
+    const boost = await oddsBoostService.cancelOddsBoost(
+      req.params.id,
+      req.params.boostId
+    );
+    req.io.emit("oddsBoostUpdate", { gameId: boost.game, boost });
+    res.status(200).json({ msg: "Odds boost withdrawn.", boost });
   } catch (error) {
     next(error);
   }
@@ -463,13 +645,19 @@ module.exports = {
   validateCreateGame,
   validateGameId,
   validateSetResult,
+  validateResettleGame,
   validateUpdateGame,
   validateCreateMultipleGames,
   validateAdjustOdds,
+  validateSetMarkets,
+  validateCreateOddsBoost,
+  validateCancelOddsBoost,
   getGames,
   createGame,
   getGameById,
   setResult,
+  resettleGame,
+  getSettlementAudits,
   updateGame,
   cancelGame,
   getPersonalizedGames,
@@ -478,5 +666,8 @@ module.exports = {
   createMultipleGames,
   getLiveGames,
   adjustOdds,
+  setMarkets,
   getGameDetails,
+  createOddsBoost,
+  cancelOddsBoost,
 };
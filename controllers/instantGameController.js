@@ -0,0 +1,133 @@
+// In: Bet/Backend/controllers/instantGameController.js
+
+const { body, param, query } = require("express-validator");
+const instantGames = require("../services/instantGames");
+const fairness = require("../services/instantGameFairnessService");
+
+// --- Validation Rules ---
+exports.validatePlaceInstantBet = [
+  body("stake")
+    .isFloat({ gt: 0 })
+    .withMessage("A positive stake amount is required.")
+    .toFloat(),
+  // Checked by the game itself, e.g. { target, direction } for dice.
+  body("params")
+    .optional()
+    .isObject()
+    .withMessage("Game parameters must be an object."),
+];
+
+exports.validateBetId = [
+  param("id").isMongoId().withMessage("Invalid instant game bet ID."),
+];
+
+exports.validateMove = [
+  ...exports.validateBetId,
+  body("action").isString().withMessage("A move needs an action."),
+];
+
+exports.validateRotateSeeds = [
+  body("clientSeed")
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{1,64}$/)
+    .withMessage(
+      "A client seed must be 1 to 64 letters, digits, dashes or underscores."
+    ),
+];
+
+exports.validateGetHistory = [
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  // Aviator bets are pending, won, lost or void; other games' active, won or lost.
+  query("status")
+    .optional()
+    .isIn(["active", "pending", "won", "lost", "void"])
+    .withMessage("Invalid bet status."),
+];
+
+// --- Controller Functions ---
+
+exports.listGames = (req, res) => {
+  res.status(200).json(instantGames.listGames());
+};
+
+exports.placeInstantBet = async (req, res, next) => {
+  try {
+    const { bet, walletBalance } = await instantGames.placeInstantBet(
+      req.user._id,
+      req.params.game,
+      { stake: req.body.stake, params: req.body.params }
+    );
+    res.status(201).json({ message: "Bet placed.", bet, walletBalance });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.makeMove = async (req, res, next) => {
+  try {
+    const result = await instantGames.actOnInstantBet(
+      req.user._id,
+      req.params.id,
+      req.body
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getInstantBet = async (req, res, next) => {
+  try {
+    const bet = await instantGames.getInstantBet(req.user._id, req.params.id);
+    res.status(200).json(bet);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getMyBets = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const history = await instantGames.getUserHistory(
+      req.user._id,
+      req.params.game,
+      { status, page, limit }
+    );
+    res.status(200).json(history);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getSeeds = async (req, res, next) => {
+  try {
+    const seeds = await fairness.getSeedPair(req.user._id);
+    res.status(200).json(seeds);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.rotateSeeds = async (req, res, next) => {
+  try {
+    const seeds = await fairness.rotateSeedPair(
+      req.user._id,
+      req.body.clientSeed
+    );
+    res.status(200).json(seeds);
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.verifyInstantBet = async (req, res, next) => {
+  try {
+    const verification = await instantGames.verifyInstantBet(req.params.id);
+    res.status(200).json(verification);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,8 @@
 const Bet = require("../models/Bet");
 const User = require("../models/User");
 const mongoose = require("mongoose");
+const { param } = require("express-validator");
+const sharedSlipService = require("../services/sharedSlipService");
 
 // Helper to get date range
 const getDateRange = (period) => {
@@ -81,3 +83,28 @@ exports.getHighestOdds = async (req, res, next) => {
     next(error);
   }
 };
+
+// Get leaderboard for the most tailed tipsters
+exports.getTopTipsters = async (req, res, next) => {
+  try {
+    const dateFilter = getDateRange(req.query.period || "all-time");
+    const leaderboard = await sharedSlipService.getTopTipsters(dateFilter);
+    res.status(200).json({ leaderboard });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.validateGetTipsterStats = [
+  param("userId").isMongoId().withMessage("A valid user ID is required."),
+];
+
+// Get how one user's shared slips have done for the people who tailed them
+exports.getTipsterStats = async (req, res, next) => {
+  try {
+    const stats = await sharedSlipService.getTipsterStats(req.params.userId);
+    res.status(200).json({ stats });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,10 @@
-const { body, param, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 const Promo = require("../models/Promo");
+const PromoCode = require("../models/PromoCode");
+const { CODE_KINDS, REWARD_TYPES } = require("../models/PromoCode");
+const { claimBonus } = require("../services/bonusService");
+const { claimFreeBet } = require("../services/freeBetService");
+const promoCodeService = require("../services/promoCodeService");
 
 // --- Validation Rules for Creating/Updating a Promotion ---
 exports.validatePromo = [
@@ -17,6 +22,156 @@ exports.validatePromo = [
     .isISO8601()
     .toDate()
     .withMessage("Invalid date format for expiry."),
+  // A 'Bonus' promotion credits bonusAmount to the claimer's bonus balance.
+  body("bonusAmount")
+    .if(body("promoType").equals("Bonus"))
+    .isFloat({ gt: 0 })
+    .withMessage("A Bonus promotion needs a positive bonusAmount.")
+    .toFloat(),
+  body("wagering.multiplier")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("The wagering multiplier cannot be negative.")
+    .toFloat(),
+  body("wagering.minOdds")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("The minimum qualifying odds must be at least 1.")
+    .toFloat(),
+  body("wagering.expiryDays")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("A bonus must run for at least one day.")
+    .toInt(),
+  // A 'FreeBet' promotion issues a token for freeBet.amount to each claimer.
+  body("freeBet.amount")
+    .if(body("promoType").equals("FreeBet"))
+    .isFloat({ gt: 0 })
+    .withMessage("A FreeBet promotion needs a positive freeBet.amount.")
+    .toFloat(),
+  body("freeBet.minOdds")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("The free bet's minimum odds must be at least 1.")
+    .toFloat(),
+  body("freeBet.eligibleLeagues")
+    .optional()
+    .isArray()
+    .withMessage("Eligible leagues must be a list of league names."),
+  body("freeBet.expiryDays")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("A free bet must last at least one day.")
+    .toInt(),
+];
+
+// Limits and availability, shared by creating and updating a promo code.
+const promoCodeLimitRules = [
+  body("description").optional().isString().trim(),
+  body("maxRedemptions")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("maxRedemptions must be at least 1, or null for no limit.")
+    .toInt(),
+  body("perUserLimit")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("perUserLimit must be at least 1.")
+    .toInt(),
+  body("newCustomersOnly").optional().isBoolean().toBoolean(),
+  body("firstDepositOnly").optional().isBoolean().toBoolean(),
+  body("isActive").optional().isBoolean().toBoolean(),
+  body("startsAt")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid date format for startsAt."),
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid date format for expiresAt."),
+];
+
+exports.validateCreatePromoCode = [
+  body("code")
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,32}$/)
+    .withMessage(
+      "A code must be 3 to 32 letters, digits, dashes or underscores."
+    ),
+  body("kind")
+    .optional()
+    .isIn(CODE_KINDS)
+    .withMessage(`kind must be one of: ${CODE_KINDS.join(", ")}.`),
+  body("reward.type")
+    .isIn(REWARD_TYPES)
+    .withMessage(`reward.type must be one of: ${REWARD_TYPES.join(", ")}.`),
+  // 'instant' codes pay a fixed amount; 'deposit_match' codes a share of the deposit.
+  body("reward.amount")
+    .if(body("kind").not().equals("deposit_match"))
+    .isFloat({ gt: 0 })
+    .withMessage("An instant code needs a positive reward.amount.")
+    .toFloat(),
+  body("reward.matchPercent")
+    .if(body("kind").equals("deposit_match"))
+    .isFloat({ gt: 0, max: 500 })
+    .withMessage("A deposit match code needs a reward.matchPercent up to 500.")
+    .toFloat(),
+  body("reward.maxAmount")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("reward.maxAmount must be positive.")
+    .toFloat(),
+  body("reward.wagering.multiplier")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("The wagering multiplier cannot be negative.")
+    .toFloat(),
+  body("reward.wagering.minOdds")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("The minimum qualifying odds must be at least 1.")
+    .toFloat(),
+  body("reward.wagering.expiryDays")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("A bonus must run for at least one day.")
+    .toInt(),
+  body("reward.freeBet.minOdds")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("The free bet's minimum odds must be at least 1.")
+    .toFloat(),
+  body("reward.freeBet.eligibleLeagues")
+    .optional()
+    .isArray()
+    .withMessage("Eligible leagues must be a list of league names."),
+  body("reward.freeBet.expiryDays")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("A free bet must last at least one day.")
+    .toInt(),
+  ...promoCodeLimitRules,
+];
+
+exports.validateUpdatePromoCode = [
+  param("id").isMongoId().withMessage("Invalid promo code ID."),
+  ...promoCodeLimitRules,
+];
+
+exports.validateGetRedemptions = [
+  param("id").isMongoId().withMessage("Invalid promo code ID."),
+  query("status")
+    .optional()
+    .isIn(["pending", "granted", "blocked", "cancelled"])
+    .withMessage("Invalid redemption status."),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
+exports.validateRedeemPromoCode = [
+  body("code").isString().trim().notEmpty().withMessage("A code is required."),
 ];
 
 // --- Public Controller: Get Active Promotions ---
@@ -39,6 +194,103 @@ exports.getActivePromotions = async (req, res, next) => {
   }
 };
 
+// --- User Controller: Claim a Bonus or Free Bet Promotion ---
+exports.claimPromotion = async (req, res, next) => {
+  try {
+    const promo = await Promo.findById(req.params.id).select("promoType");
+    if (promo && promo.promoType === "FreeBet") {
+      const freeBet = await claimFreeBet(req.user._id, req.params.id);
+      return res
+        .status(201)
+        .json({ msg: "Free bet claimed successfully.", freeBet });
+    }
+
+    const { grant, bonusBalance } = await claimBonus(
+      req.user._id,
+      req.params.id
+    );
+    res.status(201).json({
+      msg: "Bonus claimed successfully.",
+      bonus: grant,
+      bonusBalance,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// --- User Controller: Redeem a Promo Code ---
+exports.redeemPromoCode = async (req, res, next) => {
+  try {
+    const redemption = await promoCodeService.redeemPromoCode(
+      req.user._id,
+      req.body.code,
+      { ipAddress: req.ip, deviceId: req.get("x-device-id") }
+    );
+    res.status(201).json({
+      msg: "Promo code redeemed successfully.",
+      redemption,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// --- Admin Controller: Get All Promo Codes ---
+exports.getPromoCodes = async (req, res, next) => {
+  try {
+    const promoCodes = await PromoCode.find().sort({ createdAt: -1 });
+    res.status(200).json({ promoCodes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// --- Admin Controller: Create Promo Code ---
+exports.createPromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await promoCodeService.createPromoCode(
+      req.body,
+      req.user._id
+    );
+    res
+      .status(201)
+      .json({ msg: "Promo code created successfully.", promoCode });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// --- Admin Controller: Update Promo Code ---
+exports.updatePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await promoCodeService.updatePromoCode(
+      req.params.id,
+      req.body
+    );
+    res
+      .status(200)
+      .json({ msg: "Promo code updated successfully.", promoCode });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// --- Admin Controller: Get a Promo Code's Redemption Log ---
+exports.getPromoCodeRedemptions = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const result = await promoCodeService.getRedemptions(req.params.id, {
+      status,
+      page,
+      limit,
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // --- Admin Controller: Get All Promotions ---
 exports.getAllPromotions = async (req, res, next) => {
   try {
@@ -1,9 +1,12 @@
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
 const bcrypt = require("bcryptjs");
 const User = require("../models/User");
+const { ODDS_CHANGE_POLICIES } = require("../models/User");
 const Bet = require("../models/Bet");
 const Transaction = require("../models/Transaction");
 const mongoose = require("mongoose");
+const statementService = require("../services/statementService");
+const { getReferralDashboard } = require("../services/referralService");
 
 // --- Validation Rules ---
 exports.validateChangeEmail = [
@@ -70,6 +73,27 @@ exports.validateSetLimits = [
 
 // --- Controller Functions ---
 
+exports.validateSetBettingPreferences = [
+  body("oddsChangePolicy")
+    .isIn(ODDS_CHANGE_POLICIES)
+    .withMessage(
+      `oddsChangePolicy must be one of: ${ODDS_CHANGE_POLICIES.join(", ")}.`
+    ),
+];
+
+exports.validateGetStatement = [
+  query("from")
+    .isISO8601()
+    .withMessage("A valid 'from' date is required (YYYY-MM-DD)."),
+  query("to")
+    .isISO8601()
+    .withMessage("A valid 'to' date is required (YYYY-MM-DD)."),
+  query("format")
+    .optional()
+    .isIn(["csv", "pdf"])
+    .withMessage("Format must be 'csv' or 'pdf'."),
+];
+
 exports.getProfile = async (req, res, next) => {
   try {
     const user = await User.findById(req.user._id).select("-password").lean();
@@ -218,6 +242,44 @@ exports.setBettingLimits = async (req, res, next) => {
   }
 };
 
+exports.setBettingPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    user.bettingPreferences.oddsChangePolicy = req.body.oddsChangePolicy;
+    await user.save();
+    res.status(200).json({
+      message: "Your betting preferences have been updated.",
+      bettingPreferences: user.bettingPreferences,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Download the logged-in user's statement of bets and wallet transactions
+exports.getStatement = async (req, res, next) => {
+  try {
+    const { from, to, format = "csv" } = req.query;
+    const statement = await statementService.buildStatement(req.user._id, {
+      from,
+      to,
+    });
+    await statementService.sendStatement(res, statement, format);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The logged-in user's referral code and the progress of the friends they referred
+exports.getReferrals = async (req, res, next) => {
+  try {
+    const dashboard = await getReferralDashboard(req.user._id);
+    res.status(200).json(dashboard);
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.updateProfile = async (req, res, next) => {
   try {
     const { firstName, lastName, state } = req.body;
@@ -3,11 +3,21 @@ const mongoose = require("mongoose");
 const User = require("../models/User");
 const Transaction = require("../models/Transaction");
 const Withdrawal = require("../models/Withdrawal");
-const { sendEmail } = require("../services/emailService");
+const Deposit = require("../models/Deposit");
+const { verifyWebhookSignature } = require("../services/paymentService");
 const {
-  createPaymentLink,
-  verifyWebhookSignature,
-} = require("../services/paymentService");
+  createDeposit,
+  confirmDeposit,
+  handleWebhookEvent,
+} = require("../services/depositService");
+const {
+  assertBonusForfeitable,
+  getActiveBonus,
+} = require("../services/bonusService");
+const {
+  checkDepositCode,
+  reserveDepositCode,
+} = require("../services/promoCodeService");
 
 // --- Validation Rules ---
 
@@ -16,6 +26,12 @@ exports.validateInitializeDeposit = [
     .isFloat({ gt: 99 })
     .withMessage("Deposit amount must be at least 100 NGN.")
     .toFloat(),
+  body("promoCode")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("promoCode must be a non-empty string."),
 ];
 
 exports.validateGetTransactionHistory = [
@@ -29,6 +45,9 @@ exports.validateGetTransactionHistory = [
       "withdrawal",
       "admin_credit",
       "admin_debit",
+      "settlement_reversal",
+      "bonus_conversion",
+      "referral_reward",
     ]),
   query("limit").optional().isInt({ min: 1, max: 100 }),
   query("page").optional().isInt({ min: 1 }),
@@ -39,6 +58,18 @@ exports.validateRequestWithdrawal = [
     .isFloat({ gt: 0 })
     .withMessage("Withdrawal amount must be a positive number.")
     .toFloat(),
+  body("payoutAccount.bankCode")
+    .if(body("payoutAccount").exists())
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("payoutAccount.bankCode is required."),
+  body("payoutAccount.accountNumber")
+    .if(body("payoutAccount").exists())
+    .isString()
+    .trim()
+    .matches(/^\d{6,20}$/)
+    .withMessage("payoutAccount.accountNumber must be 6 to 20 digits."),
 ];
 
 // --- Controller Functions ---
@@ -46,24 +77,30 @@ exports.validateRequestWithdrawal = [
 // Handles starting a deposit via Flutterwave
 exports.initializeDeposit = async (req, res, next) => {
   try {
-    const { amount } = req.body;
+    const { amount, promoCode } = req.body;
     const user = await User.findById(req.user._id);
+    const context = { ipAddress: req.ip, deviceId: req.get("x-device-id") };
+
+    // A bad code is refused before the user is sent off to pay.
+    const code = promoCode
+      ? await checkDepositCode(user, promoCode, context)
+      : null;
 
-    // 'paymentData' will be the object { link: "...", tx_ref: "..." }
-    // Correct argument order
-    const paymentData = await createPaymentLink(
-      amount,
-      user.email,
-      user.fullName,
-      user._id
-    );
+    // The Deposit records the intended amount; the webhook is checked against it later.
+    const deposit = await createDeposit(user, amount);
+    const redemption = code
+      ? await reserveDepositCode(code, user, deposit, context)
+      : null;
 
-    // This is the new response structure that combines the old and new formats.
     res.status(200).json({
       message:
         "Payment link created successfully. Please Follow the link to process your transaction.",
-      paymentLink: paymentData.link, // Keep the original 'paymentLink' field
-      tx_ref: paymentData.tx_ref, // Add the new 'tx_ref' field
+      paymentLink: deposit.paymentLink,
+      tx_ref: deposit.txRef,
+      depositId: deposit._id,
+      promoCode: redemption
+        ? { code: code.code, redemptionId: redemption._id }
+        : null,
     });
   } catch (error) {
     next(error);
@@ -76,81 +113,54 @@ exports.handleFlutterwaveWebhook = async (req, res, next) => {
     return res.status(401).send("Unauthorized");
   }
 
-  const payload = req.body;
-
-  if (payload.status === "successful") {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-    try {
-      const tx_ref = payload.txRef || payload.data.tx_ref;
-      const userId = tx_ref ? tx_ref.split("-")[2] : null;
-
-      if (!userId) {
-        throw new Error("Could not parse User ID from transaction reference.");
-      }
-
-      const amount = payload.amount || payload.data.amount;
-      const user = await User.findById(userId).session(session);
-
-      if (user) {
-        user.walletBalance += amount;
-        await user.save({ session });
-
-        await new Transaction({
-          user: user._id,
-          type: "topup",
-          amount: amount,
-          balanceAfter: user.walletBalance,
-          description: `Wallet top-up via Flutterwave. Ref: ${
-            payload.flwRef || payload.data.flw_ref
-          }`,
-        }).save({ session });
-      } else {
-        // If user is not found, we should not proceed.
-        throw new Error(
-          `User with ID ${userId} not found for webhook processing.`
-        );
-      }
+  try {
+    const result = await handleWebhookEvent(req.body);
+    if (result.reason) {
+      console.log(`[Deposits] Webhook ${result.outcome}: ${result.reason}`);
+    }
+    res.status(200).send("Webhook received.");
+  } catch (error) {
+    console.error("Webhook processing error:", error);
+    // Processing is idempotent, so it is safe to let Flutterwave retry.
+    res.status(500).send("Error processing webhook internally.");
+  }
+};
 
-      await session.commitTransaction();
+exports.getDepositStatus = async (req, res, next) => {
+  try {
+    let deposit = await Deposit.findOne({
+      txRef: req.params.txRef,
+      user: req.user._id,
+    });
+    if (!deposit) {
+      const err = new Error("Deposit not found.");
+      err.statusCode = 404;
+      return next(err);
+    }
 
-      // --- Implementation: Send email AFTER the transaction is successfully committed ---
-      try {
-        await sendEmail({
-          to: user.email,
-          subject: "Deposit Successful",
-          html: `<p>Hi ${
-            user.firstName
-          },</p><p>Your deposit of $${amount.toFixed(
-            2
-          )} was successful. Your new wallet balance is $${user.walletBalance.toFixed(
-            2
-          )}.</p>`,
-        });
-      } catch (emailError) {
-        // Log the email error but don't fail the entire request, as the payment was successful.
-        console.error(
-          `Failed to send deposit email to ${user.email}:`,
-          emailError
-        );
-      }
-    } catch (error) {
-      await session.abortTransaction();
-      console.error("Webhook processing error:", error);
-      // We send a 200 OK so Flutterwave doesn't retry, but log the error internally.
-      return res.status(200).send("Error processing webhook internally.");
-    } finally {
-      session.endSession();
+    // Users land here from the payment redirect, often before the webhook arrives.
+    if (deposit.status === "pending") {
+      ({ deposit } = await confirmDeposit(deposit));
     }
-  }
 
-  res.status(200).send("Webhook received.");
+    res.json({
+      txRef: deposit.txRef,
+      amount: deposit.amount,
+      currency: deposit.currency,
+      status: deposit.status,
+      failureReason: deposit.failureReason,
+      createdAt: deposit.createdAt,
+      completedAt: deposit.completedAt,
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 exports.getWallet = async (req, res, next) => {
   try {
     const user = await User.findById(req.user._id)
-      .select("walletBalance username email")
+      .select("walletBalance bonusBalance username email")
       .lean();
     if (!user) {
       const err = new Error("User wallet data not found.");
@@ -161,6 +171,8 @@ exports.getWallet = async (req, res, next) => {
       username: user.username,
       email: user.email,
       walletBalance: parseFloat(user.walletBalance.toFixed(2)),
+      bonusBalance: parseFloat((user.bonusBalance || 0).toFixed(2)),
+      activeBonus: await getActiveBonus(user._id),
     });
   } catch (error) {
     next(error);
@@ -227,6 +239,7 @@ exports.getWalletSummary = async (req, res, next) => {
       switch (item._id) {
         case "topup":
         case "admin_credit":
+        case "referral_reward":
           summary.totalTopUps.amount += amount;
           summary.totalTopUps.count += count;
           break;
@@ -235,6 +248,8 @@ exports.getWalletSummary = async (req, res, next) => {
           summary.totalBetsPlaced.count += count;
           break;
         case "win":
+        case "settlement_reversal":
+          // Reversals are negative, so they net off the winnings they undo.
           summary.totalWinnings.amount += amount;
           summary.totalWinnings.count += count;
           break;
@@ -270,7 +285,7 @@ exports.getWalletSummary = async (req, res, next) => {
 
 exports.requestWithdrawal = async (req, res, next) => {
   try {
-    const { amount } = req.body;
+    const { amount, payoutAccount } = req.body;
     const user = await User.findById(req.user._id);
     if (!user) {
       const err = new Error("User not found.");
@@ -291,9 +306,12 @@ exports.requestWithdrawal = async (req, res, next) => {
       err.statusCode = 400;
       return next(err);
     }
+    // An approved withdrawal gives up any bonus still being wagered.
+    await assertBonusForfeitable(user._id);
     const withdrawalRequest = new Withdrawal({
       user: user._id,
       amount: amount,
+      payoutAccount,
     });
     await withdrawalRequest.save();
     res.status(201).json({
@@ -18,12 +18,17 @@ const {
 } = require("./services/sportsDataService");
 const { analyzePlatformRisk } = require("./scripts/monitorPlatformRisk");
 const { cleanupStaleGames } = require("./scripts/cleanupStaleGames");
+const { expireStaleDeposits } = require("./services/depositService");
+const { runDueScheduledBets } = require("./services/scheduledBetService");
+const { expireBonuses } = require("./services/bonusService");
+const { expireFreeBets } = require("./services/freeBetService");
+const { processReferrals } = require("./services/referralService");
 // ** UPDATE: Import functions from scripts directly **
 const { analyzePlayerChurn } = require("./scripts/analyzePlayerChurn");
 const { sendPreGameTips } = require("./scripts/sendPreGameTips");
 const { sendPromotionalEmails } = require("./scripts/sendPromotionalEmails");
 
-const AviatorService = require("./services/aviatorService");
+const instantGames = require("./services/instantGames");
 const aviatorRoutes = require("./routes/aviatorRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
 
@@ -52,7 +57,8 @@ const io = new Server(server, {
   cors: corsOptions,
 });
 
-const aviatorService = new AviatorService(io);
+instantGames.init(io);
+const aviatorService = instantGames.getEngine("aviator");
 app.use((req, res, next) => {
   req.io = io;
   req.aviatorService = aviatorService;
@@ -89,6 +95,7 @@ app.use(`${apiVersion}/admin`, require("./routes/adminRoutes"));
 app.use(`${apiVersion}/users`, require("./routes/userRoutes"));
 app.use(`${apiVersion}/ai`, require("./routes/aiRoutes"));
 app.use(`${apiVersion}/aviator`, aviatorRoutes);
+app.use(`${apiVersion}/instant-games`, require("./routes/instantGameRoutes"));
 app.use(`${apiVersion}/promotions`, require("./routes/promoRoutes"));
 app.use(`${apiVersion}/admin/rankings`, require("./routes/rankingRoutes"));
 // --- Leaderboard routes ---
@@ -169,7 +176,7 @@ const startServer = async () => {
         } mode.`
       );
 
-      aviatorService.start();
+      instantGames.startEngines();
 
       cron.schedule("* * * * *", async () => {
         console.log("🕒 Cron: Syncing live and finished game data...");
@@ -183,10 +190,26 @@ const startServer = async () => {
         }
       });
 
+      cron.schedule("* * * * *", async () => {
+        try {
+          const { placed, failed, expired } = await runDueScheduledBets(io);
+          if (placed || failed || expired) {
+            console.log(
+              `🕒 Cron: Scheduled bets - ${placed} placed, ${failed} failed, ${expired} expired.`
+            );
+          }
+        } catch (error) {
+          console.error(
+            "❌ Error during scheduled bet placement:",
+            error.message
+          );
+        }
+      });
+
       cron.schedule("*/30 * * * *", async () => {
         console.log("🕒 Cron: Fetching upcoming games from all providers...");
         try {
-          await syncGames("apifootball"); // Using a single provider for consistency
+          await syncGames("apifootball", io); // Using a single provider for consistency
         } catch (error) {
           console.error(
             "❌ Error during scheduled upcoming games sync:",
@@ -211,7 +234,7 @@ const startServer = async () => {
       cron.schedule("0 * * * *", async () => {
         console.log("🕒 Cron: Running stale game cleanup...");
         try {
-          await cleanupStaleGames();
+          await cleanupStaleGames(io);
         } catch (error) {
           console.error(
             "❌ Error during scheduled game cleanup:",
@@ -220,6 +243,51 @@ const startServer = async () => {
         }
       });
 
+      cron.schedule("*/10 * * * *", async () => {
+        console.log("🕒 Cron: Re-verifying and expiring stale deposits...");
+        try {
+          await expireStaleDeposits();
+        } catch (error) {
+          console.error(
+            "❌ Error during scheduled deposit expiry:",
+            error.message
+          );
+        }
+      });
+
+      cron.schedule("*/15 * * * *", async () => {
+        try {
+          const expired = await expireBonuses();
+          if (expired) {
+            console.log(`🕒 Cron: Expired ${expired} bonuses.`);
+          }
+        } catch (error) {
+          console.error("❌ Error during bonus expiry:", error.message);
+        }
+      });
+
+      cron.schedule("*/15 * * * *", async () => {
+        try {
+          const expired = await expireFreeBets();
+          if (expired) {
+            console.log(`🕒 Cron: Expired ${expired} free bets.`);
+          }
+        } catch (error) {
+          console.error("❌ Error during free bet expiry:", error.message);
+        }
+      });
+
+      cron.schedule("*/15 * * * *", async () => {
+        try {
+          const rewarded = await processReferrals();
+          if (rewarded) {
+            console.log(`🤝 Cron: Paid ${rewarded} referral rewards.`);
+          }
+        } catch (error) {
+          console.error("❌ Error during referral processing:", error.message);
+        }
+      });
+
       // Add this new cron job
       cron.schedule("0 */6 * * *", async () => {
         // Runs every 6 hours
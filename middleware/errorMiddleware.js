@@ -20,6 +20,9 @@ const errorHandler = (err, req, res, next) => {
     ...(config.NODE_ENV === "development" && { stack: err.stack }),
   };
 
+  // Some errors carry structured data the client acts on, such as new prices when odds changed.
+  if (err.details) Object.assign(errorResponse, err.details);
+
   // Handle specific Mongoose validation errors for more user-friendly messages
   if (err.name === "ValidationError") {
     const messages = Object.values(err.errors).map((val) => val.message);
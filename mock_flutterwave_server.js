@@ -0,0 +1,65 @@
+// In: mock_flutterwave_server.js
+// This mock server simulates the parts of the Flutterwave API used for deposits.
+
+const express = require("express");
+const cors = require("cors");
+
+const app = express();
+app.use(express.json());
+app.use(cors());
+
+const PORT = 5002; // Point FLUTTERWAVE_API_URL at http://127.0.0.1:5002/v3
+
+// Payments created through this mock, keyed by tx_ref.
+const payments = new Map();
+
+// Creates a payment the way Flutterwave's Standard checkout does.
+app.post("/v3/payments", (req, res) => {
+  const { tx_ref, amount, currency } = req.body;
+  console.log(`✅ Mock Flutterwave created payment ${tx_ref} for ${amount}`);
+
+  payments.set(tx_ref, {
+    id: Math.floor(Math.random() * 1e9),
+    tx_ref,
+    flw_ref: `FLW-MOCK-${Date.now()}`,
+    amount,
+    currency: currency || "NGN",
+    status: "pending",
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Hosted Link",
+    data: { link: `http://localhost:${PORT}/pay/${tx_ref}` },
+  });
+});
+
+// Visiting the link completes the payment. Add ?status=failed to fail it instead.
+app.get("/pay/:txRef", (req, res) => {
+  const payment = payments.get(req.params.txRef);
+  if (!payment) return res.status(404).send("Unknown payment.");
+
+  payment.status = req.query.status === "failed" ? "failed" : "successful";
+  console.log(`✅ Mock payment ${payment.tx_ref} is now ${payment.status}`);
+  res.send(
+    `Payment ${payment.status}. Now send the webhook for ${payment.tx_ref}.`
+  );
+});
+
+app.get("/v3/transactions/verify_by_reference", (req, res) => {
+  const payment = payments.get(req.query.tx_ref);
+  if (!payment) {
+    return res
+      .status(404)
+      .json({ status: "error", message: "No transaction was found" });
+  }
+  res.status(200).json({
+    status: "success",
+    message: "Transaction fetched successfully",
+    data: payment,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🚀 Mock Flutterwave API listening on http://localhost:${PORT}`);
+});
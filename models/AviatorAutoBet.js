@@ -0,0 +1,119 @@
+// In: Bet/Backend/models/AviatorAutoBet.js
+
+const mongoose = require("mongoose");
+const { BET_PANELS } = require("./AviatorBet");
+
+const STAKE_ACTIONS = ["reset", "increase"];
+
+// How the stake changes after a round: back to the base stake, or up by a
+// percentage of the last stake.
+const stakeAdjustmentSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: STAKE_ACTIONS,
+      default: "reset",
+    },
+    percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+// A run of Aviator bets the engine places for the user on one bet panel, one per
+// round, until the rounds are used up or a stop-loss or take-profit limit is hit.
+const aviatorAutoBetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    panel: {
+      type: Number,
+      enum: BET_PANELS,
+      default: 1,
+    },
+    baseStake: {
+      type: Number,
+      required: true,
+      min: [0.01, "Stake must be a positive amount"],
+    },
+    // The stake for the next round, after the on-win/on-loss adjustments.
+    currentStake: {
+      type: Number,
+      required: true,
+    },
+    autoCashOutAt: {
+      type: Number,
+      required: true,
+      min: 1.01,
+    },
+    rounds: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    roundsPlayed: {
+      type: Number,
+      default: 0,
+    },
+    onWin: {
+      type: stakeAdjustmentSchema,
+      default: () => ({}),
+    },
+    onLoss: {
+      type: stakeAdjustmentSchema,
+      default: () => ({}),
+    },
+    // Stop once the run has lost this much overall. Null for no limit.
+    stopLoss: {
+      type: Number,
+      default: null,
+    },
+    // Stop once the run has won this much overall. Null for no limit.
+    takeProfit: {
+      type: Number,
+      default: null,
+    },
+    // Payouts less stakes over the bets settled so far.
+    netProfit: {
+      type: Number,
+      default: 0,
+    },
+    // The bet placed for the round in play, until it is settled.
+    pendingBet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AviatorBet",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed", "stopped", "cancelled"],
+      default: "active",
+    },
+    stopReason: {
+      type: String,
+      default: null,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One running auto-bet per bet panel.
+aviatorAutoBetSchema.index(
+  { user: 1, panel: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+aviatorAutoBetSchema.index({ status: 1, pendingBet: 1 });
+
+module.exports = mongoose.model("AviatorAutoBet", aviatorAutoBetSchema);
+module.exports.STAKE_ACTIONS = STAKE_ACTIONS;
@@ -2,6 +2,9 @@
 
 const mongoose = require("mongoose");
 
+// Each player can have one bet running on each of these panels in a round.
+const BET_PANELS = [1, 2];
+
 const aviatorBetSchema = new mongoose.Schema(
   {
     user: {
@@ -16,6 +19,11 @@ const aviatorBetSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    panel: {
+      type: Number,
+      enum: BET_PANELS,
+      default: 1,
+    },
     stake: {
       type: Number,
       required: true,
@@ -23,7 +31,8 @@ const aviatorBetSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "won", "lost"],
+      // 'void' when the round was cut short and the stake refunded.
+      enum: ["pending", "won", "lost", "void"],
       default: "pending",
     },
     // The multiplier at which the user cashed out. Null if they did not cash out in time.
@@ -31,12 +40,32 @@ const aviatorBetSchema = new mongoose.Schema(
       type: Number,
       default: null,
     },
+    // Cash out automatically once the multiplier reaches this. Null for manual only.
+    autoCashOutAt: {
+      type: Number,
+      default: null,
+    },
     payout: {
       type: Number,
       default: 0,
     },
+    // The player's contribution to the round's client seed.
+    clientSeed: {
+      type: String,
+      default: null,
+    },
+    // The auto-bet run that placed this bet, if any.
+    autoBet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AviatorAutoBet",
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// A player has at most one bet per panel in a round.
+aviatorBetSchema.index({ game: 1, user: 1, panel: 1 }, { unique: true });
+
 module.exports = mongoose.model("AviatorBet", aviatorBetSchema);
+module.exports.BET_PANELS = BET_PANELS;
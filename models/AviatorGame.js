@@ -4,9 +4,12 @@ const mongoose = require("mongoose");
 
 const aviatorGameSchema = new mongoose.Schema(
   {
+    // Saved at every phase change, so a restart can tell how far a round got:
+    // 'betting' while bets are taken, 'running' once the crash point is fixed,
+    // 'crashed' once it ends, or 'voided' if it was cut short and refunded.
     status: {
       type: String,
-      enum: ["waiting", "running", "crashed"],
+      enum: ["waiting", "betting", "running", "crashed", "voided"],
       default: "waiting",
     },
     // The multiplier at which the game crashed.
@@ -30,11 +33,39 @@ const aviatorGameSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // The seed chain the server seed came from and its position in it. Null for
+    // rounds played before seed chains.
+    seedChain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AviatorSeedChain",
+      default: null,
+    },
+    nonce: {
+      type: Number,
+      default: null,
+    },
+    // The players' client seeds mixed into the result, in bet order, and the
+    // client seed they combine to. Fixed when the round starts running.
+    clientSeeds: {
+      type: [String],
+      default: [],
+    },
+    clientSeed: {
+      type: String,
+      default: null,
+    },
     // Timestamps for the game round's lifecycle.
     startedAt: { type: Date },
     crashedAt: { type: Date },
+    voidedAt: { type: Date },
+    // Set once every bet of a crashed or voided round has been resolved. Stays null
+    // on a round a restart interrupted before then.
+    settledAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
+aviatorGameSchema.index({ seedChain: 1, nonce: 1 });
+aviatorGameSchema.index({ status: 1, crashedAt: -1 });
+
 module.exports = mongoose.model("AviatorGame", aviatorGameSchema);
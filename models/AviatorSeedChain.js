@@ -0,0 +1,43 @@
+// In: Bet/Backend/models/AviatorSeedChain.js
+
+const mongoose = require("mongoose");
+
+// A pre-committed chain of Aviator server seeds. Each seed is the SHA-256 of the
+// seed for the round after it, and the commitment (the hash of the first round's
+// seed) is published before any round is played, so no round's seed can be changed
+// once the chain exists.
+const aviatorSeedChainSchema = new mongoose.Schema(
+  {
+    commitment: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // The chain's last seed; every other seed is derived from it. Never exposed.
+    originSeed: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    length: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Rounds played from this chain so far; the next round's nonce is one more.
+    roundsUsed: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["active", "exhausted"],
+      default: "active",
+    },
+  },
+  { timestamps: true }
+);
+
+aviatorSeedChainSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("AviatorSeedChain", aviatorSeedChainSchema);
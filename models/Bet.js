@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { MARKETS } = require("./Game");
 
 // This new sub-schema will represent a single pick within a multi-bet.
 const selectionSchema = new mongoose.Schema(
@@ -8,11 +9,30 @@ const selectionSchema = new mongoose.Schema(
       ref: "Game",
       required: true,
     },
+    market: {
+      type: String,
+      enum: Object.values(MARKETS),
+      default: MARKETS.MATCH_RESULT,
+    },
+    // The over/under or handicap line the selection was taken at.
+    line: {
+      type: Number,
+      default: null,
+    },
     outcome: {
-      // The user's predicted outcome for this specific game
+      // The user's predicted outcome for this specific game: 'A', 'B' or 'Draw' for
+      // the match result, otherwise the market selection name (e.g. 'Over', '2-1').
       type: String,
-      enum: ["A", "B", "Draw"],
       required: true,
+      validate: {
+        validator: function (value) {
+          return (
+            this.market !== MARKETS.MATCH_RESULT ||
+            ["A", "B", "Draw"].includes(value)
+          );
+        },
+        message: 'Match result outcome must be "A", "B", or "Draw".',
+      },
     },
     odds: {
       // The odds for this specific selection at the time of the bet
@@ -20,10 +40,81 @@ const selectionSchema = new mongoose.Schema(
       required: true,
       min: 1,
     },
+    // Settled per leg. A 'void' leg (cancelled game) is left out of the bet's totalOdds.
+    status: {
+      type: String,
+      enum: ["pending", "won", "lost", "void"],
+      default: "pending",
+    },
+  },
+  { _id: false }
+);
+
+// One line of a system bet: an accumulator over some of the bet's selections.
+const systemLineSchema = new mongoose.Schema(
+  {
+    // Positions in the parent bet's 'selections' array.
+    selectionIndexes: {
+      type: [Number],
+      required: true,
+    },
+    // The combined odds of the line's selections, recalculated if a leg is void.
+    totalOdds: {
+      type: Number,
+      required: true,
+    },
+    stake: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "won", "lost", "void"],
+      default: "pending",
+    },
+    payout: {
+      type: Number,
+      default: 0,
+    },
   },
   { _id: false }
 );
 
+// A standing instruction to cash the bet out once its cash-out value reaches a threshold.
+const cashOutRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["full", "partial"],
+    required: true,
+  },
+  // Cash out once the full cash-out value is at least this much.
+  threshold: {
+    type: Number,
+    required: true,
+    min: [0.01, "Threshold must be a positive amount"],
+  },
+  // For partial rules, the share of the cash-out value to take.
+  percentage: {
+    type: Number,
+    min: 1,
+    max: 99,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ["active", "triggered", "cancelled"],
+    default: "active",
+  },
+  triggeredAt: {
+    type: Date,
+    default: null,
+  },
+  payout: {
+    type: Number,
+    default: null,
+  },
+});
+
 const BetSchema = new mongoose.Schema(
   {
     user: {
@@ -33,7 +124,7 @@ const BetSchema = new mongoose.Schema(
     },
     betType: {
       type: String,
-      enum: ["single", "multi"],
+      enum: ["single", "multi", "system", "bet_builder"],
       required: true,
       default: "single",
     },
@@ -43,10 +134,29 @@ const BetSchema = new mongoose.Schema(
       min: [0.01, "Stake must be a positive amount"],
     },
     totalOdds: {
-      // For multi-bets, this is the product of all selection odds
+      // For multi-bets, this is the product of all selection odds. For system bets it is
+      // the sum of the line odds, so stakePerLine * totalOdds is the maximum return.
       type: Number,
       required: true,
     },
+    // --- Bet builders only: the model the legs were priced with, for re-pricing void legs ---
+    expectedGoals: {
+      type: { home: Number, away: Number },
+      default: undefined,
+    },
+    // --- System bets only: the total 'stake' is split evenly across the lines ---
+    systemType: {
+      type: String,
+      default: null,
+    },
+    stakePerLine: {
+      type: Number,
+      default: null,
+    },
+    lines: {
+      type: [systemLineSchema],
+      default: undefined,
+    },
     // This array will hold all the selections for a multi-bet
     selections: {
       type: [selectionSchema],
@@ -61,6 +171,64 @@ const BetSchema = new mongoose.Schema(
       enum: ["pending", "won", "lost", "cancelled"],
       default: "pending",
     },
+    // Set when the user cashes out the whole bet, which settles it without a game result.
+    cashedOutAt: {
+      type: Date,
+      default: null,
+    },
+    cashOutRules: {
+      type: [cashOutRuleSchema],
+      default: [],
+    },
+    // Which balance the stake came from. Returns on a bonus-funded bet go back to
+    // the bonus balance while its bonus is still being wagered.
+    stakeSource: {
+      type: String,
+      enum: ["cash", "bonus", "free_bet"],
+      default: "cash",
+    },
+    // The token that paid the stake of a 'free_bet' bet. Only winnings are paid out.
+    freeBetToken: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FreeBetToken",
+      default: null,
+    },
+    // The odds boost a single bet was placed at; its selection carries the boosted odds.
+    oddsBoost: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OddsBoost",
+      default: null,
+    },
+    // The bonus whose wagering requirement this bet counts towards, if any.
+    bonusGrant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BonusGrant",
+      default: null,
+    },
+    // Set once the settled stake has been added to the bonus's turnover.
+    wageringCounted: {
+      type: Boolean,
+      default: false,
+    },
+    // The scheduled bet that placed this bet, if it was placed from one.
+    scheduledBet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScheduledBet",
+      default: null,
+    },
+    // Set when the bet copies another user's shared slip, crediting them as its tipster.
+    tailedFrom: {
+      sharedSlip: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SharedSlip",
+        default: null,
+      },
+      tipster: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+    },
     // --- LEGACY FIELDS for single bets (optional, for backward compatibility) ---
     // We keep these so your old single bets don't break. New single bets will also use the 'selections' array.
     game: { type: mongoose.Schema.Types.ObjectId, ref: "Game" },
@@ -72,6 +240,17 @@ const BetSchema = new mongoose.Schema(
 
 BetSchema.index({ user: 1, status: 1 });
 BetSchema.index({ status: 1, "selections.game": 1 }); // Helps find bets that include a specific game
+BetSchema.index({ status: 1, "cashOutRules.status": 1 }); // Bets with auto cash-out rules to evaluate
+BetSchema.index({ "tailedFrom.tipster": 1, status: 1 }); // Tipster stats
+BetSchema.index({ oddsBoost: 1, user: 1 }); // Per-user odds boost limits
+// A scheduled bet is placed at most once.
+BetSchema.index(
+  { scheduledBet: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { scheduledBet: { $type: "objectId" } },
+  }
+);
 
 BetSchema.statics.getRiskAnalysisForGame = function (gameId) {
   const riskPipeline = [
@@ -0,0 +1,67 @@
+// models/BetSlip.js
+
+const mongoose = require("mongoose");
+const { MARKETS } = require("./Game");
+
+const MAX_SLIP_SELECTIONS = 20;
+
+const slipSelectionSchema = new mongoose.Schema({
+  game: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Game",
+    required: true,
+  },
+  market: {
+    type: String,
+    enum: Object.values(MARKETS),
+    default: MARKETS.MATCH_RESULT,
+  },
+  line: {
+    type: Number,
+    default: null,
+  },
+  outcome: {
+    type: String,
+    required: true,
+  },
+  // The price the user was last shown. Placing the slip checks the current odds
+  // against it, following the user's odds-change policy.
+  odds: {
+    type: Number,
+    default: null,
+  },
+});
+
+// A user's draft bet slip, kept on the server so it follows them between devices.
+const betSlipSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    betType: {
+      type: String,
+      enum: ["single", "multi"],
+      default: "single",
+    },
+    // The stake on each bet for singles, or on the accumulator for a multi.
+    stake: {
+      type: Number,
+      min: [0, "Stake cannot be negative."],
+      default: 0,
+    },
+    selections: {
+      type: [slipSelectionSchema],
+      validate: {
+        validator: (selections) => selections.length <= MAX_SLIP_SELECTIONS,
+        message: `A bet slip can hold at most ${MAX_SLIP_SELECTIONS} selections.`,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("BetSlip", betSlipSchema);
+module.exports.MAX_SLIP_SELECTIONS = MAX_SLIP_SELECTIONS;
@@ -0,0 +1,73 @@
+// models/BonusGrant.js
+
+const mongoose = require("mongoose");
+
+// A bonus credited to a user, and their progress towards its wagering requirement.
+// A user holds at most one active bonus at a time.
+const bonusGrantSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The promotion it was claimed from, or null for a bonus credited another way.
+    promo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promo",
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, "A bonus must be a positive amount."],
+    },
+    wageringRequired: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    wageredAmount: {
+      type: Number,
+      default: 0,
+    },
+    minOdds: {
+      type: Number,
+      default: 1,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed", "forfeited", "expired"],
+      default: "active",
+    },
+    // The bonus balance moved to cash when the requirement was met.
+    convertedAmount: {
+      type: Number,
+      default: null,
+    },
+    // The bonus balance given up on withdrawal or expiry.
+    forfeitedAmount: {
+      type: Number,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+bonusGrantSchema.index({ user: 1, status: 1 });
+bonusGrantSchema.index({ status: 1, expiresAt: 1 });
+// Each promotion can be claimed once per user.
+bonusGrantSchema.index(
+  { user: 1, promo: 1 },
+  { unique: true, partialFilterExpression: { promo: { $type: "objectId" } } }
+);
+
+module.exports = mongoose.model("BonusGrant", bonusGrantSchema);
@@ -0,0 +1,66 @@
+// models/CashOutQuote.js
+
+const mongoose = require("mongoose");
+
+// A cash-out price offered to a user. It can be accepted once, before it expires,
+// and only while the bet still has the stake it was priced on.
+const cashOutQuoteSchema = new mongoose.Schema(
+  {
+    bet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bet",
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The bet's stake when the quote was made; a partial cash-out since then voids the quote.
+    stake: {
+      type: Number,
+      required: true,
+    },
+    // The full cash-out value, after the house margin.
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // The value before the margin, kept for reporting.
+    fairValue: {
+      type: Number,
+      required: true,
+    },
+    margin: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "accepted"],
+      default: "open",
+    },
+    // The amount actually paid out, which is less than 'amount' for a partial cash-out.
+    acceptedAmount: {
+      type: Number,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Unaccepted quotes are of no use once expired; let MongoDB clear them out after a day.
+cashOutQuoteSchema.index(
+  { expiresAt: 1 },
+  {
+    expireAfterSeconds: 24 * 60 * 60,
+    partialFilterExpression: { status: "open" },
+  }
+);
+
+module.exports = mongoose.model("CashOutQuote", cashOutQuoteSchema);
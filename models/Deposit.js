@@ -0,0 +1,71 @@
+// models/Deposit.js
+
+const mongoose = require("mongoose");
+
+const depositSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Our reference, sent to Flutterwave when the payment link is created.
+    txRef: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Flutterwave's reference, known once the payment has been attempted.
+    flwRef: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    providerTransactionId: {
+      type: String,
+      default: null,
+    },
+    // The amount and currency the user intended to deposit.
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, "Deposit amount must be at least 1."],
+    },
+    currency: {
+      type: String,
+      required: true,
+      default: "NGN",
+      uppercase: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "successful", "failed", "expired"],
+      default: "pending",
+    },
+    paymentLink: {
+      type: String,
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+    },
+    // How many webhook deliveries we have received for this deposit (replays included).
+    webhookCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+depositSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("Deposit", depositSchema);
@@ -0,0 +1,60 @@
+// models/FreeBetToken.js
+
+const mongoose = require("mongoose");
+
+// A free bet issued to a user. It pays the whole stake of one single or multi-bet;
+// a win pays out only the winnings, never the stake itself.
+const freeBetTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The promotion it was claimed from, or null for a token issued another way.
+    promo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promo",
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, "A free bet must be a positive amount."],
+    },
+    // The bet's total odds must be at least this.
+    minOdds: {
+      type: Number,
+      default: 1,
+    },
+    // Every selection must be in one of these leagues; empty means any league.
+    eligibleLeagues: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["available", "used", "expired"],
+      default: "available",
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+freeBetTokenSchema.index({ user: 1, status: 1 });
+freeBetTokenSchema.index({ status: 1, expiresAt: 1 });
+// Each promotion can be claimed once per user.
+freeBetTokenSchema.index(
+  { user: 1, promo: 1 },
+  { unique: true, partialFilterExpression: { promo: { $type: "objectId" } } }
+);
+
+module.exports = mongoose.model("FreeBetToken", freeBetTokenSchema);
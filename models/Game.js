@@ -22,6 +22,66 @@ const oddsSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// The markets a game can be bet on. Match result (1X2) is priced by 'odds'; every
+// other market is an entry in 'markets'.
+const MARKETS = {
+  MATCH_RESULT: "1x2",
+  OVER_UNDER: "over_under",
+  BTTS: "btts",
+  DOUBLE_CHANCE: "double_chance",
+  CORRECT_SCORE: "correct_score",
+  HANDICAP: "handicap",
+};
+
+// --- SUB-SCHEMAS for additional markets ---
+const marketSelectionSchema = new mongoose.Schema(
+  {
+    // e.g. 'Over', 'Yes', '1X', '2-1', or 'A' / 'B' for a handicap
+    name: {
+      type: String,
+      required: [true, "Market selection name is required."],
+      trim: true,
+    },
+    odds: {
+      type: Number,
+      required: [true, "Market selection odds are required."],
+      min: [1, "Odds must be at least 1."],
+    },
+  },
+  { _id: false }
+);
+
+const marketSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: Object.values(MARKETS).filter(
+          (m) => m !== MARKETS.MATCH_RESULT
+        ),
+        message: 'Market "{VALUE}" is not supported.',
+      },
+      required: true,
+    },
+    // The goals line for over/under, or the goals added to the home team for a handicap.
+    line: {
+      type: Number,
+      default: null,
+    },
+    selections: {
+      type: [marketSelectionSchema],
+      default: [],
+    },
+    // Priced by an admin. Derived markets are re-priced whenever the 1X2 odds
+    // change; manual ones are kept as they are.
+    manual: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
 // --- SUB-SCHEMA for Historical Odds ---
 const oddsHistorySchema = new mongoose.Schema({
   odds: {
@@ -62,6 +122,10 @@ const gameSchema = new mongoose.Schema(
       type: [oddsHistorySchema],
       default: [],
     },
+    markets: {
+      type: [marketSchema],
+      default: [],
+    },
     result: {
       type: String,
       enum: {
@@ -133,3 +197,4 @@ gameSchema.pre("save", function (next) {
 gameSchema.index({ matchDate: 1, status: 1 });
 
 module.exports = mongoose.model("Game", gameSchema);
+module.exports.MARKETS = MARKETS;
@@ -0,0 +1,87 @@
+// In: Bet/Backend/models/InstantGameBet.js
+
+const mongoose = require("mongoose");
+
+// A bet on one of the single-player instant games (dice, mines). The game module
+// decides what goes in params, result and state.
+const instantGameBetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The key the game is registered under, e.g. 'dice'.
+    game: {
+      type: String,
+      required: true,
+    },
+    stake: {
+      type: Number,
+      required: true,
+      min: [0.01, "Stake must be a positive amount"],
+    },
+    // 'active' while a game played over several moves is still in play.
+    status: {
+      type: String,
+      enum: ["active", "won", "lost"],
+      default: "active",
+    },
+    // The player's choices, e.g. a dice target or the number of mines.
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // What the seeds decided, fixed when the bet is placed (a dice roll, where the
+    // mines are). Hidden from the player until the round is settled.
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // The progress of a game played over several moves.
+    state: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    multiplier: {
+      type: Number,
+      default: 0,
+    },
+    payout: {
+      type: Number,
+      default: 0,
+    },
+    seed: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InstantGameSeed",
+      required: true,
+    },
+    serverSeedHash: {
+      type: String,
+      required: true,
+    },
+    clientSeed: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: Number,
+      required: true,
+    },
+    settledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // Two moves on the same round at once must not both be saved.
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+instantGameBetSchema.index({ user: 1, game: 1, createdAt: -1 });
+// A player has at most one round of each game in play.
+instantGameBetSchema.index(
+  { user: 1, game: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+module.exports = mongoose.model("InstantGameBet", instantGameBetSchema);
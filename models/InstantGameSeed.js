@@ -0,0 +1,52 @@
+// In: Bet/Backend/models/InstantGameSeed.js
+
+const mongoose = require("mongoose");
+
+// A player's provably-fair seed pair for the instant games. The server seed's hash
+// is shown up front and the seed itself only once the player rotates to a new
+// pair; every bet on the pair uses the next nonce.
+const instantGameSeedSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    serverSeed: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    serverSeedHash: {
+      type: String,
+      required: true,
+    },
+    clientSeed: {
+      type: String,
+      required: true,
+    },
+    // Bets made with this pair so far; the next bet uses one more.
+    nonce: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["active", "revealed"],
+      default: "active",
+    },
+    revealedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One pair in use per player.
+instantGameSeedSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+module.exports = mongoose.model("InstantGameSeed", instantGameSeedSchema);
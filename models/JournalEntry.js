@@ -0,0 +1,129 @@
+// In: models/JournalEntry.js
+
+const mongoose = require("mongoose");
+
+// The accounts money can live in. User accounts are tracked per user via the
+// 'user' field on each line; the others are platform-wide.
+const ACCOUNTS = {
+  USER_CASH: "user_cash",
+  USER_BONUS: "user_bonus",
+  HOUSE: "house",
+  PENDING_STAKES: "pending_stakes",
+  PAYMENT_CLEARING: "payment_clearing",
+};
+
+const USER_ACCOUNTS = [ACCOUNTS.USER_CASH, ACCOUNTS.USER_BONUS];
+
+// A single posting. A positive amount increases the account's balance and a
+// negative amount decreases it, so a balanced entry always sums to zero.
+const journalLineSchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: {
+        values: Object.values(ACCOUNTS),
+        message: 'Ledger account "{VALUE}" is not supported.',
+      },
+      required: [true, "Each journal line needs an account."],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: [true, "Each journal line needs an amount."],
+    },
+  },
+  { _id: false }
+);
+
+const journalEntrySchema = new mongoose.Schema(
+  {
+    // Mirrors the Transaction types, plus movements that never touch a user's cash.
+    type: {
+      type: String,
+      required: [true, "Journal entry type is required."],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [255, "Description cannot exceed 255 characters."],
+      default: "",
+    },
+    lines: {
+      type: [journalLineSchema],
+      required: true,
+    },
+    // The document that caused this movement (a Bet, AviatorBet, Withdrawal, ...).
+    sourceModel: {
+      type: String,
+      default: null,
+    },
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "sourceModel",
+      default: null,
+    },
+    game: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Game",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+journalEntrySchema.pre("validate", function (next) {
+  if (!this.lines || this.lines.length < 2) {
+    return next(new Error("A journal entry needs at least two lines."));
+  }
+
+  let totalCents = 0;
+  for (const line of this.lines) {
+    if (!Number.isFinite(line.amount)) {
+      return next(new Error("Journal line amounts must be finite numbers."));
+    }
+    if (USER_ACCOUNTS.includes(line.account) && !line.user) {
+      return next(
+        new Error(`Journal lines on '${line.account}' must reference a user.`)
+      );
+    }
+    totalCents += Math.round(line.amount * 100);
+  }
+
+  if (totalCents !== 0) {
+    return next(
+      new Error(
+        `Journal entry is not balanced: lines sum to ${(
+          totalCents / 100
+        ).toFixed(2)}.`
+      )
+    );
+  }
+  next();
+});
+
+// Entries are append-only. Mistakes are corrected with a reversing entry.
+const rejectMutation = function (next) {
+  next(new Error("Journal entries are immutable and cannot be changed."));
+};
+journalEntrySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  rejectMutation
+);
+journalEntrySchema.pre(
+  ["deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: false, query: true },
+  rejectMutation
+);
+
+journalEntrySchema.index({ "lines.account": 1, "lines.user": 1 });
+journalEntrySchema.index({ source: 1 });
+journalEntrySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("JournalEntry", journalEntrySchema);
+module.exports.ACCOUNTS = ACCOUNTS;
+module.exports.USER_ACCOUNTS = USER_ACCOUNTS;
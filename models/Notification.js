@@ -17,6 +17,11 @@ const notificationSchema = new mongoose.Schema(
       enum: [
         "bet_won",
         "bet_lost",
+        "bet_resettled",
+        "bet_cashed_out",
+        "scheduled_bet_placed",
+        "scheduled_bet_failed",
+        "aviator_auto_bet_stopped",
         "withdrawal_approved",
         "withdrawal_rejected",
         "promo",
@@ -28,6 +33,12 @@ const notificationSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // The bet this notification is about, so it can be withdrawn if the bet is resettled.
+    bet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bet",
+      default: null,
+    },
     // Optional: A link to navigate to when the notification is clicked
     link: {
       type: String,
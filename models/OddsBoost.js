@@ -0,0 +1,80 @@
+// models/OddsBoost.js
+
+const mongoose = require("mongoose");
+const { MARKETS } = require("./Game");
+
+// A boosted price on one selection of a game, offered for a limited time. Only
+// single bets can take a boost, and each user can take it a limited number of times.
+const oddsBoostSchema = new mongoose.Schema(
+  {
+    game: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Game",
+      required: true,
+    },
+    // The 'OddsBoost' promotion it is advertised under, if any.
+    promo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promo",
+      default: null,
+    },
+    market: {
+      type: String,
+      enum: Object.values(MARKETS),
+      default: MARKETS.MATCH_RESULT,
+    },
+    line: {
+      type: Number,
+      default: null,
+    },
+    outcome: {
+      type: String,
+      required: true,
+    },
+    boostedOdds: {
+      type: Number,
+      required: true,
+      min: [1.01, "Boosted odds must be at least 1.01."],
+    },
+    // The largest stake a bet can put on the boosted price.
+    maxStake: {
+      type: Number,
+      required: true,
+      min: [0.01, "The maximum stake must be positive."],
+    },
+    // How many bets each user can place at the boosted price.
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: [1, "Each user must be allowed at least one boosted bet."],
+    },
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Bumped by every bet that takes the boost, so bets placed at the same time
+    // conflict instead of both slipping under the per-user limit.
+    timesUsed: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+oddsBoostSchema.index({ game: 1, isActive: 1, endsAt: 1 });
+
+module.exports = mongoose.model("OddsBoost", oddsBoostSchema);
@@ -24,6 +24,29 @@ const promoSchema = new mongoose.Schema(
     expiresAt: {
       type: Date,
     },
+    // For 'Bonus' promotions: the amount credited to the bonus balance on claiming.
+    bonusAmount: {
+      type: Number,
+      min: [0, "Bonus amount cannot be negative."],
+      default: null,
+    },
+    // What must be staked before a claimed bonus turns into withdrawable cash.
+    wagering: {
+      // Turnover required, as a multiple of the bonus amount.
+      multiplier: { type: Number, min: 0, default: 5 },
+      // Bets below these odds do not count towards the turnover.
+      minOdds: { type: Number, min: 1, default: 1.5 },
+      // Days after claiming before an unmet bonus is forfeited.
+      expiryDays: { type: Number, min: 1, default: 30 },
+    },
+    // For 'FreeBet' promotions: the token issued to each user who claims it.
+    freeBet: {
+      amount: { type: Number, min: 0, default: null },
+      minOdds: { type: Number, min: 1, default: 1.5 },
+      // Leagues the token can be used on; empty means any league.
+      eligibleLeagues: { type: [String], default: [] },
+      expiryDays: { type: Number, min: 1, default: 7 },
+    },
   },
   { timestamps: true }
 );
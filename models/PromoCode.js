@@ -0,0 +1,117 @@
+// models/PromoCode.js
+
+const mongoose = require("mongoose");
+
+const CODE_KINDS = ["instant", "deposit_match"];
+const REWARD_TYPES = ["bonus", "free_bet"];
+
+// A code users type in for a reward. 'instant' codes pay out when redeemed;
+// 'deposit_match' codes are entered with a deposit and pay a percentage of it
+// once the deposit succeeds.
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "A code is required."],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    kind: {
+      type: String,
+      enum: CODE_KINDS,
+      default: "instant",
+    },
+    reward: {
+      type: {
+        type: String,
+        enum: REWARD_TYPES,
+        required: true,
+      },
+      // The fixed reward of an 'instant' code.
+      amount: {
+        type: Number,
+        min: 0,
+        default: null,
+      },
+      // For 'deposit_match' codes: the share of the deposit paid, and its cap.
+      matchPercent: {
+        type: Number,
+        min: 0,
+        max: 500,
+        default: null,
+      },
+      maxAmount: {
+        type: Number,
+        min: 0,
+        default: null,
+      },
+      // Bonus terms, when the reward is bonus funds.
+      wagering: {
+        multiplier: { type: Number, min: 0, default: 5 },
+        minOdds: { type: Number, min: 1, default: 1.5 },
+        expiryDays: { type: Number, min: 1, default: 30 },
+      },
+      // Free bet terms, when the reward is a free bet.
+      freeBet: {
+        minOdds: { type: Number, min: 1, default: 1.5 },
+        eligibleLeagues: { type: [String], default: [] },
+        expiryDays: { type: Number, min: 1, default: 7 },
+      },
+    },
+    // Total redemptions allowed across all users; null for no limit, 1 for a
+    // single-use code.
+    maxRedemptions: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Only users who have never deposited or bet can redeem it.
+    newCustomersOnly: {
+      type: Boolean,
+      default: false,
+    },
+    // For 'deposit_match' codes: only the user's first successful deposit qualifies.
+    firstDepositOnly: {
+      type: Boolean,
+      default: true,
+    },
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Granted redemptions so far.
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PromoCode", promoCodeSchema);
+module.exports.CODE_KINDS = CODE_KINDS;
+module.exports.REWARD_TYPES = REWARD_TYPES;
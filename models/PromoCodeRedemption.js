@@ -0,0 +1,69 @@
+// models/PromoCodeRedemption.js
+
+const mongoose = require("mongoose");
+
+// One attempt to redeem a promo code, kept whether it was granted or not, with the
+// IP address and device it came from for abuse checks.
+const promoCodeRedemptionSchema = new mongoose.Schema(
+  {
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      // 'pending' holds a deposit-match code until its deposit succeeds.
+      enum: ["pending", "granted", "blocked", "cancelled"],
+      required: true,
+    },
+    deposit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Deposit",
+      default: null,
+    },
+    amount: {
+      type: Number,
+      default: null,
+    },
+    bonusGrant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BonusGrant",
+      default: null,
+    },
+    freeBetToken: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FreeBetToken",
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    deviceId: {
+      type: String,
+      default: null,
+    },
+    // Why a redemption was blocked or cancelled.
+    reason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+promoCodeRedemptionSchema.index({ promoCode: 1, user: 1, status: 1 });
+promoCodeRedemptionSchema.index({ promoCode: 1, ipAddress: 1 });
+promoCodeRedemptionSchema.index({ promoCode: 1, deviceId: 1 });
+promoCodeRedemptionSchema.index({ deposit: 1 });
+
+module.exports = mongoose.model(
+  "PromoCodeRedemption",
+  promoCodeRedemptionSchema
+);
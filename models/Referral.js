@@ -0,0 +1,58 @@
+// models/Referral.js
+
+const mongoose = require("mongoose");
+
+// A user who signed up with another user's referral code, and how far they are
+// towards earning the referrer's reward.
+const referralSchema = new mongoose.Schema(
+  {
+    referrer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    referee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      // 'rejected' when the fraud checks stopped the reward.
+      enum: ["pending", "rewarded", "rejected"],
+      default: "pending",
+    },
+    // Progress towards the qualifying conditions.
+    firstDepositAt: {
+      type: Date,
+      default: null,
+    },
+    settledBets: {
+      type: Number,
+      default: 0,
+    },
+    rewardAmount: {
+      type: Number,
+      default: null,
+    },
+    rewardedAt: {
+      type: Date,
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+referralSchema.index({ referrer: 1, createdAt: -1 });
+referralSchema.index({ status: 1 });
+
+module.exports = mongoose.model("Referral", referralSchema);
@@ -0,0 +1,96 @@
+// models/ScheduledBet.js
+
+const mongoose = require("mongoose");
+const { MARKETS } = require("./Game");
+
+const TRIGGER_TYPES = ["time", "odds"];
+
+// A single bet the user has queued to be placed later: at a set time before
+// kick-off, or as soon as the selection's odds reach a target price.
+const scheduledBetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    game: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Game",
+      required: true,
+    },
+    market: {
+      type: String,
+      enum: Object.values(MARKETS),
+      default: MARKETS.MATCH_RESULT,
+    },
+    line: {
+      type: Number,
+      default: null,
+    },
+    outcome: {
+      type: String,
+      required: true,
+    },
+    stake: {
+      type: Number,
+      required: true,
+      min: [0.01, "Stake must be positive."],
+    },
+    trigger: {
+      type: {
+        type: String,
+        enum: TRIGGER_TYPES,
+        required: true,
+      },
+      // For 'time' triggers.
+      placeAt: {
+        type: Date,
+        default: null,
+      },
+      // For 'odds' triggers: place once the odds are at or above this price.
+      targetOdds: {
+        type: Number,
+        default: null,
+      },
+    },
+    status: {
+      type: String,
+      // 'processing' is held only while the bet is being placed.
+      enum: [
+        "pending",
+        "processing",
+        "placed",
+        "failed",
+        "cancelled",
+        "expired",
+      ],
+      default: "pending",
+    },
+    bet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bet",
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+    executedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+scheduledBetSchema.index({
+  status: 1,
+  "trigger.type": 1,
+  "trigger.placeAt": 1,
+});
+scheduledBetSchema.index({ status: 1, game: 1 });
+
+module.exports = mongoose.model("ScheduledBet", scheduledBetSchema);
+module.exports.TRIGGER_TYPES = TRIGGER_TYPES;
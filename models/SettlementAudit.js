@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+// One bet touched by a pass of a resettlement.
+const auditedBetSchema = new mongoose.Schema(
+  {
+    bet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bet",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    betType: {
+      type: String,
+    },
+    stake: {
+      type: Number,
+    },
+    status: {
+      // The bet's status going into the reversal, or coming out of the re-settlement.
+      type: String,
+    },
+    payout: {
+      type: Number,
+      default: 0,
+    },
+    // The ledger entries posted for this bet in this pass (one per line for system bets).
+    journalEntries: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "JournalEntry",
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const settlementAuditSchema = new mongoose.Schema(
+  {
+    game: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Game",
+      required: true,
+      index: true,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, "A reason is required to resettle a game."],
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters."],
+    },
+    previousResult: {
+      type: String,
+      enum: ["A", "B", "Draw", null],
+    },
+    previousScores: {
+      home: { type: Number, default: null },
+      away: { type: Number, default: null },
+    },
+    newResult: {
+      type: String,
+      enum: ["A", "B", "Draw"],
+      required: true,
+    },
+    newScores: {
+      home: { type: Number, default: null },
+      away: { type: Number, default: null },
+    },
+    // First pass: the settlements that were undone.
+    reversal: {
+      type: [auditedBetSchema],
+      default: [],
+    },
+    notificationsWithdrawn: {
+      type: Number,
+      default: 0,
+    },
+    // Second pass: the same bets after settlement ran again with the corrected result.
+    resettlement: {
+      type: [auditedBetSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SettlementAudit", settlementAuditSchema);
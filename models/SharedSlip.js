@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { MARKETS } = require("./Game");
 
 // This sub-schema will be embedded and doesn't need its own model
 const MiniSelectionSchema = new mongoose.Schema(
@@ -8,9 +9,17 @@ const MiniSelectionSchema = new mongoose.Schema(
       ref: "Game",
       required: true,
     },
+    market: {
+      type: String,
+      enum: Object.values(MARKETS),
+      default: MARKETS.MATCH_RESULT,
+    },
+    line: {
+      type: Number,
+      default: null,
+    },
     outcome: {
       type: String,
-      enum: ["A", "B", "Draw"],
       required: true,
     },
   },
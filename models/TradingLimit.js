@@ -0,0 +1,43 @@
+// models/TradingLimit.js
+
+const mongoose = require("mongoose");
+
+// Risk limits applied when bets are placed. The document with no league holds the
+// defaults; a league document overrides any of them for games in that league.
+// A limit left at null is not enforced.
+const tradingLimitSchema = new mongoose.Schema(
+  {
+    league: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    // The most a single bet may return, stake included.
+    maxPayoutPerBet: {
+      type: Number,
+      min: [0, "Limits cannot be negative."],
+      default: null,
+    },
+    // The most a single bet may stake on one selection.
+    maxStakePerSelection: {
+      type: Number,
+      min: [0, "Limits cannot be negative."],
+      default: null,
+    },
+    // The most the pending bets on one outcome of a game may return between them.
+    maxLiabilityPerOutcome: {
+      type: Number,
+      min: [0, "Limits cannot be negative."],
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+tradingLimitSchema.index({ league: 1 }, { unique: true });
+
+module.exports = mongoose.model("TradingLimit", tradingLimitSchema);
@@ -18,6 +18,9 @@ const transactionSchema = new mongoose.Schema(
           "withdrawal",
           "admin_credit",
           "admin_debit",
+          "settlement_reversal",
+          "bonus_conversion",
+          "referral_reward",
         ], // <-- ADDED ADMIN TYPES
         message: 'Transaction type "{VALUE}" is not supported.',
       },
@@ -48,6 +51,12 @@ const transactionSchema = new mongoose.Schema(
       maxlength: [255, "Description cannot exceed 255 characters."], // Example: adding a maxlength
       default: "",
     },
+    // The balanced ledger entry this wallet movement was posted as.
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+      default: null,
+    },
   },
   { timestamps: true }
 );
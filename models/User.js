@@ -1,4 +1,6 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
+const { recordOpeningBalance } = require("../services/ledgerService");
 
 const payoutDetailsSchema = new mongoose.Schema(
   {
@@ -9,6 +11,8 @@ const payoutDetailsSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const ODDS_CHANGE_POLICIES = ["any", "higher", "none"];
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -60,6 +64,13 @@ const userSchema = new mongoose.Schema(
       default: 1000,
       min: [0, "Wallet balance cannot be negative."],
     },
+    // Promotional funds. They can only be staked until the bonus's wagering
+    // requirement is met, when they move to walletBalance.
+    bonusBalance: {
+      type: Number,
+      default: 0,
+      min: [0, "Bonus balance cannot be negative."],
+    },
     role: {
       type: String,
       enum: {
@@ -113,10 +124,26 @@ const userSchema = new mongoose.Schema(
         },
       },
     },
+    bettingPreferences: {
+      // What to do when a price moves between the bet slip and placement:
+      // accept any change, accept only higher odds, or reject any change.
+      oddsChangePolicy: {
+        type: String,
+        enum: ODDS_CHANGE_POLICIES,
+        default: "none",
+      },
+    },
     payoutDetails: {
       type: payoutDetailsSchema,
       default: {},
     },
+    // The code this user shares to refer friends; set on first save.
+    referralCode: { type: String, unique: true, sparse: true },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -129,7 +156,28 @@ userSchema.virtual("hasPassword").get(function () {
   return !!this.password;
 });
 
+// Accounts created before referrals existed get their code the next time they save.
+userSchema.pre("save", function (next) {
+  if (!this.referralCode) {
+    this.referralCode = crypto.randomBytes(4).toString("hex").toUpperCase();
+  }
+  next();
+});
+
+// --- Ledger: every new account's starting balance is posted as an opening entry ---
+userSchema.pre("save", function (next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+userSchema.post("save", async function (doc) {
+  if (!doc.$locals.wasNew) return;
+  doc.$locals.wasNew = false;
+  await recordOpeningBalance(doc, doc.$session());
+});
+
 userSchema.set("toJSON", { virtuals: true });
 userSchema.set("toObject", { virtuals: true });
 
 module.exports = mongoose.model("User", userSchema);
+module.exports.ODDS_CHANGE_POLICIES = ODDS_CHANGE_POLICIES;
@@ -19,6 +19,11 @@ const withdrawalSchema = new mongoose.Schema(
       enum: ["pending", "approved", "rejected"],
       default: "pending",
     },
+    // The bank account the money is to be paid into, if the user gave one.
+    payoutAccount: {
+      bankCode: { type: String, trim: true, default: null },
+      accountNumber: { type: String, trim: true, default: null },
+    },
     // Optional notes from the admin who processes the request
     adminNotes: {
       type: String,
@@ -32,5 +37,6 @@ const withdrawalSchema = new mongoose.Schema(
 );
 
 withdrawalSchema.index({ status: 1, user: 1 });
+withdrawalSchema.index({ "payoutAccount.accountNumber": 1 });
 
 module.exports = mongoose.model("Withdrawal", withdrawalSchema);
@@ -34,7 +34,7 @@ router.get(
 router.get("/all-users-full", adminController.getAllUsersFullDetails);
 router.get(
   "/users/:id/details",
-  adminController.validateAdminUserAction,
+  adminController.validateAdminGetUserDetail,
   handleValidationErrors,
   adminController.adminGetUserDetail
 );
@@ -56,6 +56,28 @@ router.delete(
   adminController.adminDeleteUser
 );
 
+// --- Ledger & Reconciliation ---
+router.get(
+  "/ledger/trial-balance",
+  auth,
+  isAdmin,
+  adminController.getLedgerTrialBalance
+);
+router.get(
+  "/ledger/reconciliation",
+  auth,
+  isAdmin,
+  adminController.getLedgerReconciliation
+);
+router.get(
+  "/users/:id/ledger",
+  auth,
+  isAdmin,
+  adminController.validateAdminUserAction,
+  handleValidationErrors,
+  adminController.adminReconcileUserLedger
+);
+
 // --- Withdrawal Management ---
 router.get("/withdrawals", adminController.adminGetWithdrawals);
 router.patch(
@@ -80,6 +102,23 @@ router.get(
   adminController.getGameRiskSummary
 );
 router.get("/risk/overview", adminController.getRiskOverview);
+router.get("/trading-limits", auth, isAdmin, adminController.getTradingLimits);
+router.put(
+  "/trading-limits",
+  auth,
+  isAdmin,
+  adminController.validateSetTradingLimits,
+  handleValidationErrors,
+  adminController.setTradingLimits
+);
+router.delete(
+  "/trading-limits/:id",
+  auth,
+  isAdmin,
+  adminController.validateDeleteTradingLimits,
+  handleValidationErrors,
+  adminController.deleteTradingLimits
+);
 router.delete(
   "/games/:id",
   validateGameId,
@@ -37,18 +37,24 @@ router.post(
   authController.resetPassword
 );
 
-router.get(
-  "/google",
-  passport.authenticate("google", { scope: ["profile", "email"] })
+// An optional ?ref=CODE is passed through the OAuth round trip as 'state'.
+router.get("/google", (req, res, next) =>
+  passport.authenticate("google", {
+    scope: ["profile", "email"],
+    state: req.query.ref,
+  })(req, res, next)
 );
 router.get(
   "/google/callback",
   passport.authenticate("google", { session: false }),
   authController.socialLoginCallback
 );
-router.get(
-  "/facebook",
-  passport.authenticate("facebook", { scope: ["email"] })
+router.get("/facebook", (req, res, next) =>
+  passport.authenticate("facebook", { scope: ["email"], state: req.query.ref })(
+    req,
+    res,
+    next
+  )
 );
 router.get(
   "/facebook/callback",
@@ -2,19 +2,34 @@
 
 const express = require("express");
 const router = express.Router();
-const { auth } = require("../middleware/authMiddleware");
+const { auth, isAdmin } = require("../middleware/authMiddleware");
 const {
   handleValidationErrors,
 } = require("../middleware/validationMiddleware");
 const {
   validatePlaceBet,
   placeBet,
+  validateCashOut,
   cashOut,
+  validateCreateAutoBet,
+  createAutoBet,
+  validateGetAutoBets,
+  getAutoBets,
+  validateCancelAutoBet,
+  cancelAutoBet,
   getGameState,
+  validateVerifyRound,
+  verifyRound,
+  validateGetHistory,
+  getRoundHistory,
+  validateGetMyBets,
+  getMyBets,
+  validateGetStats,
+  getStats,
 } = require("../controllers/aviatorController");
 
 // @route   POST /api/v1/aviator/place-bet
-// @desc    Place a bet on the current Aviator round
+// @desc    Place a bet on the current Aviator round from bet panel 1 or 2
 // @access  Private
 router.post(
   "/place-bet",
@@ -25,13 +40,95 @@ router.post(
 );
 
 // @route   POST /api/v1/aviator/cash-out
-// @desc    Cash out the user's current running bet
+// @desc    Cash out the user's running bet on a panel (or the first one in play)
 // @access  Private
-router.post("/cash-out", auth, cashOut);
+router.post(
+  "/cash-out",
+  auth,
+  validateCashOut,
+  handleValidationErrors,
+  cashOut
+);
+
+// @route   POST /api/v1/aviator/auto-bets
+// @desc    Start an auto-bet run on a bet panel
+// @access  Private
+router.post(
+  "/auto-bets",
+  auth,
+  validateCreateAutoBet,
+  handleValidationErrors,
+  createAutoBet
+);
+
+// @route   GET /api/v1/aviator/auto-bets
+// @desc    Get the user's auto-bet runs
+// @access  Private
+router.get(
+  "/auto-bets",
+  auth,
+  validateGetAutoBets,
+  handleValidationErrors,
+  getAutoBets
+);
+
+// @route   DELETE /api/v1/aviator/auto-bets/:id
+// @desc    Stop a running auto-bet
+// @access  Private
+router.delete(
+  "/auto-bets/:id",
+  auth,
+  validateCancelAutoBet,
+  handleValidationErrors,
+  cancelAutoBet
+);
 
 // @route   GET /api/v1/aviator/state
 // @desc    Get the current state of the Aviator game
 // @access  Public
 router.get("/state", getGameState);
 
+// @route   GET /api/v1/aviator/history
+// @desc    Get crashed rounds with their seeds, player count and totals staked/paid
+// @access  Public
+router.get(
+  "/history",
+  validateGetHistory,
+  handleValidationErrors,
+  getRoundHistory
+);
+
+// @route   GET /api/v1/aviator/my-bets
+// @desc    Get the user's Aviator bets with each round's crash point
+// @access  Private
+router.get(
+  "/my-bets",
+  auth,
+  validateGetMyBets,
+  handleValidationErrors,
+  getMyBets
+);
+
+// @route   GET /api/v1/aviator/stats
+// @desc    Admin: Realised house edge and crash point distribution
+// @access  Private (Admin)
+router.get(
+  "/stats",
+  auth,
+  isAdmin,
+  validateGetStats,
+  handleValidationErrors,
+  getStats
+);
+
+// @route   GET /api/v1/aviator/games/:id/verify
+// @desc    Recompute a crashed round's result from its revealed seeds
+// @access  Public
+router.get(
+  "/games/:id/verify",
+  validateVerifyRound,
+  handleValidationErrors,
+  verifyRound
+);
+
 module.exports = router;
@@ -10,17 +10,47 @@ const {
   placeBet,
   validatePlaceMultiBet,
   placeMultiBet,
+  validatePlaceSystemBet,
+  placeSystemBet,
+  validatePlaceBetBuilder,
+  placeBetBuilder,
   validateGetUserBets,
   getUserBets,
   validateGetBetById,
   getBetById,
   validatePlaceMultipleSingles,
   placeMultipleSingles,
+  validateCashOutQuote,
+  getCashOutQuote,
   validateCashOut,
   cashOutBet,
+  validateAddCashOutRule,
+  addCashOutRule,
+  validateCancelCashOutRule,
+  cancelCashOutRule,
   validateShareSlip,
   createSharedSlip,
   getSharedSlip,
+  validateTailSharedSlip,
+  tailSharedSlip,
+  validateCreateScheduledBet,
+  createScheduledBet,
+  validateGetScheduledBets,
+  getScheduledBets,
+  validateCancelScheduledBet,
+  cancelScheduledBet,
+  validateGetFreeBets,
+  getFreeBets,
+  getSlip,
+  validateAddSlipSelection,
+  addSlipSelection,
+  validateRemoveSlipSelection,
+  removeSlipSelection,
+  validateUpdateSlip,
+  updateSlip,
+  clearSlip,
+  validatePlaceSlip,
+  placeSlip,
 } = require("../controllers/betController");
 
 router.post(
@@ -44,6 +74,80 @@ router.post(
   handleValidationErrors,
   placeMultiBet
 );
+router.post(
+  "/system",
+  auth,
+  validatePlaceSystemBet,
+  handleValidationErrors,
+  placeSystemBet
+);
+router.post(
+  "/builder",
+  auth,
+  validatePlaceBetBuilder,
+  handleValidationErrors,
+  placeBetBuilder
+);
+router.post(
+  "/scheduled",
+  auth,
+  validateCreateScheduledBet,
+  handleValidationErrors,
+  createScheduledBet
+);
+router.get(
+  "/scheduled",
+  auth,
+  validateGetScheduledBets,
+  handleValidationErrors,
+  getScheduledBets
+);
+router.delete(
+  "/scheduled/:id",
+  auth,
+  validateCancelScheduledBet,
+  handleValidationErrors,
+  cancelScheduledBet
+);
+router.get(
+  "/free-bets",
+  auth,
+  validateGetFreeBets,
+  handleValidationErrors,
+  getFreeBets
+);
+// Scheduled bets, free bets and the draft bet slip are registered before "/:id", so
+// their paths are not taken for a bet ID.
+router.get("/slip", auth, getSlip);
+router.patch(
+  "/slip",
+  auth,
+  validateUpdateSlip,
+  handleValidationErrors,
+  updateSlip
+);
+router.delete("/slip", auth, clearSlip);
+router.post(
+  "/slip/selections",
+  auth,
+  validateAddSlipSelection,
+  handleValidationErrors,
+  addSlipSelection
+);
+router.delete(
+  "/slip/selections/:selectionId",
+  auth,
+  validateRemoveSlipSelection,
+  handleValidationErrors,
+  removeSlipSelection
+);
+router.post(
+  "/slip/place",
+  auth,
+  validatePlaceSlip,
+  handleValidationErrors,
+  placeSlip
+);
 router.get("/", auth, validateGetUserBets, handleValidationErrors, getUserBets);
 router.get(
   "/:id",
@@ -52,6 +156,13 @@ router.get(
   handleValidationErrors,
   getBetById
 );
+router.post(
+  "/:betId/cash-out/quote",
+  auth,
+  validateCashOutQuote,
+  handleValidationErrors,
+  getCashOutQuote
+);
 router.post(
   "/:betId/cash-out",
   auth,
@@ -59,6 +170,20 @@ router.post(
   handleValidationErrors,
   cashOutBet
 );
+router.post(
+  "/:betId/cash-out/rules",
+  auth,
+  validateAddCashOutRule,
+  handleValidationErrors,
+  addCashOutRule
+);
+router.delete(
+  "/:betId/cash-out/rules/:ruleId",
+  auth,
+  validateCancelCashOutRule,
+  handleValidationErrors,
+  cancelCashOutRule
+);
 router.post(
   "/share",
   auth,
@@ -67,5 +192,12 @@ router.post(
   createSharedSlip
 );
 router.get("/share/:shareId", getSharedSlip);
+router.post(
+  "/share/:shareId/tail",
+  auth,
+  validateTailSharedSlip,
+  handleValidationErrors,
+  tailSharedSlip
+);
 
 module.exports = router;
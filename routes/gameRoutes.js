@@ -18,13 +18,22 @@ const {
   getGameById,
   validateSetResult,
   setResult,
+  validateResettleGame,
+  resettleGame,
+  getSettlementAudits,
   validateUpdateGame,
   updateGame,
   cancelGame,
   validateAdjustOdds,
   getLiveGames,
   adjustOdds,
+  validateSetMarkets,
+  setMarkets,
   getGameDetails,
+  validateCreateOddsBoost,
+  createOddsBoost,
+  validateCancelOddsBoost,
+  cancelOddsBoost,
 } = require("../controllers/gameController");
 
 // --- Public Routes ---
@@ -67,6 +76,22 @@ router.patch(
   handleValidationErrors,
   setResult
 );
+router.post(
+  "/:id/resettle",
+  auth,
+  isAdmin,
+  validateResettleGame,
+  handleValidationErrors,
+  resettleGame
+);
+router.get(
+  "/:id/settlement-audits",
+  auth,
+  isAdmin,
+  validateGameId,
+  handleValidationErrors,
+  getSettlementAudits
+);
 router.put(
   "/:id",
   auth,
@@ -91,6 +116,30 @@ router.patch(
   handleValidationErrors,
   adjustOdds
 );
+router.put(
+  "/:id/markets",
+  auth,
+  isAdmin,
+  validateSetMarkets,
+  handleValidationErrors,
+  setMarkets
+);
+router.post(
+  "/:id/boosts",
+  auth,
+  isAdmin,
+  validateCreateOddsBoost,
+  handleValidationErrors,
+  createOddsBoost
+);
+router.delete(
+  "/:id/boosts/:boostId",
+  auth,
+  isAdmin,
+  validateCancelOddsBoost,
+  handleValidationErrors,
+  cancelOddsBoost
+);
 
 // --- ROUTE for getting full game details ---
 // This should be placed before the existing /:id route to be matched correctly.
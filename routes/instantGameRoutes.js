@@ -0,0 +1,100 @@
+// In: Bet/Backend/routes/instantGameRoutes.js
+
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../middleware/authMiddleware");
+const {
+  handleValidationErrors,
+} = require("../middleware/validationMiddleware");
+const {
+  validatePlaceInstantBet,
+  validateBetId,
+  validateMove,
+  validateRotateSeeds,
+  validateGetHistory,
+  listGames,
+  placeInstantBet,
+  makeMove,
+  getInstantBet,
+  getMyBets,
+  getSeeds,
+  rotateSeeds,
+  verifyInstantBet,
+} = require("../controllers/instantGameController");
+
+// @route   GET /api/v1/instant-games
+// @desc    List the instant games and their socket namespaces
+// @access  Public
+router.get("/", listGames);
+
+// @route   GET /api/v1/instant-games/seeds
+// @desc    Get the user's current seed pair (server seed hash, client seed, nonce)
+// @access  Private
+router.get("/seeds", auth, getSeeds);
+
+// @route   POST /api/v1/instant-games/seeds/rotate
+// @desc    Reveal the user's server seed and start a new seed pair
+// @access  Private
+router.post(
+  "/seeds/rotate",
+  auth,
+  validateRotateSeeds,
+  handleValidationErrors,
+  rotateSeeds
+);
+
+// @route   GET /api/v1/instant-games/bets/:id
+// @desc    Get one of the user's instant-game bets
+// @access  Private
+router.get(
+  "/bets/:id",
+  auth,
+  validateBetId,
+  handleValidationErrors,
+  getInstantBet
+);
+
+// @route   POST /api/v1/instant-games/bets/:id/moves
+// @desc    Make a move in a round in play, e.g. reveal a tile or cash out
+// @access  Private
+router.post(
+  "/bets/:id/moves",
+  auth,
+  validateMove,
+  handleValidationErrors,
+  makeMove
+);
+
+// @route   GET /api/v1/instant-games/bets/:id/verify
+// @desc    Replay a settled bet from its revealed seeds
+// @access  Public
+router.get(
+  "/bets/:id/verify",
+  validateBetId,
+  handleValidationErrors,
+  verifyInstantBet
+);
+
+// @route   POST /api/v1/instant-games/:game/bets
+// @desc    Place a bet on a single-player instant game (dice, mines)
+// @access  Private
+router.post(
+  "/:game/bets",
+  auth,
+  validatePlaceInstantBet,
+  handleValidationErrors,
+  placeInstantBet
+);
+
+// @route   GET /api/v1/instant-games/:game/my-bets
+// @desc    Get the user's bets on any instant game, Aviator included
+// @access  Private
+router.get(
+  "/:game/my-bets",
+  auth,
+  validateGetHistory,
+  handleValidationErrors,
+  getMyBets
+);
+
+module.exports = router;
@@ -1,8 +1,14 @@
 const express = require("express");
 const router = express.Router();
+const {
+  handleValidationErrors,
+} = require("../middleware/validationMiddleware");
 const {
   getTopWinners,
   getHighestOdds,
+  getTopTipsters,
+  validateGetTipsterStats,
+  getTipsterStats,
 } = require("../controllers/leaderboardController");
 
 // @route   GET /api/v1/leaderboards/winners
@@ -15,4 +21,19 @@ router.get("/winners", getTopWinners);
 // @access  Public
 router.get("/highest-odds", getHighestOdds);
 
+// @route   GET /api/v1/leaderboards/tipsters
+// @desc    Get the leaderboard for the most tailed tipsters
+// @access  Public
+router.get("/tipsters", getTopTipsters);
+
+// @route   GET /api/v1/leaderboards/tipsters/:userId
+// @desc    Get tailing stats for one tipster
+// @access  Public
+router.get(
+  "/tipsters/:userId",
+  validateGetTipsterStats,
+  handleValidationErrors,
+  getTipsterStats
+);
+
 module.exports = router;
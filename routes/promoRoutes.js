@@ -6,11 +6,21 @@ const {
 } = require("../middleware/validationMiddleware");
 const {
   getActivePromotions,
+  claimPromotion,
   getAllPromotions,
   createPromotion,
   updatePromotion,
   deletePromotion,
   validatePromo,
+  redeemPromoCode,
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  getPromoCodeRedemptions,
+  validateCreatePromoCode,
+  validateUpdatePromoCode,
+  validateGetRedemptions,
+  validateRedeemPromoCode,
 } = require("../controllers/promoController");
 const { param } = require("express-validator");
 
@@ -20,6 +30,70 @@ const { param } = require("express-validator");
 // @access  Public
 router.get("/", getActivePromotions);
 
+// --- Promo Codes (registered before the "/:id" routes) ---
+// @route   POST /api/v1/promotions/codes/redeem
+// @desc    Redeem an instant promo code for bonus funds or a free bet
+// @access  Private
+router.post(
+  "/codes/redeem",
+  auth,
+  validateRedeemPromoCode,
+  handleValidationErrors,
+  redeemPromoCode
+);
+
+// @route   GET /api/v1/promotions/codes
+// @desc    Admin: Get all promo codes
+// @access  Private (Admin)
+router.get("/codes", auth, isAdmin, getPromoCodes);
+
+// @route   POST /api/v1/promotions/codes
+// @desc    Admin: Create a promo code
+// @access  Private (Admin)
+router.post(
+  "/codes",
+  auth,
+  isAdmin,
+  validateCreatePromoCode,
+  handleValidationErrors,
+  createPromoCode
+);
+
+// @route   PATCH /api/v1/promotions/codes/:id
+// @desc    Admin: Change a promo code's availability or limits
+// @access  Private (Admin)
+router.patch(
+  "/codes/:id",
+  auth,
+  isAdmin,
+  validateUpdatePromoCode,
+  handleValidationErrors,
+  updatePromoCode
+);
+
+// @route   GET /api/v1/promotions/codes/:id/redemptions
+// @desc    Admin: Get a promo code's redemption log, including blocked attempts
+// @access  Private (Admin)
+router.get(
+  "/codes/:id/redemptions",
+  auth,
+  isAdmin,
+  validateGetRedemptions,
+  handleValidationErrors,
+  getPromoCodeRedemptions
+);
+
+// @route   POST /api/v1/promotions/:id/claim
+// @desc    Claim a Bonus promotion (into the bonus balance) or a FreeBet promotion
+// @access  Private
+router.post(
+  "/:id/claim",
+  auth,
+  [param("id").isMongoId()],
+  handleValidationErrors,
+  claimPromotion
+);
+
 // --- Admin Routes ---
 // @route   GET /api/v1/promotions/all
 // @desc    Admin: Get all promotions (active and inactive)
@@ -15,9 +15,14 @@ const {
   validateSetPassword,
   setBettingLimits,
   validateSetLimits,
+  setBettingPreferences,
+  validateSetBettingPreferences,
   uploadProfilePicture,
   getUserStats,
   getUserStatsHistory,
+  validateGetStatement,
+  getStatement,
+  getReferrals,
 } = require("../controllers/userController");
 const { auth } = require("../middleware/authMiddleware");
 const {
@@ -74,6 +79,17 @@ router.post(
   setBettingLimits
 ); // <-- USE MIDDLEWARE
 
+// @route   PATCH /users/preferences
+// @desc    Set how bets are handled when odds change before placement
+// @access  Private (Authenticated User)
+router.patch(
+  "/preferences",
+  auth,
+  validateSetBettingPreferences,
+  handleValidationErrors,
+  setBettingPreferences
+);
+
 // --- NEW ROUTE ---
 // @route   PATCH /users/profile
 // @desc    Update current logged-in user's profile information
@@ -107,4 +123,20 @@ router.get("/stats", auth, getUserStats);
 // @access  Private (Authenticated User)
 router.get("/stats/history", auth, getUserStatsHistory);
 
+// @route   GET /users/statement
+// @desc    Download a statement of bets and wallet transactions as CSV or PDF
+// @access  Private (Authenticated User)
+router.get(
+  "/statement",
+  auth,
+  validateGetStatement,
+  handleValidationErrors,
+  getStatement
+);
+
+// @route   GET /users/referrals
+// @desc    Get the user's referral code and the progress of everyone they referred
+// @access  Private (Authenticated User)
+router.get("/referrals", auth, getReferrals);
+
 module.exports = router;
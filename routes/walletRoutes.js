@@ -13,6 +13,7 @@ const {
   requestWithdrawal,
   initializeDeposit,
   handleFlutterwaveWebhook,
+  getDepositStatus,
   validateInitializeDeposit,
   validateGetTransactionHistory,
   validateRequestWithdrawal,
@@ -47,6 +48,11 @@ router.post(
 // @access  Public (but verified with a secret hash)
 router.post("/deposit/webhook", handleFlutterwaveWebhook);
 
+// @route   GET /wallet/deposits/:txRef
+// @desc    Get the status of one of the user's deposits, re-verifying it if still pending
+// @access  Private (Authenticated User)
+router.get("/deposits/:txRef", auth, getDepositStatus);
+
 // @route   POST /wallet/request-withdrawal
 // @desc    User requests a withdrawal of funds
 // @access  Private (Authenticated User)
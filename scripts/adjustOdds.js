@@ -3,6 +3,8 @@ const axios = require("axios");
 const Game = require("../models/Game");
 const Bet = require("../models/Bet");
 const { generateOddsForGame } = require("../services/oddsService");
+const { rederiveMarkets } = require("../services/marketService");
+const { evaluateOddsTriggers } = require("../services/scheduledBetService");
 const config = require("../config/env"); // <-- IMPORT the new config
 
 /**
@@ -120,8 +122,24 @@ const adjustAllUpcomingGameOdds = async () => {
         // Archive the current odds before updating
         game.oddsHistory.push({ odds: game.odds, timestamp: new Date() });
         game.odds = newOdds;
+        game.markets = rederiveMarkets(newOdds, game.markets);
         await game.save();
         console.log(`   - ✅ Successfully updated odds for game ${game._id}`);
+
+        // The new price may have reached the target of a scheduled bet.
+        try {
+          const placed = await evaluateOddsTriggers([game._id]);
+          if (placed > 0) {
+            console.log(
+              `   - 🎯 Placed ${placed} odds-triggered scheduled bets.`
+            );
+          }
+        } catch (error) {
+          console.error(
+            `   - ❌ Error checking odds triggers for game ${game._id}:`,
+            error.message
+          );
+        }
       } else {
         console.log(`   - Odds remain stable. No update needed.`);
       }
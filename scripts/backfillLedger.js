@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Bet = require("../models/Bet");
+const JournalEntry = require("../models/JournalEntry");
+const { postJournalEntry, roundMoney } = require("../services/ledgerService");
+const config = require("../config/env");
+
+const { ACCOUNTS } = JournalEntry;
+
+/**
+ * Posts an opening entry for every user who has no ledger history yet, so balances that
+ * existed before the ledger was introduced are accounted for. The user's current wallet
+ * balance and the stakes of their still-pending bets are funded by the house.
+ */
+const backfillLedger = async () => {
+  console.log("📒 Starting ledger backfill...");
+
+  const usersWithHistory = await JournalEntry.distinct("lines.user", {
+    "lines.account": ACCOUNTS.USER_CASH,
+  });
+  const users = await User.find({ _id: { $nin: usersWithHistory } });
+
+  if (users.length === 0) {
+    console.log("✅ Every user already has ledger history. Nothing to do.");
+    return;
+  }
+
+  let backfilledCount = 0;
+  for (const user of users) {
+    const [pending] = await Bet.aggregate([
+      { $match: { user: user._id, status: "pending" } },
+      { $group: { _id: null, totalStake: { $sum: "$stake" } } },
+    ]);
+    const walletBalance = roundMoney(user.walletBalance || 0);
+    const pendingStakes = roundMoney(pending ? pending.totalStake : 0);
+
+    if (walletBalance === 0 && pendingStakes === 0) continue;
+
+    await postJournalEntry({
+      type: "opening_balance",
+      description: `Ledger backfill for ${user.username}`,
+      lines: [
+        { account: ACCOUNTS.USER_CASH, user: user._id, amount: walletBalance },
+        {
+          account: ACCOUNTS.PENDING_STAKES,
+          user: user._id,
+          amount: pendingStakes,
+        },
+        { account: ACCOUNTS.HOUSE, amount: -(walletBalance + pendingStakes) },
+      ],
+      source: user,
+      sourceModel: "User",
+    });
+    backfilledCount++;
+  }
+
+  console.log(`✅ Ledger backfill complete. ${backfilledCount} users updated.`);
+};
+
+if (require.main === module) {
+  const runStandalone = async () => {
+    await mongoose.connect(config.MONGODB_URI);
+    try {
+      await backfillLedger();
+    } catch (error) {
+      console.error("❌ An error occurred during the ledger backfill:", error);
+    }
+    await mongoose.disconnect();
+  };
+  runStandalone();
+}
+
+module.exports = { backfillLedger };
@@ -1,13 +1,15 @@
 const mongoose = require("mongoose");
 const Game = require("../models/Game");
-const Bet = require("../models/Bet");
-const Transaction = require("../models/Transaction");
-const User = require("../models/User");
+const { voidSelectionsForGame } = require("../services/betResolutionService");
 const config = require("../config/env");
 
 const STALE_GAME_THRESHOLD_HOURS = 4;
 
-const cleanupStaleGames = async () => {
+/**
+ * Cancels games that have been 'live' for too long and voids their pending selections.
+ * @param {object} [io] - The Socket.IO server instance, used to notify affected users.
+ */
+const cleanupStaleGames = async (io) => {
   console.log("🤖 Starting stale game cleanup script...");
 
   const session = await mongoose.startSession();
@@ -38,32 +40,13 @@ const cleanupStaleGames = async () => {
       game.result = null;
       await game.save({ session, validateBeforeSave: false });
 
-      const betsToRefund = await Bet.find({
-        "selections.game": game._id,
-        status: "pending",
-      })
-        .populate("user")
-        .session(session);
-
-      for (const bet of betsToRefund) {
-        if (bet.user) {
-          bet.user.walletBalance += bet.stake;
-          await bet.user.save({ session });
-          await new Transaction({
-            user: bet.user._id,
-            type: "refund",
-            amount: bet.stake,
-            balanceAfter: bet.user.walletBalance,
-            bet: bet._id,
-            game: game._id,
-            description: `Refund for stale/cancelled game: ${game.homeTeam} vs ${game.awayTeam}`,
-          }).save({ session });
-        }
-        bet.status = "cancelled";
-        await bet.save({ session });
-      }
+      const { refunded, voidedLegs } = await voidSelectionsForGame(
+        game,
+        session,
+        io
+      );
       console.log(
-        `  - Game ${game._id} cancelled and ${betsToRefund.length} bets refunded.`
+        `  - Game ${game._id} cancelled: ${refunded} bets refunded, ${voidedLegs} multi-bets continue without it.`
       );
     }
 
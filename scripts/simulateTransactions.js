@@ -1,7 +1,7 @@
 const mongoose = require("mongoose");
 const bcryptjs = require("bcryptjs");
 const User = require("../models/User");
-const Transaction = require("../models/Transaction");
+const { placeStake } = require("../services/ledgerService");
 const Bet = require("../models/Bet");
 const Game = require("../models/Game");
 const config = require("../config/env"); // <-- IMPORT the new config
@@ -71,10 +71,8 @@ async function run() {
     // --- Simulate Bet ---
     const betAmount = 200.0;
     if (user.walletBalance >= betAmount) {
-      // NOTE: In a real transaction, you would use a session and deduct the balance
-      // only after confirming the bet can be created. For this simulation, this is sufficient.
-      user.walletBalance -= betAmount;
-      await user.save();
+      // NOTE: In a real transaction, you would use a session so the bet and the stake
+      // are written together. For this simulation, this is sufficient.
       // Step 1: Create the actual Bet document
       const newBet = new Bet({
         user: user._id,
@@ -98,16 +96,12 @@ async function run() {
       await newBet.save();
       console.log(`🎲 Simulated bet placed with ID: ${newBet._id}`);
 
-      // Step 2: Create the transaction record linked to the new bet
-      await new Transaction({
-        user: user._id,
-        type: "bet",
-        amount: -betAmount,
-        balanceAfter: user.walletBalance,
-        bet: newBet._id, // Link the transaction to the bet document
-        game: gameToBetOn._id,
+      // Step 2: Move the stake through the ledger (this also logs the transaction)
+      await placeStake(user, betAmount, {
+        bet: newBet, // Link the transaction to the bet document
+        game: gameToBetOn,
         description: `Simulated bet of ${betAmount.toFixed(2)}`,
-      }).save();
+      });
       console.log(
         `transaction logged for bet. New balance: ${user.walletBalance.toFixed(
           2
@@ -0,0 +1,335 @@
+// In: services/aviatorBetService.js
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const AviatorBet = require("../models/AviatorBet");
+const AviatorAutoBet = require("../models/AviatorAutoBet");
+const Notification = require("../models/Notification");
+const { roundMoney } = require("./ledgerService");
+const { takeStake } = require("./instantGameService");
+const { httpError } = require("../utils/httpError");
+
+/**
+ * Places a bet on an Aviator round from one of the player's bet panels. The stake
+ * counts towards the player's weekly limits like any other instant-game bet.
+ * @param {string} userId - The player.
+ * @param {string} gameId - The AviatorGame taking bets.
+ * @param {object} bet - { panel, stake, autoCashOutAt, clientSeed, autoBetId };
+ * autoBetId is set only when an auto-bet run places the bet.
+ * @returns {Promise<object>} { bet, walletBalance }.
+ */
+const placeAviatorBet = async (
+  userId,
+  gameId,
+  { panel = 1, stake, autoCashOutAt = null, clientSeed, autoBetId = null }
+) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const user = await User.findById(userId).session(session);
+    if (!user) throw httpError("User not found.", 404);
+
+    if (!autoBetId) {
+      const autoBetRunning = await AviatorAutoBet.exists({
+        user: userId,
+        panel,
+        status: "active",
+      }).session(session);
+      if (autoBetRunning) {
+        throw httpError(
+          `Bet panel ${panel} is running an auto-bet. Stop it to bet by hand.`,
+          400
+        );
+      }
+    }
+
+    const existingBet = await AviatorBet.exists({
+      user: userId,
+      game: gameId,
+      panel,
+    }).session(session);
+    if (existingBet) {
+      throw httpError(
+        `You have already placed a bet on panel ${panel} this round.`,
+        400
+      );
+    }
+
+    const bet = new AviatorBet({
+      user: userId,
+      game: gameId,
+      panel,
+      stake,
+      autoCashOutAt,
+      clientSeed: clientSeed || crypto.randomBytes(8).toString("hex"),
+      autoBet: autoBetId,
+    });
+    await bet.save({ session });
+
+    await takeStake(
+      user,
+      stake,
+      {
+        source: bet,
+        sourceModel: "AviatorBet",
+        description: `Aviator bet for round #${gameId}`,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+    return { bet, walletBalance: user.walletBalance };
+  } catch (error) {
+    await session.abortTransaction();
+    // Two requests for the same panel can race past the check above.
+    if (error.code === 11000) {
+      throw httpError(
+        `You have already placed a bet on panel ${panel} this round.`,
+        400
+      );
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Starts an auto-bet run on one of the player's bet panels. The engine places its
+ * first bet when the next betting window opens.
+ * @param {string} userId - The player.
+ * @param {object} config - { panel, baseStake, autoCashOutAt, rounds, onWin, onLoss,
+ * stopLoss, takeProfit }, where onWin and onLoss are { action, percent }.
+ * @returns {Promise<object>} The new AviatorAutoBet.
+ */
+const createAutoBet = async (
+  userId,
+  {
+    panel = 1,
+    baseStake,
+    autoCashOutAt,
+    rounds,
+    onWin,
+    onLoss,
+    stopLoss = null,
+    takeProfit = null,
+  }
+) => {
+  if (stopLoss !== null && stopLoss < baseStake) {
+    throw httpError("The stop-loss cannot be less than the base stake.", 400);
+  }
+
+  const running = await AviatorAutoBet.exists({
+    user: userId,
+    panel,
+    status: "active",
+  });
+  if (running) {
+    throw httpError(`Bet panel ${panel} is already running an auto-bet.`, 400);
+  }
+
+  try {
+    return await new AviatorAutoBet({
+      user: userId,
+      panel,
+      baseStake,
+      currentStake: baseStake,
+      autoCashOutAt,
+      rounds,
+      onWin,
+      onLoss,
+      stopLoss,
+      takeProfit,
+    }).save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError(
+        `Bet panel ${panel} is already running an auto-bet.`,
+        400
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Stops a running auto-bet. A bet it already placed in the round in play still
+ * plays out.
+ * @param {string} userId - The owner of the auto-bet.
+ * @param {string} autoBetId - The AviatorAutoBet's ID.
+ * @returns {Promise<object>} The cancelled AviatorAutoBet.
+ */
+const cancelAutoBet = async (userId, autoBetId) => {
+  const autoBet = await AviatorAutoBet.findOneAndUpdate(
+    { _id: autoBetId, user: userId, status: "active" },
+    {
+      $set: {
+        status: "cancelled",
+        stopReason: "Stopped by the player.",
+        endedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!autoBet) {
+    throw httpError("No running auto-bet was found with this ID.", 404);
+  }
+  return autoBet;
+};
+
+/**
+ * The player's auto-bet runs, newest first.
+ * @param {string} userId - The player.
+ * @param {object} [filters] - { status }.
+ * @returns {Promise<Array<object>>} The AviatorAutoBets.
+ */
+const getAutoBets = (userId, { status } = {}) => {
+  const filter = { user: userId };
+  if (status) filter.status = status;
+  return AviatorAutoBet.find(filter).sort({ createdAt: -1 }).limit(50).lean();
+};
+
+const nextStake = (autoBet, won) => {
+  const { action, percent } = won ? autoBet.onWin : autoBet.onLoss;
+  if (action === "increase") {
+    return roundMoney(autoBet.currentStake * (1 + percent / 100));
+  }
+  return autoBet.baseStake;
+};
+
+// Why a run should end after its latest round, or null to keep going.
+const endStateFor = (autoBet) => {
+  if (autoBet.roundsPlayed >= autoBet.rounds) {
+    return {
+      status: "completed",
+      reason: `All ${autoBet.rounds} rounds were played.`,
+    };
+  }
+  if (autoBet.takeProfit !== null && autoBet.netProfit >= autoBet.takeProfit) {
+    return { status: "stopped", reason: "The take-profit limit was reached." };
+  }
+  if (autoBet.stopLoss !== null) {
+    if (autoBet.netProfit <= -autoBet.stopLoss) {
+      return { status: "stopped", reason: "The stop-loss limit was reached." };
+    }
+    // The stop-loss is a hard limit, so a stake that could pass it is not placed.
+    if (autoBet.currentStake - autoBet.netProfit > autoBet.stopLoss) {
+      return {
+        status: "stopped",
+        reason: "The next stake could take losses past the stop-loss limit.",
+      };
+    }
+  }
+  return null;
+};
+
+const endAutoBet = async (autoBet, status, reason) => {
+  autoBet.status = status;
+  autoBet.stopReason = reason;
+  autoBet.endedAt = new Date();
+  await autoBet.save();
+  await new Notification({
+    user: autoBet.user,
+    message: `Your Aviator auto-bet on panel ${autoBet.panel} has ended after ${
+      autoBet.roundsPlayed
+    } rounds: ${reason} Net result: $${autoBet.netProfit.toFixed(2)}.`,
+    type: "aviator_auto_bet_stopped",
+    link: "/aviator",
+  }).save();
+  return autoBet;
+};
+
+/**
+ * Places this round's bet for every running auto-bet that is not waiting on one.
+ * Called by AviatorService when a betting window opens. A run whose bet is refused
+ * (for example, for lack of funds) is stopped with the reason.
+ * @param {object} game - The AviatorGame taking bets.
+ * @returns {Promise<object>} { placed: [{ autoBet, bet }], ended: [AviatorAutoBet] }.
+ */
+const placeAutoBets = async (game) => {
+  const autoBets = await AviatorAutoBet.find({
+    status: "active",
+    pendingBet: null,
+  });
+  const placed = [];
+  const ended = [];
+
+  for (const autoBet of autoBets) {
+    try {
+      const { bet } = await placeAviatorBet(autoBet.user, game._id, {
+        panel: autoBet.panel,
+        stake: autoBet.currentStake,
+        autoCashOutAt: autoBet.autoCashOutAt,
+        autoBetId: autoBet._id,
+      });
+      // Set even if the run was cancelled meanwhile, so the bet is still counted.
+      await AviatorAutoBet.updateOne(
+        { _id: autoBet._id },
+        { $set: { pendingBet: bet._id } }
+      );
+      placed.push({ autoBet, bet });
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error(
+          `Failed to place Aviator auto-bet ${autoBet._id}:`,
+          error
+        );
+        continue;
+      }
+      ended.push(await endAutoBet(autoBet, "stopped", error.message));
+    }
+  }
+
+  return { placed, ended };
+};
+
+/**
+ * Folds each settled auto-bet stake into its run: counts the round, updates the
+ * run's net result, adjusts the next stake and ends the run if it is done. Called
+ * by AviatorService once a round's bets are resolved.
+ * @param {string} gameId - The crashed AviatorGame.
+ * @returns {Promise<Array<object>>} The runs that ended.
+ */
+const settleAutoBets = async (gameId) => {
+  const bets = await AviatorBet.find({
+    game: gameId,
+    autoBet: { $ne: null },
+    status: { $in: ["won", "lost", "void"] },
+  }).lean();
+  const ended = [];
+
+  for (const bet of bets) {
+    // Claiming the pending bet makes settling a round twice harmless.
+    const autoBet = await AviatorAutoBet.findOneAndUpdate(
+      { _id: bet.autoBet, pendingBet: bet._id },
+      { $set: { pendingBet: null } },
+      { new: true }
+    );
+    // A voided round's stake came back, so it does not count towards the run.
+    if (!autoBet || bet.status === "void") continue;
+
+    const won = bet.status === "won";
+    autoBet.roundsPlayed += 1;
+    autoBet.netProfit = roundMoney(autoBet.netProfit + bet.payout - bet.stake);
+    autoBet.currentStake = nextStake(autoBet, won);
+
+    const endState = autoBet.status === "active" ? endStateFor(autoBet) : null;
+    if (endState) {
+      ended.push(await endAutoBet(autoBet, endState.status, endState.reason));
+    } else {
+      await autoBet.save();
+    }
+  }
+
+  return ended;
+};
+
+module.exports = {
+  placeAviatorBet,
+  createAutoBet,
+  cancelAutoBet,
+  getAutoBets,
+  placeAutoBets,
+  settleAutoBets,
+};
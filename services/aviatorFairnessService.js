@@ -0,0 +1,201 @@
+// In: services/aviatorFairnessService.js
+
+const crypto = require("crypto");
+const AviatorGame = require("../models/AviatorGame");
+const AviatorSeedChain = require("../models/AviatorSeedChain");
+const { httpError } = require("../utils/httpError");
+
+// Rounds per seed chain. Deriving a round's seed takes up to this many hashes.
+const CHAIN_LENGTH = 10000;
+// Client seeds mixed into a round, in bet order; later bets still play the round.
+const MAX_CLIENT_SEEDS = 100;
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * The crash point a game hash maps to: an instant 1.00x crash when the hash's first
+ * byte is 0, 1 round in 256 (about 0.4%), otherwise a house-edged distribution with
+ * two decimal places. Changing this would change every published result, so it
+ * would need a new seed chain.
+ * @param {string} gameHash - A hex HMAC-SHA256.
+ * @returns {number} The crash multiplier.
+ */
+const getCrashPoint = (gameHash) => {
+  const isInstantCrash = parseInt(gameHash.slice(0, 2), 16) === 0;
+
+  if (isInstantCrash) {
+    return 1.0;
+  }
+
+  const h = parseInt(gameHash.slice(0, 13), 16);
+  const e = Math.pow(2, 52);
+  const crashPoint = Math.floor((100 * e - h) / (e - h)) / 100;
+
+  return Math.max(1, crashPoint);
+};
+
+/**
+ * Folds the players' client seeds into one, starting from the round's salt so a
+ * round nobody seeded still has a client seed.
+ * @param {string} salt - The round's salt, published when betting opens.
+ * @param {Array<string>} clientSeeds - The players' seeds, in bet order.
+ * @returns {string} The round's client seed.
+ */
+const combineClientSeeds = (salt, clientSeeds = []) =>
+  sha256([salt, ...clientSeeds].join(":"));
+
+/**
+ * Works out a round's result from its seeds.
+ * @param {object} round - { serverSeed, salt, clientSeeds, nonce }.
+ * @returns {object} { clientSeed, gameHash, crashPoint }.
+ */
+const computeRound = ({ serverSeed, salt, clientSeeds, nonce }) => {
+  const clientSeed = combineClientSeeds(salt, clientSeeds);
+  const gameHash = crypto
+    .createHmac("sha256", serverSeed)
+    .update(`${clientSeed}:${nonce}`)
+    .digest("hex");
+  return { clientSeed, gameHash, crashPoint: getCrashPoint(gameHash) };
+};
+
+/**
+ * The seed of a chain's nth round. Round n's seed hashes to round n-1's, and
+ * round 1's to the commitment.
+ */
+const seedAt = (originSeed, length, nonce) => {
+  let seed = originSeed;
+  for (let i = 0; i < length - nonce; i++) seed = sha256(seed);
+  return seed;
+};
+
+/**
+ * Generates a new seed chain and stores its commitment.
+ * @param {number} [length] - Rounds in the chain.
+ * @returns {Promise<object>} The new AviatorSeedChain.
+ */
+const createSeedChain = (length = CHAIN_LENGTH) => {
+  const originSeed = crypto.randomBytes(32).toString("hex");
+  return new AviatorSeedChain({
+    originSeed,
+    length,
+    commitment: seedAt(originSeed, length, 0),
+  }).save();
+};
+
+/**
+ * Takes the next unused seed from the active chain, starting a new chain when the
+ * last one runs out.
+ * @returns {Promise<object>} { chain, nonce, serverSeed }.
+ */
+const nextServerSeed = async () => {
+  const chain = await AviatorSeedChain.findOneAndUpdate(
+    {
+      status: "active",
+      $expr: { $lt: ["$roundsUsed", "$length"] },
+    },
+    { $inc: { roundsUsed: 1 } },
+    { new: true, sort: { createdAt: 1 } }
+  ).select("+originSeed");
+
+  if (!chain) {
+    await AviatorSeedChain.updateMany(
+      { status: "active" },
+      { $set: { status: "exhausted" } }
+    );
+    await createSeedChain();
+    return nextServerSeed();
+  }
+
+  const nonce = chain.roundsUsed;
+  const serverSeed = seedAt(chain.originSeed, chain.length, nonce);
+  if (nonce === chain.length) {
+    await AviatorSeedChain.updateOne(
+      { _id: chain._id },
+      { $set: { status: "exhausted" } }
+    );
+  }
+  chain.originSeed = undefined;
+  return { chain, nonce, serverSeed };
+};
+
+/**
+ * Recomputes a crashed round's result from its revealed seeds and checks it against
+ * what was published and recorded. Rounds from before seed chains were introduced
+ * are checked with the old scheme (HMAC of the salt, no chain).
+ * @param {string} gameId - The AviatorGame's ID.
+ * @returns {Promise<object>} The seeds, the recomputed result and each check.
+ */
+const verifyRound = async (gameId) => {
+  const game = await AviatorGame.findById(gameId)
+    .populate("seedChain", "commitment length")
+    .lean();
+  if (!game) throw httpError("Aviator round not found.", 404);
+  if (game.status !== "crashed") {
+    throw httpError(
+      "The server seed is revealed once the round has crashed.",
+      400
+    );
+  }
+
+  let result;
+  let seedInChain = null;
+  if (game.seedChain) {
+    result = computeRound(game);
+    // This round's public hash must be the previous round's seed (or, for the
+    // first round, the chain's commitment).
+    const previous =
+      game.nonce === 1
+        ? { serverSeed: game.seedChain.commitment }
+        : await AviatorGame.findOne({
+            seedChain: game.seedChain._id,
+            nonce: game.nonce - 1,
+          })
+            .select("serverSeed")
+            .lean();
+    seedInChain = Boolean(previous) && previous.serverSeed === game.publicHash;
+  } else {
+    const gameHash = crypto
+      .createHmac("sha256", game.serverSeed)
+      .update(game.salt)
+      .digest("hex");
+    result = {
+      clientSeed: null,
+      gameHash,
+      crashPoint: getCrashPoint(gameHash),
+    };
+  }
+
+  const checks = {
+    seedMatchesPublicHash: sha256(game.serverSeed) === game.publicHash,
+    seedInChain,
+    crashPointMatches: result.crashPoint === game.crashMultiplier,
+  };
+
+  return {
+    gameId: game._id,
+    serverSeed: game.serverSeed,
+    publicHash: game.publicHash,
+    salt: game.salt,
+    nonce: game.nonce ?? null,
+    clientSeeds: game.clientSeeds || [],
+    clientSeed: result.clientSeed,
+    commitment: game.seedChain ? game.seedChain.commitment : null,
+    gameHash: result.gameHash,
+    crashPoint: result.crashPoint,
+    recordedCrashPoint: game.crashMultiplier,
+    checks,
+    verified: Object.values(checks).every((check) => check !== false),
+  };
+};
+
+module.exports = {
+  MAX_CLIENT_SEEDS,
+  sha256,
+  getCrashPoint,
+  combineClientSeeds,
+  computeRound,
+  createSeedChain,
+  nextServerSeed,
+  verifyRound,
+};
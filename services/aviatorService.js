@@ -1,9 +1,28 @@
 const crypto = require("crypto");
 const AviatorGame = require("../models/AviatorGame");
 const AviatorBet = require("../models/AviatorBet");
+const AviatorSeedChain = require("../models/AviatorSeedChain");
 const User = require("../models/User");
-const Transaction = require("../models/Transaction");
+const {
+  roundMoney,
+  payWinnings,
+  forfeitStake,
+  refundStake,
+} = require("./ledgerService");
+const {
+  MAX_CLIENT_SEEDS,
+  sha256,
+  getCrashPoint,
+  computeRound,
+  nextServerSeed,
+} = require("./aviatorFairnessService");
+const {
+  placeAviatorBet,
+  placeAutoBets,
+  settleAutoBets,
+} = require("./aviatorBetService");
 const mongoose = require("mongoose");
+const { httpError } = require("../utils/httpError");
 
 const GAME_STATE = {
   WAITING: "waiting",
@@ -13,22 +32,111 @@ const GAME_STATE = {
 };
 const BETTING_DURATION = 5000;
 const WAITING_DURATION = 3000;
+const TICK_INTERVAL = 50;
+
+// The multiplier shown `elapsedMs` into a round.
+const multiplierAt = (elapsedMs) =>
+  parseFloat(Math.pow(1.05, elapsedMs / 1000).toFixed(2));
 
 class AviatorService {
   constructor(io) {
     this.io = io;
     this.gameState = GAME_STATE.WAITING;
     this.currentGame = null;
+    this.currentChain = null;
     this.multiplier = 1.0;
     this.crashPoint = 1.0;
     this.roundStartTime = null;
+    // Bets are taken only while this is set; it closes just before the crash
+    // point is fixed.
+    this.acceptingBets = false;
+    // The running round's uncashed bets by ID, loaded once when betting closes so
+    // ticks never have to query for them.
+    this.activeBets = new Map();
+    this.betsInFlight = new Set();
+    this.cashOutsInFlight = new Set();
 
     console.log("✈️  Aviator Service Initialized.");
   }
 
-  start() {
+  async start() {
     console.log("✈️  Starting Aviator Game Loop...");
-    this.runGameCycle();
+    let resumed = false;
+    try {
+      resumed = await this.recoverInterruptedRounds();
+    } catch (error) {
+      console.error("Error recovering interrupted Aviator rounds:", error);
+    }
+    if (!resumed) this.runGameCycle();
+  }
+
+  /**
+   * Brings every round a restart cut short to an end before the loop starts. A
+   * crashed round whose bets were never resolved is settled; the latest round is
+   * resumed if it was running and has not yet reached its crash point; any other
+   * unfinished round is voided and its stakes refunded.
+   * @returns {Promise<boolean>} Whether a running round was resumed.
+   */
+  async recoverInterruptedRounds() {
+    const games = await AviatorGame.find({
+      $or: [
+        { status: { $in: ["waiting", "betting", "running"] } },
+        // Only rounds that were given a settledAt of null; older rounds have none.
+        {
+          status: { $in: ["crashed", "voided"] },
+          settledAt: { $type: "null" },
+        },
+      ],
+    }).sort({ createdAt: 1 });
+
+    let resumed = false;
+    for (const [index, game] of games.entries()) {
+      const isLatest = index === games.length - 1;
+      if (game.status === "crashed") {
+        await this.finishRound(game);
+      } else if (isLatest && this.canResume(game)) {
+        await this.resumeRound(game);
+        resumed = true;
+      } else {
+        await this.voidRound(game);
+      }
+    }
+
+    if (games.length) {
+      console.log(
+        `✈️  Recovered ${games.length} interrupted Aviator round(s).`
+      );
+    }
+    return resumed;
+  }
+
+  canResume(game) {
+    return (
+      game.status === "running" &&
+      Boolean(game.startedAt) &&
+      multiplierAt(Date.now() - game.startedAt.getTime()) < game.crashMultiplier
+    );
+  }
+
+  async resumeRound(game) {
+    const bets = await AviatorBet.find({ game: game._id, status: "pending" })
+      .select("user panel stake status autoCashOutAt")
+      .lean();
+
+    this.currentGame = game;
+    this.currentChain = game.seedChain
+      ? await AviatorSeedChain.findById(game.seedChain)
+      : null;
+    this.crashPoint = game.crashMultiplier;
+    this.roundStartTime = game.startedAt.getTime();
+    this.trackActiveBets(bets);
+    this.gameState = GAME_STATE.RUNNING;
+    console.log(`✈️  Resuming Aviator round ${game._id}.`);
+    this.io.emit("aviator:state", {
+      state: this.gameState,
+      clientSeed: game.clientSeed,
+    });
+    this.runRound();
   }
 
   async runGameCycle() {
@@ -40,101 +148,294 @@ class AviatorService {
       this.gameState = GAME_STATE.BETTING;
       const newGame = await this.createNewGame();
       this.currentGame = newGame;
+      this.acceptingBets = true;
       this.io.emit("aviator:state", {
         state: this.gameState,
         publicHash: newGame.publicHash,
+        salt: newGame.salt,
+        nonce: newGame.nonce,
+        commitment: this.currentChain.commitment,
       });
-      await new Promise((resolve) => setTimeout(resolve, BETTING_DURATION));
-
+      const bettingWindow = new Promise((resolve) =>
+        setTimeout(resolve, BETTING_DURATION)
+      );
+      await this.placeAutoBets(newGame);
+      await bettingWindow;
+
+      // Bets still being written as the window shuts must be in before the crash
+      // point is fixed from them.
+      this.acceptingBets = false;
+      await Promise.allSettled([...this.betsInFlight]);
+      await this.lockCrashPoint();
       this.gameState = GAME_STATE.RUNNING;
-      this.roundStartTime = Date.now();
-      this.io.emit("aviator:state", { state: this.gameState });
-
-      const tick = async () => {
-        if (this.gameState !== GAME_STATE.RUNNING) return;
-        const elapsedTime = (Date.now() - this.roundStartTime) / 1000;
-        this.multiplier = parseFloat(Math.pow(1.05, elapsedTime).toFixed(2));
-
-        await this.checkForAutoCashOuts(this.multiplier);
-
-        if (this.multiplier >= this.crashPoint) {
-          this.crash();
-        } else {
-          this.io.emit("aviator:tick", { multiplier: this.multiplier });
-          setTimeout(tick, 50);
-        }
-      };
-      tick();
+      this.io.emit("aviator:state", {
+        state: this.gameState,
+        clientSeed: this.currentGame.clientSeed,
+      });
+      this.runRound();
     } catch (error) {
       console.error("Error in game cycle:", error);
+      this.acceptingBets = false;
+      // A round that never got off the ground gives its stakes back.
+      const game = this.currentGame;
+      if (game && !["crashed", "voided"].includes(game.status)) {
+        await this.voidRound(game).catch((voidError) =>
+          console.error(`Failed to void Aviator round ${game._id}:`, voidError)
+        );
+      }
       setTimeout(() => this.runGameCycle(), 5000);
     }
   }
 
-  async checkForAutoCashOuts(currentMultiplier) {
-    const betsToCashOut = await AviatorBet.find({
-      game: this.currentGame._id,
-      status: "pending",
-      autoCashOutAt: { $lte: currentMultiplier, $ne: null },
-    });
+  runRound() {
+    const tick = () => {
+      if (this.gameState !== GAME_STATE.RUNNING) return;
+      this.multiplier = multiplierAt(Date.now() - this.roundStartTime);
 
-    for (const bet of betsToCashOut) {
-      // Use a separate session for each auto cash-out to prevent one failure from blocking others
-      const session = await mongoose.startSession();
-      session.startTransaction();
-      try {
-        const user = await User.findById(bet.user).session(session);
-        if (!user) continue;
+      this.runAutoCashOuts(Math.min(this.multiplier, this.crashPoint));
+
+      if (this.multiplier >= this.crashPoint) {
+        this.crash();
+      } else {
+        this.io.emit("aviator:tick", { multiplier: this.multiplier });
+        setTimeout(tick, TICK_INTERVAL);
+      }
+    };
+    tick();
+  }
 
-        const payout = bet.stake * bet.autoCashOutAt;
-        bet.status = "won";
-        bet.payout = parseFloat(payout.toFixed(2));
-        bet.cashOutAt = bet.autoCashOutAt;
-        user.walletBalance += bet.payout;
+  trackActiveBets(bets) {
+    this.activeBets = new Map(
+      bets
+        .filter((bet) => bet.status === "pending")
+        .map((bet) => [bet._id.toString(), bet])
+    );
+  }
 
-        await new Transaction({
-          /* ... */
-        }).save({ session });
-        await user.save({ session });
-        await bet.save({ session });
+  // Pays every bet whose auto cash-out target has been reached, from the bets held
+  // in memory. A target equal to the crash point still pays.
+  runAutoCashOuts(multiplier) {
+    for (const bet of this.activeBets.values()) {
+      if (bet.autoCashOutAt !== null && bet.autoCashOutAt <= multiplier) {
+        this.cashOutBet(
+          bet,
+          bet.autoCashOutAt,
+          `Aviator auto cash out at ${bet.autoCashOutAt}x`
+        ).catch((error) =>
+          console.error(`Failed to auto cash out bet ${bet._id}:`, error)
+        );
+      }
+    }
+  }
+
+  /**
+   * Places a bet on the round taking bets.
+   * @param {string} userId - The player.
+   * @param {object} bet - { panel, stake, autoCashOutAt, clientSeed }.
+   * @returns {Promise<object>} { bet, walletBalance }.
+   */
+  async placeBet(userId, bet) {
+    if (!this.acceptingBets || !this.currentGame) {
+      throw httpError(
+        "The betting window is closed. Please wait for the next round.",
+        400
+      );
+    }
+    const placing = placeAviatorBet(userId, this.currentGame._id, bet);
+    this.betsInFlight.add(placing);
+    try {
+      return await placing;
+    } finally {
+      this.betsInFlight.delete(placing);
+    }
+  }
 
-        await session.commitTransaction();
+  /**
+   * Cashes out one of the player's bets on the running round at the current
+   * multiplier.
+   * @param {string} userId - The player.
+   * @param {number} [panel] - The bet panel; without one, the lowest-numbered
+   * panel still in play.
+   * @returns {Promise<object>} { bet, walletBalance }.
+   */
+  async cashOut(userId, panel) {
+    if (this.gameState !== GAME_STATE.RUNNING) {
+      throw httpError("You can only cash out while the game is running.", 400);
+    }
+    const [bet] = [...this.activeBets.values()]
+      .filter(
+        (active) =>
+          active.user.toString() === userId.toString() &&
+          (!panel || active.panel === panel)
+      )
+      .sort((a, b) => a.panel - b.panel);
+    if (!bet) {
+      throw httpError("No active bet found for this round to cash out.", 400);
+    }
 
-        this.io.to(user._id.toString()).emit("aviator:cashed_out", {
-          /* ... */
-        });
-      } catch (error) {
-        await session.abortTransaction();
-        console.error(`Failed to auto cash out bet ${bet._id}:`, error);
-      } finally {
-        session.endSession();
+    const multiplier = this.multiplier;
+    return this.cashOutBet(
+      bet,
+      multiplier,
+      `Aviator cash out at ${multiplier}x`
+    );
+  }
+
+  async cashOutBet(bet, multiplier, description) {
+    const game = this.currentGame;
+    const betId = bet._id.toString();
+    // Taken out first so a later tick or a second request cannot pay it again.
+    this.activeBets.delete(betId);
+
+    const settling = this.payCashOut(bet, multiplier, description);
+    this.cashOutsInFlight.add(settling);
+    try {
+      const { cashedOut, user } = await settling;
+      this.io.emit("aviator:cashed_out", {
+        username: user.username,
+        betId: cashedOut._id,
+        panel: cashedOut.panel,
+        payout: cashedOut.payout,
+        multiplier,
+      });
+      return { bet: cashedOut, walletBalance: user.walletBalance };
+    } catch (error) {
+      // Left in play to be retried, unless the bet was settled elsewhere.
+      if (
+        error.statusCode !== 409 &&
+        this.gameState === GAME_STATE.RUNNING &&
+        this.currentGame === game
+      ) {
+        this.activeBets.set(betId, bet);
       }
+      throw error;
+    } finally {
+      this.cashOutsInFlight.delete(settling);
+    }
+  }
+
+  async payCashOut(bet, multiplier, description) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const cashedOut = await AviatorBet.findOneAndUpdate(
+        { _id: bet._id, status: "pending" },
+        {
+          $set: {
+            status: "won",
+            cashOutAt: multiplier,
+            payout: roundMoney(bet.stake * multiplier),
+          },
+        },
+        { new: true, session }
+      );
+      if (!cashedOut)
+        throw httpError("This bet has already been settled.", 409);
+
+      const user = await User.findById(bet.user).session(session);
+      if (!user) throw httpError("User not found.", 404);
+      await payWinnings(
+        user,
+        {
+          stake: cashedOut.stake,
+          payout: cashedOut.payout,
+          source: cashedOut,
+          sourceModel: "AviatorBet",
+          description,
+        },
+        session
+      );
+
+      await session.commitTransaction();
+      return { cashedOut, user };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
     }
   }
 
   async crash() {
     this.gameState = GAME_STATE.CRASHED;
-    this.currentGame.status = "crashed";
-    this.currentGame.crashedAt = new Date();
-    await this.currentGame.save();
-
-    console.log(`✈️  CRASH! Multiplier: ${this.crashPoint}`);
-
-    this.io.emit("aviator:crash", {
-      multiplier: this.crashPoint,
-      gameData: {
-        serverSeed: this.currentGame.serverSeed,
-        salt: this.currentGame.salt,
-      },
-    });
+    const game = this.currentGame;
+    try {
+      // Cash-outs already under way are let through before the round closes.
+      await Promise.allSettled([...this.cashOutsInFlight]);
+      this.activeBets.clear();
+
+      game.status = "crashed";
+      game.crashedAt = new Date();
+      await game.save();
+
+      console.log(`✈️  CRASH! Multiplier: ${this.crashPoint}`);
+
+      this.io.emit("aviator:crash", {
+        multiplier: this.crashPoint,
+        gameData: {
+          gameId: game._id,
+          serverSeed: game.serverSeed,
+          salt: game.salt,
+          nonce: game.nonce,
+          clientSeed: game.clientSeed,
+        },
+      });
 
-    // --- Implementation: Resolve pending bets ---
-    await this.resolveBetsForRound(this.currentGame);
+      await this.finishRound(game);
+    } catch (error) {
+      // Whatever is left is picked up by recovery on the next start.
+      console.error(`Error ending Aviator round ${game._id}:`, error);
+    }
 
     this.runGameCycle();
   }
 
-  // --- Implementation: New method to resolve all bets for a round ---
+  // Places the bets of running auto-bets as the betting window opens. A failure here
+  // must not hold up the round.
+  async placeAutoBets(game) {
+    try {
+      const { placed, ended } = await placeAutoBets(game);
+      for (const { autoBet, bet } of placed) {
+        this.io.to(autoBet.user.toString()).emit("aviator:auto_bet_placed", {
+          autoBetId: autoBet._id,
+          betId: bet._id,
+          panel: bet.panel,
+          stake: bet.stake,
+          autoCashOutAt: bet.autoCashOutAt,
+        });
+      }
+      this.emitAutoBetsEnded(ended);
+    } catch (error) {
+      console.error(
+        `Error placing Aviator auto-bets for round ${game._id}:`,
+        error
+      );
+    }
+  }
+
+  emitAutoBetsEnded(autoBets) {
+    for (const autoBet of autoBets) {
+      this.io.to(autoBet.user.toString()).emit("aviator:auto_bet_ended", {
+        autoBetId: autoBet._id,
+        panel: autoBet.panel,
+        status: autoBet.status,
+        reason: autoBet.stopReason,
+        roundsPlayed: autoBet.roundsPlayed,
+        netProfit: autoBet.netProfit,
+      });
+    }
+  }
+
+  // Settles a crashed round: uncashed bets lose, auto-bet runs are updated, and the
+  // round is marked settled last. Every step is safe to repeat, so recovery can
+  // run it again on a round a restart interrupted.
+  async finishRound(game) {
+    await this.resolveBetsForRound(game);
+    this.emitAutoBetsEnded(await settleAutoBets(game._id));
+    game.settledAt = new Date();
+    await game.save();
+  }
+
   async resolveBetsForRound(game) {
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -148,6 +449,16 @@ class AviatorService {
         // Bets that were not cashed out are considered lost.
         bet.status = "lost";
         await bet.save({ session });
+        await forfeitStake(
+          {
+            userId: bet.user,
+            stake: bet.stake,
+            source: bet,
+            sourceModel: "AviatorBet",
+            description: `Aviator bet lost in round #${game._id}`,
+          },
+          session
+        );
       }
 
       console.log(
@@ -157,55 +468,106 @@ class AviatorService {
       await session.commitTransaction();
     } catch (error) {
       await session.abortTransaction();
-      console.error(
-        `Error resolving Aviator bets for round ${game._id}:`,
-        error
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Ends a round that cannot be played out, refunding every stake still in play.
+  async voidRound(game) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const pendingBets = await AviatorBet.find({
+        game: game._id,
+        status: "pending",
+      }).session(session);
+
+      for (const bet of pendingBets) {
+        bet.status = "void";
+        await bet.save({ session });
+        const user = await User.findById(bet.user).session(session);
+        if (!user) continue;
+        await refundStake(
+          user,
+          bet.stake,
+          {
+            source: bet,
+            sourceModel: "AviatorBet",
+            description: `Aviator round #${game._id} was voided; stake refunded`,
+          },
+          session
+        );
+      }
+
+      game.status = "voided";
+      game.voidedAt = game.voidedAt || new Date();
+      await game.save({ session });
+      await session.commitTransaction();
+
+      console.log(
+        `Voided Aviator round ${game._id} and refunded ${pendingBets.length} bets.`
       );
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
     } finally {
       session.endSession();
     }
+
+    this.emitAutoBetsEnded(await settleAutoBets(game._id));
+    game.settledAt = new Date();
+    await game.save();
   }
 
   async createNewGame() {
-    const serverSeed = crypto.randomBytes(32).toString("hex");
-    const salt = crypto.randomBytes(16).toString("hex");
-    const publicHash = crypto
-      .createHash("sha256")
-      .update(serverSeed)
-      .digest("hex");
-    const gameHash = crypto
-      .createHmac("sha256", serverSeed)
-      .update(salt)
-      .digest("hex");
-    this.crashPoint = this.getCrashPoint(gameHash);
+    const { chain, nonce, serverSeed } = await nextServerSeed();
+    this.currentChain = chain;
+    this.crashPoint = null;
     this.multiplier = 1.0;
 
     const game = new AviatorGame({
       serverSeed,
-      salt,
-      publicHash,
-      crashMultiplier: this.crashPoint,
-      status: "running",
+      salt: crypto.randomBytes(16).toString("hex"),
+      publicHash: sha256(serverSeed),
+      seedChain: chain._id,
+      nonce,
+      status: "betting",
     });
 
     await game.save();
     return game;
   }
 
-  getCrashPoint(gameHash) {
-    const instantCrashChance = 3;
-    const isInstantCrash =
-      parseInt(gameHash.slice(0, 2), 16) % (100 / instantCrashChance) === 0;
-
-    if (isInstantCrash) {
-      return 1.0;
-    }
+  // Fixes the crash point once betting closes, mixing in the client seeds of the
+  // round's bets so the server alone never decides the result. The bets are kept
+  // in memory for the running phase.
+  async lockCrashPoint() {
+    const game = this.currentGame;
+    const bets = await AviatorBet.find({ game: game._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .select("user panel stake status autoCashOutAt clientSeed")
+      .lean();
+
+    game.clientSeeds = bets
+      .filter((bet) => bet.clientSeed !== null)
+      .slice(0, MAX_CLIENT_SEEDS)
+      .map((bet) => bet.clientSeed);
+    const { clientSeed, crashPoint } = computeRound(game);
+    game.clientSeed = clientSeed;
+    game.crashMultiplier = crashPoint;
+    game.status = "running";
+    game.startedAt = new Date();
+    await game.save();
 
-    const h = parseInt(gameHash.slice(0, 13), 16);
-    const e = Math.pow(2, 52);
-    const crashPoint = Math.floor((100 * e - h) / (e - h)) / 100;
+    this.trackActiveBets(bets);
+    this.crashPoint = crashPoint;
+    this.roundStartTime = game.startedAt.getTime();
+  }
 
-    return Math.max(1, crashPoint);
+  getCrashPoint(gameHash) {
+    return getCrashPoint(gameHash);
   }
 }
 
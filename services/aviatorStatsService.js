@@ -0,0 +1,254 @@
+// In: services/aviatorStatsService.js
+
+const mongoose = require("mongoose");
+const AviatorGame = require("../models/AviatorGame");
+const AviatorBet = require("../models/AviatorBet");
+const { roundMoney } = require("./ledgerService");
+
+// Crash point ranges for the distribution, by lower bound; 1.00x on its own is an
+// instant crash.
+const CRASH_BUCKETS = [
+  { from: 1, label: "1.00x" },
+  { from: 1.01, label: "1.01x-1.99x" },
+  { from: 2, label: "2x-4.99x" },
+  { from: 5, label: "5x-9.99x" },
+  { from: 10, label: "10x-99.99x" },
+  { from: 100, label: "100x+" },
+];
+
+/**
+ * Totals each round's bets: distinct players, amount staked and amount paid out.
+ * @returns {Promise<Map<string, object>>} The totals by round ID.
+ */
+const betTotalsByRound = async (gameIds) => {
+  const rows = await AviatorBet.aggregate([
+    { $match: { game: { $in: gameIds } } },
+    {
+      $group: {
+        _id: "$game",
+        players: { $addToSet: "$user" },
+        totalStaked: { $sum: "$stake" },
+        totalPaid: { $sum: "$payout" },
+      },
+    },
+  ]);
+  return new Map(
+    rows.map((row) => [
+      row._id.toString(),
+      {
+        playerCount: row.players.length,
+        totalStaked: roundMoney(row.totalStaked),
+        totalPaid: roundMoney(row.totalPaid),
+      },
+    ])
+  );
+};
+
+/**
+ * Crashed rounds, newest first, with their revealed seeds and betting totals.
+ * @param {object} [options] - { page, limit }.
+ * @returns {Promise<object>} { rounds, currentPage, totalPages, totalCount }.
+ */
+const getRoundHistory = async ({ page = 1, limit = 20 } = {}) => {
+  const filter = { status: "crashed" };
+  const [games, totalCount] = await Promise.all([
+    AviatorGame.find(filter)
+      .sort({ crashedAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(
+        "crashMultiplier publicHash serverSeed salt nonce clientSeed startedAt crashedAt"
+      )
+      .lean(),
+    AviatorGame.countDocuments(filter),
+  ]);
+
+  const totals = await betTotalsByRound(games.map((game) => game._id));
+  const empty = { playerCount: 0, totalStaked: 0, totalPaid: 0 };
+  return {
+    rounds: games.map((game) => ({
+      ...game,
+      ...(totals.get(game._id.toString()) || empty),
+    })),
+    currentPage: page,
+    totalPages: Math.ceil(totalCount / limit),
+    totalCount,
+  };
+};
+
+/**
+ * A user's Aviator bets, newest first, each with its round's crash point.
+ * @param {string} userId - The user.
+ * @param {object} [options] - { status, page, limit }.
+ * @returns {Promise<object>} { bets, summary, currentPage, totalPages, totalCount }.
+ */
+const getUserBetHistory = async (
+  userId,
+  { status, page = 1, limit = 20 } = {}
+) => {
+  const filter = { user: userId };
+  if (status) filter.status = status;
+
+  const [bets, totalCount, [summary]] = await Promise.all([
+    AviatorBet.find(filter)
+      .populate("game", "crashMultiplier nonce publicHash crashedAt status")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AviatorBet.countDocuments(filter),
+    AviatorBet.aggregate([
+      // Refunded stakes from voided rounds are left out of the totals.
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(userId),
+          status: { $ne: "void" },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          betCount: { $sum: 1 },
+          totalStaked: { $sum: "$stake" },
+          totalPaid: { $sum: "$payout" },
+          bestCashOut: { $max: "$cashOutAt" },
+        },
+      },
+    ]),
+  ]);
+
+  const totals = summary || { betCount: 0, totalStaked: 0, totalPaid: 0 };
+  return {
+    bets,
+    summary: {
+      betCount: totals.betCount,
+      totalStaked: roundMoney(totals.totalStaked),
+      totalPaid: roundMoney(totals.totalPaid),
+      net: roundMoney(totals.totalPaid - totals.totalStaked),
+      bestCashOut: totals.bestCashOut || null,
+    },
+    currentPage: page,
+    totalPages: Math.ceil(totalCount / limit),
+    totalCount,
+  };
+};
+
+/**
+ * Admin statistics over crashed rounds: the house edge actually realised and how
+ * crash points are distributed.
+ * @param {object} [range] - { from, to } on the crash time; both optional.
+ * @returns {Promise<object>} { rounds, crashPoints, betting, distribution }.
+ */
+const getAviatorStats = async ({ from, to } = {}) => {
+  const match = { status: "crashed" };
+  if (from || to) {
+    match.crashedAt = {};
+    if (from) match.crashedAt.$gte = from;
+    if (to) match.crashedAt.$lte = to;
+  }
+
+  const [[crashPoints], distribution] = await Promise.all([
+    AviatorGame.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          rounds: { $sum: 1 },
+          average: { $avg: "$crashMultiplier" },
+          highest: { $max: "$crashMultiplier" },
+        },
+      },
+    ]),
+    AviatorGame.aggregate([
+      { $match: match },
+      {
+        $bucket: {
+          groupBy: "$crashMultiplier",
+          boundaries: CRASH_BUCKETS.map((bucket) => bucket.from),
+          // The top bucket is open-ended, so it is the default.
+          default: CRASH_BUCKETS[CRASH_BUCKETS.length - 1].from,
+          output: { rounds: { $sum: 1 } },
+        },
+      },
+    ]),
+  ]);
+
+  // Bets are matched through their rounds so the range applies to both.
+  const [betting] = await AviatorBet.aggregate([
+    { $match: { status: { $in: ["won", "lost"] } } },
+    {
+      $lookup: {
+        from: AviatorGame.collection.name,
+        localField: "game",
+        foreignField: "_id",
+        as: "round",
+      },
+    },
+    { $unwind: "$round" },
+    {
+      $match: Object.fromEntries(
+        Object.entries(match).map(([key, value]) => [`round.${key}`, value])
+      ),
+    },
+    {
+      $group: {
+        _id: null,
+        bets: { $sum: 1 },
+        players: { $addToSet: "$user" },
+        cashedOut: { $sum: { $cond: [{ $eq: ["$status", "won"] }, 1, 0] } },
+        totalStaked: { $sum: "$stake" },
+        totalPaid: { $sum: "$payout" },
+      },
+    },
+  ]);
+
+  const rounds = crashPoints ? crashPoints.rounds : 0;
+  const [median] = rounds
+    ? await AviatorGame.find(match)
+        .sort({ crashMultiplier: 1 })
+        .skip(Math.floor(rounds / 2))
+        .limit(1)
+        .select("crashMultiplier")
+        .lean()
+    : [];
+  const staked = betting ? betting.totalStaked : 0;
+  const paid = betting ? betting.totalPaid : 0;
+  const byBucket = new Map(distribution.map((row) => [row._id, row.rounds]));
+
+  return {
+    rounds,
+    crashPoints: crashPoints
+      ? {
+          average: roundMoney(crashPoints.average),
+          median: median ? median.crashMultiplier : null,
+          highest: crashPoints.highest,
+        }
+      : null,
+    betting: {
+      bets: betting ? betting.bets : 0,
+      players: betting ? betting.players.length : 0,
+      cashedOut: betting ? betting.cashedOut : 0,
+      totalStaked: roundMoney(staked),
+      totalPaid: roundMoney(paid),
+      houseProfit: roundMoney(staked - paid),
+      // The share of stakes the house kept; null until anything is staked.
+      realisedHouseEdge: staked
+        ? Math.round(((staked - paid) / staked) * 10000) / 10000
+        : null,
+    },
+    distribution: CRASH_BUCKETS.map(({ from, label }) => {
+      const count = byBucket.get(from) || 0;
+      return {
+        range: label,
+        rounds: count,
+        share: rounds ? Math.round((count / rounds) * 10000) / 10000 : 0,
+      };
+    }),
+  };
+};
+
+module.exports = {
+  getRoundHistory,
+  getUserBetHistory,
+  getAviatorStats,
+};
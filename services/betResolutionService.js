@@ -2,8 +2,25 @@ const mongoose = require("mongoose");
 const Bet = require("../models/Bet");
 const User = require("../models/User");
 const Game = require("../models/Game");
-const Transaction = require("../models/Transaction");
 const Notification = require("../models/Notification"); // Ensure Notification model is imported
+const JournalEntry = require("../models/JournalEntry");
+const SettlementAudit = require("../models/SettlementAudit");
+const {
+  payWinnings,
+  forfeitStake,
+  refundStake,
+  reverseWinnings,
+  reinstateStake,
+  reverseRefund,
+  roundMoney,
+} = require("./ledgerService");
+const {
+  settleSelection,
+  describeSelection,
+  priceSameGameSelections,
+} = require("./marketService");
+const { releaseFreeBet, reclaimFreeBet } = require("./freeBetService");
+const { recordWagering } = require("./bonusService");
 
 /**
  * A simple helper function for currency formatting on the backend.
@@ -15,6 +32,20 @@ function formatCurrency(amount) {
   return "$" + amount.toFixed(2);
 }
 
+/**
+ * What a winning bet pays at the given odds. A free bet returns its winnings but
+ * not the stake, which was never the user's.
+ * @param {object} bet - The winning bet.
+ * @param {number} odds - The odds it won at.
+ * @returns {number} The payout, rounded to cents.
+ */
+function winningPayout(bet, odds) {
+  const payout = bet.stake * odds;
+  return roundMoney(
+    bet.stakeSource === "free_bet" ? payout - bet.stake : payout
+  );
+}
+
 /**
  * Resolves all pending bets for a given game that has finished.
  * @param {object} game - The Mongoose game object that has just finished.
@@ -35,6 +66,7 @@ const resolveBetsForGame = async (game, session, io) => {
     );
     for (const bet of singleBetsToResolve) {
       await processSingleBet(bet, game, session, io);
+      await countWagering(bet, session);
     }
   }
 
@@ -51,8 +83,32 @@ const resolveBetsForGame = async (game, session, io) => {
     );
     for (const bet of multiBetsToCheck) {
       await checkAndResolveMultiBet(bet, session, io);
+      await countWagering(bet, session);
     }
   }
+
+  const betBuildersToResolve = await Bet.find({
+    "selections.game": game._id,
+    status: "pending",
+    betType: "bet_builder",
+  }).session(session);
+
+  for (const bet of betBuildersToResolve) {
+    await processBetBuilder(bet, game, session, io);
+    await countWagering(bet, session);
+  }
+
+  // System bets settle line by line, so each one is checked every time a game finishes.
+  const systemBetsToCheck = await Bet.find({
+    "selections.game": game._id,
+    status: "pending",
+    betType: "system",
+  }).session(session);
+
+  for (const bet of systemBetsToCheck) {
+    await checkAndResolveSystemBet(bet, session, io);
+    await countWagering(bet, session);
+  }
 };
 
 /**
@@ -70,28 +126,48 @@ async function processSingleBet(bet, game, session, io) {
   }
 
   const selection = bet.selections[0];
-  if (selection.outcome === game.result) {
+  const settlement = settleSelection(selection, game);
+  if (!settlement) {
+    console.warn(
+      `Bet ${bet._id} on ${describeSelection(
+        selection
+      )} needs a final score to settle. Skipping.`
+    );
+    return;
+  }
+  if (settlement === "void") {
+    selection.status = "void";
+    return refundVoidedBet(
+      bet,
+      session,
+      io,
+      `Refund: ${describeSelection(selection)} on ${game.homeTeam} vs ${
+        game.awayTeam
+      } was a push.`
+    );
+  }
+
+  if (settlement === "won") {
     // --- Bet is WON ---
-    const payout = bet.stake * selection.odds;
+    selection.status = "won";
     bet.status = "won";
-    bet.payout = parseFloat(payout.toFixed(2));
-    user.walletBalance += bet.payout;
+    bet.payout = winningPayout(bet, selection.odds);
 
-    await new Transaction({
-      user: user._id,
-      type: "win",
-      amount: bet.payout,
-      balanceAfter: user.walletBalance,
-      bet: bet._id,
-      game: game._id,
-      description: `Winnings for bet on ${game.homeTeam} vs ${game.awayTeam}`,
-    }).save({ session });
-
-    await user.save({ session });
+    await payWinnings(
+      user,
+      {
+        stake: bet.stake,
+        payout: bet.payout,
+        bet,
+        game,
+        description: `Winnings for bet on ${game.homeTeam} vs ${game.awayTeam}`,
+      },
+      session
+    );
     await bet.save({ session });
 
     const notificationMessage = `Your bet on ${game.homeTeam} vs ${game.awayTeam} won!`;
-    io.to(user._id.toString()).emit("bet_settled", {
+    emitToUser(io, user._id, "bet_settled", {
       status: "won",
       message: notificationMessage,
       payout: bet.payout,
@@ -101,15 +177,28 @@ async function processSingleBet(bet, game, session, io) {
       message: `${notificationMessage} You won ${formatCurrency(bet.payout)}.`,
       type: `bet_won`,
       link: `/my-bets`,
+      bet: bet._id,
     }).save({ session });
   } else {
     // --- Bet is LOST ---
+    selection.status = "lost";
     bet.status = "lost";
     bet.payout = 0;
     await bet.save({ session });
 
+    await forfeitStake(
+      {
+        userId: user._id,
+        stake: bet.stake,
+        bet,
+        game,
+        description: `Lost bet on ${game.homeTeam} vs ${game.awayTeam}`,
+      },
+      session
+    );
+
     const notificationMessage = `Your bet on ${game.homeTeam} vs ${game.awayTeam} was settled.`;
-    io.to(user._id.toString()).emit("bet_settled", {
+    emitToUser(io, user._id, "bet_settled", {
       status: "lost",
       message: notificationMessage,
     });
@@ -118,12 +207,119 @@ async function processSingleBet(bet, game, session, io) {
       message: notificationMessage,
       type: `bet_lost`,
       link: `/my-bets`,
+      bet: bet._id,
+    }).save({ session });
+  }
+}
+
+/**
+ * Settles a bet builder. Every leg is on the same game, so the whole bet settles at
+ * once: any losing leg loses it, and if some legs are void the rest are re-priced
+ * together with the model they were originally priced with.
+ * @param {object} bet - The Mongoose bet builder object.
+ * @param {object} game - The Mongoose game object that has just finished.
+ * @param {object} session - The Mongoose database session.
+ * @param {object} io - The Socket.IO server instance.
+ */
+async function processBetBuilder(bet, game, session, io) {
+  const user = await User.findById(bet.user).session(session);
+  if (!user) {
+    console.warn(`User for bet ${bet._id} not found. Skipping.`);
+    return;
+  }
+
+  const settlements = bet.selections.map((s) => settleSelection(s, game));
+  if (settlements.includes(null)) {
+    console.warn(
+      `Bet builder ${bet._id} needs a final score to settle. Skipping.`
+    );
+    return;
+  }
+  bet.selections.forEach((selection, i) => {
+    selection.status = settlements[i];
+  });
+
+  const fixture = `${game.homeTeam} vs ${game.awayTeam}`;
+  const liveLegs = bet.selections.filter((s) => s.status !== "void");
+  if (liveLegs.length === 0) {
+    return refundVoidedBet(
+      bet,
+      session,
+      io,
+      `Refund: every selection in your bet builder on ${fixture} was a push.`
+    );
+  }
+
+  if (liveLegs.every((s) => s.status === "won")) {
+    if (liveLegs.length < bet.selections.length) {
+      bet.totalOdds =
+        liveLegs.length === 1
+          ? liveLegs[0].odds
+          : priceSameGameSelections(bet.expectedGoals, liveLegs);
+    }
+    bet.status = "won";
+    bet.payout = winningPayout(bet, bet.totalOdds);
+
+    await payWinnings(
+      user,
+      {
+        stake: bet.stake,
+        payout: bet.payout,
+        bet,
+        game,
+        description: `Winnings for bet builder on ${fixture}`,
+      },
+      session
+    );
+    await bet.save({ session });
+
+    const notificationMessage = `Your bet builder on ${fixture} won!`;
+    emitToUser(io, user._id, "bet_settled", {
+      status: "won",
+      message: notificationMessage,
+      payout: bet.payout,
+    });
+    await new Notification({
+      user: user._id,
+      message: `${notificationMessage} You won ${formatCurrency(bet.payout)}.`,
+      type: "bet_won",
+      link: "/my-bets",
+      bet: bet._id,
+    }).save({ session });
+  } else {
+    bet.status = "lost";
+    bet.payout = 0;
+    await bet.save({ session });
+
+    await forfeitStake(
+      {
+        userId: user._id,
+        stake: bet.stake,
+        bet,
+        game,
+        description: `Lost bet builder on ${fixture}`,
+      },
+      session
+    );
+
+    const notificationMessage = `Your bet builder on ${fixture} lost.`;
+    emitToUser(io, user._id, "bet_settled", {
+      status: "lost",
+      message: notificationMessage,
+    });
+    await new Notification({
+      user: user._id,
+      message: notificationMessage,
+      type: "bet_lost",
+      link: "/my-bets",
+      bet: bet._id,
     }).save({ session });
   }
 }
 
 /**
  * Checks if a multi-bet can be resolved, and if so, processes its outcome.
+ * Void selections (cancelled games) are ignored and the bet is priced on the rest.
  * @param {object} bet - The Mongoose multi-bet object.
  * @param {object} session - The Mongoose database session.
  * @param {object} io - The Socket.IO server instance.
@@ -133,11 +329,30 @@ async function checkAndResolveMultiBet(bet, session, io) {
   const gamesInBet = await Game.find({ _id: { $in: gameIds } }).session(
     session
   );
+  if (gamesInBet.length !== bet.selections.length) {
+    return;
+  }
 
-  const allGamesFinished = gamesInBet.every(
-    (g) => g.status === "finished" && g.result
-  );
-  if (!allGamesFinished || gamesInBet.length !== bet.selections.length) {
+  // A game may have been cancelled without going through voidSelectionsForGame
+  // (e.g. an admin edit), so cancelled games are treated as void here too.
+  for (const selection of bet.selections) {
+    const game = gamesInBet.find((g) => g._id.equals(selection.game));
+    if (game.status === "cancelled") selection.status = "void";
+  }
+  const liveSelections = bet.selections.filter((s) => s.status !== "void");
+  if (liveSelections.length === 0) {
+    return refundVoidedBet(bet, session, io);
+  }
+
+  const allGamesFinished = liveSelections.every((selection) => {
+    const game = gamesInBet.find((g) => g._id.equals(selection.game));
+    return game.status === "finished" && game.result;
+  });
+  if (!allGamesFinished) {
+    if (bet.isModified("selections")) {
+      bet.totalOdds = calculateTotalOdds(bet.selections);
+      await bet.save({ session });
+    }
     return;
   }
 
@@ -147,33 +362,51 @@ async function checkAndResolveMultiBet(bet, session, io) {
     return;
   }
 
-  let isBetWon = true;
-  for (const selection of bet.selections) {
-    const game = gamesInBet.find((g) => g._id.equals(selection.game));
-    if (!game || selection.outcome !== game.result) {
-      isBetWon = false;
-      break;
-    }
+  const settlements = liveSelections.map((selection) =>
+    settleSelection(
+      selection,
+      gamesInBet.find((g) => g._id.equals(selection.game))
+    )
+  );
+  if (settlements.includes(null)) {
+    console.warn(
+      `Multi-bet ${bet._id} has a leg that needs a final score to settle. Skipping.`
+    );
+    return;
+  }
+  // Pushes on whole-number lines are void, exactly like a cancelled game.
+  liveSelections.forEach((selection, i) => {
+    selection.status = settlements[i];
+  });
+
+  const playedSelections = bet.selections.filter((s) => s.status !== "void");
+  if (playedSelections.length === 0) {
+    return refundVoidedBet(bet, session, io);
   }
+  bet.totalOdds = calculateTotalOdds(bet.selections);
+  const isBetWon = playedSelections.every((s) => s.status === "won");
+  const legsLabel =
+    playedSelections.length === bet.selections.length
+      ? `${bet.selections.length} selections`
+      : `${playedSelections.length} of ${bet.selections.length} selections (the rest void)`;
 
   if (isBetWon) {
     bet.status = "won";
-    bet.payout = parseFloat((bet.stake * bet.totalOdds).toFixed(2));
-    user.walletBalance += bet.payout;
-
-    await new Transaction({
-      user: user._id,
-      type: "win",
-      amount: bet.payout,
-      balanceAfter: user.walletBalance,
-      bet: bet._id,
-      description: `Win from multi-bet with ${bet.selections.length} selections.`,
-    }).save({ session });
+    bet.payout = winningPayout(bet, bet.totalOdds);
 
-    await user.save({ session });
+    await payWinnings(
+      user,
+      {
+        stake: bet.stake,
+        payout: bet.payout,
+        bet,
+        description: `Win from multi-bet with ${legsLabel}.`,
+      },
+      session
+    );
 
-    const notificationMessage = `Your multi-bet with ${bet.selections.length} selections won!`;
-    io.to(user._id.toString()).emit("bet_settled", {
+    const notificationMessage = `Your multi-bet with ${legsLabel} won!`;
+    emitToUser(io, user._id, "bet_settled", {
       status: "won",
       message: notificationMessage,
       payout: bet.payout,
@@ -183,13 +416,24 @@ async function checkAndResolveMultiBet(bet, session, io) {
       message: `${notificationMessage} You won ${formatCurrency(bet.payout)}.`,
       type: "bet_won",
       link: "/my-bets",
+      bet: bet._id,
     }).save({ session });
   } else {
     bet.status = "lost";
     bet.payout = 0;
 
-    const notificationMessage = `Your multi-bet with ${bet.selections.length} selections was settled.`;
-    io.to(user._id.toString()).emit("bet_settled", {
+    await forfeitStake(
+      {
+        userId: user._id,
+        stake: bet.stake,
+        bet,
+        description: `Lost multi-bet with ${legsLabel}.`,
+      },
+      session
+    );
+
+    const notificationMessage = `Your multi-bet with ${legsLabel} was settled.`;
+    emitToUser(io, user._id, "bet_settled", {
       status: "lost",
       message: notificationMessage,
     });
@@ -198,11 +442,517 @@ async function checkAndResolveMultiBet(bet, session, io) {
       message: notificationMessage,
       type: "bet_lost",
       link: "/my-bets",
+      bet: bet._id,
     }).save({ session });
   }
   await bet.save({ session });
 }
 
+/**
+ * Multiplies the odds of every selection that has not been voided.
+ * @param {Array<object>} selections - The bet's selections.
+ * @returns {number} The combined odds, rounded to two decimal places.
+ */
+function calculateTotalOdds(selections) {
+  const totalOdds = selections
+    .filter((s) => s.status !== "void")
+    .reduce((acc, s) => acc * s.odds, 1);
+  return parseFloat(totalOdds.toFixed(2));
+}
+
+/**
+ * Settles whatever it can of a system bet. Each selection is settled once its game
+ * is over, then every line whose selections are all settled is paid, lost or (if
+ * all its legs are void) refunded on its own. The bet itself is settled, with one
+ * notification for the whole slip, once its last line is.
+ * @param {object} bet - The Mongoose system bet object.
+ * @param {object} session - The Mongoose database session.
+ * @param {object} io - The Socket.IO server instance.
+ */
+async function checkAndResolveSystemBet(bet, session, io) {
+  const gamesInBet = await Game.find({
+    _id: { $in: bet.selections.map((s) => s.game) },
+  }).session(session);
+
+  for (const selection of bet.selections) {
+    if (selection.status !== "pending") continue;
+    const game = gamesInBet.find((g) => g._id.equals(selection.game));
+    if (!game) continue;
+    if (game.status === "cancelled") {
+      selection.status = "void";
+    } else if (game.status === "finished" && game.result) {
+      selection.status = settleSelection(selection, game) || "pending";
+    }
+  }
+
+  const user = await User.findById(bet.user).session(session);
+  if (!user) {
+    console.warn(`User for system bet ${bet._id} not found. Skipping.`);
+    return;
+  }
+
+  for (const [index, line] of bet.lines.entries()) {
+    if (line.status !== "pending") continue;
+    const legs = line.selectionIndexes.map((i) => bet.selections[i]);
+    if (legs.some((leg) => leg.status === "pending")) continue;
+
+    const lineLabel = `line ${index + 1} of your ${bet.systemType} (${
+      legs.length
+    }-fold)`;
+    line.totalOdds = calculateTotalOdds(legs);
+
+    if (legs.every((leg) => leg.status === "void")) {
+      line.status = "void";
+      await refundStake(
+        user,
+        line.stake,
+        {
+          bet,
+          description: `Refund: every selection on ${lineLabel} was void.`,
+        },
+        session
+      );
+    } else if (legs.every((leg) => leg.status !== "lost")) {
+      line.status = "won";
+      line.payout = parseFloat((line.stake * line.totalOdds).toFixed(2));
+      await payWinnings(
+        user,
+        {
+          stake: line.stake,
+          payout: line.payout,
+          bet,
+          description: `Win on ${lineLabel}.`,
+        },
+        session
+      );
+    } else {
+      line.status = "lost";
+      await forfeitStake(
+        {
+          userId: user._id,
+          stake: line.stake,
+          bet,
+          description: `Lost ${lineLabel}.`,
+        },
+        session
+      );
+    }
+  }
+
+  bet.payout = roundMoney(bet.lines.reduce((sum, l) => sum + l.payout, 0));
+
+  if (bet.lines.every((line) => line.status !== "pending")) {
+    const linesWon = bet.lines.filter((l) => l.status === "won").length;
+    if (bet.lines.every((line) => line.status === "void")) {
+      bet.status = "cancelled";
+    } else {
+      bet.status = linesWon > 0 ? "won" : "lost";
+    }
+
+    const notificationMessage = `Your ${bet.systemType} was settled: ${linesWon} of ${bet.lines.length} lines won.`;
+    emitToUser(io, user._id, "bet_settled", {
+      status: bet.status,
+      message: notificationMessage,
+      payout: bet.payout,
+    });
+    if (bet.status !== "cancelled") {
+      await new Notification({
+        user: user._id,
+        message:
+          bet.status === "won"
+            ? `${notificationMessage} You won ${formatCurrency(bet.payout)}.`
+            : notificationMessage,
+        type: bet.status === "won" ? "bet_won" : "bet_lost",
+        link: "/my-bets",
+        bet: bet._id,
+      }).save({ session });
+    }
+  }
+
+  await bet.save({ session });
+}
+
+/**
+ * Refunds a bet with no selections left to play for and marks it cancelled.
+ */
+async function refundVoidedBet(
+  bet,
+  session,
+  io,
+  description = "Refund: every selection in the bet was void."
+) {
+  const user = await User.findById(bet.user).session(session);
+  if (user) {
+    await refundStake(user, bet.stake, { bet, description }, session);
+    await releaseFreeBet(bet, session);
+    emitToUser(io, user._id, "bet_settled", {
+      status: "cancelled",
+      message:
+        bet.stakeSource === "free_bet"
+          ? "Your bet was voided and your free bet returned."
+          : "Your bet was voided and your stake refunded.",
+    });
+  }
+  bet.status = "cancelled";
+  bet.payout = 0;
+  await bet.save({ session });
+}
+
+/**
+ * Counts a bet towards its bonus's wagering once it has settled as won or lost.
+ */
+async function countWagering(bet, session) {
+  if (!bet.bonusGrant || !["won", "lost"].includes(bet.status)) return;
+  const user = await User.findById(bet.user).session(session);
+  if (user) await recordWagering(user, bet, session);
+}
+
+/**
+ * Voids every pending selection on a game that has been cancelled. Singles are
+ * refunded, while multi-bets and system bet lines lose only that leg: their odds
+ * are recalculated and the rest rides on (or settles now, if it was the last leg).
+ * @param {object} game - The cancelled game.
+ * @param {object} session - The Mongoose database session.
+ * @param {object} [io] - The Socket.IO server instance.
+ * @returns {Promise<object>} How many bets were refunded and how many multi-bets kept riding.
+ */
+const voidSelectionsForGame = async (game, session, io) => {
+  const bets = await Bet.find({
+    "selections.game": game._id,
+    status: "pending",
+  }).session(session);
+
+  let refunded = 0;
+  let voidedLegs = 0;
+  for (const bet of bets) {
+    for (const selection of bet.selections) {
+      if (selection.game.equals(game._id)) selection.status = "void";
+    }
+
+    if (bet.betType === "multi") {
+      await checkAndResolveMultiBet(bet, session, io);
+      await countWagering(bet, session);
+    } else if (bet.betType === "system") {
+      await checkAndResolveSystemBet(bet, session, io);
+      await countWagering(bet, session);
+    } else {
+      await refundVoidedBet(
+        bet,
+        session,
+        io,
+        `Refund for cancelled game: ${game.homeTeam} vs ${game.awayTeam}`
+      );
+    }
+
+    if (bet.status === "cancelled") refunded++;
+    else voidedLegs++;
+  }
+
+  return { refunded, voidedLegs };
+};
+
+/**
+ * Emits a socket event to a user's room when a socket server is available
+ * (scripts run without one).
+ */
+function emitToUser(io, userId, event, payload) {
+  if (io) io.to(userId.toString()).emit(event, payload);
+}
+
+/**
+ * Undoes the settlement of one bet: winnings are taken back, a lost stake is
+ * reinstated or a push refund is taken back, and the bet returns to 'pending' with
+ * its selections on the game reopened so it can be settled again. For a system bet
+ * only the lines that include the game are reversed.
+ * @returns {Promise<object|null>} The audit record of the bet as it was before the
+ * reversal, or null if nothing on the bet depended on the game.
+ */
+async function reverseBetSettlement(bet, game, session) {
+  const audited = {
+    bet: bet._id,
+    user: bet.user,
+    betType: bet.betType,
+    stake: bet.stake,
+    status: bet.status,
+    payout: bet.payout,
+    journalEntries: [],
+  };
+  const description = `Settlement reversed for ${game.homeTeam} vs ${game.awayTeam}`;
+  const user = await User.findById(bet.user).session(session);
+
+  const reverse = async (stake, payout, status) => {
+    if (status === "cancelled" || status === "void") {
+      if (!(await reclaimFreeBet(bet, session))) {
+        const err = new Error(
+          `Cannot resettle: the free bet refunded on bet ${bet._id} has been used again.`
+        );
+        err.statusCode = 409;
+        throw err;
+      }
+      const { entry } = await reverseRefund(
+        user,
+        { stake, bet, game, description },
+        session
+      );
+      audited.journalEntries.push(entry._id);
+    } else if (status === "won") {
+      const { entry } = await reverseWinnings(
+        user,
+        { stake, payout, bet, game, description },
+        session
+      );
+      audited.journalEntries.push(entry._id);
+    } else {
+      const entry = await reinstateStake(
+        { userId: bet.user, stake, bet, game, description },
+        session
+      );
+      audited.journalEntries.push(entry._id);
+    }
+  };
+
+  if (bet.betType === "system") {
+    const gameIndex = bet.selections.findIndex((s) => s.game.equals(game._id));
+    const linesToReverse = bet.lines.filter(
+      (line) =>
+        line.selectionIndexes.includes(gameIndex) &&
+        ["won", "lost", "void"].includes(line.status)
+    );
+    // The game's selection is reopened even when none of its lines has settled.
+    bet.selections[gameIndex].status = "pending";
+    if (linesToReverse.length === 0) {
+      await bet.save({ session });
+      return null;
+    }
+
+    for (const line of linesToReverse) {
+      await reverse(line.stake, line.payout, line.status);
+      line.status = "pending";
+      line.payout = 0;
+    }
+    bet.payout = roundMoney(bet.lines.reduce((sum, l) => sum + l.payout, 0));
+  } else {
+    await reverse(bet.stake, bet.payout, bet.status);
+    bet.payout = 0;
+    // A push leaves the game's legs void, which settlement would otherwise skip.
+    for (const selection of bet.selections) {
+      if (selection.game.equals(game._id)) selection.status = "pending";
+    }
+    // Settlement re-prices a bet builder without its void legs; every leg is open
+    // again, so it goes back to the price it was placed at.
+    if (bet.betType === "bet_builder") {
+      bet.totalOdds = priceSameGameSelections(
+        bet.expectedGoals,
+        bet.selections
+      );
+    }
+  }
+
+  bet.status = "pending";
+  await bet.save({ session });
+  return audited;
+}
+
+/**
+ * What a resettlement of the game would take back from a bet's owner: its winnings,
+ * and any stake refunded because the game was a push. A free bet's refund went to
+ * the house, so the user owes nothing for it.
+ */
+function fundsTiedToGame(bet, game) {
+  const refundOwed = (stake) => (bet.stakeSource === "free_bet" ? 0 : stake);
+  if (bet.betType !== "system") {
+    if (bet.status === "won") return bet.payout;
+    return bet.status === "cancelled" ? refundOwed(bet.stake) : 0;
+  }
+  const gameIndex = bet.selections.findIndex((s) => s.game.equals(game._id));
+  return bet.lines
+    .filter((line) => line.selectionIndexes.includes(gameIndex))
+    .reduce((sum, line) => {
+      if (line.status === "won") return sum + line.payout;
+      if (line.status === "void") return sum + refundOwed(line.stake);
+      return sum;
+    }, 0);
+}
+
+/**
+ * Makes sure every user with a winning or refunded bet on the game can repay what
+ * it paid them before anything is reversed, so a resettlement never fails half way
+ * through.
+ */
+async function assertWinningsRecoverable(settledBets, game, session) {
+  // Winnings of bonus-funded bets are taken back from the bonus balance.
+  const owedByUser = new Map();
+  for (const bet of settledBets) {
+    const owed = fundsTiedToGame(bet, game);
+    if (owed <= 0) continue;
+    const key = bet.user.toString();
+    const balance =
+      bet.stakeSource === "bonus" ? "bonusBalance" : "walletBalance";
+    const userOwes = owedByUser.get(key) || {
+      walletBalance: 0,
+      bonusBalance: 0,
+    };
+    userOwes[balance] = roundMoney(userOwes[balance] + owed);
+    owedByUser.set(key, userOwes);
+  }
+  if (owedByUser.size === 0) return;
+
+  const users = await User.find({ _id: { $in: [...owedByUser.keys()] } })
+    .select("username walletBalance bonusBalance")
+    .session(session);
+  const shortfalls = users
+    .filter((u) => {
+      const owed = owedByUser.get(u._id.toString());
+      return (
+        u.walletBalance < owed.walletBalance ||
+        (u.bonusBalance || 0) < owed.bonusBalance
+      );
+    })
+    .map((u) => u.username);
+
+  if (shortfalls.length > 0) {
+    const err = new Error(
+      `Cannot resettle: these users no longer hold the winnings or refunds to be reversed: ${shortfalls.join(
+        ", "
+      )}. Adjust their wallets first.`
+    );
+    err.statusCode = 409;
+    throw err;
+  }
+}
+
+/**
+ * Reverses every settlement produced for a finished game and settles its bets again
+ * with a corrected result. Both passes are written to a SettlementAudit record.
+ * @param {string} gameId - The ID of the game to resettle.
+ * @param {object} correction - The corrected result and why it changed.
+ * @param {string} correction.result - The corrected result ('A', 'B' or 'Draw').
+ * @param {object} [correction.scores] - The corrected scores: { home, away }.
+ * @param {string} correction.reason - Why the game is being resettled.
+ * @param {string} correction.adminId - The admin performing the resettlement.
+ * @param {object} io - The Socket.IO server instance.
+ * @returns {Promise<object>} The saved SettlementAudit.
+ */
+const resettleGame = async (
+  gameId,
+  { result, scores, reason, adminId },
+  io
+) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const game = await Game.findById(gameId).session(session);
+    if (!game) {
+      const err = new Error("Game not found.");
+      err.statusCode = 404;
+      throw err;
+    }
+    if (game.status !== "finished" || !game.result) {
+      const err = new Error(
+        "Only a game that has been settled can be resettled."
+      );
+      err.statusCode = 400;
+      throw err;
+    }
+
+    // Fully cashed-out bets were settled by the user, not by the result. A void leg
+    // on a finished game is a push, whose bet may have been refunded. System bets
+    // settle leg by leg, so one can carry this game's result while still pending.
+    const settledBets = await Bet.find({
+      "selections.game": game._id,
+      cashedOutAt: null,
+      $or: [
+        { status: { $in: ["won", "lost"] } },
+        {
+          status: "cancelled",
+          selections: { $elemMatch: { game: game._id, status: "void" } },
+        },
+        {
+          betType: "system",
+          selections: {
+            $elemMatch: { game: game._id, status: { $ne: "pending" } },
+          },
+        },
+      ],
+    }).session(session);
+
+    await assertWinningsRecoverable(settledBets, game, session);
+    const startedAt = new Date();
+
+    const audit = new SettlementAudit({
+      game: game._id,
+      performedBy: adminId,
+      reason,
+      previousResult: game.result,
+      previousScores: game.scores,
+      newResult: result,
+      newScores: scores || game.scores,
+    });
+
+    // --- Pass 1: reverse ---
+    for (const bet of settledBets) {
+      const reversed = await reverseBetSettlement(bet, game, session);
+      if (reversed) audit.reversal.push(reversed);
+    }
+    const betIds = audit.reversal.map((r) => r.bet);
+    const { deletedCount } = await Notification.deleteMany({
+      bet: { $in: betIds },
+      type: { $in: ["bet_won", "bet_lost"] },
+    }).session(session);
+    audit.notificationsWithdrawn = deletedCount;
+
+    // --- Pass 2: re-settle with the corrected result ---
+    game.result = result;
+    if (scores) game.scores = scores;
+    await game.save({ session });
+    await resolveBetsForGame(game, session, io);
+
+    const resettledBets = await Bet.find({ _id: { $in: betIds } }).session(
+      session
+    );
+    for (const bet of resettledBets) {
+      const entries = await JournalEntry.find({
+        source: bet._id,
+        type: { $in: ["win", "bet_lost", "refund"] },
+        createdAt: { $gte: startedAt },
+      })
+        .select("_id")
+        .session(session);
+      audit.resettlement.push({
+        bet: bet._id,
+        user: bet.user,
+        betType: bet.betType,
+        stake: bet.stake,
+        status: bet.status,
+        payout: bet.payout,
+        journalEntries: entries.map((e) => e._id),
+      });
+
+      const previous = audit.reversal.find((r) => r.bet.equals(bet._id));
+      if (previous && previous.status !== bet.status) {
+        await new Notification({
+          user: bet.user,
+          message: `The result of ${game.homeTeam} vs ${game.awayTeam} was corrected and your bet has been resettled as ${bet.status}.`,
+          type: "bet_resettled",
+          link: "/my-bets",
+          bet: bet._id,
+        }).save({ session });
+      }
+    }
+
+    await audit.save({ session });
+    await session.commitTransaction();
+    return audit;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
 module.exports = {
   resolveBetsForGame,
+  voidSelectionsForGame,
+  resettleGame,
 };
@@ -0,0 +1,311 @@
+// In: services/betSlipService.js
+
+const BetSlip = require("../models/BetSlip");
+const { MAX_SLIP_SELECTIONS } = require("../models/BetSlip");
+const Game = require("../models/Game");
+const bettingService = require("./bettingService");
+const { MARKETS, getSelectionOdds } = require("./marketService");
+const { httpError } = require("../utils/httpError");
+
+const sameSelection = (a, b) =>
+  a.game.toString() === b.game.toString() &&
+  a.market === b.market &&
+  (a.line ?? null) === (b.line ?? null);
+
+const getOrCreateSlip = (userId) =>
+  BetSlip.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+/**
+ * Checks every selection on a slip against its game as it is now. A selection is
+ * 'open', 'odds_changed' (still available at a different price), 'started' (the
+ * game has kicked off or finished) or 'suspended' (the game was cancelled or
+ * removed, or no longer offers the market).
+ * @param {object} slip - The BetSlip document.
+ * @returns {Promise<object>} { selections, problems, placeable }, where each
+ * selection carries its game, its state and its current odds.
+ */
+const reviewSlip = async (slip) => {
+  const games = await Game.find({
+    _id: { $in: slip.selections.map((s) => s.game) },
+  })
+    .select("homeTeam awayTeam league matchDate status odds markets")
+    .lean();
+
+  const selections = slip.selections.map((selection) => {
+    const game = games.find((g) => g._id.equals(selection.game));
+    let state = "open";
+    let currentOdds = null;
+    if (!game || game.status === "cancelled") {
+      state = "suspended";
+    } else if (
+      game.status !== "upcoming" ||
+      new Date(game.matchDate) < new Date()
+    ) {
+      state = "started";
+    } else {
+      currentOdds = getSelectionOdds(game, selection);
+      if (!currentOdds) state = "suspended";
+      else if (selection.odds && currentOdds !== selection.odds) {
+        state = "odds_changed";
+      }
+    }
+
+    return {
+      _id: selection._id,
+      game: game
+        ? {
+            _id: game._id,
+            homeTeam: game.homeTeam,
+            awayTeam: game.awayTeam,
+            league: game.league,
+            matchDate: game.matchDate,
+            status: game.status,
+          }
+        : { _id: selection.game },
+      market: selection.market,
+      line: selection.line,
+      outcome: selection.outcome,
+      odds: selection.odds,
+      currentOdds,
+      state,
+    };
+  });
+
+  const problems = [];
+  if (selections.length === 0) problems.push("The bet slip is empty.");
+  const unavailable = selections.filter(
+    (s) => s.state === "started" || s.state === "suspended"
+  ).length;
+  if (unavailable > 0) {
+    problems.push(
+      `${unavailable} selection(s) can no longer be bet on. Remove them to continue.`
+    );
+  }
+  if (slip.betType === "multi") {
+    const gameIds = selections.map((s) => s.game._id.toString());
+    if (selections.length < 2) {
+      problems.push("A multi-bet needs at least two selections.");
+    } else if (selections.length > 10) {
+      problems.push("A multi-bet can contain at most 10 selections.");
+    }
+    if (new Set(gameIds).size !== gameIds.length) {
+      problems.push(
+        "A multi-bet cannot contain multiple selections from the same game."
+      );
+    }
+  }
+  if (!(slip.stake > 0)) problems.push("Set a stake to place the slip.");
+
+  return { selections, problems, placeable: problems.length === 0 };
+};
+
+/**
+ * Shapes a reviewed slip for the client, with the accumulator odds and the
+ * potential payout worked out from the current prices.
+ */
+const toSlipView = (slip, review) => {
+  const priced = review.selections.filter((s) => s.currentOdds);
+  let totalOdds = null;
+  let potentialPayout = null;
+  if (slip.betType === "multi" && priced.length > 0) {
+    totalOdds = parseFloat(
+      priced.reduce((acc, s) => acc * s.currentOdds, 1).toFixed(2)
+    );
+    potentialPayout = parseFloat((slip.stake * totalOdds).toFixed(2));
+  } else if (slip.betType === "single") {
+    potentialPayout = parseFloat(
+      priced.reduce((sum, s) => sum + slip.stake * s.currentOdds, 0).toFixed(2)
+    );
+  }
+
+  return {
+    _id: slip._id,
+    betType: slip.betType,
+    stake: slip.stake,
+    totalStake:
+      slip.betType === "single"
+        ? parseFloat((slip.stake * review.selections.length).toFixed(2))
+        : slip.stake,
+    totalOdds,
+    potentialPayout,
+    selections: review.selections,
+    problems: review.problems,
+    placeable: review.placeable,
+    updatedAt: slip.updatedAt,
+  };
+};
+
+/**
+ * Returns the user's slip revalidated against the current games. The prices the
+ * user is shown become the ones the slip is placed against.
+ * @param {string} userId - The slip's owner.
+ * @returns {Promise<object>} The slip view.
+ */
+const getSlip = async (userId) => {
+  const slip = await getOrCreateSlip(userId);
+  const review = await reviewSlip(slip);
+
+  let refreshed = false;
+  review.selections.forEach((reviewed, i) => {
+    if (reviewed.currentOdds && reviewed.currentOdds !== reviewed.odds) {
+      slip.selections[i].odds = reviewed.currentOdds;
+      refreshed = true;
+    }
+  });
+  if (refreshed) await slip.save();
+
+  return toSlipView(slip, review);
+};
+
+/**
+ * Adds a selection to the slip. A selection on a game and market already on the
+ * slip replaces it, so switching from home to away does not leave both behind.
+ * @param {string} userId - The slip's owner.
+ * @param {object} selection - { gameId, market, line, outcome }.
+ * @returns {Promise<object>} The slip view.
+ */
+const addSelection = async (userId, { gameId, market, line, outcome }) => {
+  const game = await Game.findById(gameId);
+  if (!game) throw httpError("Game not found.", 404);
+  if (game.status !== "upcoming" || new Date(game.matchDate) < new Date()) {
+    throw httpError("Betting is closed for this game.", 400);
+  }
+
+  const candidate = {
+    game: game._id,
+    market: market || MARKETS.MATCH_RESULT,
+    line: line ?? null,
+    outcome,
+  };
+  const odds = getSelectionOdds(game, candidate);
+  if (!odds) {
+    throw httpError("This selection is not available for this game.", 400);
+  }
+
+  const slip = await getOrCreateSlip(userId);
+  const existing = slip.selections.find((s) => sameSelection(s, candidate));
+  if (existing) {
+    existing.outcome = outcome;
+    existing.odds = odds;
+  } else {
+    if (slip.selections.length >= MAX_SLIP_SELECTIONS) {
+      throw httpError(
+        `A bet slip can hold at most ${MAX_SLIP_SELECTIONS} selections.`,
+        400
+      );
+    }
+    slip.selections.push({ ...candidate, odds });
+  }
+  await slip.save();
+
+  return getSlip(userId);
+};
+
+/**
+ * Removes one selection from the slip.
+ * @param {string} userId - The slip's owner.
+ * @param {string} selectionId - The _id of the selection on the slip.
+ * @returns {Promise<object>} The slip view.
+ */
+const removeSelection = async (userId, selectionId) => {
+  const slip = await BetSlip.findOneAndUpdate(
+    { user: userId, "selections._id": selectionId },
+    { $pull: { selections: { _id: selectionId } } }
+  );
+  if (!slip) throw httpError("Selection not found on your bet slip.", 404);
+  return getSlip(userId);
+};
+
+/**
+ * Changes the slip's stake and/or whether it is placed as singles or a multi-bet.
+ * @param {string} userId - The slip's owner.
+ * @param {object} changes - { stake, betType }.
+ * @returns {Promise<object>} The slip view.
+ */
+const updateSlip = async (userId, { stake, betType }) => {
+  const update = {};
+  if (stake !== undefined) update.stake = stake;
+  if (betType !== undefined) update.betType = betType;
+  await BetSlip.findOneAndUpdate(
+    { user: userId },
+    { $set: update, $setOnInsert: { user: userId } },
+    { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  return getSlip(userId);
+};
+
+/**
+ * Empties the slip, keeping the stake and bet type for next time.
+ * @param {string} userId - The slip's owner.
+ * @returns {Promise<object>} The slip view.
+ */
+const clearSlip = async (userId) => {
+  await BetSlip.updateOne({ user: userId }, { $set: { selections: [] } });
+  return getSlip(userId);
+};
+
+/**
+ * Places the slip as it stands, as singles or a multi-bet, against the prices the
+ * user was last shown. The slip is emptied once the bets are placed.
+ * @param {string} userId - The slip's owner.
+ * @param {object} [options] - { oddsChangePolicy, acceptMaxStake }.
+ * @returns {Promise<object>} { bets, walletBalance }.
+ * @throws {Error} 400 with the slip's problems if it cannot be placed, or the
+ * 409 odds_changed error if a price moved against the user's policy.
+ */
+const placeSlip = async (userId, options = {}) => {
+  const slip = await getOrCreateSlip(userId);
+  const review = await reviewSlip(slip);
+  if (!review.placeable) {
+    throw httpError(review.problems[0], 400, {
+      code: "slip_not_placeable",
+      problems: review.problems,
+      selections: review.selections.filter(
+        (s) => s.state === "started" || s.state === "suspended"
+      ),
+    });
+  }
+
+  const selections = slip.selections.map((s) => ({
+    gameId: s.game,
+    market: s.market,
+    line: s.line,
+    outcome: s.outcome,
+    odds: s.odds || undefined,
+  }));
+
+  let result;
+  if (slip.betType === "multi") {
+    const { bet, walletBalance } = await bettingService.placeMultiBet(
+      userId,
+      selections,
+      slip.stake,
+      options
+    );
+    result = { bets: [bet], walletBalance };
+  } else {
+    result = await bettingService.placeMultipleSingles(
+      userId,
+      selections,
+      slip.stake,
+      options
+    );
+  }
+
+  await BetSlip.updateOne({ _id: slip._id }, { $set: { selections: [] } });
+  return result;
+};
+
+module.exports = {
+  reviewSlip,
+  getSlip,
+  addSelection,
+  removeSelection,
+  updateSlip,
+  clearSlip,
+  placeSlip,
+};
@@ -4,7 +4,18 @@ const mongoose = require("mongoose");
 const User = require("../models/User");
 const Game = require("../models/Game");
 const Bet = require("../models/Bet");
-const Transaction = require("../models/Transaction");
+const { placeStake } = require("./ledgerService");
+const { assertBonusStake, linkWagering } = require("./bonusService");
+const { getUsableFreeBet, redeemFreeBet } = require("./freeBetService");
+const { applyOddsBoost } = require("./oddsBoostService");
+const { enforceTradingLimits } = require("./tradingLimitService");
+const { buildSystemLines } = require("./systemBetService");
+const {
+  MARKETS,
+  getSelectionOdds,
+  describeSelection,
+  priceBetBuilder,
+} = require("./marketService");
 
 // 1. We import the function from our new helper service.
 const { generateInterventionMessage } = require("./aiHelperService");
@@ -88,40 +99,179 @@ const checkForLossChasing = async (user, stake) => {
   }
 };
 
+/**
+ * Compares the odds the client displayed with the current prices, following the
+ * user's odds-change policy: 'any' takes whatever the price is now, 'higher' accepts
+ * a price that has lengthened, and 'none' rejects any movement. Selections sent
+ * without displayed odds are taken at the current price.
+ * @param {Array<object>} quotes - One per selection: { gameId, market, line, outcome,
+ * requestedOdds, currentOdds }.
+ * @param {string} policy - One of ODDS_CHANGE_POLICIES.
+ * @throws {Error} A 409 error whose details list every changed selection and its
+ * new price, so the client can refresh the slip and ask the user again.
+ */
+const assertOddsAcceptable = (quotes, policy) => {
+  const changes = quotes
+    .filter((q) => q.requestedOdds != null && q.currentOdds !== q.requestedOdds)
+    .map(({ gameId, market, line, outcome, requestedOdds, currentOdds }) => ({
+      gameId,
+      market: market || MARKETS.MATCH_RESULT,
+      line: line ?? null,
+      outcome,
+      requestedOdds,
+      currentOdds,
+    }));
+
+  const rejected = changes.filter(
+    (c) =>
+      policy === "none" ||
+      (policy === "higher" && c.currentOdds < c.requestedOdds)
+  );
+  if (rejected.length === 0) return;
+
+  const err = new Error(
+    rejected.length === 1
+      ? "The odds on your selection have changed."
+      : `The odds on ${rejected.length} of your selections have changed.`
+  );
+  err.statusCode = 409;
+  err.details = { code: "odds_changed", changes };
+  throw err;
+};
+
+/**
+ * The odds-change policy for a bet: the one sent with it, or the user's preference.
+ */
+const resolveOddsChangePolicy = (user, requestedPolicy) =>
+  requestedPolicy ||
+  (user.bettingPreferences && user.bettingPreferences.oddsChangePolicy) ||
+  "none";
+
+/**
+ * Checks the user can cover a stake: with a free bet token, from their bonus balance
+ * when useBonus is set, and from their wallet otherwise.
+ * @param {object} user - The Mongoose user document.
+ * @param {number} stake - The stake to cover.
+ * @param {object} funding - { useBonus, freeBet, odds, leagues }, where freeBet is a
+ * token from getUsableFreeBet and odds and leagues describe the bet it is used on.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object>} The fields to set on the new bet: { stakeSource, bonusGrant, freeBetToken }.
+ */
+const fundStake = async (
+  user,
+  stake,
+  { useBonus, freeBet, odds, leagues },
+  session
+) => {
+  if (freeBet) {
+    if (useBonus) {
+      throw new Error("A free bet cannot be combined with bonus funds.");
+    }
+    await redeemFreeBet(freeBet, { stake, odds, leagues }, session);
+    return { stakeSource: "free_bet", freeBetToken: freeBet._id };
+  }
+  if (useBonus) {
+    const grant = await assertBonusStake(user, stake, session);
+    return { stakeSource: "bonus", bonusGrant: grant._id };
+  }
+  if (user.walletBalance < stake) {
+    throw new Error("Insufficient funds in your wallet.");
+  }
+  return { stakeSource: "cash" };
+};
+
 /**
  * Executes the logic to place a single bet within a database transaction.
  * @param {string} userId - The ID of the user placing the bet.
  * @param {string} gameId - The ID of the game being bet on.
- * @param {string} outcome - The predicted outcome ('A', 'B', 'Draw').
+ * @param {string} outcome - The predicted outcome ('A', 'B', 'Draw', or a market selection name).
  * @param {number} stake - The amount being staked.
- * @returns {object} An object containing the new bet and the user's updated wallet balance.
+ * @param {object} [options] - The market to bet on.
+ * @param {string} [options.market="1x2"] - One of the MARKETS values.
+ * @param {number} [options.line] - The over/under or handicap line.
+ * @param {number} [options.odds] - The odds the client displayed for the selection.
+ * @param {string} [options.oddsChangePolicy] - Overrides the user's odds-change preference.
+ * @param {boolean} [options.acceptMaxStake] - Place at the largest stake the trading
+ * limits allow if the requested stake is over them.
+ * @param {boolean} [options.useBonus] - Stake the user's bonus balance.
+ * @param {string} [options.freeBetId] - Stake one of the user's free bets. Its amount
+ * replaces the stake.
+ * @param {string} [options.oddsBoostId] - Take a boosted price on the selection, within
+ * the boost's stake and per-user limits.
+ * @param {string} [options.scheduledBet] - The ScheduledBet placing this bet.
+ * @returns {object} An object containing the new bet and the user's updated balances.
  */
-const placeSingleBetTransaction = async (userId, gameId, outcome, stake) => {
+const placeSingleBetTransaction = async (
+  userId,
+  gameId,
+  outcome,
+  stake,
+  {
+    market = MARKETS.MATCH_RESULT,
+    line = null,
+    odds,
+    oddsChangePolicy,
+    acceptMaxStake,
+    useBonus,
+    freeBetId,
+    oddsBoostId,
+    scheduledBet = null,
+  } = {}
+) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
     const user = await User.findById(userId).session(session);
     const game = await Game.findById(gameId).session(session);
+    const freeBet = freeBetId
+      ? await getUsableFreeBet(userId, freeBetId, session)
+      : null;
+    if (freeBet) stake = freeBet.amount;
 
     if (!game) throw new Error("Game not found.");
     if (game.status !== "upcoming" || new Date(game.matchDate) < new Date()) {
       throw new Error("Betting is closed for this game.");
     }
-    if (user.walletBalance < stake) {
-      throw new Error("Insufficient funds in your wallet.");
-    }
-
-    let selectedOdd;
-    if (outcome === "A") selectedOdd = game.odds.home;
-    else if (outcome === "B") selectedOdd = game.odds.away;
-    else if (outcome === "Draw") selectedOdd = game.odds.draw;
 
+    const selection = { market, outcome, line };
+    let selectedOdd = getSelectionOdds(game, selection);
     if (!selectedOdd) {
-      throw new Error("Odds for the selected outcome are not available.");
+      throw new Error(
+        `Odds for ${describeSelection(selection)} are not available.`
+      );
+    }
+    let boost = null;
+    if (oddsBoostId) {
+      ({ boost, stake } = await applyOddsBoost(
+        userId,
+        oddsBoostId,
+        { game, selection, stake, acceptMaxStake },
+        session
+      ));
+      selectedOdd = boost.boostedOdds;
     }
+    assertOddsAcceptable(
+      [{ gameId, ...selection, requestedOdds: odds, currentOdds: selectedOdd }],
+      resolveOddsChangePolicy(user, oddsChangePolicy)
+    );
+
+    stake = await enforceTradingLimits(
+      {
+        selections: [{ game, ...selection }],
+        stake,
+        potentialPayout: stake * selectedOdd,
+        acceptMaxStake,
+      },
+      session
+    );
+    const funding = await fundStake(
+      user,
+      stake,
+      { useBonus, freeBet, odds: selectedOdd, leagues: [game.league] },
+      session
+    );
 
-    user.walletBalance -= stake;
     user.favoriteLeagues.addToSet(game.league);
 
     if (user.limits.weeklyBetCount.limit > 0)
@@ -129,32 +279,41 @@ const placeSingleBetTransaction = async (userId, gameId, outcome, stake) => {
     if (user.limits.weeklyStakeAmount.limit > 0)
       user.limits.weeklyStakeAmount.currentAmount += stake;
 
-    await user.save({ session });
-
     const bet = new Bet({
       user: userId,
       betType: "single",
       stake,
       totalOdds: selectedOdd,
-      selections: [{ game: gameId, outcome: outcome, odds: selectedOdd }],
+      selections: [{ game: gameId, ...selection, odds: selectedOdd }],
       game: gameId,
-      outcome: outcome,
+      // The legacy field only holds match result picks.
+      outcome: market === MARKETS.MATCH_RESULT ? outcome : undefined,
       oddsAtTimeOfBet: game.odds,
+      oddsBoost: boost ? boost._id : null,
+      scheduledBet,
+      ...funding,
     });
     await bet.save({ session });
 
-    await new Transaction({
-      user: user._id,
-      type: "bet",
-      amount: -stake,
-      balanceAfter: user.walletBalance,
-      bet: bet._id,
-      game: game._id,
-      description: `Bet on ${game.homeTeam} vs ${game.awayTeam}`,
-    }).save({ session });
+    // Moves the stake from the wallet into pending stakes and saves the user.
+    await placeStake(
+      user,
+      stake,
+      {
+        bet,
+        game,
+        description: `Bet on ${game.homeTeam} vs ${game.awayTeam}`,
+      },
+      session
+    );
+    await linkWagering(user, [bet], session);
 
     await session.commitTransaction();
-    return { bet, walletBalance: user.walletBalance };
+    return {
+      bet,
+      walletBalance: user.walletBalance,
+      bonusBalance: user.bonusBalance,
+    };
   } catch (error) {
     await session.abortTransaction();
     throw error;
@@ -168,11 +327,14 @@ const placeSingleBetTransaction = async (userId, gameId, outcome, stake) => {
  * This encapsulates user lookup, limit checks, and the database transaction.
  * @param {string} userId - The ID of the user placing the bet.
  * @param {string} gameId - The ID of the game being bet on.
- * @param {string} outcome - The predicted outcome ('A', 'B', 'Draw').
+ * @param {string} outcome - The predicted outcome ('A', 'B', 'Draw', or a market selection name).
  * @param {number} stake - The amount being staked.
- * @returns {Promise<object>} An object containing the new bet and the user's updated wallet balance.
+ * @param {object} [options] - The market to bet on and the odds the client displayed:
+ * { market, line, odds, oddsChangePolicy, acceptMaxStake, useBonus, freeBetId,
+ * oddsBoostId, scheduledBet }.
+ * @returns {Promise<object>} An object containing the new bet and the user's updated balances.
  */
-const placeSingleBet = async (userId, gameId, outcome, stake) => {
+const placeSingleBet = async (userId, gameId, outcome, stake, options) => {
   // 1. Fetch the user from the database.
   const user = await User.findById(userId);
   if (!user) {
@@ -180,25 +342,555 @@ const placeSingleBet = async (userId, gameId, outcome, stake) => {
     err.statusCode = 404;
     throw err;
   }
+  if (options && options.freeBetId) {
+    stake = (await getUsableFreeBet(userId, options.freeBetId)).amount;
+  }
 
   // 2. Perform all business logic checks before the transaction.
   checkBettingLimits(user, stake);
   await checkForLossChasing(user, stake);
 
   // 3. Execute the database transaction to place the bet.
-  const { bet, walletBalance } = await placeSingleBetTransaction(
-    userId,
-    gameId,
-    outcome,
-    stake
-  );
+  return placeSingleBetTransaction(userId, gameId, outcome, stake, options);
+};
+
+/**
+ * Places a bet builder: several markets from one game combined into one bet, priced
+ * from the joint chance of the legs winning together rather than the product of
+ * their odds. Runs the same checks as a single bet.
+ * @param {string} userId - The ID of the user placing the bet.
+ * @param {string} gameId - The game every leg is on.
+ * @param {Array<object>} selections - The legs: { market, outcome, line }.
+ * @param {number} stake - The amount being staked.
+ * @param {object} [options] - { odds, oddsChangePolicy, acceptMaxStake, useBonus },
+ * where odds is the combined price the client displayed.
+ * @returns {Promise<object>} An object containing the new bet and the user's updated balances.
+ */
+const placeBetBuilder = async (
+  userId,
+  gameId,
+  selections,
+  stake,
+  { odds, oddsChangePolicy, acceptMaxStake, useBonus } = {}
+) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    const err = new Error("User for this operation was not found.");
+    err.statusCode = 404;
+    throw err;
+  }
+  checkBettingLimits(user, stake);
+  await checkForLossChasing(user, stake);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const game = await Game.findById(gameId).session(session);
+    if (!game) throw new Error("Game not found.");
+    if (game.status !== "upcoming" || new Date(game.matchDate) < new Date()) {
+      throw new Error("Betting is closed for this game.");
+    }
+
+    const legs = [];
+    for (const selection of selections) {
+      const leg = {
+        market: selection.market || MARKETS.MATCH_RESULT,
+        line: selection.line ?? null,
+        outcome: selection.outcome,
+      };
+      const legOdds = getSelectionOdds(game, leg);
+      if (!legOdds) {
+        throw new Error(
+          `Odds for ${describeSelection(leg)} are not available.`
+        );
+      }
+      legs.push({ game: game._id, ...leg, odds: legOdds });
+    }
+
+    const { odds: builderOdds, expectedGoals } = priceBetBuilder(game, legs);
+    if (!builderOdds) {
+      const err = new Error("These selections cannot all win together.");
+      err.statusCode = 400;
+      throw err;
+    }
+    assertOddsAcceptable(
+      [
+        {
+          gameId,
+          market: "bet_builder",
+          outcome: legs.map((leg) => describeSelection(leg)).join(" + "),
+          requestedOdds: odds,
+          currentOdds: builderOdds,
+        },
+      ],
+      resolveOddsChangePolicy(user, oddsChangePolicy)
+    );
+
+    stake = await enforceTradingLimits(
+      {
+        selections: legs.map((leg) => ({ ...leg, game })),
+        stake,
+        potentialPayout: stake * builderOdds,
+        acceptMaxStake,
+      },
+      session
+    );
+    const bettor = await User.findById(userId).session(session);
+    const funding = await fundStake(bettor, stake, { useBonus }, session);
+
+    bettor.favoriteLeagues.addToSet(game.league);
+    if (bettor.limits.weeklyBetCount.limit > 0)
+      bettor.limits.weeklyBetCount.currentCount += 1;
+    if (bettor.limits.weeklyStakeAmount.limit > 0)
+      bettor.limits.weeklyStakeAmount.currentAmount += stake;
+
+    const bet = new Bet({
+      user: userId,
+      betType: "bet_builder",
+      stake,
+      totalOdds: builderOdds,
+      expectedGoals,
+      selections: legs,
+      ...funding,
+    });
+    await bet.save({ session });
+
+    await placeStake(
+      bettor,
+      stake,
+      {
+        bet,
+        game,
+        description: `Bet builder on ${game.homeTeam} vs ${game.awayTeam}`,
+      },
+      session
+    );
+    await linkWagering(bettor, [bet], session);
+
+    await session.commitTransaction();
+    return {
+      bet,
+      walletBalance: bettor.walletBalance,
+      bonusBalance: bettor.bonusBalance,
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Places an accumulator over selections from different games in one transaction.
+ * @param {string} userId - The ID of the user placing the bet.
+ * @param {Array<object>} selections - { gameId, market, line, outcome, odds }, where
+ * odds is the price the client displayed.
+ * @param {number} stake - The amount being staked.
+ * @param {object} [options] - { oddsChangePolicy, acceptMaxStake, useBonus, freeBetId,
+ * tailedFrom }, where freeBetId stakes one of the user's free bets (its amount replaces
+ * the stake) and tailedFrom is { sharedSlip, tipster } when the bet copies a shared slip.
+ * @returns {Promise<object>} An object containing the new bet and the user's updated balances.
+ */
+const placeMultiBet = async (
+  userId,
+  selections,
+  stake,
+  { oddsChangePolicy, acceptMaxStake, useBonus, freeBetId, tailedFrom } = {}
+) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const user = await User.findById(userId).session(session);
+    if (!user) throw new Error("User not found.");
+    const freeBet = freeBetId
+      ? await getUsableFreeBet(userId, freeBetId, session)
+      : null;
+    if (freeBet) stake = freeBet.amount;
+
+    const gameIds = selections.map((s) => s.gameId);
+    const games = await Game.find({
+      _id: { $in: gameIds },
+      status: "upcoming",
+    }).session(session);
+
+    if (games.length !== selections.length) {
+      throw new Error(
+        "One or more selected games are not available for betting (they may have started or do not exist)."
+      );
+    }
+
+    let totalOdds = 1;
+    const finalSelections = [];
+
+    for (const selection of selections) {
+      const game = games.find(
+        (g) => g._id.toString() === selection.gameId.toString()
+      );
+      if (!game) throw new Error(`Game with ID ${selection.gameId} not found.`);
+
+      const selectionOdds = getSelectionOdds(game, selection);
+      if (!selectionOdds)
+        throw new Error(
+          `Odds for ${describeSelection(selection)} in game ${
+            game.homeTeam
+          } vs ${game.awayTeam} are not available.`
+        );
+
+      totalOdds *= selectionOdds;
+      finalSelections.push({
+        game: game._id,
+        market: selection.market || MARKETS.MATCH_RESULT,
+        line: selection.line ?? null,
+        outcome: selection.outcome,
+        odds: selectionOdds,
+      });
+    }
+
+    assertOddsAcceptable(
+      selections.map((selection, i) => ({
+        ...selection,
+        requestedOdds: selection.odds,
+        currentOdds: finalSelections[i].odds,
+      })),
+      resolveOddsChangePolicy(user, oddsChangePolicy)
+    );
+
+    stake = await enforceTradingLimits(
+      {
+        selections: finalSelections.map((selection) => ({
+          ...selection,
+          game: games.find((g) => g._id.equals(selection.game)),
+        })),
+        stake,
+        potentialPayout: stake * totalOdds,
+        acceptMaxStake,
+      },
+      session
+    );
+    const funding = await fundStake(
+      user,
+      stake,
+      {
+        useBonus,
+        freeBet,
+        odds: parseFloat(totalOdds.toFixed(2)),
+        leagues: games.map((game) => game.league),
+      },
+      session
+    );
 
-  return { bet, walletBalance };
+    const bet = new Bet({
+      user: userId,
+      betType: "multi",
+      stake,
+      totalOdds: parseFloat(totalOdds.toFixed(2)),
+      selections: finalSelections,
+      tailedFrom,
+      ...funding,
+    });
+    await bet.save({ session });
+
+    await placeStake(
+      user,
+      stake,
+      {
+        bet,
+        description: `Multi-bet with ${finalSelections.length} selections.`,
+      },
+      session
+    );
+    await linkWagering(user, [bet], session);
+
+    await session.commitTransaction();
+    return {
+      bet,
+      walletBalance: user.walletBalance,
+      bonusBalance: user.bonusBalance,
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Places a system bet: the selections are expanded into every accumulator line the
+ * system type calls for, each carrying stakePerLine, and the total stake is taken
+ * once. The weekly limits and loss-chasing check apply to the total stake, as for
+ * any other bet.
+ * @param {string} userId - The ID of the user placing the bet.
+ * @param {Array<object>} selections - { gameId, market, line, outcome, odds }, where
+ * odds is the price the client displayed.
+ * @param {string} systemType - One of SYSTEM_TYPES, or CUSTOM_SYSTEM_TYPE.
+ * @param {number} stakePerLine - The stake on each line.
+ * @param {object} [options] - { folds, oddsChangePolicy, acceptMaxStake }, where folds
+ * are the line sizes of a CUSTOM_SYSTEM_TYPE bet.
+ * @returns {Promise<object>} An object containing the new bet and the user's updated wallet balance.
+ */
+const placeSystemBet = async (
+  userId,
+  selections,
+  systemType,
+  stakePerLine,
+  { folds, oddsChangePolicy, acceptMaxStake } = {}
+) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const user = await User.findById(userId).session(session);
+    if (!user) throw new Error("User not found.");
+
+    const games = await Game.find({
+      _id: { $in: selections.map((s) => s.gameId) },
+      status: "upcoming",
+    }).session(session);
+
+    if (games.length !== selections.length) {
+      throw new Error(
+        "One or more selected games are not available for betting (they may have started or do not exist)."
+      );
+    }
+
+    const finalSelections = selections.map((selection) => {
+      const game = games.find(
+        (g) => g._id.toString() === selection.gameId.toString()
+      );
+      const selectionOdds = getSelectionOdds(game, selection);
+      if (!selectionOdds) {
+        throw new Error(
+          `Odds for ${describeSelection(selection)} in game ${
+            game.homeTeam
+          } vs ${game.awayTeam} are not available.`
+        );
+      }
+      return {
+        game: game._id,
+        market: selection.market || MARKETS.MATCH_RESULT,
+        line: selection.line ?? null,
+        outcome: selection.outcome,
+        odds: selectionOdds,
+      };
+    });
+
+    assertOddsAcceptable(
+      selections.map((selection, i) => ({
+        ...selection,
+        requestedOdds: selection.odds,
+        currentOdds: finalSelections[i].odds,
+      })),
+      resolveOddsChangePolicy(user, oddsChangePolicy)
+    );
+
+    let lines = buildSystemLines(
+      finalSelections,
+      systemType,
+      stakePerLine,
+      folds
+    );
+    const requestedStake = stakePerLine * lines.length;
+    const allowedStake = await enforceTradingLimits(
+      {
+        selections: finalSelections.map((selection) => ({
+          ...selection,
+          game: games.find((g) => g._id.equals(selection.game)),
+        })),
+        stake: requestedStake,
+        potentialPayout: lines.reduce(
+          (sum, line) => sum + line.stake * line.totalOdds,
+          0
+        ),
+        acceptMaxStake,
+      },
+      session
+    );
+    if (allowedStake < requestedStake) {
+      stakePerLine = Math.floor((allowedStake / lines.length) * 100) / 100;
+      if (stakePerLine <= 0) {
+        throw new Error("This system bet exceeds the trading limits.");
+      }
+      lines = lines.map((line) => ({ ...line, stake: stakePerLine }));
+    }
+
+    const stake = parseFloat((stakePerLine * lines.length).toFixed(2));
+    checkBettingLimits(user, stake);
+    await checkForLossChasing(user, stake);
+    if (user.walletBalance < stake) throw new Error("Insufficient funds.");
+
+    if (user.limits.weeklyBetCount.limit > 0)
+      user.limits.weeklyBetCount.currentCount += 1;
+    if (user.limits.weeklyStakeAmount.limit > 0)
+      user.limits.weeklyStakeAmount.currentAmount += stake;
+
+    const bet = new Bet({
+      user: userId,
+      betType: "system",
+      systemType,
+      stake,
+      stakePerLine,
+      totalOdds: parseFloat(
+        lines.reduce((sum, line) => sum + line.totalOdds, 0).toFixed(2)
+      ),
+      selections: finalSelections,
+      lines,
+    });
+    await bet.save({ session });
+
+    await placeStake(
+      user,
+      stake,
+      {
+        bet,
+        description: `System bet (${systemType}) with ${lines.length} lines.`,
+      },
+      session
+    );
+    await linkWagering(user, [bet], session);
+
+    await session.commitTransaction();
+    return { bet, walletBalance: user.walletBalance };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Places one single bet per selection, all or none, in one transaction. Each single
+ * is checked against the trading limits on its own, so the stakes can end up different.
+ * @param {string} userId - The ID of the user placing the bets.
+ * @param {Array<object>} selections - { gameId, market, line, outcome, odds }, where
+ * odds is the price the client displayed.
+ * @param {number} stakePerBet - The stake on each single.
+ * @param {object} [options] - { oddsChangePolicy, acceptMaxStake, tailedFrom }, as
+ * for placeMultiBet.
+ * @returns {Promise<object>} An object containing the new bets and the user's updated wallet balance.
+ */
+const placeMultipleSingles = async (
+  userId,
+  selections,
+  stakePerBet,
+  { oddsChangePolicy, acceptMaxStake, tailedFrom } = {}
+) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const user = await User.findById(userId).session(session);
+    if (!user) throw new Error("User not found.");
+
+    const gameIds = selections.map((s) => s.gameId);
+    const games = await Game.find({
+      _id: { $in: gameIds },
+      status: "upcoming",
+    }).session(session);
+    const uniqueGameIds = new Set(gameIds.map(String));
+    if (games.length !== uniqueGameIds.size) {
+      throw new Error(
+        "One or more selected games are not available for betting."
+      );
+    }
+
+    const bets = [];
+    for (const selection of selections) {
+      const game = games.find(
+        (g) => g._id.toString() === selection.gameId.toString()
+      );
+      if (!game) throw new Error(`Game with ID ${selection.gameId} not found.`);
+
+      const selectedOdd = getSelectionOdds(game, selection);
+      if (!selectedOdd)
+        throw new Error(
+          `Odds for ${describeSelection(selection)} in game ${
+            game.homeTeam
+          } vs ${game.awayTeam} are not available.`
+        );
+
+      const stake = await enforceTradingLimits(
+        {
+          selections: [{ ...selection, game }],
+          stake: stakePerBet,
+          potentialPayout: stakePerBet * selectedOdd,
+          acceptMaxStake,
+        },
+        session
+      );
+
+      const bet = new Bet({
+        user: userId,
+        betType: "single",
+        stake,
+        totalOdds: selectedOdd,
+        selections: [
+          {
+            game: game._id,
+            market: selection.market || MARKETS.MATCH_RESULT,
+            line: selection.line ?? null,
+            outcome: selection.outcome,
+            odds: selectedOdd,
+          },
+        ],
+        tailedFrom,
+      });
+      bets.push(bet);
+    }
+
+    assertOddsAcceptable(
+      selections.map((selection, i) => ({
+        ...selection,
+        requestedOdds: selection.odds,
+        currentOdds: bets[i].totalOdds,
+      })),
+      resolveOddsChangePolicy(user, oddsChangePolicy)
+    );
+
+    const totalStake = bets.reduce((sum, bet) => sum + bet.stake, 0);
+    if (user.walletBalance < totalStake)
+      throw new Error("Insufficient funds for the total stake.");
+
+    await Bet.insertMany(bets, { session });
+
+    for (const bet of bets) {
+      const game = games.find((g) => g._id.equals(bet.selections[0].game));
+      await placeStake(
+        user,
+        bet.stake,
+        {
+          bet,
+          game,
+          description: `Bet on ${game.homeTeam} vs ${game.awayTeam}`,
+        },
+        session
+      );
+    }
+    await linkWagering(user, bets, session);
+
+    await session.commitTransaction();
+    return { bets, walletBalance: user.walletBalance };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
 };
 
 module.exports = {
+  assertOddsAcceptable,
+  resolveOddsChangePolicy,
   checkBettingLimits,
   checkForLossChasing,
   placeSingleBetTransaction,
   placeSingleBet,
+  placeBetBuilder,
+  placeMultiBet,
+  placeSystemBet,
+  placeMultipleSingles,
 };
\ No newline at end of file
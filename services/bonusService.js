@@ -0,0 +1,375 @@
+// In: services/bonusService.js
+
+const mongoose = require("mongoose");
+const BonusGrant = require("../models/BonusGrant");
+const Promo = require("../models/Promo");
+const User = require("../models/User");
+const Bet = require("../models/Bet");
+const {
+  creditBonus,
+  convertBonus,
+  forfeitBonus,
+  roundMoney,
+} = require("./ledgerService");
+const { httpError } = require("../utils/httpError");
+
+const findActiveGrant = (userId, session) =>
+  BonusGrant.findOne({ user: userId, status: "active" }).session(
+    session || null
+  );
+
+const hasPendingBonusBets = async (grant, session) =>
+  Boolean(
+    await Bet.exists({
+      bonusGrant: grant._id,
+      stakeSource: "bonus",
+      status: "pending",
+    }).session(session || null)
+  );
+
+/**
+ * Credits a bonus to the user and opens its wagering requirement. A user can hold
+ * one active bonus at a time.
+ * @param {object} user - The Mongoose user document (loaded in the same session).
+ * @param {object} bonus - { amount, multiplier, minOdds, expiryDays, promo, description }.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object>} The new BonusGrant.
+ */
+const grantBonus = async (
+  user,
+  { amount, multiplier, minOdds, expiryDays, promo = null, description },
+  session
+) => {
+  if (await findActiveGrant(user._id, session)) {
+    throw httpError(
+      "You already have an active bonus. Finish or forfeit it before claiming another.",
+      409
+    );
+  }
+
+  const grant = new BonusGrant({
+    user: user._id,
+    promo,
+    amount,
+    wageringRequired: roundMoney(amount * multiplier),
+    minOdds,
+    expiresAt: new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000),
+  });
+  await grant.save({ session });
+  await creditBonus(
+    user,
+    amount,
+    { description, source: grant, sourceModel: "BonusGrant" },
+    session
+  );
+  return grant;
+};
+
+/**
+ * Claims a 'Bonus' promotion for the user.
+ * @param {string} userId - The user claiming the promotion.
+ * @param {string} promoId - The Promo's ID.
+ * @returns {Promise<object>} { grant, bonusBalance }.
+ */
+const claimBonus = async (userId, promoId) => {
+  const promo = await Promo.findById(promoId);
+  if (
+    !promo ||
+    !promo.isActive ||
+    (promo.expiresAt && promo.expiresAt <= new Date())
+  ) {
+    throw httpError("This promotion is not available.", 404);
+  }
+  if (promo.promoType !== "Bonus" || !(promo.bonusAmount > 0)) {
+    throw httpError("This promotion does not carry a bonus to claim.", 400);
+  }
+  if (await BonusGrant.exists({ user: userId, promo: promo._id })) {
+    throw httpError("You have already claimed this promotion.", 409);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const user = await User.findById(userId).session(session);
+    if (!user) throw httpError("User not found.", 404);
+
+    const grant = await grantBonus(
+      user,
+      {
+        amount: promo.bonusAmount,
+        multiplier: promo.wagering.multiplier,
+        minOdds: promo.wagering.minOdds,
+        expiryDays: promo.wagering.expiryDays,
+        promo: promo._id,
+        description: `Bonus: ${promo.title}`,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+    return { grant, bonusBalance: user.bonusBalance };
+  } catch (error) {
+    await session.abortTransaction();
+    // The unique index settles two claims racing each other.
+    if (error.code === 11000) {
+      throw httpError("You have already claimed this promotion.", 409);
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Checks that a stake can come out of the user's bonus balance.
+ * @param {object} user - The Mongoose user document.
+ * @param {number} stake - The stake to fund from the bonus balance.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object>} The active BonusGrant the stake belongs to.
+ */
+const assertBonusStake = async (user, stake, session) => {
+  const grant = await findActiveGrant(user._id, session);
+  if (!grant || grant.expiresAt <= new Date()) {
+    throw httpError("You have no active bonus to bet with.", 400);
+  }
+  if ((user.bonusBalance || 0) < stake) {
+    throw httpError("Insufficient bonus funds.", 400);
+  }
+  return grant;
+};
+
+/**
+ * The odds a bet is measured by for wagering. A system bet counts at its
+ * shortest line, so cheap lines cannot ride on a long one.
+ */
+const qualifyingOdds = (bet) =>
+  bet.betType === "system" && bet.lines && bet.lines.length
+    ? Math.min(...bet.lines.map((line) => line.totalOdds))
+    : bet.totalOdds;
+
+/**
+ * Links newly placed bets to the user's active bonus. Bets at or above the bonus's
+ * minimum odds, whether staked from cash or bonus funds, will count towards its
+ * wagering requirement once they settle.
+ * @param {object} user - The Mongoose user document (loaded in the same session).
+ * @param {Array<object>} bets - The bets just placed.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object|null>} The active BonusGrant, or null without one.
+ */
+const linkWagering = async (user, bets, session) => {
+  const grant = await findActiveGrant(user._id, session);
+  if (!grant || grant.expiresAt <= new Date()) return null;
+
+  // Free bets are staked with the house's money, so they do not count.
+  const qualifying = bets.filter(
+    (bet) =>
+      bet.stakeSource !== "free_bet" && qualifyingOdds(bet) >= grant.minOdds
+  );
+  if (qualifying.length > 0) {
+    await Bet.updateMany(
+      { _id: { $in: qualifying.map((bet) => bet._id) } },
+      { $set: { bonusGrant: grant._id } },
+      { session }
+    );
+  }
+  return grant;
+};
+
+/**
+ * The stake a settled bet adds to the turnover. Only stakes that were won or lost
+ * count: a system bet's void lines were refunded.
+ */
+const settledStake = (bet) =>
+  bet.betType === "system" && bet.lines && bet.lines.length
+    ? roundMoney(
+        bet.lines
+          .filter((line) => ["won", "lost"].includes(line.status))
+          .reduce((sum, line) => sum + line.stake, 0)
+      )
+    : bet.stake;
+
+/**
+ * Counts a bet that has just settled as won or lost towards the bonus it was
+ * linked to at placement. Refunded and cashed-out bets never get here, so only
+ * stakes actually risked on a result count, and each bet counts once. When the
+ * requirement is met, the whole bonus balance becomes cash and the bonus's open
+ * bets are settled to cash from then on.
+ * @param {object} user - The Mongoose user document (loaded in the same session).
+ * @param {object} bet - The bet just settled.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object|null>} The updated BonusGrant, or null if the bet did not count.
+ */
+const recordWagering = async (user, bet, session) => {
+  if (!bet.bonusGrant || bet.wageringCounted) return null;
+  if (!["won", "lost"].includes(bet.status)) return null;
+
+  const grant = await findActiveGrant(user._id, session);
+  if (
+    !grant ||
+    !grant._id.equals(bet.bonusGrant) ||
+    grant.expiresAt <= new Date() ||
+    qualifyingOdds(bet) < grant.minOdds
+  ) {
+    return null;
+  }
+
+  grant.wageredAmount = roundMoney(grant.wageredAmount + settledStake(bet));
+  bet.wageringCounted = true;
+  await Bet.updateOne(
+    { _id: bet._id },
+    { $set: { wageringCounted: true } },
+    { session }
+  );
+
+  if (grant.wageredAmount >= grant.wageringRequired) {
+    const amount = roundMoney(user.bonusBalance || 0);
+    if (amount > 0) {
+      await convertBonus(
+        user,
+        amount,
+        {
+          description: "Bonus wagering complete",
+          source: grant,
+          sourceModel: "BonusGrant",
+        },
+        session
+      );
+    }
+    await Bet.updateMany(
+      { user: user._id, stakeSource: "bonus", status: "pending" },
+      { $set: { stakeSource: "cash" } },
+      { session }
+    );
+    grant.status = "completed";
+    grant.convertedAmount = amount;
+    grant.closedAt = new Date();
+  }
+  await grant.save({ session });
+  return grant;
+};
+
+const assertNoPendingBonusBets = async (grant, session) => {
+  if (await hasPendingBonusBets(grant, session)) {
+    throw httpError(
+      "You have open bets staked with bonus funds. Wait for them to settle first.",
+      409
+    );
+  }
+};
+
+/**
+ * Gives up the user's active bonus: the bonus balance goes back to the house.
+ * Not possible while bets staked from the bonus are still open.
+ * @param {object} user - The Mongoose user document (loaded in the same session).
+ * @param {string} status - 'forfeited' or 'expired'.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object|null>} The closed BonusGrant, or null without one.
+ */
+const closeActiveBonus = async (user, status, session) => {
+  const grant = await findActiveGrant(user._id, session);
+  if (!grant) return null;
+  await assertNoPendingBonusBets(grant, session);
+
+  const amount = roundMoney(user.bonusBalance || 0);
+  if (amount > 0) {
+    await forfeitBonus(
+      user,
+      amount,
+      {
+        description: status === "expired" ? "Bonus expired" : "Bonus forfeited",
+        source: grant,
+        sourceModel: "BonusGrant",
+      },
+      session
+    );
+  }
+  grant.status = status;
+  grant.forfeitedAmount = amount;
+  grant.closedAt = new Date();
+  await grant.save({ session });
+  return grant;
+};
+
+/**
+ * Checks the user's active bonus can be forfeited, as approving a withdrawal will do.
+ * @param {string} userId - The user asking to withdraw.
+ * @throws {Error} 409 while bets staked from the bonus are still open.
+ */
+const assertBonusForfeitable = async (userId) => {
+  const grant = await findActiveGrant(userId);
+  if (grant) await assertNoPendingBonusBets(grant);
+};
+
+/**
+ * Forfeits the user's active bonus because a withdrawal of theirs was approved.
+ * @param {object} user - The Mongoose user document (loaded in the same session).
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object|null>} The forfeited BonusGrant, or null without one.
+ */
+const forfeitActiveBonus = (user, session) =>
+  closeActiveBonus(user, "forfeited", session);
+
+/**
+ * Expires bonuses past their deadline. A bonus with open bonus-funded bets waits
+ * until they settle. Run from cron.
+ * @returns {Promise<number>} How many bonuses were expired.
+ */
+const expireBonuses = async () => {
+  const due = await BonusGrant.find({
+    status: "active",
+    expiresAt: { $lte: new Date() },
+  });
+
+  let expired = 0;
+  for (const grant of due) {
+    if (await hasPendingBonusBets(grant)) continue;
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const user = await User.findById(grant.user).session(session);
+      await closeActiveBonus(user, "expired", session);
+      await session.commitTransaction();
+      expired++;
+    } catch (error) {
+      await session.abortTransaction();
+      console.error(
+        `[Bonus] Failed to expire bonus ${grant._id}:`,
+        error.message
+      );
+    } finally {
+      session.endSession();
+    }
+  }
+  return expired;
+};
+
+/**
+ * The user's bonus balance and the progress of their active bonus.
+ * @param {string} userId - The user.
+ * @returns {Promise<object|null>} The active bonus, or null without one.
+ */
+const getActiveBonus = async (userId) => {
+  const grant = await BonusGrant.findOne({ user: userId, status: "active" })
+    .populate("promo", "title")
+    .lean();
+  if (!grant) return null;
+  return {
+    ...grant,
+    remainingWagering: roundMoney(
+      Math.max(grant.wageringRequired - grant.wageredAmount, 0)
+    ),
+  };
+};
+
+module.exports = {
+  grantBonus,
+  claimBonus,
+  assertBonusStake,
+  qualifyingOdds,
+  linkWagering,
+  recordWagering,
+  assertBonusForfeitable,
+  forfeitActiveBonus,
+  expireBonuses,
+  getActiveBonus,
+};
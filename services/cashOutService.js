@@ -0,0 +1,391 @@
+// In: services/cashOutService.js
+
+const mongoose = require("mongoose");
+const Bet = require("../models/Bet");
+const Game = require("../models/Game");
+const User = require("../models/User");
+const CashOutQuote = require("../models/CashOutQuote");
+const Notification = require("../models/Notification");
+const { payWinnings, roundMoney } = require("./ledgerService");
+const {
+  MARKETS,
+  getSelectionOdds,
+  settleSelection,
+} = require("./marketService");
+const config = require("../config/env");
+const { httpError } = require("../utils/httpError");
+
+const MAX_ACTIVE_RULES_PER_BET = 5;
+
+/**
+ * Values a pending bet from the current odds. Legs that have already won count at
+ * their full odds, void legs drop out, and every open leg is discounted by the
+ * chance the current odds give it of winning. The house margin comes off the top.
+ * Only the 1X2 odds follow the score once a game kicks off, so a bet with a leg on
+ * any other market of a started game cannot be priced.
+ * @param {object} bet - The pending bet.
+ * @param {number} [margin] - The share of the fair value the house keeps.
+ * @returns {Promise<object>} { fairValue, amount }.
+ * @throws {Error} 400 if the bet cannot be cashed out right now.
+ */
+const priceBet = async (bet, margin = config.CASH_OUT_MARGIN) => {
+  if (bet.status !== "pending") {
+    throw httpError("This bet is not available for cash out.", 400);
+  }
+  if (bet.betType === "system") {
+    throw httpError("Cash out is not available for system bets.", 400);
+  }
+  if (bet.stakeSource === "free_bet") {
+    throw httpError("Cash out is not available for free bets.", 400);
+  }
+  // Bet builder legs are priced together, so per-leg odds cannot value them.
+  if (bet.betType === "bet_builder") {
+    throw httpError("Cash out is not available for bet builders.", 400);
+  }
+
+  const games = await Game.find({
+    _id: { $in: bet.selections.map((s) => s.game) },
+  });
+
+  let potentialReturn = bet.stake;
+  let chanceOfWinning = 1;
+  let openLegs = 0;
+
+  for (const selection of bet.selections) {
+    const game = games.find((g) => g._id.equals(selection.game));
+    if (!game) throw httpError("A game on this bet no longer exists.", 400);
+
+    let status = selection.status;
+    if (status === "pending" && game.status === "cancelled") status = "void";
+    if (status === "pending" && game.status === "finished") {
+      status = settleSelection(selection, game);
+      if (!status) {
+        throw httpError(
+          "Cash out is unavailable while a result on this bet is being confirmed.",
+          400
+        );
+      }
+    }
+
+    if (status === "void") continue;
+    if (status === "lost") {
+      throw httpError("A selection on this bet has already lost.", 400);
+    }
+    potentialReturn *= selection.odds;
+    if (status === "won") continue;
+
+    const priceable =
+      selection.market === MARKETS.MATCH_RESULT || game.status === "upcoming";
+    const currentOdds = priceable && getSelectionOdds(game, selection);
+    if (!currentOdds) {
+      throw httpError(
+        `Cash out is suspended for ${game.homeTeam} vs ${game.awayTeam}.`,
+        400
+      );
+    }
+    chanceOfWinning /= currentOdds;
+    openLegs += 1;
+  }
+
+  if (openLegs === 0) {
+    throw httpError("This bet is about to be settled.", 400);
+  }
+
+  const fairValue = roundMoney(potentialReturn * chanceOfWinning);
+  const amount = roundMoney(fairValue * (1 - margin));
+  if (amount <= 0) {
+    throw httpError("Cash out value is not high enough at this time.", 400);
+  }
+  return { fairValue, amount };
+};
+
+/**
+ * Prices a bet and stores the price as a quote the user can accept for a few seconds.
+ * @param {string} userId - The bet's owner.
+ * @param {string} betId - The bet to quote.
+ * @returns {Promise<object>} The CashOutQuote document.
+ */
+const createQuote = async (userId, betId) => {
+  const bet = await Bet.findOne({ _id: betId, user: userId });
+  if (!bet) throw httpError("Bet not found.", 404);
+
+  const margin = config.CASH_OUT_MARGIN;
+  const { fairValue, amount } = await priceBet(bet, margin);
+
+  return CashOutQuote.create({
+    bet: bet._id,
+    user: userId,
+    stake: bet.stake,
+    amount,
+    fairValue,
+    margin,
+    expiresAt: new Date(Date.now() + config.CASH_OUT_QUOTE_TTL_SECONDS * 1000),
+  });
+};
+
+/**
+ * Cashes a bet out at a quoted price. The quote is claimed with a conditional update,
+ * so it can only be used once and only before it expires; the bet must still be
+ * pending with the stake it was quoted on. Passing an amount below the quote cashes
+ * out that share of the bet and leaves the rest running.
+ * @param {string} userId - The bet's owner.
+ * @param {string} betId - The bet being cashed out.
+ * @param {string} quoteId - The quote to honour.
+ * @param {number} [partialAmount] - How much to cash out, if not the whole bet.
+ * @param {object} [options]
+ * @param {string} [options.ruleId] - The auto cash-out rule being executed, marked
+ * triggered in the same transaction so it can only fire once.
+ * @returns {Promise<object>} { bet, payout, partial, walletBalance }.
+ */
+const acceptQuote = async (
+  userId,
+  betId,
+  quoteId,
+  partialAmount,
+  { ruleId } = {}
+) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const quote = await CashOutQuote.findOneAndUpdate(
+      {
+        _id: quoteId,
+        bet: betId,
+        user: userId,
+        status: "open",
+        expiresAt: { $gt: new Date() },
+      },
+      { $set: { status: "accepted" } },
+      { new: true, session }
+    );
+    if (!quote) {
+      throw httpError(
+        "This cash out quote has expired or was already used. Please request a new one.",
+        409
+      );
+    }
+
+    const bet = await Bet.findOne({
+      _id: betId,
+      user: userId,
+      status: "pending",
+      stake: quote.stake,
+    }).session(session);
+    if (!bet) {
+      throw httpError("This bet has changed since it was quoted.", 409);
+    }
+
+    const user = await User.findById(userId).session(session);
+    const partial = Boolean(partialAmount);
+    let payout;
+
+    if (partial) {
+      if (partialAmount >= quote.amount) {
+        throw httpError(
+          "Partial cash out amount must be less than the full cash out value.",
+          400
+        );
+      }
+      payout = roundMoney(partialAmount);
+      const cashedOutStake = roundMoney(bet.stake * (payout / quote.amount));
+
+      await payWinnings(
+        user,
+        {
+          stake: cashedOutStake,
+          payout,
+          bet,
+          description: `Partial cash out for bet`,
+        },
+        session
+      );
+
+      bet.stake = roundMoney(bet.stake - cashedOutStake);
+      bet.payout = roundMoney(bet.stake * bet.totalOdds);
+    } else {
+      payout = quote.amount;
+      await payWinnings(
+        user,
+        { stake: bet.stake, payout, bet, description: `Cashed out bet` },
+        session
+      );
+
+      bet.status = "won";
+      bet.payout = payout;
+      bet.cashedOutAt = new Date();
+    }
+
+    if (ruleId) {
+      const rule = bet.cashOutRules.id(ruleId);
+      if (!rule || rule.status !== "active") {
+        throw httpError("This auto cash out rule is no longer active.", 409);
+      }
+      rule.status = "triggered";
+      rule.triggeredAt = new Date();
+      rule.payout = payout;
+    }
+    if (!partial) {
+      // Nothing is left on the bet for the other rules to cash out.
+      bet.cashOutRules
+        .filter((r) => r.status === "active")
+        .forEach((r) => {
+          r.status = "cancelled";
+        });
+    }
+
+    await bet.save({ session });
+    quote.acceptedAmount = payout;
+    await quote.save({ session });
+    await session.commitTransaction();
+
+    return { bet, payout, partial, walletBalance: user.walletBalance };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Attaches an auto cash-out rule to a pending bet.
+ * @param {string} userId - The bet's owner.
+ * @param {string} betId - The bet.
+ * @param {object} rule - { type: 'full'|'partial', threshold, percentage }.
+ * @returns {Promise<object>} The updated bet.
+ */
+const addCashOutRule = async (
+  userId,
+  betId,
+  { type, threshold, percentage }
+) => {
+  const bet = await Bet.findOne({ _id: betId, user: userId });
+  if (!bet) throw httpError("Bet not found.", 404);
+  if (
+    bet.status !== "pending" ||
+    ["system", "bet_builder"].includes(bet.betType) ||
+    bet.stakeSource === "free_bet"
+  ) {
+    throw httpError("Auto cash out is not available for this bet.", 400);
+  }
+  const activeRules = bet.cashOutRules.filter((r) => r.status === "active");
+  if (activeRules.length >= MAX_ACTIVE_RULES_PER_BET) {
+    throw httpError(
+      `A bet can have at most ${MAX_ACTIVE_RULES_PER_BET} active auto cash out rules.`,
+      400
+    );
+  }
+
+  bet.cashOutRules.push({
+    type,
+    threshold,
+    percentage: type === "partial" ? percentage : null,
+  });
+  await bet.save();
+  return bet;
+};
+
+/**
+ * Cancels an active auto cash-out rule.
+ * @returns {Promise<object>} The updated bet.
+ */
+const cancelCashOutRule = async (userId, betId, ruleId) => {
+  const bet = await Bet.findOneAndUpdate(
+    {
+      _id: betId,
+      user: userId,
+      cashOutRules: { $elemMatch: { _id: ruleId, status: "active" } },
+    },
+    { $set: { "cashOutRules.$.status": "cancelled" } },
+    { new: true }
+  );
+  if (!bet) throw httpError("Active auto cash out rule not found.", 404);
+  return bet;
+};
+
+/**
+ * Runs the auto cash-out rules of every pending bet on the given games. Each bet is
+ * priced once; the rule with the highest threshold that the price meets is executed
+ * through the same quote-and-accept path as a manual cash-out. A partial rule takes
+ * its percentage of the value and leaves the rest of the bet running, so a bet
+ * fires at most one rule per evaluation and is priced afresh on the next. Bets
+ * priceBet refuses, such as those with an over/under or other non-1X2 leg on a game
+ * in play, are skipped until they can be priced again.
+ * @param {Array<string>} gameIds - Games whose odds or results just changed.
+ * @param {object} io - The Socket.IO server instance.
+ * @returns {Promise<number>} How many rules were executed.
+ */
+const evaluateAutoCashOutRules = async (gameIds, io) => {
+  if (!gameIds.length) return 0;
+
+  const bets = await Bet.find({
+    "selections.game": { $in: gameIds },
+    status: "pending",
+    "cashOutRules.status": "active",
+  });
+
+  let executed = 0;
+  for (const bet of bets) {
+    try {
+      const { amount } = await priceBet(bet);
+      const rule = bet.cashOutRules
+        .filter((r) => r.status === "active" && amount >= r.threshold)
+        .sort((a, b) => b.threshold - a.threshold)[0];
+      if (!rule) continue;
+
+      const quote = await createQuote(bet.user, bet._id);
+      const partialAmount =
+        rule.type === "partial"
+          ? roundMoney((quote.amount * rule.percentage) / 100)
+          : undefined;
+      const { payout } = await acceptQuote(
+        bet.user,
+        bet._id,
+        quote._id,
+        partialAmount,
+        { ruleId: rule._id }
+      );
+      executed++;
+
+      const message =
+        rule.type === "partial"
+          ? `Auto cash out: ${
+              rule.percentage
+            }% of your bet was cashed out for $${payout.toFixed(2)}.`
+          : `Auto cash out: your bet was cashed out for $${payout.toFixed(2)}.`;
+      if (io) {
+        io.to(bet.user.toString()).emit("bet_cashed_out", {
+          betId: bet._id,
+          ruleId: rule._id,
+          payout,
+          message,
+        });
+      }
+      await new Notification({
+        user: bet.user,
+        message,
+        type: "bet_cashed_out",
+        link: "/my-bets",
+        bet: bet._id,
+      }).save();
+    } catch (error) {
+      // A bet that cannot be cashed out right now simply waits for the next change.
+      if (error.statusCode !== 400 && error.statusCode !== 409) {
+        console.error(
+          `[Auto Cash Out] Error evaluating rules for bet ${bet._id}:`,
+          error.message
+        );
+      }
+    }
+  }
+  return executed;
+};
+
+module.exports = {
+  priceBet,
+  createQuote,
+  acceptQuote,
+  addCashOutRule,
+  cancelCashOutRule,
+  evaluateAutoCashOutRules,
+};
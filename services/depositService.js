@@ -0,0 +1,298 @@
+// In: services/depositService.js
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Deposit = require("../models/Deposit");
+const User = require("../models/User");
+const config = require("../config/env");
+const { recordDeposit } = require("./ledgerService");
+const { sendEmail } = require("./emailService");
+const {
+  fulfilDepositRedemption,
+  releaseDepositRedemption,
+} = require("./promoCodeService");
+const { createPaymentLink, verifyTransaction } = require("./paymentService");
+
+/**
+ * Creates a pending Deposit for the amount the user intends to pay, then asks
+ * Flutterwave for a payment link that carries the deposit's reference.
+ * @param {object} user - The Mongoose user document.
+ * @param {number} amount - The amount the user intends to deposit.
+ * @param {string} [currency="NGN"] - The deposit currency.
+ * @returns {Promise<object>} The saved Deposit with its payment link.
+ */
+const createDeposit = async (user, amount, currency = "NGN") => {
+  const deposit = await new Deposit({
+    user: user._id,
+    txRef: `BetWise-Deposit-${crypto.randomBytes(12).toString("hex")}`,
+    amount,
+    currency,
+    expiresAt: new Date(Date.now() + config.DEPOSIT_EXPIRY_MINUTES * 60 * 1000),
+  }).save();
+
+  try {
+    const paymentData = await createPaymentLink(
+      amount,
+      user.email,
+      user.fullName,
+      deposit.txRef,
+      currency
+    );
+    deposit.paymentLink = paymentData.link;
+    await deposit.save();
+  } catch (error) {
+    deposit.status = "failed";
+    deposit.failureReason = "The payment link could not be created.";
+    await deposit.save();
+    throw error;
+  }
+
+  return deposit;
+};
+
+/**
+ * The webhook has always accepted both the v3 "event + data" envelope and the
+ * older flat payload. This reads the fields we need from either shape.
+ * @param {object} payload - The raw webhook body.
+ * @returns {object} The transaction reference, Flutterwave reference and status.
+ */
+const normalizeWebhookPayload = (payload = {}) => {
+  const data = payload.data || {};
+  return {
+    txRef: data.tx_ref || payload.txRef || null,
+    flwRef: data.flw_ref || payload.flwRef || null,
+    status: data.status || payload.status || null,
+  };
+};
+
+/**
+ * Marks a still-pending deposit as failed or expired, releasing any promo code held
+ * against it. Does nothing if another process has already moved the deposit out of
+ * 'pending'.
+ */
+const closeDeposit = async (deposit, status, failureReason) => {
+  const closed = await Deposit.findOneAndUpdate(
+    { _id: deposit._id, status: "pending" },
+    { $set: { status, failureReason, completedAt: new Date() } },
+    { new: true }
+  );
+  if (closed) {
+    await releaseDepositRedemption(closed, `The deposit ${status}.`);
+  }
+  return closed;
+};
+
+/**
+ * Sends the deposit confirmation email. Failures are logged, never thrown,
+ * because the money has already been credited.
+ */
+const sendDepositEmail = async (user, deposit) => {
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: "Deposit Successful",
+      html: `<p>Hi ${user.firstName},</p><p>Your deposit of ${
+        deposit.currency
+      } ${deposit.amount.toFixed(
+        2
+      )} was successful. Your new wallet balance is $${user.walletBalance.toFixed(
+        2
+      )}.</p>`,
+    });
+  } catch (emailError) {
+    console.error(`Failed to send deposit email to ${user.email}:`, emailError);
+  }
+};
+
+/**
+ * Re-verifies a pending deposit with Flutterwave and credits the wallet exactly once
+ * if the payment succeeded for the amount and currency the user originally asked for.
+ * @param {object} deposit - The pending Deposit document.
+ * @returns {Promise<object>} The outcome ('credited', 'failed', 'pending' or 'duplicate') and the deposit.
+ */
+const confirmDeposit = async (deposit) => {
+  if (deposit.status !== "pending") {
+    return { outcome: "duplicate", deposit };
+  }
+
+  const verified = await verifyTransaction(deposit.txRef);
+  if (
+    !verified ||
+    !["successful", "failed", "cancelled"].includes(verified.status)
+  ) {
+    return { outcome: "pending", deposit };
+  }
+
+  if (verified.status !== "successful") {
+    const closed = await closeDeposit(
+      deposit,
+      "failed",
+      `Payment ${verified.status} at Flutterwave.`
+    );
+    return {
+      outcome: closed ? "failed" : "duplicate",
+      deposit: closed || deposit,
+    };
+  }
+
+  const verifiedAmount = Number(verified.amount);
+  const verifiedCurrency = (verified.currency || "").toUpperCase();
+  if (
+    Math.round(verifiedAmount * 100) !== Math.round(deposit.amount * 100) ||
+    verifiedCurrency !== deposit.currency
+  ) {
+    const closed = await closeDeposit(
+      deposit,
+      "failed",
+      `Verified payment of ${verifiedCurrency} ${verifiedAmount} does not match the intended ${deposit.currency} ${deposit.amount}.`
+    );
+    console.warn(
+      `[Deposits] Amount/currency mismatch for ${deposit.txRef}. Not credited.`
+    );
+    return {
+      outcome: closed ? "failed" : "duplicate",
+      deposit: closed || deposit,
+    };
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    // Claiming the deposit with a conditional update is what makes replays safe:
+    // only one caller can move it from 'pending' to 'successful'.
+    const update = {
+      status: "successful",
+      providerTransactionId: verified.id ? String(verified.id) : null,
+      completedAt: new Date(),
+    };
+    // flwRef is a sparse unique index, so it must be left unset rather than null.
+    if (verified.flw_ref) update.flwRef = verified.flw_ref;
+
+    const claimed = await Deposit.findOneAndUpdate(
+      { _id: deposit._id, status: "pending" },
+      { $set: update },
+      { new: true, session }
+    );
+
+    if (!claimed) {
+      await session.abortTransaction();
+      return { outcome: "duplicate", deposit };
+    }
+
+    const user = await User.findById(claimed.user).session(session);
+    if (!user) {
+      throw new Error(`User with ID ${claimed.user} not found for deposit.`);
+    }
+
+    await recordDeposit(
+      user,
+      claimed.amount,
+      {
+        source: claimed,
+        sourceModel: "Deposit",
+        description: `Wallet top-up via Flutterwave. Ref: ${
+          claimed.flwRef || claimed.txRef
+        }`,
+      },
+      session
+    );
+    await fulfilDepositRedemption(claimed, user, session);
+
+    await session.commitTransaction();
+
+    await sendDepositEmail(user, claimed);
+    return { outcome: "credited", deposit: claimed };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Handles a (signature-verified) Flutterwave webhook. The payload is only used to
+ * find the deposit; whether and how much to credit is decided by confirmDeposit.
+ * @param {object} payload - The raw webhook body.
+ * @returns {Promise<object>} The outcome of processing the webhook.
+ */
+const handleWebhookEvent = async (payload) => {
+  const { txRef, flwRef } = normalizeWebhookPayload(payload);
+  if (!txRef) {
+    return { outcome: "ignored", reason: "The webhook has no tx_ref." };
+  }
+
+  const deposit = await Deposit.findOneAndUpdate(
+    { txRef },
+    { $inc: { webhookCount: 1 } },
+    { new: true }
+  );
+  if (!deposit) {
+    return { outcome: "ignored", reason: `No deposit found for ${txRef}.` };
+  }
+  if (deposit.status !== "pending") {
+    return { outcome: "duplicate", deposit };
+  }
+
+  if (flwRef) {
+    const alreadyUsed = await Deposit.exists({
+      flwRef,
+      _id: { $ne: deposit._id },
+    });
+    if (alreadyUsed) {
+      return {
+        outcome: "duplicate",
+        deposit,
+        reason: `Flutterwave reference ${flwRef} was already used.`,
+      };
+    }
+  }
+
+  return confirmDeposit(deposit);
+};
+
+/**
+ * Closes out deposits that have been pending past their expiry. Each one is checked
+ * with Flutterwave first so a late payment is still credited rather than lost.
+ * This function is designed to be called by a cron job.
+ */
+const expireStaleDeposits = async () => {
+  const staleDeposits = await Deposit.find({
+    status: "pending",
+    expiresAt: { $lt: new Date() },
+  });
+
+  let expiredCount = 0;
+  for (const deposit of staleDeposits) {
+    try {
+      const { outcome } = await confirmDeposit(deposit);
+      if (outcome === "pending") {
+        const closed = await closeDeposit(
+          deposit,
+          "expired",
+          "No completed payment was received before the deposit expired."
+        );
+        if (closed) expiredCount++;
+      }
+    } catch (error) {
+      console.error(
+        `[Deposits] Could not check stale deposit ${deposit.txRef}:`,
+        error.message
+      );
+    }
+  }
+
+  if (staleDeposits.length > 0) {
+    console.log(
+      `[Deposits] Checked ${staleDeposits.length} stale deposits, expired ${expiredCount}.`
+    );
+  }
+};
+
+module.exports = {
+  createDeposit,
+  normalizeWebhookPayload,
+  confirmDeposit,
+  handleWebhookEvent,
+  expireStaleDeposits,
+};
@@ -0,0 +1,186 @@
+// In: services/freeBetService.js
+
+const FreeBetToken = require("../models/FreeBetToken");
+const Promo = require("../models/Promo");
+const { httpError } = require("../utils/httpError");
+
+/**
+ * Issues a free bet token to a user.
+ * @param {string} userId - The user receiving the token.
+ * @param {object} freeBet - { amount, minOdds, eligibleLeagues, expiryDays, promo }.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object>} The new FreeBetToken.
+ */
+const issueFreeBet = (
+  userId,
+  { amount, minOdds = 1, eligibleLeagues = [], expiryDays, promo = null },
+  session
+) =>
+  new FreeBetToken({
+    user: userId,
+    promo,
+    amount,
+    minOdds,
+    eligibleLeagues,
+    expiresAt: new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000),
+  }).save({ session });
+
+/**
+ * Claims a 'FreeBet' promotion, issuing its token to the user.
+ * @param {string} userId - The user claiming the promotion.
+ * @param {string} promoId - The Promo's ID.
+ * @returns {Promise<object>} The new FreeBetToken.
+ */
+const claimFreeBet = async (userId, promoId) => {
+  const promo = await Promo.findById(promoId);
+  if (
+    !promo ||
+    !promo.isActive ||
+    (promo.expiresAt && promo.expiresAt <= new Date())
+  ) {
+    throw httpError("This promotion is not available.", 404);
+  }
+  if (promo.promoType !== "FreeBet" || !(promo.freeBet.amount > 0)) {
+    throw httpError("This promotion does not carry a free bet to claim.", 400);
+  }
+
+  try {
+    return await issueFreeBet(userId, {
+      amount: promo.freeBet.amount,
+      minOdds: promo.freeBet.minOdds,
+      eligibleLeagues: promo.freeBet.eligibleLeagues,
+      expiryDays: promo.freeBet.expiryDays,
+      promo: promo._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError("You have already claimed this promotion.", 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Loads one of the user's free bets and checks it can still be used.
+ * @param {string} userId - The token's owner.
+ * @param {string} tokenId - The FreeBetToken's ID.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object>} The FreeBetToken.
+ */
+const getUsableFreeBet = async (userId, tokenId, session) => {
+  const token = await FreeBetToken.findOne({
+    _id: tokenId,
+    user: userId,
+  }).session(session || null);
+  if (!token) throw httpError("Free bet not found.", 404);
+  if (token.status !== "available" || token.expiresAt <= new Date()) {
+    throw httpError("This free bet has already been used or has expired.", 400);
+  }
+  return token;
+};
+
+/**
+ * Uses a free bet as the stake of a new bet. The token's terms are checked against
+ * the bet and it is marked used in the same session as the bet is placed.
+ * @param {object} token - A FreeBetToken from getUsableFreeBet.
+ * @param {object} bet - { stake, odds, leagues }: the stake being placed, the bet's
+ * total odds and the league of every selection.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object>} The used FreeBetToken.
+ */
+const redeemFreeBet = async (token, { stake, odds, leagues }, session) => {
+  if (stake !== token.amount) {
+    throw httpError(
+      `This free bet must be staked in full (${token.amount.toFixed(2)}).`,
+      400
+    );
+  }
+  if (odds < token.minOdds) {
+    throw httpError(
+      `This free bet can only be used at odds of ${token.minOdds} or more.`,
+      400
+    );
+  }
+  if (
+    token.eligibleLeagues.length > 0 &&
+    !leagues.every((league) => token.eligibleLeagues.includes(league))
+  ) {
+    throw httpError(
+      `This free bet can only be used on: ${token.eligibleLeagues.join(", ")}.`,
+      400
+    );
+  }
+
+  token.status = "used";
+  token.usedAt = new Date();
+  return token.save({ session });
+};
+
+/**
+ * Gives a voided free bet's token back to the user, so it can be used again until
+ * it expires.
+ * @param {object} bet - The bet being refunded.
+ * @param {object} [session] - The Mongoose database session.
+ */
+const releaseFreeBet = async (bet, session) => {
+  if (bet.stakeSource !== "free_bet" || !bet.freeBetToken) return;
+  await FreeBetToken.updateOne(
+    { _id: bet.freeBetToken, status: "used" },
+    { $set: { status: "available", usedAt: null } },
+    { session }
+  );
+};
+
+/**
+ * Takes back the token of a free bet whose refund is being reversed.
+ * @param {object} bet - The bet going back into play.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<boolean>} False if the token has been used again since.
+ */
+const reclaimFreeBet = async (bet, session) => {
+  if (bet.stakeSource !== "free_bet" || !bet.freeBetToken) return true;
+  const { modifiedCount } = await FreeBetToken.updateOne(
+    { _id: bet.freeBetToken, status: { $in: ["available", "expired"] } },
+    { $set: { status: "used", usedAt: new Date() } },
+    { session }
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * Lists the user's free bets, newest first.
+ * @param {string} userId - The user.
+ * @param {string} [status] - Only tokens with this status.
+ * @returns {Promise<Array<object>>} The FreeBetTokens.
+ */
+const getFreeBets = (userId, status) => {
+  const filter = { user: userId };
+  if (status) filter.status = status;
+  return FreeBetToken.find(filter)
+    .populate("promo", "title")
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Marks unused free bets past their expiry as expired. Run from cron.
+ * @returns {Promise<number>} How many tokens were expired.
+ */
+const expireFreeBets = async () => {
+  const { modifiedCount } = await FreeBetToken.updateMany(
+    { status: "available", expiresAt: { $lte: new Date() } },
+    { $set: { status: "expired" } }
+  );
+  return modifiedCount;
+};
+
+module.exports = {
+  issueFreeBet,
+  claimFreeBet,
+  getUsableFreeBet,
+  redeemFreeBet,
+  releaseFreeBet,
+  reclaimFreeBet,
+  getFreeBets,
+  expireFreeBets,
+};
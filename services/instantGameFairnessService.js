@@ -0,0 +1,151 @@
+// In: services/instantGameFairnessService.js
+
+const crypto = require("crypto");
+const InstantGameSeed = require("../models/InstantGameSeed");
+const InstantGameBet = require("../models/InstantGameBet");
+const { sha256 } = require("./aviatorFairnessService");
+const { httpError } = require("../utils/httpError");
+
+const randomSeed = (bytes) => crypto.randomBytes(bytes).toString("hex");
+
+/**
+ * A stream of floats in [0, 1) drawn from a bet's seeds. Each HMAC-SHA256 of the
+ * server seed over `${clientSeed}:${nonce}:${cursor}` gives eight floats, four
+ * bytes apiece; the cursor moves on when they run out.
+ * @param {object} seeds - { serverSeed, clientSeed, nonce }.
+ * @returns {Function} Returns the next float on each call.
+ */
+const createRng = ({ serverSeed, clientSeed, nonce }) => {
+  let cursor = 0;
+  let bytes = [];
+  return () => {
+    if (bytes.length < 4) {
+      bytes = [
+        ...crypto
+          .createHmac("sha256", serverSeed)
+          .update(`${clientSeed}:${nonce}:${cursor}`)
+          .digest(),
+      ];
+      cursor += 1;
+    }
+    const [a, b, c, d] = bytes.splice(0, 4);
+    return a / 256 + b / 256 ** 2 + c / 256 ** 3 + d / 256 ** 4;
+  };
+};
+
+const createSeedPair = (userId, clientSeed) => {
+  const serverSeed = randomSeed(32);
+  return new InstantGameSeed({
+    user: userId,
+    serverSeed,
+    serverSeedHash: sha256(serverSeed),
+    clientSeed: clientSeed || randomSeed(8),
+  }).save();
+};
+
+const publicPair = (seed) => ({
+  serverSeedHash: seed.serverSeedHash,
+  clientSeed: seed.clientSeed,
+  nonce: seed.nonce,
+});
+
+/**
+ * The player's seed pair in use, made on first request.
+ * @param {string} userId - The player.
+ * @returns {Promise<object>} { serverSeedHash, clientSeed, nonce }.
+ */
+const getSeedPair = async (userId) => {
+  let seed = await InstantGameSeed.findOne({ user: userId, status: "active" });
+  if (!seed) {
+    try {
+      seed = await createSeedPair(userId);
+    } catch (error) {
+      // Another request made the pair first.
+      if (error.code !== 11000) throw error;
+      seed = await InstantGameSeed.findOne({ user: userId, status: "active" });
+    }
+  }
+  return publicPair(seed);
+};
+
+/**
+ * Takes the next nonce from the player's seed pair for a new bet.
+ * @param {string} userId - The player.
+ * @param {object} session - The Mongoose database session.
+ * @returns {Promise<object>} { seed, serverSeed, clientSeed, nonce }.
+ */
+const takeNonce = async (userId, session) => {
+  await getSeedPair(userId);
+  const seed = await InstantGameSeed.findOneAndUpdate(
+    { user: userId, status: "active" },
+    { $inc: { nonce: 1 } },
+    { new: true, session }
+  ).select("+serverSeed");
+  return {
+    seed,
+    serverSeed: seed.serverSeed,
+    clientSeed: seed.clientSeed,
+    nonce: seed.nonce,
+  };
+};
+
+/**
+ * Reveals the player's server seed and starts a new pair, so bets made with the old
+ * pair can be checked. Not allowed while a round is in play, as the seed would give
+ * its result away.
+ * @param {string} userId - The player.
+ * @param {string} [clientSeed] - The new pair's client seed; random if not given.
+ * @returns {Promise<object>} { previous, current }, previous with its serverSeed.
+ */
+const rotateSeedPair = async (userId, clientSeed) => {
+  const inPlay = await InstantGameBet.exists({
+    user: userId,
+    status: "active",
+  });
+  if (inPlay) {
+    throw httpError(
+      "Finish your instant game in play before changing your seeds.",
+      400
+    );
+  }
+
+  await getSeedPair(userId);
+  const previous = await InstantGameSeed.findOneAndUpdate(
+    { user: userId, status: "active" },
+    { $set: { status: "revealed", revealedAt: new Date() } },
+    { new: true }
+  ).select("+serverSeed");
+  if (!previous) {
+    throw httpError("Your seeds are already being changed.", 409);
+  }
+  const current = await createSeedPair(userId, clientSeed);
+
+  return {
+    previous: { ...publicPair(previous), serverSeed: previous.serverSeed },
+    current: publicPair(current),
+  };
+};
+
+/**
+ * The server seed a settled bet was played with, once its pair has been revealed.
+ * @param {object} bet - The InstantGameBet.
+ * @returns {Promise<string>} The server seed.
+ */
+const revealedServerSeed = async (bet) => {
+  const seed = await InstantGameSeed.findById(bet.seed).select("+serverSeed");
+  if (!seed || seed.status !== "revealed") {
+    throw httpError(
+      "Change your seed pair to reveal the server seed this bet was played with.",
+      400
+    );
+  }
+  return seed.serverSeed;
+};
+
+module.exports = {
+  createRng,
+  getSeedPair,
+  takeNonce,
+  rotateSeedPair,
+  revealedServerSeed,
+};
@@ -0,0 +1,446 @@
+// In: services/instantGameService.js
+
+const { isDeepStrictEqual } = require("util");
+const mongoose = require("mongoose");
+const config = require("../config/env");
+const User = require("../models/User");
+const InstantGameBet = require("../models/InstantGameBet");
+const {
+  roundMoney,
+  placeStake,
+  payWinnings,
+  forfeitStake,
+} = require("./ledgerService");
+const { checkBettingLimits } = require("./bettingService");
+const { sha256 } = require("./aviatorFairnessService");
+const fairness = require("./instantGameFairnessService");
+const { httpError } = require("../utils/httpError");
+
+const games = new Map();
+const namespaces = new Map();
+const engines = new Map();
+
+/**
+ * Adds a game to the instant-game framework. A game is a plain object with:
+ * - key, name, description: how it is listed. The key also names its Socket.IO
+ *   namespace, /instant-games/<key>, unless the game gives its own `namespace`.
+ *
+ * Single-player games are played through placeInstantBet and give:
+ * - validate(params): checks and normalises the player's choices, throwing a 400.
+ * - play({ params, rng }): called as the bet is placed, with rng() returning the
+ *   bet's provably-fair floats. Returns { result, state, outcome }: result is what
+ *   the seeds decided, state the round's progress, and outcome { multiplier }
+ *   settles the round (a multiplier of 0 loses it) or is null to keep it in play.
+ * - act({ params, result, state }, move): optional, for games of several moves.
+ *   Returns { state, outcome } as play does.
+ * - view({ params, state }): optional; what the player sees of a round in play.
+ *
+ * Games that run shared rounds on their own loop (Aviator) give instead:
+ * - createEngine(namespace): the game's engine, with a start() run at boot.
+ *
+ * Any game can give getUserHistory(userId, { status, page, limit }) to replace the
+ * default history of its InstantGameBets.
+ * @param {object} game - The game module.
+ */
+const registerGame = (game) => {
+  if (games.has(game.key)) {
+    throw new Error(`Instant game '${game.key}' is already registered.`);
+  }
+  games.set(game.key, game);
+};
+
+/**
+ * @param {string} key - The game's key.
+ * @returns {object} The registered game module.
+ */
+const getGame = (key) => {
+  const game = games.get(key);
+  if (!game) throw httpError(`There is no instant game called '${key}'.`, 404);
+  return game;
+};
+
+const namespaceFor = (game) => game.namespace || `/instant-games/${game.key}`;
+
+/**
+ * @returns {Array<object>} Every registered game: { key, name, description,
+ * namespace, sharedRounds }.
+ */
+const listGames = () =>
+  [...games.values()].map((game) => ({
+    key: game.key,
+    name: game.name,
+    description: game.description,
+    namespace: namespaceFor(game),
+    sharedRounds: Boolean(game.createEngine),
+  }));
+
+/**
+ * Opens each game's socket namespace and builds the engines of shared-round games.
+ * Run once, when the server is set up.
+ * @param {object} io - The Socket.IO server.
+ */
+const init = (io) => {
+  for (const game of games.values()) {
+    const namespace = io.of(namespaceFor(game));
+    namespaces.set(game.key, namespace);
+    if (game.createEngine) engines.set(game.key, game.createEngine(namespace));
+  }
+};
+
+/**
+ * Starts the engines of shared-round games. Run once the server is listening.
+ */
+const startEngines = () => {
+  for (const engine of engines.values()) engine.start();
+};
+
+/**
+ * @param {string} key - A shared-round game's key.
+ * @returns {object|undefined} The game's engine.
+ */
+const getEngine = (key) => engines.get(key);
+
+/**
+ * Takes the stake for an instant-game bet (Aviator's included) from the player's
+ * wallet, applying their weekly bet and stake limits as sports bets do.
+ * @param {object} user - The Mongoose user document, loaded in the session.
+ * @param {number} stake - The stake.
+ * @param {object} details - { source, sourceModel, description } for the ledger.
+ * @param {object} session - The Mongoose database session.
+ */
+const takeStake = (user, stake, details, session) => {
+  checkBettingLimits(user, stake);
+  if (user.limits.weeklyBetCount.limit > 0)
+    user.limits.weeklyBetCount.currentCount += 1;
+  if (user.limits.weeklyStakeAmount.limit > 0)
+    user.limits.weeklyStakeAmount.currentAmount += stake;
+  return placeStake(user, stake, details, session);
+};
+
+// Records a round's outcome on the bet. Payouts are capped at the maximum win.
+const applyOutcome = (bet, multiplier) => {
+  bet.multiplier = multiplier;
+  bet.status = multiplier > 0 ? "won" : "lost";
+  bet.payout =
+    multiplier > 0
+      ? Math.min(
+          roundMoney(bet.stake * multiplier),
+          config.INSTANT_GAME_MAX_PAYOUT
+        )
+      : 0;
+  bet.settledAt = new Date();
+};
+
+const payOutcome = (bet, user, session) => {
+  const { name } = games.get(bet.game);
+  if (bet.status === "won") {
+    return payWinnings(
+      user,
+      {
+        stake: bet.stake,
+        payout: bet.payout,
+        source: bet,
+        sourceModel: "InstantGameBet",
+        description: `${name} win at ${bet.multiplier}x`,
+      },
+      session
+    );
+  }
+  return forfeitStake(
+    {
+      userId: user._id,
+      stake: bet.stake,
+      source: bet,
+      sourceModel: "InstantGameBet",
+      description: `${name} bet lost (#${bet._id})`,
+    },
+    session
+  );
+};
+
+// What the player may see of a bet: a round in play keeps its result hidden.
+const present = (bet) => {
+  const plain = bet.toObject ? bet.toObject() : bet;
+  if (plain.status !== "active") return plain;
+  const { view } = games.get(plain.game);
+  const { result, ...visible } = plain;
+  return { ...visible, state: view ? view(plain) : plain.state };
+};
+
+const announceSettled = (bet, user) => {
+  const namespace = namespaces.get(bet.game);
+  if (!namespace) return;
+  namespace.emit("bet:settled", {
+    betId: bet._id,
+    username: user.username,
+    stake: bet.stake,
+    multiplier: bet.multiplier,
+    payout: bet.payout,
+  });
+};
+
+/**
+ * Places a bet on a single-player instant game. The round is played straight away;
+ * a game of one move (dice) is settled at once, one of several (mines) stays in
+ * play for act().
+ * @param {string} userId - The player.
+ * @param {string} key - The game's key.
+ * @param {object} bet - { stake, params }.
+ * @returns {Promise<object>} { bet, walletBalance }.
+ */
+const placeInstantBet = async (userId, key, { stake, params = {} }) => {
+  const game = getGame(key);
+  if (!game.play) {
+    throw httpError(`${game.name} bets are placed through its own API.`, 400);
+  }
+  const choices = game.validate(params);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const user = await User.findById(userId).session(session);
+    if (!user) throw httpError("User not found.", 404);
+
+    const { seed, serverSeed, clientSeed, nonce } = await fairness.takeNonce(
+      userId,
+      session
+    );
+    const { result, state, outcome } = game.play({
+      params: choices,
+      rng: fairness.createRng({ serverSeed, clientSeed, nonce }),
+    });
+
+    const bet = new InstantGameBet({
+      user: userId,
+      game: key,
+      stake,
+      params: choices,
+      result,
+      state,
+      seed: seed._id,
+      serverSeedHash: seed.serverSeedHash,
+      clientSeed,
+      nonce,
+    });
+    if (outcome) applyOutcome(bet, outcome.multiplier);
+    await bet.save({ session });
+
+    await takeStake(
+      user,
+      stake,
+      {
+        source: bet,
+        sourceModel: "InstantGameBet",
+        description: `${game.name} bet`,
+      },
+      session
+    );
+    if (outcome) await payOutcome(bet, user, session);
+
+    await session.commitTransaction();
+    if (outcome) announceSettled(bet, user);
+    return { bet: present(bet), walletBalance: user.walletBalance };
+  } catch (error) {
+    await session.abortTransaction();
+    if (error.code === 11000) {
+      throw httpError(`You already have a ${game.name} round in play.`, 400);
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Makes a move in a round still in play, e.g. revealing a tile or cashing out.
+ * @param {string} userId - The player.
+ * @param {string} betId - The InstantGameBet.
+ * @param {object} move - The game's move, e.g. { action: 'reveal', tile: 7 }.
+ * @returns {Promise<object>} { bet, walletBalance }; walletBalance only once the
+ * move settles the round.
+ */
+const actOnInstantBet = async (userId, betId, move) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const bet = await InstantGameBet.findOne({
+      _id: betId,
+      user: userId,
+    }).session(session);
+    if (!bet) throw httpError("Instant game bet not found.", 404);
+    if (bet.status !== "active") {
+      throw httpError("This round has already been settled.", 400);
+    }
+    const game = getGame(bet.game);
+    if (!game.act) {
+      throw httpError(`${game.name} rounds have no further moves.`, 400);
+    }
+
+    const { state, outcome } = game.act(
+      { params: bet.params, result: bet.result, state: bet.state },
+      move
+    );
+    bet.state = state;
+    if (outcome) applyOutcome(bet, outcome.multiplier);
+    await bet.save({ session });
+
+    let user = null;
+    if (outcome) {
+      user = await User.findById(userId).session(session);
+      await payOutcome(bet, user, session);
+    }
+
+    await session.commitTransaction();
+    if (outcome) announceSettled(bet, user);
+    return {
+      bet: present(bet),
+      walletBalance: user ? user.walletBalance : undefined,
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    if (error.name === "VersionError") {
+      throw httpError(
+        "This round changed while your move was being made. Please try again.",
+        409
+      );
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * One of the player's instant-game bets.
+ * @param {string} userId - The player.
+ * @param {string} betId - The InstantGameBet.
+ * @returns {Promise<object>} The bet, with its result hidden while in play.
+ */
+const getInstantBet = async (userId, betId) => {
+  const bet = await InstantGameBet.findOne({ _id: betId, user: userId }).lean();
+  if (!bet) throw httpError("Instant game bet not found.", 404);
+  return present(bet);
+};
+
+const getInstantBetHistory = async (
+  userId,
+  key,
+  { status, page = 1, limit = 20 }
+) => {
+  const filter = { user: userId, game: key };
+  if (status) filter.status = status;
+
+  const [bets, totalCount, [summary]] = await Promise.all([
+    InstantGameBet.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    InstantGameBet.countDocuments(filter),
+    InstantGameBet.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(userId),
+          game: key,
+          status: { $in: ["won", "lost"] },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          betCount: { $sum: 1 },
+          totalStaked: { $sum: "$stake" },
+          totalPaid: { $sum: "$payout" },
+          bestMultiplier: { $max: "$multiplier" },
+        },
+      },
+    ]),
+  ]);
+
+  const totals = summary || { betCount: 0, totalStaked: 0, totalPaid: 0 };
+  return {
+    bets: bets.map(present),
+    summary: {
+      betCount: totals.betCount,
+      totalStaked: roundMoney(totals.totalStaked),
+      totalPaid: roundMoney(totals.totalPaid),
+      net: roundMoney(totals.totalPaid - totals.totalStaked),
+      bestMultiplier: totals.bestMultiplier || null,
+    },
+    currentPage: page,
+    totalPages: Math.ceil(totalCount / limit),
+    totalCount,
+  };
+};
+
+/**
+ * The player's bets on one instant game, newest first, with lifetime totals. The
+ * same call covers every game, Aviator included.
+ * @param {string} userId - The player.
+ * @param {string} key - The game's key.
+ * @param {object} [options] - { status, page, limit }.
+ * @returns {Promise<object>} { bets, summary, currentPage, totalPages, totalCount }.
+ */
+const getUserHistory = (userId, key, options = {}) => {
+  const game = getGame(key);
+  return game.getUserHistory
+    ? game.getUserHistory(userId, options)
+    : getInstantBetHistory(userId, key, options);
+};
+
+/**
+ * Replays a settled bet from its revealed seeds and checks the result against the
+ * one recorded.
+ * @param {string} betId - The InstantGameBet.
+ * @returns {Promise<object>} The seeds, both results and each check.
+ */
+const verifyInstantBet = async (betId) => {
+  const bet = await InstantGameBet.findById(betId).lean();
+  if (!bet) throw httpError("Instant game bet not found.", 404);
+  if (bet.status === "active") {
+    throw httpError("A round can be checked once it is settled.", 400);
+  }
+
+  const serverSeed = await fairness.revealedServerSeed(bet);
+  const { result } = getGame(bet.game).play({
+    params: bet.params,
+    rng: fairness.createRng({
+      serverSeed,
+      clientSeed: bet.clientSeed,
+      nonce: bet.nonce,
+    }),
+  });
+  const checks = {
+    seedMatchesHash: sha256(serverSeed) === bet.serverSeedHash,
+    resultMatches: isDeepStrictEqual(result, bet.result),
+  };
+
+  return {
+    betId: bet._id,
+    game: bet.game,
+    serverSeed,
+    serverSeedHash: bet.serverSeedHash,
+    clientSeed: bet.clientSeed,
+    nonce: bet.nonce,
+    params: bet.params,
+    result,
+    recordedResult: bet.result,
+    checks,
+    verified: Object.values(checks).every(Boolean),
+  };
+};
+
+module.exports = {
+  registerGame,
+  getGame,
+  listGames,
+  init,
+  startEngines,
+  getEngine,
+  takeStake,
+  placeInstantBet,
+  actOnInstantBet,
+  getInstantBet,
+  getUserHistory,
+  verifyInstantBet,
+};
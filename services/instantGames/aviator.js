@@ -0,0 +1,17 @@
+// In: services/instantGames/aviator.js
+
+const AviatorService = require("../aviatorService");
+const { getUserBetHistory } = require("../aviatorStatsService");
+
+// Aviator plays shared rounds on its own loop, so it plugs in its engine and its
+// bet history rather than the single-player hooks.
+module.exports = {
+  key: "aviator",
+  name: "Aviator",
+  description:
+    "Cash out before the plane flies away. Every player bets on the same round.",
+  // Aviator's clients predate the per-game namespaces and listen on the default one.
+  namespace: "/",
+  createEngine: (namespace) => new AviatorService(namespace),
+  getUserHistory: getUserBetHistory,
+};
@@ -0,0 +1,54 @@
+// In: services/instantGames/dice.js
+
+const config = require("../../config/env");
+const { httpError } = require("../../utils/httpError");
+
+// Rolls run from 0.00 to 100.00; targets near the ends would pay absurd prices.
+const MIN_TARGET = 2;
+const MAX_TARGET = 98;
+const DIRECTIONS = ["over", "under"];
+
+const winChance = ({ target, direction }) =>
+  (direction === "under" ? target : 100 - target) / 100;
+
+// Floored to four places; the toFixed keeps 0.99 / 0.1 from flooring to 9.8999.
+const multiplierFor = (params) => {
+  const price = (1 - config.INSTANT_GAME_HOUSE_EDGE) / winChance(params);
+  return Math.floor(Number((price * 10000).toFixed(6))) / 10000;
+};
+
+// One roll, settled as soon as it is made. The multiplier is fixed with the bet.
+module.exports = {
+  key: "dice",
+  name: "Dice",
+  description:
+    "Pick a target and roll over or under it. The smaller the chance, the bigger the multiplier.",
+
+  validate({ target, direction }) {
+    const value = Number(target);
+    if (!Number.isFinite(value) || value < MIN_TARGET || value > MAX_TARGET) {
+      throw httpError(
+        `The target must be between ${MIN_TARGET} and ${MAX_TARGET}.`,
+        400
+      );
+    }
+    if (!DIRECTIONS.includes(direction)) {
+      throw httpError("Choose to roll 'over' or 'under' the target.", 400);
+    }
+    const params = { target: Math.round(value * 100) / 100, direction };
+    return { ...params, multiplier: multiplierFor(params) };
+  },
+
+  play({ params, rng }) {
+    const roll = Math.floor(rng() * 10001) / 100;
+    const won =
+      params.direction === "under"
+        ? roll < params.target
+        : roll > params.target;
+    return {
+      result: { roll },
+      state: {},
+      outcome: { multiplier: won ? params.multiplier : 0 },
+    };
+  },
+};
@@ -0,0 +1,10 @@
+// In: services/instantGames/index.js
+
+const instantGameService = require("../instantGameService");
+
+// Every instant game offered. A new game is a module in this folder, added here.
+instantGameService.registerGame(require("./aviator"));
+instantGameService.registerGame(require("./dice"));
+instantGameService.registerGame(require("./mines"));
+
+module.exports = instantGameService;
@@ -0,0 +1,89 @@
+// In: services/instantGames/mines.js
+
+const config = require("../../config/env");
+const { httpError } = require("../../utils/httpError");
+
+// A 5x5 board, tiles numbered 0 to 24.
+const TILES = 25;
+
+// The fair price of finding `safe` safe tiles in a row, less the house edge.
+const multiplierAfter = (mines, safe) => {
+  let fair = 1;
+  for (let i = 0; i < safe; i++) fair *= (TILES - i) / (TILES - mines - i);
+  const price = fair * (1 - config.INSTANT_GAME_HOUSE_EDGE);
+  return Math.floor(Number((price * 10000).toFixed(6))) / 10000;
+};
+
+// Mines are placed when the bet is made. Each safe tile revealed raises the
+// multiplier; the player cashes out or plays on until they hit a mine.
+module.exports = {
+  key: "mines",
+  name: "Mines",
+  description:
+    "Reveal tiles on a 5x5 board without hitting a mine, and cash out whenever you like.",
+
+  validate({ mines }) {
+    const count = Number(mines);
+    if (!Number.isInteger(count) || count < 1 || count >= TILES) {
+      throw httpError(`Choose between 1 and ${TILES - 1} mines.`, 400);
+    }
+    return { mines: count };
+  },
+
+  play({ params, rng }) {
+    // A partial Fisher-Yates shuffle: the first `mines` tiles hold the mines.
+    const tiles = [...Array(TILES).keys()];
+    for (let i = 0; i < params.mines; i++) {
+      const j = i + Math.floor(rng() * (TILES - i));
+      [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+    }
+    return {
+      result: { mines: tiles.slice(0, params.mines).sort((a, b) => a - b) },
+      state: { revealed: [], multiplier: 0 },
+      outcome: null,
+    };
+  },
+
+  act({ params, result, state }, { action, tile }) {
+    if (action === "cash_out") {
+      if (!state.revealed.length) {
+        throw httpError("Reveal at least one tile before cashing out.", 400);
+      }
+      return { state, outcome: { multiplier: state.multiplier } };
+    }
+    if (action !== "reveal") {
+      throw httpError("The move must be 'reveal' or 'cash_out'.", 400);
+    }
+
+    const index = Number(tile);
+    if (!Number.isInteger(index) || index < 0 || index >= TILES) {
+      throw httpError(`Choose a tile from 0 to ${TILES - 1}.`, 400);
+    }
+    if (state.revealed.includes(index)) {
+      throw httpError("That tile has already been revealed.", 400);
+    }
+
+    const revealed = [...state.revealed, index];
+    if (result.mines.includes(index)) {
+      return {
+        state: { revealed, multiplier: 0, hitMine: index },
+        outcome: { multiplier: 0 },
+      };
+    }
+
+    const multiplier = multiplierAfter(params.mines, revealed.length);
+    // With every safe tile found there is nothing left to play for.
+    const cleared = revealed.length === TILES - params.mines;
+    return {
+      state: { revealed, multiplier },
+      outcome: cleared ? { multiplier } : null,
+    };
+  },
+
+  view({ params, state }) {
+    return {
+      ...state,
+      nextMultiplier: multiplierAfter(params.mines, state.revealed.length + 1),
+    };
+  },
+};
@@ -0,0 +1,701 @@
+// In: services/ledgerService.js
+
+const mongoose = require("mongoose");
+const JournalEntry = require("../models/JournalEntry");
+const Transaction = require("../models/Transaction");
+
+const { ACCOUNTS } = JournalEntry;
+
+/**
+ * Rounds an amount to whole cents.
+ * @param {number} amount - The amount to round.
+ * @returns {number} The rounded amount.
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Writes a balanced journal entry. Every line moves money into (positive) or out of
+ * (negative) an account, and the lines must sum to zero, so money can only ever move
+ * between accounts; it is never created or destroyed.
+ * @param {object} entry - The entry details.
+ * @param {string} entry.type - The kind of movement (e.g. 'bet', 'win', 'topup').
+ * @param {Array<object>} entry.lines - The postings: { account, user, amount }.
+ * @param {string} [entry.description] - A human readable description.
+ * @param {object} [entry.source] - The document that caused the movement.
+ * @param {string} [entry.sourceModel] - The model name of the source document.
+ * @param {string} [entry.game] - The related game, if any.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object>} The saved journal entry.
+ */
+const postJournalEntry = async (
+  {
+    type,
+    lines,
+    description = "",
+    source = null,
+    sourceModel = null,
+    game = null,
+  },
+  session
+) => {
+  const postedLines = lines
+    .map((line) => ({
+      account: line.account,
+      user: line.user || null,
+      amount: roundMoney(line.amount),
+    }))
+    .filter((line) => line.amount !== 0);
+
+  const entry = new JournalEntry({
+    type,
+    description,
+    lines: postedLines,
+    sourceModel: source ? sourceModel : null,
+    source: source ? source._id || source : null,
+    game: game ? game._id || game : null,
+  });
+  await entry.save({ session });
+  return entry;
+};
+
+/**
+ * Moves money in or out of a user's cash wallet. The user's side of the entry is
+ * derived from the counter lines, the balance is updated and saved, and a Transaction
+ * is written as the user-facing record of the movement.
+ * @param {object} user - The Mongoose user document (loaded in the same session).
+ * @param {object} movement - The movement details.
+ * @param {string} movement.type - The Transaction type (e.g. 'bet', 'win', 'refund').
+ * @param {Array<object>} movement.counterLines - The non-wallet side of the entry.
+ * @param {string} [movement.description] - A human readable description.
+ * @param {object} [movement.bet] - The related Bet, if any.
+ * @param {object} [movement.game] - The related Game, if any.
+ * @param {object} [movement.source] - The source document when it is not a Bet.
+ * @param {string} [movement.sourceModel] - The model name of 'source'.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object>} The journal entry and the transaction record.
+ */
+const moveUserCash = async (
+  user,
+  {
+    type,
+    counterLines,
+    description = "",
+    bet = null,
+    game = null,
+    source,
+    sourceModel,
+  },
+  session
+) => {
+  const counterTotal = counterLines.reduce((sum, line) => sum + line.amount, 0);
+  const delta = roundMoney(-counterTotal);
+  const newBalance = roundMoney(user.walletBalance + delta);
+
+  if (newBalance < 0) {
+    const err = new Error("Insufficient funds in your wallet.");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const entry = await postJournalEntry(
+    {
+      type,
+      description,
+      lines: [
+        { account: ACCOUNTS.USER_CASH, user: user._id, amount: delta },
+        ...counterLines,
+      ],
+      source: source || bet,
+      sourceModel: source ? sourceModel : bet ? "Bet" : null,
+      game,
+    },
+    session
+  );
+
+  user.walletBalance = newBalance;
+  await user.save({ session });
+
+  const transaction = await new Transaction({
+    user: user._id,
+    type,
+    amount: delta,
+    balanceAfter: user.walletBalance,
+    bet: bet ? bet._id || bet : null,
+    game: game ? game._id || game : null,
+    description,
+    journalEntry: entry._id,
+  }).save({ session });
+
+  return { entry, transaction };
+};
+
+/**
+ * Moves money in or out of a user's bonus balance. Like moveUserCash, but bonus
+ * funds are not cash, so no Transaction is written.
+ * @param {object} user - The Mongoose user document (loaded in the same session).
+ * @param {object} movement - The movement details, as for moveUserCash.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object>} The journal entry (and a null transaction).
+ */
+const moveUserBonus = async (
+  user,
+  {
+    type,
+    counterLines,
+    description = "",
+    bet = null,
+    game = null,
+    source,
+    sourceModel,
+  },
+  session
+) => {
+  const counterTotal = counterLines.reduce((sum, line) => sum + line.amount, 0);
+  const delta = roundMoney(-counterTotal);
+  const newBalance = roundMoney((user.bonusBalance || 0) + delta);
+
+  if (newBalance < 0) {
+    const err = new Error("Insufficient bonus funds.");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const entry = await postJournalEntry(
+    {
+      type,
+      description,
+      lines: [
+        { account: ACCOUNTS.USER_BONUS, user: user._id, amount: delta },
+        ...counterLines,
+      ],
+      source: source || bet,
+      sourceModel: source ? sourceModel : bet ? "Bet" : null,
+      game,
+    },
+    session
+  );
+
+  user.bonusBalance = newBalance;
+  await user.save({ session });
+
+  return { entry, transaction: null };
+};
+
+// Stakes and returns of a bonus-funded bet move through the bonus balance.
+const moveUserFundsFor = (bet) =>
+  bet && bet.stakeSource === "bonus" ? moveUserBonus : moveUserCash;
+
+const isFreeBet = (bet) => Boolean(bet) && bet.stakeSource === "free_bet";
+
+/**
+ * Takes a stake from the user's wallet (or bonus balance, for a bonus-funded bet)
+ * and holds it until the bet is settled. The stake of a free bet is put up by the
+ * house, so only the user document is saved.
+ */
+const placeStake = async (
+  user,
+  stake,
+  { description, bet, game, source, sourceModel },
+  session
+) => {
+  if (isFreeBet(bet)) {
+    const entry = await postJournalEntry(
+      {
+        type: "free_bet_stake",
+        description,
+        lines: [
+          { account: ACCOUNTS.HOUSE, amount: -stake },
+          { account: ACCOUNTS.PENDING_STAKES, user: user._id, amount: stake },
+        ],
+        source: bet,
+        sourceModel: "Bet",
+        game,
+      },
+      session
+    );
+    await user.save({ session });
+    return { entry, transaction: null };
+  }
+
+  return moveUserFundsFor(bet)(
+    user,
+    {
+      type: "bet",
+      counterLines: [
+        { account: ACCOUNTS.PENDING_STAKES, user: user._id, amount: stake },
+      ],
+      description,
+      bet,
+      game,
+      source,
+      sourceModel,
+    },
+    session
+  );
+};
+
+/**
+ * Pays a settled or cashed-out bet. The held stake is released and the house covers
+ * the difference (or keeps it, when the payout is below the stake). For a free bet
+ * the payout is the winnings alone, so the house takes its stake back out of it.
+ */
+const payWinnings = (
+  user,
+  { stake, payout, type = "win", description, bet, game, source, sourceModel },
+  session
+) =>
+  moveUserFundsFor(bet)(
+    user,
+    {
+      type,
+      counterLines: [
+        { account: ACCOUNTS.PENDING_STAKES, user: user._id, amount: -stake },
+        { account: ACCOUNTS.HOUSE, amount: -(payout - stake) },
+      ],
+      description,
+      bet,
+      game,
+      source,
+      sourceModel,
+    },
+    session
+  );
+
+/**
+ * Releases a held stake back to the user (e.g. the game was cancelled). A free
+ * bet's stake goes back to the house instead.
+ */
+const refundStake = async (
+  user,
+  stake,
+  { description, bet, game, source, sourceModel },
+  session
+) => {
+  if (isFreeBet(bet)) {
+    const entry = await postJournalEntry(
+      {
+        type: "free_bet_refund",
+        description,
+        lines: [
+          { account: ACCOUNTS.PENDING_STAKES, user: user._id, amount: -stake },
+          { account: ACCOUNTS.HOUSE, amount: stake },
+        ],
+        source: bet,
+        sourceModel: "Bet",
+        game,
+      },
+      session
+    );
+    return { entry, transaction: null };
+  }
+
+  return moveUserFundsFor(bet)(
+    user,
+    {
+      type: "refund",
+      counterLines: [
+        { account: ACCOUNTS.PENDING_STAKES, user: user._id, amount: -stake },
+      ],
+      description,
+      bet,
+      game,
+      source,
+      sourceModel,
+    },
+    session
+  );
+};
+
+/**
+ * Moves the held stake of a lost bet to the house. The user's wallet is not touched.
+ * @param {object} params - The user id, stake and related documents.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object>} The journal entry.
+ */
+const forfeitStake = (
+  { userId, stake, description, bet, game, source, sourceModel },
+  session
+) =>
+  postJournalEntry(
+    {
+      type: "bet_lost",
+      description,
+      lines: [
+        { account: ACCOUNTS.PENDING_STAKES, user: userId, amount: -stake },
+        { account: ACCOUNTS.HOUSE, amount: stake },
+      ],
+      source: source || bet,
+      sourceModel: source ? sourceModel : bet ? "Bet" : null,
+      game,
+    },
+    session
+  );
+
+/**
+ * Takes back the winnings of a bet whose settlement is being reversed. The payout
+ * leaves the wallet, the house recovers its share and the stake is held again.
+ */
+const reverseWinnings = (
+  user,
+  { stake, payout, description, bet, game },
+  session
+) =>
+  moveUserFundsFor(bet)(
+    user,
+    {
+      type: "settlement_reversal",
+      counterLines: [
+        { account: ACCOUNTS.PENDING_STAKES, user: user._id, amount: stake },
+        { account: ACCOUNTS.HOUSE, amount: payout - stake },
+      ],
+      description,
+      bet,
+      game,
+    },
+    session
+  );
+
+/**
+ * Undoes forfeitStake: the house hands a lost stake back to pending stakes so the
+ * bet can be settled again. The user's wallet is not touched.
+ */
+const reinstateStake = ({ userId, stake, description, bet, game }, session) =>
+  postJournalEntry(
+    {
+      type: "bet_lost_reversal",
+      description,
+      lines: [
+        { account: ACCOUNTS.HOUSE, amount: -stake },
+        { account: ACCOUNTS.PENDING_STAKES, user: userId, amount: stake },
+      ],
+      source: bet,
+      sourceModel: bet ? "Bet" : null,
+      game,
+    },
+    session
+  );
+
+/**
+ * Undoes refundStake: the refunded stake leaves the user's wallet (or bonus balance)
+ * and is held again. A free bet's stake is put up by the house once more.
+ */
+const reverseRefund = async (
+  user,
+  { stake, description, bet, game },
+  session
+) => {
+  if (isFreeBet(bet)) {
+    const entry = await postJournalEntry(
+      {
+        type: "free_bet_refund_reversal",
+        description,
+        lines: [
+          { account: ACCOUNTS.HOUSE, amount: -stake },
+          { account: ACCOUNTS.PENDING_STAKES, user: user._id, amount: stake },
+        ],
+        source: bet,
+        sourceModel: "Bet",
+        game,
+      },
+      session
+    );
+    return { entry, transaction: null };
+  }
+
+  return moveUserFundsFor(bet)(
+    user,
+    {
+      type: "settlement_reversal",
+      counterLines: [
+        { account: ACCOUNTS.PENDING_STAKES, user: user._id, amount: stake },
+      ],
+      description,
+      bet,
+      game,
+    },
+    session
+  );
+};
+
+/**
+ * Credits a deposit confirmed by the payment provider.
+ */
+const recordDeposit = (
+  user,
+  amount,
+  { description, source, sourceModel },
+  session
+) =>
+  moveUserCash(
+    user,
+    {
+      type: "topup",
+      counterLines: [{ account: ACCOUNTS.PAYMENT_CLEARING, amount: -amount }],
+      description,
+      source,
+      sourceModel,
+    },
+    session
+  );
+
+/**
+ * Debits an approved withdrawal that is paid out through the payment provider.
+ */
+const recordWithdrawal = (
+  user,
+  amount,
+  { description, source, sourceModel },
+  session
+) =>
+  moveUserCash(
+    user,
+    {
+      type: "withdrawal",
+      counterLines: [{ account: ACCOUNTS.PAYMENT_CLEARING, amount }],
+      description,
+      source,
+      sourceModel,
+    },
+    session
+  );
+
+/**
+ * Applies an admin credit (positive amount) or debit (negative amount) against the house.
+ */
+const adjustByAdmin = (user, amount, { description }, session) =>
+  moveUserCash(
+    user,
+    {
+      type: amount > 0 ? "admin_credit" : "admin_debit",
+      counterLines: [{ account: ACCOUNTS.HOUSE, amount: -amount }],
+      description,
+    },
+    session
+  );
+
+/**
+ * Pays a referrer's reward into their cash wallet, funded by the house.
+ */
+const creditReferralReward = (
+  user,
+  amount,
+  { description, source, sourceModel },
+  session
+) =>
+  moveUserCash(
+    user,
+    {
+      type: "referral_reward",
+      counterLines: [{ account: ACCOUNTS.HOUSE, amount: -amount }],
+      description,
+      source,
+      sourceModel,
+    },
+    session
+  );
+
+/**
+ * Credits a bonus to the user's bonus balance, funded by the house.
+ */
+const creditBonus = (
+  user,
+  amount,
+  { description, source, sourceModel },
+  session
+) =>
+  moveUserBonus(
+    user,
+    {
+      type: "bonus_credit",
+      counterLines: [{ account: ACCOUNTS.HOUSE, amount: -amount }],
+      description,
+      source,
+      sourceModel,
+    },
+    session
+  );
+
+/**
+ * Turns bonus funds into withdrawable cash once their wagering requirement is met.
+ */
+const convertBonus = (
+  user,
+  amount,
+  { description, source, sourceModel },
+  session
+) => {
+  user.bonusBalance = roundMoney(user.bonusBalance - amount);
+  if (user.bonusBalance < 0) {
+    const err = new Error("Insufficient bonus funds.");
+    err.statusCode = 400;
+    throw err;
+  }
+  return moveUserCash(
+    user,
+    {
+      type: "bonus_conversion",
+      counterLines: [
+        { account: ACCOUNTS.USER_BONUS, user: user._id, amount: -amount },
+      ],
+      description,
+      source,
+      sourceModel,
+    },
+    session
+  );
+};
+
+/**
+ * Returns bonus funds the user has given up (on withdrawal or expiry) to the house.
+ */
+const forfeitBonus = (
+  user,
+  amount,
+  { description, source, sourceModel },
+  session
+) =>
+  moveUserBonus(
+    user,
+    {
+      type: "bonus_forfeit",
+      counterLines: [{ account: ACCOUNTS.HOUSE, amount }],
+      description,
+      source,
+      sourceModel,
+    },
+    session
+  );
+
+/**
+ * Records the balance a user starts with (the sign-up credit, or the balance an
+ * existing user had before the ledger was introduced) as funded by the house.
+ * @param {object} user - The Mongoose user document.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<object|null>} The journal entry, or null if there was nothing to record.
+ */
+const recordOpeningBalance = async (user, session) => {
+  const amount = roundMoney(user.walletBalance || 0);
+  if (amount <= 0) return null;
+  return postJournalEntry(
+    {
+      type: "opening_balance",
+      description: `Opening balance for ${user.username}`,
+      lines: [
+        { account: ACCOUNTS.USER_CASH, user: user._id, amount },
+        { account: ACCOUNTS.HOUSE, amount: -amount },
+      ],
+      source: user,
+      sourceModel: "User",
+    },
+    session
+  );
+};
+
+/**
+ * Sums the ledger lines for an account, optionally for a single user.
+ * @param {string} account - One of the ACCOUNTS values.
+ * @param {string} [userId] - Restrict the balance to this user.
+ * @returns {Promise<number>} The account balance.
+ */
+const getAccountBalance = async (account, userId) => {
+  const lineFilter = { "lines.account": account };
+  if (userId) lineFilter["lines.user"] = new mongoose.Types.ObjectId(userId);
+
+  const [result] = await JournalEntry.aggregate([
+    { $match: { "lines.account": account } },
+    { $unwind: "$lines" },
+    { $match: lineFilter },
+    { $group: { _id: null, balance: { $sum: "$lines.amount" } } },
+  ]);
+  return roundMoney(result ? result.balance : 0);
+};
+
+/**
+ * Sums the user cash account for every user that has ledger activity.
+ * @returns {Promise<Map<string, number>>} A map of user id to derived cash balance.
+ */
+const getUserCashBalances = async () => {
+  const rows = await JournalEntry.aggregate([
+    { $match: { "lines.account": ACCOUNTS.USER_CASH } },
+    { $unwind: "$lines" },
+    { $match: { "lines.account": ACCOUNTS.USER_CASH } },
+    { $group: { _id: "$lines.user", balance: { $sum: "$lines.amount" } } },
+  ]);
+  return new Map(
+    rows.map((row) => [row._id.toString(), roundMoney(row.balance)])
+  );
+};
+
+/**
+ * Compares a user's stored wallet balance against the balance derived from the ledger.
+ * @param {object} user - A user document (or lean object) with _id and walletBalance.
+ * @returns {Promise<object>} The stored and derived balances and whether they agree.
+ */
+const reconcileUser = async (user) => {
+  const ledgerBalance = await getAccountBalance(ACCOUNTS.USER_CASH, user._id);
+  const walletBalance = roundMoney(user.walletBalance);
+  return {
+    userId: user._id,
+    walletBalance,
+    ledgerBalance,
+    difference: roundMoney(walletBalance - ledgerBalance),
+    isReconciled: walletBalance === ledgerBalance,
+  };
+};
+
+/**
+ * Produces the trial balance: the net balance of every account. Because every entry
+ * sums to zero, the grand total must be zero for the books to balance.
+ * @returns {Promise<object>} The per-account balances, the total and a balanced flag.
+ */
+const getTrialBalance = async () => {
+  const rows = await JournalEntry.aggregate([
+    { $unwind: "$lines" },
+    {
+      $group: {
+        _id: "$lines.account",
+        balance: { $sum: "$lines.amount" },
+        lineCount: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const accounts = rows.map((row) => ({
+    account: row._id,
+    balance: roundMoney(row.balance),
+    lineCount: row.lineCount,
+  }));
+  const total = roundMoney(
+    accounts.reduce((sum, account) => sum + account.balance, 0)
+  );
+
+  return { accounts, total, isBalanced: total === 0 };
+};
+
+module.exports = {
+  ACCOUNTS,
+  roundMoney,
+  postJournalEntry,
+  moveUserCash,
+  moveUserBonus,
+  placeStake,
+  payWinnings,
+  refundStake,
+  forfeitStake,
+  reverseWinnings,
+  reinstateStake,
+  reverseRefund,
+  recordDeposit,
+  recordWithdrawal,
+  adjustByAdmin,
+  creditReferralReward,
+  creditBonus,
+  convertBonus,
+  forfeitBonus,
+  recordOpeningBalance,
+  getAccountBalance,
+  getUserCashBalances,
+  reconcileUser,
+  getTrialBalance,
+};
@@ -0,0 +1,411 @@
+// In: services/marketService.js
+
+const { MARKETS } = require("../models/Game");
+
+const DOUBLE_CHANCE_SELECTIONS = ["1X", "12", "X2"];
+const CORRECT_SCORE_PATTERN = /^(\d{1,2})-(\d{1,2})$/;
+
+// The bookmaker margin applied when markets are derived from the 1X2 odds.
+const MARKET_MARGIN = 1.07;
+// Correct score is offered for every score up to this many goals per team.
+const MAX_CORRECT_SCORE_GOALS = 3;
+const STANDARD_GOAL_LINES = [1.5, 2.5, 3.5];
+const STANDARD_HANDICAP_LINES = [-1.5, 1.5];
+
+/**
+ * Returns the selection names a market accepts. Correct score is open-ended, so
+ * it is checked against a pattern instead.
+ * @param {string} market - One of the MARKETS values.
+ * @returns {Array<string>|null} The allowed names, or null for correct score.
+ */
+const getSelectionNames = (market) => {
+  switch (market) {
+    case MARKETS.MATCH_RESULT:
+      return ["A", "B", "Draw"];
+    case MARKETS.OVER_UNDER:
+      return ["Over", "Under"];
+    case MARKETS.BTTS:
+      return ["Yes", "No"];
+    case MARKETS.DOUBLE_CHANCE:
+      return DOUBLE_CHANCE_SELECTIONS;
+    case MARKETS.HANDICAP:
+      return ["A", "B"];
+    default:
+      return null;
+  }
+};
+
+const marketNeedsLine = (market) =>
+  market === MARKETS.OVER_UNDER || market === MARKETS.HANDICAP;
+
+/**
+ * Checks that an outcome (and line, where the market has one) makes sense for a market.
+ * @param {string} market - One of the MARKETS values.
+ * @param {string} outcome - The selection name.
+ * @param {number} [line] - The over/under or handicap line.
+ * @returns {boolean} True if the selection is well formed.
+ */
+const isValidSelection = (market, outcome, line) => {
+  if (!Object.values(MARKETS).includes(market)) return false;
+  if (marketNeedsLine(market) && !Number.isFinite(Number(line))) return false;
+  if (market === MARKETS.CORRECT_SCORE) {
+    return CORRECT_SCORE_PATTERN.test(outcome);
+  }
+  return getSelectionNames(market).includes(outcome);
+};
+
+/**
+ * Validates a list of markets submitted by an admin. Throws a 400 error describing
+ * the first problem found.
+ * @param {Array<object>} markets - The markets: { type, line, selections: [{ name, odds }] }.
+ */
+const assertValidMarkets = (markets) => {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.statusCode = 400;
+    throw err;
+  };
+
+  const seen = new Set();
+  for (const market of markets) {
+    if (
+      !Object.values(MARKETS).includes(market.type) ||
+      market.type === MARKETS.MATCH_RESULT
+    ) {
+      fail(`Market "${market.type}" is not supported here.`);
+    }
+    const key = `${market.type}:${market.line ?? ""}`;
+    if (seen.has(key)) fail(`Market ${key} is listed more than once.`);
+    seen.add(key);
+
+    if (!Array.isArray(market.selections) || market.selections.length < 2) {
+      fail(`Market ${key} needs at least two selections.`);
+    }
+    for (const selection of market.selections) {
+      if (!isValidSelection(market.type, selection.name, market.line)) {
+        fail(`"${selection.name}" is not a valid selection for market ${key}.`);
+      }
+      if (!(Number(selection.odds) >= 1)) {
+        fail(
+          `Odds for "${selection.name}" in market ${key} must be at least 1.`
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Finds a market on a game. Lines are compared numerically, so 2.5 and "2.5" match.
+ * @param {object} game - The game document.
+ * @param {string} market - One of the MARKETS values (other than 1X2).
+ * @param {number} [line] - The line, for markets that have one.
+ * @returns {object|undefined} The market, if the game offers it.
+ */
+const findMarket = (game, market, line) =>
+  (game.markets || []).find(
+    (m) =>
+      m.type === market &&
+      (!marketNeedsLine(market) || Number(m.line) === Number(line))
+  );
+
+/**
+ * Looks up the current odds of a selection on a game.
+ * @param {object} game - The game document.
+ * @param {object} selection - { market, outcome, line }.
+ * @returns {number|null} The odds, or null if the game does not offer the selection.
+ */
+const getSelectionOdds = (
+  game,
+  { market = MARKETS.MATCH_RESULT, outcome, line }
+) => {
+  if (market === MARKETS.MATCH_RESULT) {
+    if (outcome === "A") return game.odds.home;
+    if (outcome === "B") return game.odds.away;
+    if (outcome === "Draw") return game.odds.draw;
+    return null;
+  }
+
+  const found = findMarket(game, market, line);
+  const offered = found && found.selections.find((s) => s.name === outcome);
+  return offered ? offered.odds : null;
+};
+
+/**
+ * Settles one selection against a finished game. Match result is settled from
+ * game.result; every other market is settled from game.scores.
+ * @param {object} selection - The bet selection: { market, outcome, line }.
+ * @param {object} game - The finished game.
+ * @returns {string|null} 'won', 'lost' or 'void' (a push on a whole-number line),
+ * or null if the game has no final score to settle against yet.
+ */
+const settleSelection = (selection, game) => {
+  const market = selection.market || MARKETS.MATCH_RESULT;
+  if (market === MARKETS.MATCH_RESULT) {
+    if (!game.result) return null;
+    return selection.outcome === game.result ? "won" : "lost";
+  }
+
+  const home = game.scores && game.scores.home;
+  const away = game.scores && game.scores.away;
+  if (!Number.isFinite(home) || !Number.isFinite(away)) return null;
+
+  const wonIf = (condition) => (condition ? "won" : "lost");
+  switch (market) {
+    case MARKETS.OVER_UNDER: {
+      const goals = home + away;
+      if (goals === selection.line) return "void";
+      return wonIf(
+        selection.outcome === "Over"
+          ? goals > selection.line
+          : goals < selection.line
+      );
+    }
+    case MARKETS.BTTS:
+      return wonIf((home > 0 && away > 0) === (selection.outcome === "Yes"));
+    case MARKETS.DOUBLE_CHANCE: {
+      const result = home > away ? "1" : home < away ? "2" : "X";
+      return wonIf(selection.outcome.includes(result));
+    }
+    case MARKETS.CORRECT_SCORE:
+      return wonIf(selection.outcome === `${home}-${away}`);
+    case MARKETS.HANDICAP: {
+      const margin = home + selection.line - away;
+      if (margin === 0) return "void";
+      return wonIf(selection.outcome === "A" ? margin > 0 : margin < 0);
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * A short human readable label for a selection, e.g. "Over 2.5 goals" or "Handicap A -1.5".
+ */
+const describeSelection = ({
+  market = MARKETS.MATCH_RESULT,
+  outcome,
+  line,
+}) => {
+  switch (market) {
+    case MARKETS.OVER_UNDER:
+      return `${outcome} ${line} goals`;
+    case MARKETS.BTTS:
+      return `Both teams to score: ${outcome}`;
+    case MARKETS.DOUBLE_CHANCE:
+      return `Double chance ${outcome}`;
+    case MARKETS.CORRECT_SCORE:
+      return `Correct score ${outcome}`;
+    case MARKETS.HANDICAP:
+      return `Handicap ${outcome} ${line > 0 ? "+" : ""}${line}`;
+    default:
+      return outcome === "Draw" ? "Draw" : `Team ${outcome} to win`;
+  }
+};
+
+// --- Deriving markets from the 1X2 odds ---
+
+const poissonVector = (lambda, maxGoals) => {
+  const probabilities = [Math.exp(-lambda)];
+  for (let k = 1; k <= maxGoals; k++) {
+    probabilities.push((probabilities[k - 1] * lambda) / k);
+  }
+  return probabilities;
+};
+
+/**
+ * Builds the probability of every scoreline (up to 10 goals a side) for the
+ * given expected goals, treating each team's goals as independent Poisson variables.
+ */
+const scoreMatrix = (homeGoals, awayGoals) => {
+  const home = poissonVector(homeGoals, 10);
+  const away = poissonVector(awayGoals, 10);
+  return home.map((pHome) => away.map((pAway) => pHome * pAway));
+};
+
+const sumMatrix = (matrix, predicate) => {
+  let total = 0;
+  matrix.forEach((row, h) =>
+    row.forEach((p, a) => {
+      if (predicate(h, a)) total += p;
+    })
+  );
+  return total;
+};
+
+/**
+ * Finds the expected goals for each team whose Poisson score distribution best
+ * reproduces the probabilities implied by the 1X2 odds (with their margin removed).
+ */
+const fitExpectedGoals = (odds) => {
+  const implied = [1 / odds.home, 1 / odds.draw, 1 / odds.away];
+  const overround = implied.reduce((sum, p) => sum + p, 0);
+  const [pHome, pDraw, pAway] = implied.map((p) => p / overround);
+
+  let best = { error: Infinity, home: 1.4, away: 1.1 };
+  for (let home = 0.2; home <= 4; home += 0.05) {
+    for (let away = 0.2; away <= 4; away += 0.05) {
+      const matrix = scoreMatrix(home, away);
+      const error =
+        (sumMatrix(matrix, (h, a) => h > a) - pHome) ** 2 +
+        (sumMatrix(matrix, (h, a) => h === a) - pDraw) ** 2 +
+        (sumMatrix(matrix, (h, a) => h < a) - pAway) ** 2;
+      if (error < best.error) best = { error, home, away };
+    }
+  }
+  return best;
+};
+
+const priceFromProbability = (probability) =>
+  parseFloat(Math.max(1.01, 1 / (probability * MARKET_MARGIN)).toFixed(2));
+
+/**
+ * Derives the standard over/under, BTTS, double chance, correct score and handicap
+ * markets from a game's 1X2 odds, so every game offers them without manual pricing.
+ * @param {object} odds - The game's { home, away, draw } odds.
+ * @returns {Array<object>} The markets, ready to store on the game.
+ */
+const buildStandardMarkets = (odds) => {
+  if (!odds || !odds.home || !odds.away || !odds.draw) return [];
+
+  const { home, away } = fitExpectedGoals(odds);
+  const matrix = scoreMatrix(home, away);
+  const price = (predicate) =>
+    priceFromProbability(sumMatrix(matrix, predicate));
+
+  const markets = STANDARD_GOAL_LINES.map((line) => ({
+    type: MARKETS.OVER_UNDER,
+    line,
+    selections: [
+      { name: "Over", odds: price((h, a) => h + a > line) },
+      { name: "Under", odds: price((h, a) => h + a < line) },
+    ],
+  }));
+
+  markets.push({
+    type: MARKETS.BTTS,
+    line: null,
+    selections: [
+      { name: "Yes", odds: price((h, a) => h > 0 && a > 0) },
+      { name: "No", odds: price((h, a) => h === 0 || a === 0) },
+    ],
+  });
+
+  markets.push({
+    type: MARKETS.DOUBLE_CHANCE,
+    line: null,
+    selections: [
+      { name: "1X", odds: price((h, a) => h >= a) },
+      { name: "12", odds: price((h, a) => h !== a) },
+      { name: "X2", odds: price((h, a) => h <= a) },
+    ],
+  });
+
+  const correctScores = [];
+  for (let h = 0; h <= MAX_CORRECT_SCORE_GOALS; h++) {
+    for (let a = 0; a <= MAX_CORRECT_SCORE_GOALS; a++) {
+      correctScores.push({
+        name: `${h}-${a}`,
+        odds: priceFromProbability(matrix[h][a]),
+      });
+    }
+  }
+  markets.push({
+    type: MARKETS.CORRECT_SCORE,
+    line: null,
+    selections: correctScores,
+  });
+
+  for (const line of STANDARD_HANDICAP_LINES) {
+    markets.push({
+      type: MARKETS.HANDICAP,
+      line,
+      selections: [
+        { name: "A", odds: price((h, a) => h + line > a) },
+        { name: "B", odds: price((h, a) => h + line < a) },
+      ],
+    });
+  }
+
+  return markets;
+};
+
+const marketKey = (market) => `${market.type}:${market.line ?? ""}`;
+
+/**
+ * Re-prices a game's derived markets from its current 1X2 odds. Markets an admin
+ * priced by hand are kept, and no derived market is added alongside one of them.
+ * @param {object} odds - The game's new { home, away, draw } odds.
+ * @param {Array<object>} markets - The game's current markets.
+ * @returns {Array<object>} The markets to store on the game.
+ */
+const rederiveMarkets = (odds, markets = []) => {
+  const manual = markets.filter((market) => market.manual);
+  const taken = new Set(manual.map(marketKey));
+  return [
+    ...manual,
+    ...buildStandardMarkets(odds).filter(
+      (market) => !taken.has(marketKey(market))
+    ),
+  ];
+};
+
+// --- Bet builder (same-game multi) pricing ---
+
+// Below this joint probability the selections are treated as unable to win together.
+const MIN_BET_BUILDER_PROBABILITY = 0.0005;
+
+/**
+ * Prices selections from one game taken together. Every market is settled from the
+ * final score, so the chance that they all win is the total probability of the
+ * scorelines on which each of them wins; correlated picks (a home win and over 2.5
+ * goals, say) are priced from that joint chance instead of multiplying their odds.
+ * @param {object} expectedGoals - The game's { home, away } expected goals.
+ * @param {Array<object>} selections - The legs: { market, outcome, line }.
+ * @returns {number|null} The combined odds, or null if the legs cannot all win.
+ */
+const priceSameGameSelections = (expectedGoals, selections) => {
+  const matrix = scoreMatrix(expectedGoals.home, expectedGoals.away);
+  const probability = sumMatrix(matrix, (home, away) => {
+    const finalScore = {
+      result: home > away ? "A" : home < away ? "B" : "Draw",
+      scores: { home, away },
+    };
+    return selections.every((s) => settleSelection(s, finalScore) === "won");
+  });
+  if (probability < MIN_BET_BUILDER_PROBABILITY) return null;
+  return priceFromProbability(probability);
+};
+
+/**
+ * Prices a bet builder on a game from its current 1X2 odds.
+ * @param {object} game - The game document.
+ * @param {Array<object>} selections - The legs: { market, outcome, line }.
+ * @returns {object} { odds, expectedGoals }, where odds is null if the legs cannot
+ * all win. The expected goals are kept on the bet so void legs can be re-priced.
+ */
+const priceBetBuilder = (game, selections) => {
+  const { home, away } = fitExpectedGoals(game.odds);
+  const expectedGoals = {
+    home: parseFloat(home.toFixed(2)),
+    away: parseFloat(away.toFixed(2)),
+  };
+  return {
+    odds: priceSameGameSelections(expectedGoals, selections),
+    expectedGoals,
+  };
+};
+
+module.exports = {
+  MARKETS,
+  getSelectionNames,
+  isValidSelection,
+  assertValidMarkets,
+  findMarket,
+  getSelectionOdds,
+  settleSelection,
+  describeSelection,
+  buildStandardMarkets,
+  rederiveMarkets,
+  priceSameGameSelections,
+  priceBetBuilder,
+};
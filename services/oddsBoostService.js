@@ -0,0 +1,243 @@
+// In: services/oddsBoostService.js
+
+const OddsBoost = require("../models/OddsBoost");
+const Game = require("../models/Game");
+const Promo = require("../models/Promo");
+const Bet = require("../models/Bet");
+const {
+  MARKETS,
+  getSelectionOdds,
+  describeSelection,
+} = require("./marketService");
+const { httpError } = require("../utils/httpError");
+
+const isLive = (boost, now = new Date()) =>
+  boost.isActive && boost.startsAt <= now && boost.endsAt > now;
+
+const sameSelection = (boost, selection) =>
+  boost.market === (selection.market || MARKETS.MATCH_RESULT) &&
+  (boost.line ?? null) === (selection.line ?? null) &&
+  boost.outcome === selection.outcome;
+
+/**
+ * Attaches a boosted price to one selection of an upcoming game.
+ * @param {string} gameId - The game to boost.
+ * @param {object} boost - { market, line, outcome, boostedOdds, maxStake,
+ * perUserLimit, startsAt, endsAt, promoId }. endsAt defaults to kick-off.
+ * @param {string} adminId - The admin creating it.
+ * @returns {Promise<object>} The new OddsBoost.
+ */
+const createOddsBoost = async (
+  gameId,
+  {
+    market = MARKETS.MATCH_RESULT,
+    line = null,
+    outcome,
+    boostedOdds,
+    maxStake,
+    perUserLimit,
+    startsAt,
+    endsAt,
+    promoId,
+  },
+  adminId
+) => {
+  const game = await Game.findById(gameId);
+  if (!game) throw httpError("Game not found.", 404);
+  if (game.status !== "upcoming") {
+    throw httpError(
+      `Cannot boost odds for a game that is already '${game.status}'.`,
+      400
+    );
+  }
+
+  const selection = { market, line, outcome };
+  const currentOdds = getSelectionOdds(game, selection);
+  if (!currentOdds) {
+    throw httpError(
+      `Odds for ${describeSelection(selection)} are not available.`,
+      400
+    );
+  }
+  if (boostedOdds <= currentOdds) {
+    throw httpError(
+      `A boost must beat the current price of ${currentOdds}.`,
+      400
+    );
+  }
+
+  const kickOff = new Date(game.matchDate);
+  const ends = endsAt ? new Date(endsAt) : kickOff;
+  if (ends > kickOff) {
+    throw httpError("A boost cannot run past kick-off.", 400);
+  }
+  if (ends <= (startsAt ? new Date(startsAt) : new Date())) {
+    throw httpError("A boost must end after it starts.", 400);
+  }
+
+  if (promoId) {
+    const promo = await Promo.findById(promoId);
+    if (!promo || promo.promoType !== "OddsBoost") {
+      throw httpError("The promotion must be an OddsBoost promotion.", 400);
+    }
+  }
+
+  return new OddsBoost({
+    game: game._id,
+    promo: promoId || null,
+    ...selection,
+    boostedOdds,
+    maxStake,
+    perUserLimit,
+    startsAt: startsAt || undefined,
+    endsAt: ends,
+    createdBy: adminId,
+  }).save();
+};
+
+/**
+ * Withdraws a boost. Bets already placed at the boosted price stand.
+ * @param {string} gameId - The boosted game.
+ * @param {string} boostId - The OddsBoost's ID.
+ * @returns {Promise<object>} The withdrawn OddsBoost.
+ */
+const cancelOddsBoost = async (gameId, boostId) => {
+  const boost = await OddsBoost.findOneAndUpdate(
+    { _id: boostId, game: gameId, isActive: true },
+    { $set: { isActive: false } },
+    { new: true }
+  );
+  if (!boost) throw httpError("Active odds boost not found.", 404);
+  return boost;
+};
+
+/**
+ * Lists the boosts running now on the given games, each with the normal price next
+ * to the boosted one. A boost the normal price has caught up with is left out.
+ * @param {Array<object>} games - Game documents or lean objects.
+ * @returns {Promise<Map<string, Array<object>>>} The boosts by game ID.
+ */
+const getLiveBoostsForGames = async (games) => {
+  const byGame = new Map();
+  if (!games.length) return byGame;
+
+  const now = new Date();
+  const boosts = await OddsBoost.find({
+    game: { $in: games.map((g) => g._id) },
+    isActive: true,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+  })
+    .populate("promo", "title")
+    .lean();
+
+  for (const boost of boosts) {
+    const game = games.find((g) => g._id.equals(boost.game));
+    const odds = getSelectionOdds(game, boost);
+    if (!odds || odds >= boost.boostedOdds) continue;
+
+    const key = boost.game.toString();
+    if (!byGame.has(key)) byGame.set(key, []);
+    byGame.get(key).push({
+      _id: boost._id,
+      market: boost.market,
+      line: boost.line,
+      outcome: boost.outcome,
+      odds,
+      boostedOdds: boost.boostedOdds,
+      maxStake: boost.maxStake,
+      perUserLimit: boost.perUserLimit,
+      endsAt: boost.endsAt,
+      promo: boost.promo,
+    });
+  }
+  return byGame;
+};
+
+/**
+ * Adds a 'boosts' array to each game.
+ * @param {Array<object>} games - Lean game objects.
+ * @returns {Promise<Array<object>>} The games with their live boosts.
+ */
+const withBoosts = async (games) => {
+  const byGame = await getLiveBoostsForGames(games);
+  return games.map((game) => ({
+    ...game,
+    boosts: byGame.get(game._id.toString()) || [],
+  }));
+};
+
+/**
+ * Checks a single bet can take a boost and counts the use. Must run in the session
+ * that places the bet.
+ * @param {string} userId - The user placing the bet.
+ * @param {string} boostId - The OddsBoost's ID.
+ * @param {object} bet - { game, selection, stake, acceptMaxStake }, where game is
+ * the Game document.
+ * @param {object} session - The Mongoose database session.
+ * @returns {Promise<object>} { boost, stake }: the boost and the stake to place,
+ * capped at the boost's maximum when acceptMaxStake is set.
+ * @throws {Error} A 422 error with details { code, maxStake, limit } if the stake is
+ * over the boost's maximum and acceptMaxStake is not set.
+ */
+const applyOddsBoost = async (
+  userId,
+  boostId,
+  { game, selection, stake, acceptMaxStake },
+  session
+) => {
+  const boost = await OddsBoost.findById(boostId).session(session);
+  if (
+    !boost ||
+    !boost.game.equals(game._id) ||
+    !sameSelection(boost, selection)
+  ) {
+    throw httpError("This odds boost does not apply to this selection.", 400);
+  }
+  const currentOdds = getSelectionOdds(game, selection);
+  if (!isLive(boost) || currentOdds >= boost.boostedOdds) {
+    throw httpError("This odds boost is no longer available.", 400);
+  }
+
+  if (stake > boost.maxStake) {
+    if (!acceptMaxStake) {
+      throw httpError(
+        `The maximum stake on this boosted price is $${boost.maxStake.toFixed(
+          2
+        )}.`,
+        422,
+        {
+          code: "stake_limit_exceeded",
+          maxStake: boost.maxStake,
+          limit: "odds_boost",
+        }
+      );
+    }
+    stake = boost.maxStake;
+  }
+
+  const used = await Bet.countDocuments({
+    user: userId,
+    oddsBoost: boost._id,
+  }).session(session);
+  if (used >= boost.perUserLimit) {
+    throw httpError(
+      boost.perUserLimit === 1
+        ? "You have already used this odds boost."
+        : `You can use this odds boost ${boost.perUserLimit} times.`,
+      400
+    );
+  }
+
+  boost.timesUsed += 1;
+  await boost.save({ session });
+  return { boost, stake };
+};
+
+module.exports = {
+  createOddsBoost,
+  cancelOddsBoost,
+  getLiveBoostsForGames,
+  withBoosts,
+  applyOddsBoost,
+};
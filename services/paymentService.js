@@ -2,22 +2,34 @@
 const axios = require("axios");
 const config = require("../config/env"); // <-- IMPORT the new config
 
+const flutterwaveHeaders = () => ({
+  Authorization: `Bearer ${config.FLUTTERWAVE_SECRET_KEY}`, // <-- USE config
+  "Content-Type": "application/json",
+});
+
 /**
  * Creates a Flutterwave payment link for a user deposit by calling the API directly.
  * @param {number} amount - The amount to deposit.
  * @param {string} email - The user's email address.
  * @param {string} name - The user's full name.
- * @param {string} userId - The user's unique database ID.
- * @returns {string} The payment link URL.
+ * @param {string} txRef - The unique reference of the Deposit this payment is for.
+ * @param {string} [currency="NGN"] - The currency the user will be charged in.
+ * @returns {Promise<object>} The payment link URL and the transaction reference.
  */
-const createPaymentLink = async (amount, email, name, userId) => {
+const createPaymentLink = async (
+  amount,
+  email,
+  name,
+  txRef,
+  currency = "NGN"
+) => {
   try {
-    const flutterwaveApiUrl = "https://api.flutterwave.com/v3/payments";
+    const flutterwaveApiUrl = `${config.FLUTTERWAVE_API_URL}/payments`;
 
     const payload = {
-      tx_ref: `BetWise-Deposit-${userId}-${Date.now()}`,
+      tx_ref: txRef,
       amount: amount,
-      currency: "NGN",
+      currency,
       redirect_url: `${config.FRONTEND_URL}/wallet`, // <-- USE config
       customer: {
         email: email,
@@ -29,13 +41,10 @@ const createPaymentLink = async (amount, email, name, userId) => {
       },
     };
 
-    const headers = {
-      Authorization: `Bearer ${config.FLUTTERWAVE_SECRET_KEY}`, // <-- USE config
-      "Content-Type": "application/json",
-    };
-
     // Make the API call using axios
-    const response = await axios.post(flutterwaveApiUrl, payload, { headers });
+    const response = await axios.post(flutterwaveApiUrl, payload, {
+      headers: flutterwaveHeaders(),
+    });
 
     if (response.data && response.data.status === "success") {
       // This change is required: Return an object with both pieces of data.
@@ -56,6 +65,35 @@ const createPaymentLink = async (amount, email, name, userId) => {
   }
 };
 
+/**
+ * Asks Flutterwave for the authoritative state of a transaction. Webhook payloads are
+ * never trusted on their own; the amount and currency are always taken from here.
+ * @param {string} txRef - The transaction reference the payment was created with.
+ * @returns {Promise<object|null>} The verified transaction data, or null if Flutterwave has no record of it.
+ */
+const verifyTransaction = async (txRef) => {
+  try {
+    const response = await axios.get(
+      `${config.FLUTTERWAVE_API_URL}/transactions/verify_by_reference`,
+      { params: { tx_ref: txRef }, headers: flutterwaveHeaders() }
+    );
+
+    if (response.data && response.data.status === "success") {
+      return response.data.data;
+    }
+    return null;
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    console.error(
+      `Flutterwave verification error for ${txRef}:`,
+      error.response ? error.response.data : error.message
+    );
+    throw error;
+  }
+};
+
 /**
  * Verifies that a webhook request is genuinely from Flutterwave.
  * @param {string} signature - The signature from the 'verif-hash' header.
@@ -66,4 +104,8 @@ const verifyWebhookSignature = (signature) => {
   return signature === secretHash;
 };
 
-module.exports = { createPaymentLink, verifyWebhookSignature };
+module.exports = {
+  createPaymentLink,
+  verifyTransaction,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,450 @@
+// In: services/promoCodeService.js
+
+const mongoose = require("mongoose");
+const PromoCode = require("../models/PromoCode");
+const PromoCodeRedemption = require("../models/PromoCodeRedemption");
+const User = require("../models/User");
+const Bet = require("../models/Bet");
+const Deposit = require("../models/Deposit");
+const Withdrawal = require("../models/Withdrawal");
+const { roundMoney } = require("./ledgerService");
+const { grantBonus } = require("./bonusService");
+const { issueFreeBet } = require("./freeBetService");
+const { httpError } = require("../utils/httpError");
+
+// Redemptions that count against a code's limits.
+const LIVE_STATUSES = ["pending", "granted"];
+
+/**
+ * Looks for signs that the user is redeeming a code again under another account:
+ * another account has redeemed it from the same IP address or device, or has
+ * withdrawn to a payout account this user has also withdrawn to.
+ * @returns {Promise<string|null>} Why the redemption looks abusive, or null.
+ */
+const findAbuse = async (promoCode, userId, { ipAddress, deviceId }) => {
+  const byOthers = {
+    promoCode: promoCode._id,
+    user: { $ne: userId },
+    status: { $in: LIVE_STATUSES },
+  };
+  if (
+    ipAddress &&
+    (await PromoCodeRedemption.exists({ ...byOthers, ipAddress }))
+  ) {
+    return "This code has already been redeemed from the same network.";
+  }
+  if (
+    deviceId &&
+    (await PromoCodeRedemption.exists({ ...byOthers, deviceId }))
+  ) {
+    return "This code has already been redeemed from the same device.";
+  }
+
+  const accounts = await Withdrawal.find({
+    user: userId,
+    "payoutAccount.accountNumber": { $ne: null },
+  })
+    .select("payoutAccount")
+    .lean();
+  if (accounts.length) {
+    const sharingUsers = await Withdrawal.distinct("user", {
+      user: { $ne: userId },
+      $or: accounts.map(({ payoutAccount }) => ({
+        "payoutAccount.bankCode": payoutAccount.bankCode,
+        "payoutAccount.accountNumber": payoutAccount.accountNumber,
+      })),
+    });
+    if (
+      sharingUsers.length &&
+      (await PromoCodeRedemption.exists({
+        ...byOthers,
+        user: { $in: sharingUsers },
+      }))
+    ) {
+      return "This code has already been redeemed by an account with the same payout account.";
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks the user's own limits on a code: how often they have redeemed it, and
+ * whether they are still a new customer where the code requires one.
+ * @param {object} promoCode - The PromoCode.
+ * @param {object} user - The user redeeming the code.
+ * @param {boolean} withDeposit - Whether the code came with a deposit.
+ * @param {object} [session] - The Mongoose database session.
+ */
+const checkUserEligible = async (promoCode, user, withDeposit, session) => {
+  const used = await PromoCodeRedemption.countDocuments({
+    promoCode: promoCode._id,
+    user: user._id,
+    status: { $in: LIVE_STATUSES },
+  }).session(session || null);
+  if (used >= promoCode.perUserLimit) {
+    throw httpError("You have already redeemed this promo code.", 409);
+  }
+
+  const hasDeposited = await Deposit.exists({
+    user: user._id,
+    status: "successful",
+  }).session(session || null);
+  if (
+    promoCode.newCustomersOnly &&
+    (hasDeposited ||
+      (await Bet.exists({ user: user._id }).session(session || null)))
+  ) {
+    throw httpError("This promo code is for new customers only.", 403);
+  }
+  if (withDeposit && promoCode.firstDepositOnly && hasDeposited) {
+    throw httpError("This promo code only applies to your first deposit.", 400);
+  }
+};
+
+/**
+ * Checks a user may redeem a code, either directly or with a deposit. An attempt
+ * that looks abusive is logged as 'blocked' before it is refused.
+ * @param {object} user - The user redeeming the code.
+ * @param {string} code - The code as typed.
+ * @param {object} context - { ipAddress, deviceId }.
+ * @param {boolean} withDeposit - Whether the code came with a deposit.
+ * @returns {Promise<object>} The PromoCode.
+ */
+const checkRedeemable = async (user, code, context, withDeposit) => {
+  const now = new Date();
+  const promoCode = await PromoCode.findOne({
+    code: String(code).trim().toUpperCase(),
+  });
+  if (
+    !promoCode ||
+    !promoCode.isActive ||
+    promoCode.startsAt > now ||
+    (promoCode.expiresAt && promoCode.expiresAt <= now)
+  ) {
+    throw httpError("This promo code is not valid.", 404);
+  }
+
+  if (withDeposit && promoCode.kind !== "deposit_match") {
+    throw httpError(
+      "This code cannot be used with a deposit. Redeem it on its own.",
+      400
+    );
+  }
+  if (!withDeposit && promoCode.kind === "deposit_match") {
+    throw httpError("This code is applied when you make a deposit.", 400);
+  }
+  if (
+    promoCode.maxRedemptions !== null &&
+    promoCode.redemptionCount >= promoCode.maxRedemptions
+  ) {
+    throw httpError("This promo code has been fully redeemed.", 400);
+  }
+
+  await checkUserEligible(promoCode, user, withDeposit);
+
+  const abuse = await findAbuse(promoCode, user._id, context);
+  if (abuse) {
+    await new PromoCodeRedemption({
+      promoCode: promoCode._id,
+      user: user._id,
+      status: "blocked",
+      ipAddress: context.ipAddress || null,
+      deviceId: context.deviceId || null,
+      reason: abuse,
+    }).save();
+    throw httpError(abuse, 403);
+  }
+
+  return promoCode;
+};
+
+/**
+ * Counts one redemption against the code's total, unless the total is used up. The
+ * conditional update means two users cannot both take the last redemption.
+ * @returns {Promise<boolean>} Whether a redemption was left to take.
+ */
+const takeRedemption = async (promoCode, session) =>
+  Boolean(
+    await PromoCode.findOneAndUpdate(
+      {
+        _id: promoCode._id,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } },
+        ],
+      },
+      { $inc: { redemptionCount: 1 } },
+      { session }
+    )
+  );
+
+/**
+ * Pays a code's reward and marks the redemption 'granted'.
+ * @returns {Promise<object>} The redemption.
+ */
+const grantReward = async (promoCode, user, amount, redemption, session) => {
+  const { reward } = promoCode;
+  const description = `Promo code ${promoCode.code}`;
+  if (reward.type === "bonus") {
+    const grant = await grantBonus(
+      user,
+      {
+        amount,
+        multiplier: reward.wagering.multiplier,
+        minOdds: reward.wagering.minOdds,
+        expiryDays: reward.wagering.expiryDays,
+        description,
+      },
+      session
+    );
+    redemption.bonusGrant = grant._id;
+  } else {
+    const token = await issueFreeBet(
+      user._id,
+      {
+        amount,
+        minOdds: reward.freeBet.minOdds,
+        eligibleLeagues: reward.freeBet.eligibleLeagues,
+        expiryDays: reward.freeBet.expiryDays,
+      },
+      session
+    );
+    redemption.freeBetToken = token._id;
+  }
+
+  redemption.status = "granted";
+  redemption.amount = amount;
+  return redemption.save({ session });
+};
+
+/**
+ * Redeems an 'instant' code for its bonus funds or free bet.
+ * @param {string} userId - The user redeeming the code.
+ * @param {string} code - The code as typed.
+ * @param {object} context - { ipAddress, deviceId } of the request.
+ * @returns {Promise<object>} The granted PromoCodeRedemption.
+ */
+const redeemPromoCode = async (userId, code, context = {}) => {
+  const user = await User.findById(userId);
+  if (!user) throw httpError("User not found.", 404);
+  const promoCode = await checkRedeemable(user, code, context, false);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const sessionUser = await User.findById(userId).session(session);
+    // Checked again in the transaction: a concurrent redemption of the same code
+    // also takes a redemption from it, so one of the two fails with a write conflict
+    // and the other is counted here.
+    await checkUserEligible(promoCode, sessionUser, false, session);
+    const redemption = new PromoCodeRedemption({
+      promoCode: promoCode._id,
+      user: userId,
+      status: "pending",
+      ipAddress: context.ipAddress || null,
+      deviceId: context.deviceId || null,
+    });
+    if (!(await takeRedemption(promoCode, session))) {
+      throw httpError("This promo code has been fully redeemed.", 400);
+    }
+    await grantReward(
+      promoCode,
+      sessionUser,
+      promoCode.reward.amount,
+      redemption,
+      session
+    );
+    await session.commitTransaction();
+    return redemption;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Checks a 'deposit_match' code before the deposit is created, so a bad code is
+ * refused before the user is sent to pay.
+ * @param {object} user - The depositing user.
+ * @param {string} code - The code as typed.
+ * @param {object} context - { ipAddress, deviceId } of the request.
+ * @returns {Promise<object>} The PromoCode.
+ */
+const checkDepositCode = (user, code, context = {}) =>
+  checkRedeemable(user, code, context, true);
+
+/**
+ * Holds a checked code against a new deposit until the deposit succeeds.
+ * @returns {Promise<object>} The pending PromoCodeRedemption.
+ */
+const reserveDepositCode = (promoCode, user, deposit, context = {}) =>
+  new PromoCodeRedemption({
+    promoCode: promoCode._id,
+    user: user._id,
+    status: "pending",
+    deposit: deposit._id,
+    ipAddress: context.ipAddress || null,
+    deviceId: context.deviceId || null,
+  }).save();
+
+/**
+ * Pays the code held against a deposit that has just succeeded: its percentage of
+ * the deposit, up to the code's cap. A code that can no longer be paid (another
+ * deposit got in first, the code ran out, a bonus is already active) is cancelled
+ * rather than failing the deposit.
+ * @param {object} deposit - The successful Deposit.
+ * @param {object} user - The Mongoose user document (loaded in the same session).
+ * @param {object} session - The deposit's database session.
+ * @returns {Promise<object|null>} The redemption, or null if none was held.
+ */
+const fulfilDepositRedemption = async (deposit, user, session) => {
+  const redemption = await PromoCodeRedemption.findOne({
+    deposit: deposit._id,
+    status: "pending",
+  }).session(session);
+  if (!redemption) return null;
+
+  const cancel = (reason) => {
+    redemption.status = "cancelled";
+    redemption.reason = reason;
+    return redemption.save({ session });
+  };
+
+  const promoCode = await PromoCode.findById(redemption.promoCode).session(
+    session
+  );
+  if (!promoCode) return cancel("The promo code no longer exists.");
+  if (
+    promoCode.firstDepositOnly &&
+    (await Deposit.exists({
+      user: user._id,
+      status: "successful",
+      _id: { $ne: deposit._id },
+    }).session(session))
+  ) {
+    return cancel("Only the first deposit qualifies for this code.");
+  }
+
+  const { matchPercent, maxAmount } = promoCode.reward;
+  let amount = roundMoney((deposit.amount * (matchPercent || 0)) / 100);
+  if (maxAmount !== null) amount = Math.min(amount, maxAmount);
+  if (amount <= 0) return cancel("The deposit earned no reward.");
+
+  if (!(await takeRedemption(promoCode, session))) {
+    return cancel("The promo code was fully redeemed.");
+  }
+  try {
+    return await grantReward(promoCode, user, amount, redemption, session);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    // The reward was refused (e.g. a bonus is already active), so hand the count back.
+    await PromoCode.updateOne(
+      { _id: promoCode._id },
+      { $inc: { redemptionCount: -1 } },
+      { session }
+    );
+    return cancel(error.message);
+  }
+};
+
+/**
+ * Cancels the code held against a deposit that failed or expired, so the user can
+ * use it again.
+ * @param {object} deposit - The closed Deposit.
+ * @param {string} reason - Why the deposit closed.
+ */
+const releaseDepositRedemption = (deposit, reason) =>
+  PromoCodeRedemption.updateMany(
+    { deposit: deposit._id, status: "pending" },
+    { $set: { status: "cancelled", reason } }
+  );
+
+/**
+ * Creates a promo code.
+ * @param {object} data - The code's fields.
+ * @param {string} adminId - The admin creating it.
+ * @returns {Promise<object>} The new PromoCode.
+ */
+const createPromoCode = async (data, adminId) => {
+  try {
+    return await new PromoCode({ ...data, createdBy: adminId }).save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError("A promo code with this code already exists.", 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Changes the availability or limits of a promo code. Its reward is fixed once
+ * created, so redemptions stay comparable.
+ * @param {string} codeId - The PromoCode's ID.
+ * @param {object} changes - Any of { description, isActive, startsAt, expiresAt,
+ * maxRedemptions, perUserLimit, newCustomersOnly, firstDepositOnly }.
+ * @returns {Promise<object>} The updated PromoCode.
+ */
+const updatePromoCode = async (codeId, changes) => {
+  const allowed = [
+    "description",
+    "isActive",
+    "startsAt",
+    "expiresAt",
+    "maxRedemptions",
+    "perUserLimit",
+    "newCustomersOnly",
+    "firstDepositOnly",
+  ];
+  const update = {};
+  for (const field of allowed) {
+    if (changes[field] !== undefined) update[field] = changes[field];
+  }
+  const promoCode = await PromoCode.findByIdAndUpdate(codeId, update, {
+    new: true,
+    runValidators: true,
+  });
+  if (!promoCode) throw httpError("Promo code not found.", 404);
+  return promoCode;
+};
+
+/**
+ * The redemption log of a code, newest first.
+ * @param {string} codeId - The PromoCode's ID.
+ * @param {object} [filters] - { status, page, limit }.
+ * @returns {Promise<object>} { redemptions, currentPage, totalPages, totalCount }.
+ */
+const getRedemptions = async (
+  codeId,
+  { status, page = 1, limit = 20 } = {}
+) => {
+  const filter = { promoCode: codeId };
+  if (status) filter.status = status;
+  const [redemptions, totalCount] = await Promise.all([
+    PromoCodeRedemption.find(filter)
+      .populate("user", "username email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PromoCodeRedemption.countDocuments(filter),
+  ]);
+  return {
+    redemptions,
+    currentPage: page,
+    totalPages: Math.ceil(totalCount / limit),
+    totalCount,
+  };
+};
+
+module.exports = {
+  redeemPromoCode,
+  checkDepositCode,
+  reserveDepositCode,
+  fulfilDepositRedemption,
+  releaseDepositRedemption,
+  createPromoCode,
+  updatePromoCode,
+  getRedemptions,
+};
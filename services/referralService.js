@@ -0,0 +1,264 @@
+// In: services/referralService.js
+
+const mongoose = require("mongoose");
+const Referral = require("../models/Referral");
+const User = require("../models/User");
+const Bet = require("../models/Bet");
+const Deposit = require("../models/Deposit");
+const Withdrawal = require("../models/Withdrawal");
+const config = require("../config/env");
+const { creditReferralReward, roundMoney } = require("./ledgerService");
+const { httpError } = require("../utils/httpError");
+
+/**
+ * Finds the user a referral code belongs to.
+ * @param {string} code - The code as typed.
+ * @returns {Promise<object|null>} The referrer, or null if no user has the code.
+ */
+const findReferrer = (code) =>
+  code
+    ? User.findOne({ referralCode: String(code).trim().toUpperCase() })
+    : Promise.resolve(null);
+
+/**
+ * Links a newly registered user to the user who referred them.
+ * @param {object} referrer - The User whose code was used.
+ * @param {object} referee - The new User.
+ * @returns {Promise<object>} The new Referral.
+ */
+const recordReferral = async (referrer, referee) => {
+  if (referrer._id.equals(referee._id)) {
+    throw httpError("You cannot use your own referral code.", 400);
+  }
+  referee.referredBy = referrer._id;
+  await referee.save();
+  return new Referral({
+    referrer: referrer._id,
+    referee: referee._id,
+    code: referrer.referralCode,
+  }).save();
+};
+
+/**
+ * The bank account numbers a user has given for payouts, on their profile or on
+ * withdrawal requests.
+ */
+const payoutAccountsOf = async (userIds) => {
+  const [users, withdrawals] = await Promise.all([
+    User.find({
+      _id: { $in: userIds },
+      "payoutDetails.accountNumber": { $nin: [null, ""] },
+    })
+      .select("payoutDetails")
+      .lean(),
+    Withdrawal.find({
+      user: { $in: userIds },
+      "payoutAccount.accountNumber": { $ne: null },
+    })
+      .select("user payoutAccount")
+      .lean(),
+  ]);
+  const accounts = new Map();
+  const add = (userId, accountNumber) => {
+    if (!accounts.has(accountNumber)) accounts.set(accountNumber, new Set());
+    accounts.get(accountNumber).add(userId.toString());
+  };
+  users.forEach((u) => add(u._id, u.payoutDetails.accountNumber));
+  withdrawals.forEach((w) => add(w.user, w.payoutAccount.accountNumber));
+  return accounts;
+};
+
+/**
+ * Looks for a self-referral ring: the referee shares a payout account with their
+ * referrer, or with another user the same referrer brought in.
+ * @param {object} referral - The Referral being qualified.
+ * @returns {Promise<string|null>} Why the referral looks fraudulent, or null.
+ */
+const findReferralFraud = async (referral) => {
+  const otherReferees = await Referral.distinct("referee", {
+    referrer: referral.referrer,
+    referee: { $ne: referral.referee },
+  });
+  const accounts = await payoutAccountsOf([
+    referral.referrer,
+    referral.referee,
+    ...otherReferees,
+  ]);
+
+  const referrer = referral.referrer.toString();
+  const referee = referral.referee.toString();
+  for (const owners of accounts.values()) {
+    if (!owners.has(referee) || owners.size < 2) continue;
+    return owners.has(referrer)
+      ? "The referee shares a payout account with their referrer."
+      : "The referee shares a payout account with another referee of the same referrer.";
+  }
+  return null;
+};
+
+/**
+ * Brings a pending referral's progress up to date and, once the referee has made a
+ * first deposit and had enough bets settled, pays the referrer. A referral that
+ * fails the fraud checks is rejected and the referee flagged for review instead.
+ * @param {object} referral - A pending Referral document.
+ * @returns {Promise<object>} The referral.
+ */
+const evaluateReferral = async (referral) => {
+  const [firstDeposit, settledBets] = await Promise.all([
+    Deposit.findOne({ user: referral.referee, status: "successful" })
+      .sort({ completedAt: 1 })
+      .select("completedAt")
+      .lean(),
+    // Bets staked from bonus funds or free bets do not count.
+    Bet.countDocuments({
+      user: referral.referee,
+      status: { $in: ["won", "lost"] },
+      stakeSource: { $nin: ["bonus", "free_bet"] },
+    }),
+  ]);
+  referral.firstDepositAt = firstDeposit ? firstDeposit.completedAt : null;
+  referral.settledBets = settledBets;
+
+  if (!firstDeposit || settledBets < config.REFERRAL_QUALIFYING_BETS) {
+    return referral.save();
+  }
+
+  const fraud = await findReferralFraud(referral);
+  if (fraud) {
+    referral.status = "rejected";
+    referral.reason = fraud;
+    await User.updateOne(
+      { _id: referral.referee },
+      {
+        $set: {
+          "flags.isFlaggedForFraud": true,
+          "flags.fraudReason": `Referral reward withheld: ${fraud}`,
+        },
+      }
+    );
+    return referral.save();
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    // Claiming the referral first means a reward is only ever paid once.
+    const claimed = await Referral.findOneAndUpdate(
+      { _id: referral._id, status: "pending" },
+      {
+        $set: {
+          status: "rewarded",
+          firstDepositAt: referral.firstDepositAt,
+          settledBets,
+          rewardAmount: config.REFERRAL_REWARD_AMOUNT,
+          rewardedAt: new Date(),
+        },
+      },
+      { new: true, session }
+    );
+    if (!claimed) {
+      await session.abortTransaction();
+      return referral;
+    }
+
+    const referrer = await User.findById(referral.referrer).session(session);
+    const referee = await User.findById(referral.referee)
+      .select("username")
+      .session(session);
+    await creditReferralReward(
+      referrer,
+      config.REFERRAL_REWARD_AMOUNT,
+      {
+        description: `Referral reward for ${
+          referee ? referee.username : "a referred friend"
+        }`,
+        source: claimed,
+        sourceModel: "Referral",
+      },
+      session
+    );
+
+    await session.commitTransaction();
+    return claimed;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Evaluates every pending referral. This function is designed to be called by a
+ * cron job.
+ * @returns {Promise<number>} How many referrals were rewarded.
+ */
+const processReferrals = async () => {
+  const pending = await Referral.find({ status: "pending" });
+  let rewarded = 0;
+  for (const referral of pending) {
+    try {
+      const result = await evaluateReferral(referral);
+      if (result.status === "rewarded") rewarded++;
+    } catch (error) {
+      console.error(
+        `[Referrals] Could not evaluate referral ${referral._id}:`,
+        error.message
+      );
+    }
+  }
+  return rewarded;
+};
+
+/**
+ * A user's referral code and the progress of everyone they referred.
+ * @param {string} userId - The referrer.
+ * @returns {Promise<object>} { referralCode, reward, totals, referrals }.
+ */
+const getReferralDashboard = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw httpError("User not found.", 404);
+  // Older accounts are given their code on first save.
+  if (!user.referralCode) await user.save();
+
+  const referrals = await Referral.find({ referrer: userId })
+    .populate("referee", "username createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const totals = { referred: referrals.length, earned: 0 };
+  for (const status of ["pending", "rewarded", "rejected"]) totals[status] = 0;
+  for (const referral of referrals) {
+    totals[referral.status]++;
+    totals.earned += referral.rewardAmount || 0;
+  }
+  totals.earned = roundMoney(totals.earned);
+
+  return {
+    referralCode: user.referralCode,
+    reward: {
+      amount: config.REFERRAL_REWARD_AMOUNT,
+      requiresFirstDeposit: true,
+      settledBetsRequired: config.REFERRAL_QUALIFYING_BETS,
+    },
+    totals,
+    referrals: referrals.map((referral) => ({
+      _id: referral._id,
+      referee: referral.referee,
+      status: referral.status,
+      hasDeposited: Boolean(referral.firstDepositAt),
+      settledBets: referral.settledBets,
+      rewardAmount: referral.rewardAmount,
+      rewardedAt: referral.rewardedAt,
+      joinedAt: referral.createdAt,
+    })),
+  };
+};
+
+module.exports = {
+  findReferrer,
+  recordReferral,
+  evaluateReferral,
+  processReferrals,
+  getReferralDashboard,
+};
@@ -0,0 +1,375 @@
+// In: services/scheduledBetService.js
+
+const ScheduledBet = require("../models/ScheduledBet");
+const Game = require("../models/Game");
+const Bet = require("../models/Bet");
+const Notification = require("../models/Notification");
+const bettingService = require("./bettingService");
+const {
+  MARKETS,
+  getSelectionOdds,
+  describeSelection,
+} = require("./marketService");
+const { httpError } = require("../utils/httpError");
+
+const MAX_PENDING_PER_USER = 20;
+// A claim held longer than this was left behind by a run that stopped mid-placement.
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+const isOpenForBetting = (game) =>
+  game && game.status === "upcoming" && new Date(game.matchDate) > new Date();
+
+/**
+ * Queues a single bet to be placed later.
+ * @param {string} userId - The user the bet is for.
+ * @param {object} request - { gameId, market, line, outcome, stake, trigger }, where
+ * trigger is { type: 'time', placeAt } or { type: 'odds', targetOdds }.
+ * @returns {Promise<object>} The new ScheduledBet.
+ */
+const createScheduledBet = async (
+  userId,
+  { gameId, market, line, outcome, stake, trigger }
+) => {
+  const game = await Game.findById(gameId);
+  if (!game) throw httpError("Game not found.", 404);
+  if (!isOpenForBetting(game)) {
+    throw httpError("Betting is closed for this game.", 400);
+  }
+
+  const selection = {
+    market: market || MARKETS.MATCH_RESULT,
+    line: line ?? null,
+    outcome,
+  };
+  if (!getSelectionOdds(game, selection)) {
+    throw httpError(
+      `Odds for ${describeSelection(selection)} are not available.`,
+      400
+    );
+  }
+
+  if (trigger.type === "time") {
+    const placeAt = new Date(trigger.placeAt);
+    if (placeAt <= new Date() || placeAt >= new Date(game.matchDate)) {
+      throw httpError(
+        "A scheduled bet must be placed between now and kick-off.",
+        400
+      );
+    }
+  }
+
+  const pending = await ScheduledBet.countDocuments({
+    user: userId,
+    status: "pending",
+  });
+  if (pending >= MAX_PENDING_PER_USER) {
+    throw httpError(
+      `You can have at most ${MAX_PENDING_PER_USER} scheduled bets waiting.`,
+      400
+    );
+  }
+
+  return new ScheduledBet({
+    user: userId,
+    game: game._id,
+    ...selection,
+    stake,
+    trigger: {
+      type: trigger.type,
+      placeAt: trigger.type === "time" ? trigger.placeAt : null,
+      targetOdds: trigger.type === "odds" ? trigger.targetOdds : null,
+    },
+  }).save();
+};
+
+/**
+ * Cancels a scheduled bet that has not been placed yet.
+ * @param {string} userId - The owner of the scheduled bet.
+ * @param {string} scheduledBetId - The ScheduledBet's ID.
+ * @returns {Promise<object>} The cancelled ScheduledBet.
+ */
+const cancelScheduledBet = async (userId, scheduledBetId) => {
+  const scheduled = await ScheduledBet.findOneAndUpdate(
+    { _id: scheduledBetId, user: userId, status: "pending" },
+    { $set: { status: "cancelled" } },
+    { new: true }
+  );
+  if (!scheduled) {
+    throw httpError("No waiting scheduled bet was found with this ID.", 404);
+  }
+  return scheduled;
+};
+
+// A notification that cannot be saved is logged, never allowed to change the
+// outcome it reports.
+const notify = async (scheduled, type, message, io) => {
+  if (io) {
+    io.to(scheduled.user.toString()).emit(type, {
+      scheduledBetId: scheduled._id,
+      betId: scheduled.bet,
+      message,
+    });
+  }
+  try {
+    await new Notification({
+      user: scheduled.user,
+      message,
+      type,
+      link: "/my-bets",
+      bet: scheduled.bet,
+    }).save();
+  } catch (error) {
+    console.error(
+      `[Scheduled Bets] Could not notify the user about scheduled bet ${scheduled._id}:`,
+      error.message
+    );
+  }
+};
+
+/**
+ * Places a scheduled bet through bettingService.placeSingleBet, so the user's
+ * limits and loss-chasing checks apply as they stand at that moment. The bet is
+ * claimed first, so the time and odds triggers cannot both place it. Once the bet
+ * is on, it is reported as placed even if recording that fails; a claim left
+ * behind is picked up by recoverStaleClaims.
+ * @param {object} scheduled - The pending ScheduledBet.
+ * @param {object} [io] - The Socket.IO server, to tell the user straight away.
+ * @returns {Promise<string>} The scheduled bet's new status.
+ */
+const executeScheduledBet = async (scheduled, io) => {
+  const claimed = await ScheduledBet.findOneAndUpdate(
+    { _id: scheduled._id, status: "pending" },
+    { $set: { status: "processing" } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const { trigger } = claimed;
+  const game = await Game.findById(claimed.game)
+    .select("homeTeam awayTeam")
+    .lean();
+  const fixture = game ? `${game.homeTeam} vs ${game.awayTeam}` : "your game";
+  const selection = describeSelection(claimed);
+
+  let bet;
+  try {
+    // An odds trigger must not be filled below its target if the price moves back.
+    const priceOptions =
+      trigger.type === "odds"
+        ? { odds: trigger.targetOdds, oddsChangePolicy: "higher" }
+        : {};
+    ({ bet } = await bettingService.placeSingleBet(
+      claimed.user,
+      claimed.game,
+      claimed.outcome,
+      claimed.stake,
+      {
+        market: claimed.market,
+        line: claimed.line,
+        scheduledBet: claimed._id,
+        ...priceOptions,
+      }
+    ));
+  } catch (error) {
+    if (error.details && error.details.code === "odds_changed") {
+      // The price fell back below the target before the bet went on; keep waiting.
+      claimed.status = "pending";
+      await claimed.save();
+      return claimed.status;
+    }
+
+    claimed.status = "failed";
+    claimed.failureReason = error.message;
+    claimed.executedAt = new Date();
+    await claimed.save();
+    await notify(
+      claimed,
+      "scheduled_bet_failed",
+      `Your scheduled bet on ${selection} (${fixture}) could not be placed: ${error.message}`,
+      io
+    );
+    return claimed.status;
+  }
+
+  claimed.status = "placed";
+  claimed.bet = bet._id;
+  claimed.executedAt = new Date();
+  try {
+    await claimed.save();
+  } catch (error) {
+    console.error(
+      `[Scheduled Bets] Placed bet ${bet._id} but could not record it on scheduled bet ${claimed._id}:`,
+      error.message
+    );
+  }
+  await notify(
+    claimed,
+    "scheduled_bet_placed",
+    `Your scheduled bet of $${bet.stake.toFixed(
+      2
+    )} on ${selection} (${fixture}) was placed at odds of ${bet.totalOdds}.`,
+    io
+  );
+  return claimed.status;
+};
+
+/**
+ * Settles scheduled bets whose claim was never released, e.g. because the server
+ * stopped while placing them. A bet recorded as placed from the scheduled bet means
+ * it went on; otherwise it is marked failed so the user can schedule it again.
+ * @param {object} [io] - The Socket.IO server.
+ * @returns {Promise<object>} { placed, failed }.
+ */
+const recoverStaleClaims = async (io) => {
+  const summary = { placed: 0, failed: 0 };
+  const stale = await ScheduledBet.find({
+    status: "processing",
+    updatedAt: { $lte: new Date(Date.now() - STALE_CLAIM_MS) },
+  });
+
+  for (const scheduled of stale) {
+    const bet = await Bet.findOne({ scheduledBet: scheduled._id })
+      .select("_id")
+      .lean();
+
+    const update = bet
+      ? { status: "placed", bet: bet._id }
+      : {
+          status: "failed",
+          failureReason: "Placing the bet was interrupted.",
+        };
+    const recovered = await ScheduledBet.findOneAndUpdate(
+      { _id: scheduled._id, status: "processing" },
+      { $set: { ...update, executedAt: new Date() } },
+      { new: true }
+    );
+    if (!recovered) continue;
+    summary[recovered.status]++;
+    if (recovered.status === "failed") {
+      await notify(
+        recovered,
+        "scheduled_bet_failed",
+        `Your scheduled bet on ${describeSelection(
+          recovered
+        )} could not be placed because placing it was interrupted.`,
+        io
+      );
+    }
+  }
+  return summary;
+};
+
+/**
+ * Places every time-triggered bet that is due, and expires waiting bets whose game
+ * has kicked off without them being placed. Claims left over from an interrupted
+ * run are recovered first. Run from cron every minute.
+ * @param {object} [io] - The Socket.IO server.
+ * @returns {Promise<object>} { placed, failed, expired }.
+ */
+const runDueScheduledBets = async (io) => {
+  const summary = { placed: 0, failed: 0, expired: 0 };
+
+  const recovered = await recoverStaleClaims(io);
+  summary.placed += recovered.placed;
+  summary.failed += recovered.failed;
+
+  const due = await ScheduledBet.find({
+    status: "pending",
+    "trigger.type": "time",
+    "trigger.placeAt": { $lte: new Date() },
+  });
+  for (const scheduled of due) {
+    try {
+      const status = await executeScheduledBet(scheduled, io);
+      if (status === "placed") summary.placed++;
+      if (status === "failed") summary.failed++;
+    } catch (error) {
+      console.error(
+        `[Scheduled Bets] Error placing scheduled bet ${scheduled._id}:`,
+        error.message
+      );
+    }
+  }
+
+  const gameIds = await ScheduledBet.distinct("game", { status: "pending" });
+  const openGameIds = await Game.find({
+    _id: { $in: gameIds },
+    status: "upcoming",
+    matchDate: { $gt: new Date() },
+  }).distinct("_id");
+  const closed = await ScheduledBet.find({
+    status: "pending",
+    game: { $nin: openGameIds },
+  });
+  for (const scheduled of closed) {
+    const expired = await ScheduledBet.findOneAndUpdate(
+      { _id: scheduled._id, status: "pending" },
+      { $set: { status: "expired", executedAt: new Date() } },
+      { new: true }
+    );
+    if (!expired) continue;
+    summary.expired++;
+    await notify(
+      expired,
+      "scheduled_bet_failed",
+      scheduled.trigger.type === "odds"
+        ? `The odds for ${describeSelection(scheduled)} did not reach ${
+            scheduled.trigger.targetOdds
+          } before betting closed, so your scheduled bet was not placed.`
+        : `Betting closed on ${describeSelection(
+            scheduled
+          )} before your scheduled bet was due, so it was not placed.`,
+      io
+    );
+  }
+
+  return summary;
+};
+
+/**
+ * Places the odds-triggered bets whose selection has reached its target price.
+ * Called whenever the odds of upcoming games change.
+ * @param {Array<string>} [gameIds] - The games whose odds changed; all when omitted.
+ * @param {object} [io] - The Socket.IO server.
+ * @returns {Promise<number>} How many bets were placed.
+ */
+const evaluateOddsTriggers = async (gameIds, io) => {
+  const query = { status: "pending", "trigger.type": "odds" };
+  if (gameIds) {
+    if (!gameIds.length) return 0;
+    query.game = { $in: gameIds };
+  }
+  const waiting = await ScheduledBet.find(query);
+  if (!waiting.length) return 0;
+
+  const games = await Game.find({
+    _id: { $in: waiting.map((s) => s.game) },
+  }).lean();
+
+  let placed = 0;
+  for (const scheduled of waiting) {
+    const game = games.find((g) => g._id.equals(scheduled.game));
+    if (!isOpenForBetting(game)) continue;
+    const currentOdds = getSelectionOdds(game, scheduled);
+    if (!currentOdds || currentOdds < scheduled.trigger.targetOdds) continue;
+
+    try {
+      if ((await executeScheduledBet(scheduled, io)) === "placed") placed++;
+    } catch (error) {
+      console.error(
+        `[Scheduled Bets] Error placing scheduled bet ${scheduled._id}:`,
+        error.message
+      );
+    }
+  }
+  return placed;
+};
+
+module.exports = {
+  MAX_PENDING_PER_USER,
+  createScheduledBet,
+  cancelScheduledBet,
+  executeScheduledBet,
+  runDueScheduledBets,
+  evaluateOddsTriggers,
+};
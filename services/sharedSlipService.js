@@ -0,0 +1,163 @@
+// In: services/sharedSlipService.js
+
+const mongoose = require("mongoose");
+const Bet = require("../models/Bet");
+const SharedSlip = require("../models/SharedSlip");
+const User = require("../models/User");
+const bettingService = require("./bettingService");
+const { httpError } = require("../utils/httpError");
+
+/**
+ * Places a shared slip for another user ("tailing" it), at the current odds and
+ * subject to the usual odds-change rules. The new bets record the slip and the
+ * user who shared it, who is credited as their tipster.
+ * @param {string} userId - The user tailing the slip.
+ * @param {string} shareId - The slip's public share ID.
+ * @param {object} options - { stake, odds, oddsChangePolicy, acceptMaxStake }, where
+ * stake is per bet for singles and odds lists the prices displayed, in slip order.
+ * @returns {Promise<object>} { bets, walletBalance }.
+ */
+const tailSharedSlip = async (
+  userId,
+  shareId,
+  { stake, odds = [], oddsChangePolicy, acceptMaxStake }
+) => {
+  const slip = await SharedSlip.findOne({ shareId });
+  if (!slip) {
+    throw httpError("This share link is invalid or has expired.", 404);
+  }
+  if (slip.user.equals(userId)) {
+    throw httpError("You cannot tail your own slip.", 400);
+  }
+
+  const selections = slip.selections.map((selection, i) => ({
+    gameId: selection.gameId,
+    market: selection.market,
+    line: selection.line,
+    outcome: selection.outcome,
+    odds: odds[i],
+  }));
+  const options = {
+    oddsChangePolicy,
+    acceptMaxStake,
+    tailedFrom: { sharedSlip: slip._id, tipster: slip.user },
+  };
+
+  if (slip.betType === "multi") {
+    const { bet, walletBalance } = await bettingService.placeMultiBet(
+      userId,
+      selections,
+      stake,
+      options
+    );
+    return { bets: [bet], walletBalance };
+  }
+  return bettingService.placeMultipleSingles(
+    userId,
+    selections,
+    stake,
+    options
+  );
+};
+
+// Sums up the bets placed by tailing each tipster's slips.
+const tipsterStatsStages = [
+  {
+    $group: {
+      _id: "$tailedFrom.tipster",
+      tails: { $sum: 1 },
+      tailers: { $addToSet: "$user" },
+      totalStake: { $sum: "$stake" },
+      wins: { $sum: { $cond: [{ $eq: ["$status", "won"] }, 1, 0] } },
+      losses: { $sum: { $cond: [{ $eq: ["$status", "lost"] }, 1, 0] } },
+    },
+  },
+  {
+    $project: {
+      tails: 1,
+      tailers: { $size: "$tailers" },
+      totalStake: { $round: ["$totalStake", 2] },
+      wins: 1,
+      losses: 1,
+      // Only settled bets count towards the win rate; null until one settles.
+      winRate: {
+        $cond: [
+          { $gt: [{ $add: ["$wins", "$losses"] }, 0] },
+          {
+            $round: [{ $divide: ["$wins", { $add: ["$wins", "$losses"] }] }, 4],
+          },
+          null,
+        ],
+      },
+    },
+  },
+];
+
+/**
+ * Reports how a user's shared slips have done for the people who tailed them.
+ * @param {string} tipsterId - The user who shared the slips.
+ * @returns {Promise<object>} { tipster, tails, tailers, totalStake, wins, losses, winRate }.
+ */
+const getTipsterStats = async (tipsterId) => {
+  const tipster = await User.findById(tipsterId).select("username").lean();
+  if (!tipster) throw httpError("User not found.", 404);
+
+  const [stats] = await Bet.aggregate([
+    {
+      $match: { "tailedFrom.tipster": new mongoose.Types.ObjectId(tipsterId) },
+    },
+    ...tipsterStatsStages,
+  ]);
+
+  return {
+    tipster: { _id: tipster._id, username: tipster.username },
+    tails: stats ? stats.tails : 0,
+    tailers: stats ? stats.tailers : 0,
+    totalStake: stats ? stats.totalStake : 0,
+    wins: stats ? stats.wins : 0,
+    losses: stats ? stats.losses : 0,
+    winRate: stats ? stats.winRate : null,
+  };
+};
+
+/**
+ * Ranks tipsters by how often their slips are tailed.
+ * @param {object} [dateFilter] - A createdAt filter on the tailed bets.
+ * @param {number} [limit=20] - How many tipsters to return.
+ * @returns {Promise<Array<object>>} The tipsters, most tailed first.
+ */
+const getTopTipsters = (dateFilter = {}, limit = 20) =>
+  Bet.aggregate([
+    { $match: { "tailedFrom.tipster": { $ne: null }, ...dateFilter } },
+    ...tipsterStatsStages,
+    { $sort: { tails: -1, winRate: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: "users",
+        localField: "_id",
+        foreignField: "_id",
+        as: "userDetails",
+      },
+    },
+    { $unwind: "$userDetails" },
+    {
+      $project: {
+        _id: 0,
+        tipsterId: "$_id",
+        username: "$userDetails.username",
+        tails: 1,
+        tailers: 1,
+        totalStake: 1,
+        wins: 1,
+        losses: 1,
+        winRate: 1,
+      },
+    },
+  ]);
+
+module.exports = {
+  tailSharedSlip,
+  getTipsterStats,
+  getTopTipsters,
+};
@@ -2,9 +2,12 @@ const axios = require("axios");
 const mongoose = require("mongoose");
 const Game = require("../models/Game");
 const { generateOddsForGame } = require("./oddsService");
+const { buildStandardMarkets, rederiveMarkets } = require("./marketService");
 const config = require("../config/env");
 const { resolveBetsForGame } = require("./betResolutionService");
 const { generateLiveOdds } = require("./aiLiveOddsService");
+const { evaluateAutoCashOutRules } = require("./cashOutService");
+const { evaluateOddsTriggers } = require("./scheduledBetService");
 const leaguesToSync = require("../config/leagues.json");
 
 const LIVE_STATUSES = new Set([
@@ -68,6 +71,8 @@ const syncLiveAndFinishedGames = async (io) => {
     );
     let updatedCount = 0;
     let settledCount = 0;
+    // Games whose odds or results changed, so their bets' cash-out values moved.
+    const repricedGameIds = [];
 
     for (const fixture of fixtures) {
       const externalApiId = `apif_${fixture.fixture.id}`;
@@ -106,6 +111,7 @@ const syncLiveAndFinishedGames = async (io) => {
           await session.commitTransaction();
 
           settledCount++;
+          repricedGameIds.push(game._id);
           console.log(
             `[Live Sync] ✅ Game Finished & Settled: ${game.homeTeam} vs ${game.awayTeam}`
           );
@@ -137,11 +143,13 @@ const syncLiveAndFinishedGames = async (io) => {
           const newLiveOdds = await generateLiveOdds(game);
           if (newLiveOdds) {
             game.odds = newLiveOdds;
+            game.markets = rederiveMarkets(newLiveOdds, game.markets);
             console.log(
               `[Live Odds] AI updated odds for ${game.homeTeam} vs ${game.awayTeam}:`,
               newLiveOdds
             );
             io.emit("liveOddsUpdate", { gameId: game._id, odds: newLiveOdds });
+            repricedGameIds.push(game._id);
           }
         }
 
@@ -154,6 +162,13 @@ const syncLiveAndFinishedGames = async (io) => {
       }
     }
 
+    const autoCashOuts = await evaluateAutoCashOutRules(repricedGameIds, io);
+    if (autoCashOuts > 0) {
+      console.log(
+        `[Live Sync] 💸 Executed ${autoCashOuts} auto cash out rules.`
+      );
+    }
+
     if (updatedCount > 0 || settledCount > 0) {
       console.log(
         `[Live Sync] Summary: ${updatedCount} games updated, ${settledCount} games settled.`
@@ -202,11 +217,32 @@ async function getFixtureEvents(fixtureId) {
   }
 }
 
+/**
+ * Saves a game fetched from a provider, creating it if it is new.
+ * @param {object} gameData - The game's fields.
+ * @returns {Promise<object|null>} The ID of an existing game whose odds changed.
+ */
+const upsertUpcomingGame = async (gameData) => {
+  const previous = await Game.findOneAndUpdate(
+    { externalApiId: gameData.externalApiId },
+    { $set: gameData },
+    { upsert: true, runValidators: true }
+  )
+    .select("odds")
+    .lean();
+  if (!previous || !previous.odds) return null;
+  const { home, away, draw } = previous.odds;
+  const { odds } = gameData;
+  return home !== odds.home || away !== odds.away || draw !== odds.draw
+    ? previous._id
+    : null;
+};
+
 const apiFootballProvider = {
   name: "API-Football",
   enabled: !!config.APIFOOTBALL_KEY,
   async syncUpcomingGames() {
-    if (!this.enabled) return;
+    if (!this.enabled) return [];
     console.log(
       `[${this.name}] Fetching upcoming games based on leagues.json...`
     );
@@ -215,6 +251,7 @@ const apiFootballProvider = {
     toDate.setDate(fromDate.getDate() + 30);
     const fromDateStr = fromDate.toISOString().split("T")[0];
     const toDateStr = toDate.toISOString().split("T")[0];
+    const repricedGameIds = [];
 
     try {
       for (const league of leaguesToSync) {
@@ -259,14 +296,12 @@ const apiFootballProvider = {
             matchDate: new Date(fixture.fixture.date),
             league: fixture.league.name,
             odds,
+            markets: buildStandardMarkets(odds),
             externalApiId: `apif_${fixture.fixture.id}`,
             status: "upcoming",
           };
-          await Game.findOneAndUpdate(
-            { externalApiId: gameData.externalApiId },
-            { $set: gameData },
-            { upsert: true, runValidators: true }
-          );
+          const repricedId = await upsertUpcomingGame(gameData);
+          if (repricedId) repricedGameIds.push(repricedId);
         }
         await new Promise((resolve) => setTimeout(resolve, 1000));
       }
@@ -278,6 +313,7 @@ const apiFootballProvider = {
       throw error;
     }
     console.log(`[${this.name}] Finished syncing upcoming games.`);
+    return repricedGameIds;
   },
 };
 
@@ -285,7 +321,7 @@ const allSportsApiProvider = {
   name: "AllSportsApi",
   enabled: !!config.ALLSPORTS_API_KEY,
   async syncUpcomingGames() {
-    if (!this.enabled) return;
+    if (!this.enabled) return [];
     console.log(
       `[${this.name}] Fetching upcoming games based on leagues.json...`
     );
@@ -294,6 +330,7 @@ const allSportsApiProvider = {
     toDate.setDate(fromDate.getDate() + 30);
     const fromDateStr = fromDate.toISOString().split("T")[0];
     const toDateStr = toDate.toISOString().split("T")[0];
+    const repricedGameIds = [];
 
     try {
       for (const league of leaguesToSync) {
@@ -337,14 +374,12 @@ const allSportsApiProvider = {
             matchDate: new Date(`${fixture.event_date}T${fixture.event_time}`),
             league: fixture.league_name,
             odds,
+            markets: buildStandardMarkets(odds),
             externalApiId: `allsports_${fixture.event_key}`,
             status: "upcoming",
           };
-          await Game.findOneAndUpdate(
-            { externalApiId: gameData.externalApiId },
-            { $set: gameData },
-            { upsert: true, runValidators: true }
-          );
+          const repricedId = await upsertUpcomingGame(gameData);
+          if (repricedId) repricedGameIds.push(repricedId);
         }
       }
     } catch (error) {
@@ -355,6 +390,7 @@ const allSportsApiProvider = {
       throw error;
     }
     console.log(`[${this.name}] Finished syncing upcoming games.`);
+    return repricedGameIds;
   },
 };
 
@@ -363,10 +399,15 @@ const providers = {
   allsportsapi: allSportsApiProvider,
 };
 
-const syncGames = async (source = "apifootball") => {
+const syncGames = async (source = "apifootball", io) => {
   const provider = providers[source.toLowerCase()];
   if (provider && provider.enabled) {
-    await provider.syncUpcomingGames();
+    const repricedGameIds = await provider.syncUpcomingGames();
+    // Re-priced upcoming games may have reached the target of a scheduled bet.
+    const placed = await evaluateOddsTriggers(repricedGameIds, io);
+    if (placed > 0) {
+      console.log(`[Sync] 🎯 Placed ${placed} odds-triggered scheduled bets.`);
+    }
   } else {
     const err = new Error(
       `Sync failed: The provider "${source}" is not configured on the server. Make sure the correct API key is in the .env file.`
@@ -0,0 +1,346 @@
+// In: services/statementService.js
+
+const PDFDocument = require("pdfkit");
+const User = require("../models/User");
+const Bet = require("../models/Bet");
+const Transaction = require("../models/Transaction");
+const { describeSelection } = require("./marketService");
+const config = require("../config/env");
+const { httpError } = require("../utils/httpError");
+
+// A statement may cover at most this many days, so documents stay a sensible size.
+const MAX_STATEMENT_DAYS = 366;
+
+const formatMoney = (amount) => (amount || 0).toFixed(2);
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace("T", " ").slice(0, 16);
+
+const describeBetSelection = (selection) => {
+  const game = selection.game;
+  const fixture = game
+    ? `${game.homeTeam} vs ${game.awayTeam}`
+    : "Unknown game";
+  return `${fixture}: ${describeSelection(selection)} @ ${selection.odds}`;
+};
+
+/**
+ * Works out the statement period. A date-only 'to' covers that whole day.
+ */
+const resolvePeriod = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw httpError("A valid date range is required.", 400);
+  }
+  if (start > end) {
+    throw httpError("The start date must be before the end date.", 400);
+  }
+  if (end - start > MAX_STATEMENT_DAYS * 24 * 60 * 60 * 1000) {
+    throw httpError(
+      `A statement can cover at most ${MAX_STATEMENT_DAYS} days.`,
+      400
+    );
+  }
+  return { start, end };
+};
+
+/**
+ * Gathers a user's bets and wallet transactions for a period. Each transaction
+ * carries the wallet balance after it, so the ledger reads as a running balance.
+ * @param {string} userId - The user the statement is for.
+ * @param {object} range - { from, to }, as dates or ISO 8601 strings.
+ * @returns {Promise<object>} The statement: { user, period, openingBalance,
+ * closingBalance, summary, bets, transactions }.
+ */
+const buildStatement = async (userId, { from, to }) => {
+  const { start, end } = resolvePeriod(from, to);
+  const user = await User.findById(userId)
+    .select("username firstName lastName email")
+    .lean();
+  if (!user) throw httpError("User not found.", 404);
+
+  const period = { $gte: start, $lte: end };
+  const [bets, transactions, lastBeforePeriod] = await Promise.all([
+    Bet.find({ user: userId, createdAt: period })
+      .sort({ createdAt: 1 })
+      .populate("selections.game", "homeTeam awayTeam")
+      .lean(),
+    Transaction.find({ user: userId, createdAt: period })
+      .sort({ createdAt: 1 })
+      .lean(),
+    Transaction.findOne({ user: userId, createdAt: { $lt: start } })
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  let openingBalance = 0;
+  if (lastBeforePeriod) openingBalance = lastBeforePeriod.balanceAfter;
+  else if (transactions.length > 0) {
+    openingBalance = transactions[0].balanceAfter - transactions[0].amount;
+  }
+  const closingBalance = transactions.length
+    ? transactions[transactions.length - 1].balanceAfter
+    : openingBalance;
+
+  const sumOf = (items, pick) =>
+    parseFloat(items.reduce((sum, item) => sum + pick(item), 0).toFixed(2));
+
+  return {
+    user,
+    period: { from: start, to: end },
+    openingBalance,
+    closingBalance,
+    summary: {
+      betCount: bets.length,
+      totalStaked: sumOf(bets, (b) => b.stake),
+      totalReturned: sumOf(bets, (b) => (b.status === "won" ? b.payout : 0)),
+      totalDeposited: sumOf(
+        transactions.filter((t) => t.type === "topup"),
+        (t) => t.amount
+      ),
+      totalWithdrawn: sumOf(
+        transactions.filter((t) => t.type === "withdrawal"),
+        (t) => -t.amount
+      ),
+    },
+    bets: bets.map((bet) => ({
+      placedAt: bet.createdAt,
+      reference: bet._id.toString(),
+      betType: bet.betType,
+      selections: bet.selections.map(describeBetSelection),
+      stake: bet.stake,
+      totalOdds: bet.totalOdds,
+      status: bet.status,
+      payout: bet.payout,
+    })),
+    transactions: transactions.map((t) => ({
+      date: t.createdAt,
+      type: t.type,
+      description: t.description,
+      amount: t.amount,
+      balanceAfter: t.balanceAfter,
+    })),
+  };
+};
+
+// Spreadsheets run a cell starting with one of these as a formula, so text such
+// as a team name or description gets a leading quote. Amounts are left as they are.
+const FORMULA_START = /^[=+\-@]/;
+const NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_START.test(text) && !NUMBER.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvRow = (cells) => cells.map(csvCell).join(",");
+
+/**
+ * Renders a statement as CSV: a header block, the bets and then the transactions.
+ * @param {object} statement - The result of buildStatement.
+ * @returns {string} The CSV document.
+ */
+const statementToCsv = (statement) => {
+  const { user, period, summary } = statement;
+  const rows = [
+    csvRow([`${config.APP_NAME} statement`]),
+    csvRow([
+      "Account",
+      `${user.firstName || ""} ${user.lastName || ""}`.trim() || user.username,
+    ]),
+    csvRow(["Email", user.email]),
+    csvRow(["Period", formatDate(period.from), formatDate(period.to)]),
+    csvRow(["Opening balance", formatMoney(statement.openingBalance)]),
+    csvRow(["Closing balance", formatMoney(statement.closingBalance)]),
+    csvRow(["Total staked", formatMoney(summary.totalStaked)]),
+    csvRow(["Total returned", formatMoney(summary.totalReturned)]),
+    "",
+    csvRow(["Bets"]),
+    csvRow([
+      "Placed",
+      "Reference",
+      "Type",
+      "Selections",
+      "Stake",
+      "Odds",
+      "Status",
+      "Payout",
+    ]),
+    ...statement.bets.map((bet) =>
+      csvRow([
+        formatDateTime(bet.placedAt),
+        bet.reference,
+        bet.betType,
+        bet.selections.join(" | "),
+        formatMoney(bet.stake),
+        bet.totalOdds,
+        bet.status,
+        formatMoney(bet.payout),
+      ])
+    ),
+    "",
+    csvRow(["Transactions"]),
+    csvRow(["Date", "Type", "Description", "Amount", "Balance"]),
+    ...statement.transactions.map((t) =>
+      csvRow([
+        formatDateTime(t.date),
+        t.type,
+        t.description,
+        formatMoney(t.amount),
+        formatMoney(t.balanceAfter),
+      ])
+    ),
+  ];
+  return rows.join("\n") + "\n";
+};
+
+/**
+ * Renders a statement as a PDF document.
+ * @param {object} statement - The result of buildStatement.
+ * @returns {Promise<Buffer>} The PDF file.
+ */
+const statementToPdf = (statement) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { user, period, summary } = statement;
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    doc.fontSize(18).text(`${config.APP_NAME} Account Statement`);
+    doc
+      .moveDown(0.5)
+      .fontSize(10)
+      .text(`${user.firstName || ""} ${user.lastName || ""} (${user.email})`)
+      .text(`Period: ${formatDate(period.from)} to ${formatDate(period.to)}`)
+      .text(`Generated: ${formatDateTime(new Date())} UTC`)
+      .moveDown()
+      .text(`Opening balance: ${formatMoney(statement.openingBalance)}`)
+      .text(`Closing balance: ${formatMoney(statement.closingBalance)}`)
+      .text(
+        `Bets placed: ${summary.betCount}   Staked: ${formatMoney(
+          summary.totalStaked
+        )}   Returned: ${formatMoney(summary.totalReturned)}`
+      )
+      .text(
+        `Deposited: ${formatMoney(
+          summary.totalDeposited
+        )}   Withdrawn: ${formatMoney(summary.totalWithdrawn)}`
+      );
+
+    // Columns are given as fractions of the page width.
+    const table = (title, columns, rows) => {
+      doc.moveDown().fontSize(13).text(title, left);
+      doc.moveDown(0.3).fontSize(8);
+
+      const drawRow = (cells, bold) => {
+        const widths = columns.map((c) => c.width * width);
+        const height = Math.max(
+          ...cells.map((cell, i) =>
+            doc.heightOfString(String(cell), { width: widths[i] - 4 })
+          )
+        );
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+        }
+        const y = doc.y;
+        let x = left;
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+        cells.forEach((cell, i) => {
+          doc.text(String(cell), x, y, {
+            width: widths[i] - 4,
+            align: columns[i].align || "left",
+          });
+          x += widths[i];
+        });
+        doc.y = y + height + 3;
+      };
+
+      drawRow(
+        columns.map((c) => c.label),
+        true
+      );
+      if (rows.length === 0) {
+        doc.font("Helvetica").text("None in this period.", left);
+      }
+      rows.forEach((row) => drawRow(row, false));
+      doc.font("Helvetica");
+    };
+
+    table(
+      "Bets",
+      [
+        { label: "Placed", width: 0.14 },
+        { label: "Type", width: 0.09 },
+        { label: "Selections", width: 0.4 },
+        { label: "Stake", width: 0.09, align: "right" },
+        { label: "Odds", width: 0.08, align: "right" },
+        { label: "Status", width: 0.1 },
+        { label: "Payout", width: 0.1, align: "right" },
+      ],
+      statement.bets.map((bet) => [
+        formatDateTime(bet.placedAt),
+        bet.betType,
+        bet.selections.join("\n"),
+        formatMoney(bet.stake),
+        bet.totalOdds,
+        bet.status,
+        formatMoney(bet.payout),
+      ])
+    );
+
+    table(
+      "Transactions",
+      [
+        { label: "Date", width: 0.16 },
+        { label: "Type", width: 0.14 },
+        { label: "Description", width: 0.44 },
+        { label: "Amount", width: 0.13, align: "right" },
+        { label: "Balance", width: 0.13, align: "right" },
+      ],
+      statement.transactions.map((t) => [
+        formatDateTime(t.date),
+        t.type,
+        t.description,
+        formatMoney(t.amount),
+        formatMoney(t.balanceAfter),
+      ])
+    );
+
+    doc.end();
+  });
+
+/**
+ * Sends a statement as a file download in the requested format.
+ * @param {object} res - The Express response.
+ * @param {object} statement - The result of buildStatement.
+ * @param {string} format - 'csv' or 'pdf'.
+ */
+const sendStatement = async (res, statement, format) => {
+  const fileName = `statement-${statement.user.username}-${formatDate(
+    statement.period.from
+  )}-to-${formatDate(statement.period.to)}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+  if (format === "pdf") {
+    res.type("application/pdf").send(await statementToPdf(statement));
+  } else {
+    res.type("text/csv").send(statementToCsv(statement));
+  }
+};
+
+module.exports = {
+  MAX_STATEMENT_DAYS,
+  buildStatement,
+  statementToCsv,
+  statementToPdf,
+  sendStatement,
+};
@@ -0,0 +1,110 @@
+// In: services/systemBetService.js
+
+// The named system bets, by the fold sizes they expand into. A Trixie on three
+// selections is three doubles and a treble; a Lucky 15 on four is every single,
+// double, treble and the four-fold.
+const SYSTEM_TYPES = {
+  trixie: { selections: 3, folds: [2, 3] },
+  patent: { selections: 3, folds: [1, 2, 3] },
+  yankee: { selections: 4, folds: [2, 3, 4] },
+  lucky15: { selections: 4, folds: [1, 2, 3, 4] },
+  canadian: { selections: 5, folds: [2, 3, 4, 5] },
+  lucky31: { selections: 5, folds: [1, 2, 3, 4, 5] },
+  heinz: { selections: 6, folds: [2, 3, 4, 5, 6] },
+};
+
+// 'n_from_m' lets the user pick the fold sizes, e.g. [2] on five selections is ten doubles.
+const CUSTOM_SYSTEM_TYPE = "n_from_m";
+const MAX_SYSTEM_SELECTIONS = 8;
+
+/**
+ * Lists every way of choosing k items from 0..n-1, in lexicographic order.
+ * @param {number} n - The number of items.
+ * @param {number} k - The size of each combination.
+ * @returns {Array<Array<number>>} The combinations, as arrays of indexes.
+ */
+const combinations = (n, k) => {
+  const result = [];
+  const pick = (start, chosen) => {
+    if (chosen.length === k) {
+      result.push([...chosen]);
+      return;
+    }
+    for (let i = start; i <= n - (k - chosen.length); i++) {
+      chosen.push(i);
+      pick(i + 1, chosen);
+      chosen.pop();
+    }
+  };
+  pick(0, []);
+  return result;
+};
+
+/**
+ * Works out which fold sizes a system bet expands into, checking that the number
+ * of selections fits the system type. Throws a 400 error if it does not.
+ * @param {string} systemType - A key of SYSTEM_TYPES, or 'n_from_m'.
+ * @param {number} selectionCount - How many selections are on the slip.
+ * @param {Array<number>} [folds] - The fold sizes, required for 'n_from_m'.
+ * @returns {Array<number>} The fold sizes, in ascending order.
+ */
+const resolveFolds = (systemType, selectionCount, folds) => {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.statusCode = 400;
+    throw err;
+  };
+
+  if (systemType === CUSTOM_SYSTEM_TYPE) {
+    const sizes = [...new Set((folds || []).map(Number))].sort((a, b) => a - b);
+    if (
+      sizes.length === 0 ||
+      sizes.some((k) => !Number.isInteger(k) || k < 1 || k > selectionCount)
+    ) {
+      fail(
+        `Each fold size must be a whole number between 1 and ${selectionCount}.`
+      );
+    }
+    return sizes;
+  }
+
+  const definition = SYSTEM_TYPES[systemType];
+  if (!definition) fail(`Unknown system bet type '${systemType}'.`);
+  if (definition.selections !== selectionCount) {
+    fail(
+      `A ${systemType} needs exactly ${definition.selections} selections, but ${selectionCount} were given.`
+    );
+  }
+  return definition.folds;
+};
+
+/**
+ * Expands a slip into the lines of a system bet. Every line is an accumulator of
+ * some of the selections and carries the same stake.
+ * @param {Array<object>} selections - The priced selections, each with 'odds'.
+ * @param {string} systemType - A key of SYSTEM_TYPES, or 'n_from_m'.
+ * @param {number} stakePerLine - The stake on each line.
+ * @param {Array<number>} [folds] - The fold sizes, required for 'n_from_m'.
+ * @returns {Array<object>} The lines: { selectionIndexes, totalOdds, stake }.
+ */
+const buildSystemLines = (selections, systemType, stakePerLine, folds) => {
+  const sizes = resolveFolds(systemType, selections.length, folds);
+  return sizes.flatMap((k) =>
+    combinations(selections.length, k).map((indexes) => ({
+      selectionIndexes: indexes,
+      totalOdds: parseFloat(
+        indexes.reduce((acc, i) => acc * selections[i].odds, 1).toFixed(2)
+      ),
+      stake: stakePerLine,
+    }))
+  );
+};
+
+module.exports = {
+  SYSTEM_TYPES,
+  CUSTOM_SYSTEM_TYPE,
+  MAX_SYSTEM_SELECTIONS,
+  combinations,
+  resolveFolds,
+  buildSystemLines,
+};
@@ -0,0 +1,158 @@
+// In: services/tradingLimitService.js
+
+const Bet = require("../models/Bet");
+const TradingLimit = require("../models/TradingLimit");
+const { MARKETS } = require("./marketService");
+
+const LIMIT_FIELDS = [
+  "maxPayoutPerBet",
+  "maxStakePerSelection",
+  "maxLiabilityPerOutcome",
+];
+
+// Stakes offered back to the user are rounded down, so they never breach a limit.
+const floorMoney = (amount) => Math.floor(amount * 100) / 100;
+
+/**
+ * Returns the limits in force for each of the given leagues: the defaults, with
+ * any league-specific values laid over them.
+ * @param {Array<string>} leagues - The leagues to look up.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<Map<string, object>>} A map of league to its limits.
+ */
+const getLimitsForLeagues = async (leagues, session) => {
+  const documents = await TradingLimit.find({
+    league: { $in: [null, ...leagues] },
+  })
+    .lean()
+    .session(session || null);
+  const defaults = documents.find((d) => d.league === null) || {};
+
+  const limits = new Map();
+  for (const league of leagues) {
+    const override = documents.find((d) => d.league === league) || {};
+    const merged = {};
+    for (const field of LIMIT_FIELDS) {
+      merged[field] = override[field] ?? defaults[field] ?? null;
+    }
+    limits.set(league, merged);
+  }
+  return limits;
+};
+
+/**
+ * What the pending bets on one outcome of a game would return if it won. A multi
+ * or system bet counts in full against each of its selections.
+ * @param {object} selection - { game, market, line, outcome }.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<number>} The potential payout.
+ */
+const getOutcomeLiability = async (selection, session) => {
+  const market = selection.market || MARKETS.MATCH_RESULT;
+  const [result] = await Bet.aggregate([
+    {
+      $match: {
+        status: "pending",
+        selections: {
+          $elemMatch: {
+            game: selection.game,
+            // Bets placed before markets existed have no market or line stored.
+            market:
+              market === MARKETS.MATCH_RESULT
+                ? { $in: [market, null] }
+                : market,
+            line: selection.line ?? null,
+            outcome: selection.outcome,
+          },
+        },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $multiply: [{ $ifNull: ["$stakePerLine", "$stake"] }, "$totalOdds"],
+          },
+        },
+      },
+    },
+  ]).session(session || null);
+  return result ? result.total : 0;
+};
+
+/**
+ * Checks a bet against the trading limits of every league it touches: the maximum
+ * payout per bet, the maximum stake per selection and the maximum liability on each
+ * outcome. When the stake is too high the bet is rejected with the largest stake
+ * that would be accepted, or, if the user asked for it, placed at that stake.
+ * @param {object} params
+ * @param {Array<object>} params.selections - { game, market, line, outcome }, where
+ * game is the Game document.
+ * @param {number} params.stake - The total stake requested.
+ * @param {number} params.potentialPayout - What the bet returns if every selection wins.
+ * @param {boolean} [params.acceptMaxStake] - Place at the maximum stake instead of failing.
+ * @param {object} [session] - The Mongoose database session.
+ * @returns {Promise<number>} The stake to place.
+ * @throws {Error} A 422 error with details { code, maxStake, limit } if the stake is
+ * over a limit and acceptMaxStake is not set, or no stake at all would be accepted.
+ */
+const enforceTradingLimits = async (
+  { selections, stake, potentialPayout, acceptMaxStake = false },
+  session
+) => {
+  const leagues = [...new Set(selections.map((s) => s.game.league))];
+  const limitsByLeague = await getLimitsForLeagues(leagues, session);
+  const returnPerUnitStake = potentialPayout / stake;
+
+  let maxStake = Infinity;
+  let breached = null;
+  const tighten = (candidate, limit) => {
+    if (candidate < maxStake) {
+      maxStake = candidate;
+      breached = limit;
+    }
+  };
+
+  for (const selection of selections) {
+    const limits = limitsByLeague.get(selection.game.league);
+
+    if (limits.maxPayoutPerBet !== null) {
+      tighten(limits.maxPayoutPerBet / returnPerUnitStake, "max_payout");
+    }
+    if (limits.maxStakePerSelection !== null) {
+      tighten(limits.maxStakePerSelection, "max_stake");
+    }
+    if (limits.maxLiabilityPerOutcome !== null) {
+      const liability = await getOutcomeLiability(
+        { ...selection, game: selection.game._id },
+        session
+      );
+      tighten(
+        (limits.maxLiabilityPerOutcome - liability) / returnPerUnitStake,
+        "max_liability"
+      );
+    }
+  }
+
+  if (stake <= maxStake) return stake;
+
+  maxStake = Math.max(0, floorMoney(maxStake));
+  if (acceptMaxStake && maxStake > 0) return maxStake;
+
+  const err = new Error(
+    maxStake > 0
+      ? `The maximum stake accepted on this bet is $${maxStake.toFixed(2)}.`
+      : "This bet cannot be accepted at the moment because of trading limits."
+  );
+  err.statusCode = 422;
+  err.details = { code: "stake_limit_exceeded", maxStake, limit: breached };
+  throw err;
+};
+
+module.exports = {
+  LIMIT_FIELDS,
+  getLimitsForLeagues,
+  getOutcomeLiability,
+  enforceTradingLimits,
+};
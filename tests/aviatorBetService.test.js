@@ -0,0 +1,277 @@
+// In: Bet/Backend/tests/aviatorBetService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const aviatorBetService = require("../services/aviatorBetService");
+const User = require("../models/User");
+const AviatorGame = require("../models/AviatorGame");
+const AviatorBet = require("../models/AviatorBet");
+const AviatorAutoBet = require("../models/AviatorAutoBet");
+const Notification = require("../models/Notification");
+const Transaction = require("../models/Transaction");
+
+jest.mock("../services/aiHelperService", () => ({
+  generateInterventionMessage: jest
+    .fn()
+    .mockResolvedValue("This is a friendly intervention message."),
+}));
+
+describe("Aviator Bet Service", () => {
+  let mongoServer;
+  let user;
+  let rounds;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "pilot",
+      email: "pilot@example.com",
+      firstName: "Pat",
+      lastName: "Pilot",
+      walletBalance: 100,
+    }).save();
+    rounds = 0;
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await AviatorGame.deleteMany({});
+    await AviatorBet.deleteMany({});
+    await AviatorAutoBet.deleteMany({});
+    await Notification.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  const newRound = () => {
+    rounds += 1;
+    return new AviatorGame({
+      serverSeed: `seed-${rounds}`,
+      salt: "salt",
+      publicHash: `hash-${rounds}`,
+      status: "waiting",
+    }).save();
+  };
+
+  // Plays one round of the engine's auto-betting: bets placed, then every bet
+  // cashed out if the round reached its target and lost otherwise.
+  const playAutoRound = async (crashMultiplier) => {
+    const game = await newRound();
+    const result = await aviatorBetService.placeAutoBets(game);
+    for (const { bet } of result.placed) {
+      const won = crashMultiplier >= bet.autoCashOutAt;
+      await AviatorBet.updateOne(
+        { _id: bet._id },
+        {
+          $set: {
+            status: won ? "won" : "lost",
+            cashOutAt: won ? bet.autoCashOutAt : null,
+            payout: won ? bet.stake * bet.autoCashOutAt : 0,
+          },
+        }
+      );
+    }
+    result.ended.push(...(await aviatorBetService.settleAutoBets(game._id)));
+    return result;
+  };
+
+  describe("placeAviatorBet", () => {
+    it("should take one bet on each panel in the same round", async () => {
+      const game = await newRound();
+
+      await aviatorBetService.placeAviatorBet(user._id, game._id, {
+        panel: 1,
+        stake: 10,
+      });
+      const { walletBalance } = await aviatorBetService.placeAviatorBet(
+        user._id,
+        game._id,
+        { panel: 2, stake: 5, autoCashOutAt: 2 }
+      );
+
+      expect(walletBalance).toBe(85);
+      const bets = await AviatorBet.find({ game: game._id }).sort({ panel: 1 });
+      expect(bets.map((bet) => bet.panel)).toEqual([1, 2]);
+      expect(bets[1].autoCashOutAt).toBe(2);
+    });
+
+    it("should reject a second bet on the same panel", async () => {
+      const game = await newRound();
+      await aviatorBetService.placeAviatorBet(user._id, game._id, {
+        stake: 10,
+      });
+
+      await expect(
+        aviatorBetService.placeAviatorBet(user._id, game._id, { stake: 10 })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it("should keep manual bets off a panel running an auto-bet", async () => {
+      await aviatorBetService.createAutoBet(user._id, {
+        panel: 2,
+        baseStake: 1,
+        autoCashOutAt: 2,
+        rounds: 5,
+      });
+      const game = await newRound();
+
+      await expect(
+        aviatorBetService.placeAviatorBet(user._id, game._id, {
+          panel: 2,
+          stake: 10,
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe("createAutoBet", () => {
+    it("should allow one running auto-bet per panel", async () => {
+      const config = { baseStake: 1, autoCashOutAt: 2, rounds: 5 };
+      await aviatorBetService.createAutoBet(user._id, config);
+
+      await expect(
+        aviatorBetService.createAutoBet(user._id, config)
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        aviatorBetService.createAutoBet(user._id, { ...config, panel: 2 })
+      ).resolves.toBeDefined();
+    });
+
+    it("should reject a stop-loss below the base stake", async () => {
+      await expect(
+        aviatorBetService.createAutoBet(user._id, {
+          baseStake: 10,
+          autoCashOutAt: 2,
+          rounds: 5,
+          stopLoss: 5,
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe("auto-bet runs", () => {
+    it("should adjust the stake after wins and losses", async () => {
+      const autoBet = await aviatorBetService.createAutoBet(user._id, {
+        baseStake: 10,
+        autoCashOutAt: 2,
+        rounds: 10,
+        onWin: { action: "reset" },
+        onLoss: { action: "increase", percent: 100 },
+      });
+
+      await playAutoRound(1.5);
+      let run = await AviatorAutoBet.findById(autoBet._id);
+      expect(run.currentStake).toBe(20);
+      expect(run.netProfit).toBe(-10);
+
+      await playAutoRound(3);
+      run = await AviatorAutoBet.findById(autoBet._id);
+      expect(run.currentStake).toBe(10);
+      expect(run.netProfit).toBe(10);
+      expect(run.roundsPlayed).toBe(2);
+      expect(run.pendingBet).toBeNull();
+    });
+
+    it("should complete once every round is played", async () => {
+      const autoBet = await aviatorBetService.createAutoBet(user._id, {
+        baseStake: 5,
+        autoCashOutAt: 2,
+        rounds: 2,
+      });
+
+      await playAutoRound(3);
+      const { ended } = await playAutoRound(3);
+
+      expect(ended.map((run) => run._id)).toEqual([autoBet._id]);
+      const run = await AviatorAutoBet.findById(autoBet._id);
+      expect(run.status).toBe("completed");
+      expect(await AviatorBet.countDocuments({ autoBet: autoBet._id })).toBe(2);
+      expect(
+        await Notification.countDocuments({ type: "aviator_auto_bet_stopped" })
+      ).toBe(1);
+    });
+
+    it("should stop at the take-profit limit", async () => {
+      const autoBet = await aviatorBetService.createAutoBet(user._id, {
+        baseStake: 10,
+        autoCashOutAt: 2,
+        rounds: 10,
+        takeProfit: 15,
+      });
+
+      await playAutoRound(3);
+      await playAutoRound(3);
+      await playAutoRound(3);
+
+      const run = await AviatorAutoBet.findById(autoBet._id);
+      expect(run.status).toBe("stopped");
+      expect(run.roundsPlayed).toBe(2);
+      expect(run.netProfit).toBe(20);
+    });
+
+    it("should stop before a stake could pass the stop-loss", async () => {
+      const autoBet = await aviatorBetService.createAutoBet(user._id, {
+        baseStake: 10,
+        autoCashOutAt: 2,
+        rounds: 10,
+        onLoss: { action: "increase", percent: 100 },
+        stopLoss: 25,
+      });
+
+      await playAutoRound(1.5);
+      await playAutoRound(1.5);
+
+      // After losing 10, a 20 stake could take losses to 30.
+      const run = await AviatorAutoBet.findById(autoBet._id);
+      expect(run.status).toBe("stopped");
+      expect(run.roundsPlayed).toBe(1);
+      expect(run.netProfit).toBe(-10);
+    });
+
+    it("should stop a run the player can no longer fund", async () => {
+      const autoBet = await aviatorBetService.createAutoBet(user._id, {
+        baseStake: 150,
+        autoCashOutAt: 2,
+        rounds: 3,
+      });
+
+      const { placed, ended } = await playAutoRound(3);
+
+      expect(placed).toHaveLength(0);
+      expect(ended).toHaveLength(1);
+      const run = await AviatorAutoBet.findById(autoBet._id);
+      expect(run.status).toBe("stopped");
+      expect(run.stopReason).toMatch(/Insufficient funds/);
+    });
+
+    it("should still count the last bet of a cancelled run", async () => {
+      const autoBet = await aviatorBetService.createAutoBet(user._id, {
+        baseStake: 10,
+        autoCashOutAt: 2,
+        rounds: 5,
+      });
+      const game = await newRound();
+      const { placed } = await aviatorBetService.placeAutoBets(game);
+
+      await aviatorBetService.cancelAutoBet(user._id, autoBet._id);
+      await AviatorBet.updateOne(
+        { _id: placed[0].bet._id },
+        { $set: { status: "lost" } }
+      );
+      await aviatorBetService.settleAutoBets(game._id);
+
+      const run = await AviatorAutoBet.findById(autoBet._id);
+      expect(run.status).toBe("cancelled");
+      expect(run.roundsPlayed).toBe(1);
+      expect(run.netProfit).toBe(-10);
+    });
+  });
+});
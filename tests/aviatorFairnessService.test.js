@@ -0,0 +1,150 @@
+// In: Bet/Backend/tests/aviatorFairnessService.test.js
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const fairness = require("../services/aviatorFairnessService");
+const AviatorGame = require("../models/AviatorGame");
+const AviatorSeedChain = require("../models/AviatorSeedChain");
+
+describe("Aviator Fairness Service", () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await AviatorGame.deleteMany({});
+    await AviatorSeedChain.deleteMany({});
+  });
+
+  // Plays a round the way the engine does: seed from the chain, crash point fixed
+  // from the client seeds, then crashed.
+  const playRound = async (clientSeeds = []) => {
+    const { chain, nonce, serverSeed } = await fairness.nextServerSeed();
+    const salt = crypto.randomBytes(16).toString("hex");
+    const { clientSeed, crashPoint } = fairness.computeRound({
+      serverSeed,
+      salt,
+      clientSeeds,
+      nonce,
+    });
+    return new AviatorGame({
+      serverSeed,
+      salt,
+      publicHash: fairness.sha256(serverSeed),
+      seedChain: chain._id,
+      nonce,
+      clientSeeds,
+      clientSeed,
+      crashMultiplier: crashPoint,
+      status: "crashed",
+    }).save();
+  };
+
+  it("should chain each round's seed to the one before it", async () => {
+    const chain = await fairness.createSeedChain(5);
+
+    const first = await playRound();
+    const second = await playRound();
+
+    expect(first.nonce).toBe(1);
+    expect(first.publicHash).toBe(chain.commitment);
+    expect(second.publicHash).toBe(first.serverSeed);
+  });
+
+  it("should start a new chain when the active one runs out", async () => {
+    const chain = await fairness.createSeedChain(1);
+    await playRound();
+
+    const next = await playRound();
+
+    expect(next.seedChain).not.toEqual(chain._id);
+    expect(next.nonce).toBe(1);
+    const exhausted = await AviatorSeedChain.findById(chain._id);
+    expect(exhausted.status).toBe("exhausted");
+  });
+
+  it("should crash instantly only when the hash starts with a zero byte", () => {
+    const hashFrom = (firstByte) => `${firstByte}${"8".repeat(62)}`;
+
+    expect(fairness.getCrashPoint(hashFrom("00"))).toBe(1);
+    expect(fairness.getCrashPoint(hashFrom("21"))).toBeGreaterThan(1);
+    expect(fairness.getCrashPoint(hashFrom("42"))).toBeGreaterThan(1);
+  });
+
+  it("should mix the client seeds into the result", () => {
+    const round = { serverSeed: "seed", salt: "salt", nonce: 1 };
+
+    const unseeded = fairness.computeRound({ ...round, clientSeeds: [] });
+    const seeded = fairness.computeRound({ ...round, clientSeeds: ["lucky"] });
+
+    expect(seeded.clientSeed).not.toBe(unseeded.clientSeed);
+    expect(seeded.gameHash).not.toBe(unseeded.gameHash);
+  });
+
+  it("should verify an honest round", async () => {
+    await fairness.createSeedChain(5);
+    await playRound();
+    const game = await playRound(["player-one", "player-two"]);
+
+    const verification = await fairness.verifyRound(game._id);
+
+    expect(verification.verified).toBe(true);
+    expect(verification.crashPoint).toBe(game.crashMultiplier);
+    expect(verification.checks).toEqual({
+      seedMatchesPublicHash: true,
+      seedInChain: true,
+      crashPointMatches: true,
+    });
+  });
+
+  it("should catch a crash point that does not match the seeds", async () => {
+    const game = await playRound();
+    game.crashMultiplier += 1;
+    await game.save();
+
+    const verification = await fairness.verifyRound(game._id);
+
+    expect(verification.verified).toBe(false);
+    expect(verification.checks.crashPointMatches).toBe(false);
+  });
+
+  it("should not reveal the seed of a round still in play", async () => {
+    const game = await playRound();
+    game.status = "running";
+    await game.save();
+
+    await expect(fairness.verifyRound(game._id)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it("should verify a round from before seed chains", async () => {
+    const serverSeed = crypto.randomBytes(32).toString("hex");
+    const salt = crypto.randomBytes(16).toString("hex");
+    const gameHash = crypto
+      .createHmac("sha256", serverSeed)
+      .update(salt)
+      .digest("hex");
+    const game = await new AviatorGame({
+      serverSeed,
+      salt,
+      publicHash: fairness.sha256(serverSeed),
+      crashMultiplier: fairness.getCrashPoint(gameHash),
+      status: "crashed",
+    }).save();
+
+    const verification = await fairness.verifyRound(game._id);
+
+    expect(verification.verified).toBe(true);
+    expect(verification.checks.seedInChain).toBeNull();
+  });
+});
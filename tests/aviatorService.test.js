@@ -0,0 +1,170 @@
+// In: Bet/Backend/tests/aviatorService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const AviatorService = require("../services/aviatorService");
+const { placeAviatorBet } = require("../services/aviatorBetService");
+const User = require("../models/User");
+const AviatorGame = require("../models/AviatorGame");
+const AviatorBet = require("../models/AviatorBet");
+const Transaction = require("../models/Transaction");
+
+jest.mock("../services/aiHelperService", () => ({
+  generateInterventionMessage: jest
+    .fn()
+    .mockResolvedValue("This is a friendly intervention message."),
+}));
+
+describe("Aviator Service recovery", () => {
+  let mongoServer;
+  let service;
+  let user;
+  let rounds;
+
+  const io = { emit: jest.fn(), to: () => io };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    service = new AviatorService(io);
+    user = await new User({
+      username: "pilot",
+      email: "pilot@example.com",
+      firstName: "Pat",
+      lastName: "Pilot",
+      walletBalance: 100,
+    }).save();
+    rounds = 0;
+  });
+
+  afterEach(async () => {
+    // Stops the tick loop of a resumed round.
+    service.gameState = "waiting";
+    await User.deleteMany({});
+    await AviatorGame.deleteMany({});
+    await AviatorBet.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  const secondsAgo = (seconds) => new Date(Date.now() - seconds * 1000);
+
+  // A round left in the given phase, with a 10 stake from the user on panel 1.
+  const interruptedRound = async (fields, bet = {}) => {
+    rounds += 1;
+    const game = await new AviatorGame({
+      serverSeed: `seed-${rounds}`,
+      salt: "salt",
+      publicHash: `hash-${rounds}`,
+      ...fields,
+    }).save();
+    await placeAviatorBet(user._id, game._id, { stake: 10, ...bet });
+    return game;
+  };
+
+  const balance = async () => (await User.findById(user._id)).walletBalance;
+
+  it("should void a round cut short while taking bets and refund its stakes", async () => {
+    const game = await interruptedRound({ status: "betting" });
+    expect(await balance()).toBe(90);
+
+    const resumed = await service.recoverInterruptedRounds();
+
+    expect(resumed).toBe(false);
+    const voided = await AviatorGame.findById(game._id);
+    expect(voided.status).toBe("voided");
+    expect(voided.settledAt).not.toBeNull();
+    const bet = await AviatorBet.findOne({ game: game._id });
+    expect(bet.status).toBe("void");
+    expect(await balance()).toBe(100);
+  });
+
+  it("should void a running round whose crash point passed while it was down", async () => {
+    const game = await interruptedRound({
+      status: "running",
+      crashMultiplier: 1.5,
+      startedAt: secondsAgo(60),
+    });
+
+    expect(await service.recoverInterruptedRounds()).toBe(false);
+
+    expect((await AviatorGame.findById(game._id)).status).toBe("voided");
+    expect(await balance()).toBe(100);
+  });
+
+  it("should settle a crashed round whose bets were never resolved", async () => {
+    const game = await interruptedRound({
+      status: "crashed",
+      crashMultiplier: 2,
+      crashedAt: new Date(),
+    });
+
+    await service.recoverInterruptedRounds();
+
+    const settled = await AviatorGame.findById(game._id);
+    expect(settled.status).toBe("crashed");
+    expect(settled.settledAt).not.toBeNull();
+    const bet = await AviatorBet.findOne({ game: game._id });
+    expect(bet.status).toBe("lost");
+    expect(await balance()).toBe(90);
+  });
+
+  it("should leave rounds from before settlement tracking alone", async () => {
+    await AviatorGame.collection.insertOne({
+      serverSeed: "old-seed",
+      salt: "salt",
+      publicHash: "old-hash",
+      status: "crashed",
+      crashMultiplier: 3,
+    });
+    const spy = jest.spyOn(service, "finishRound");
+
+    await service.recoverInterruptedRounds();
+
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it("should resume a running round and pay auto cash-outs without querying each tick", async () => {
+    const game = await interruptedRound(
+      { status: "running", crashMultiplier: 1000, startedAt: secondsAgo(2) },
+      { autoCashOutAt: 1.05 }
+    );
+
+    const resumed = await service.recoverInterruptedRounds();
+    const findSpy = jest.spyOn(AviatorBet, "find");
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    expect(resumed).toBe(true);
+    expect(service.gameState).toBe("running");
+    expect(service.currentGame._id).toEqual(game._id);
+    expect(findSpy).not.toHaveBeenCalled();
+    const bet = await AviatorBet.findOne({ game: game._id });
+    expect(bet.status).toBe("won");
+    expect(bet.payout).toBe(10.5);
+    expect(await balance()).toBe(100.5);
+    findSpy.mockRestore();
+  });
+
+  it("should let a player cash out a bet on a resumed round", async () => {
+    await interruptedRound({
+      status: "running",
+      crashMultiplier: 1000,
+      startedAt: secondsAgo(2),
+    });
+    await service.recoverInterruptedRounds();
+
+    const { bet } = await service.cashOut(user._id);
+
+    expect(bet.status).toBe("won");
+    await expect(service.cashOut(user._id)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+});
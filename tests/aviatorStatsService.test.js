@@ -0,0 +1,138 @@
+// In: Bet/Backend/tests/aviatorStatsService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const aviatorStatsService = require("../services/aviatorStatsService");
+const User = require("../models/User");
+const AviatorGame = require("../models/AviatorGame");
+const AviatorBet = require("../models/AviatorBet");
+
+describe("Aviator Stats Service", () => {
+  let mongoServer;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  const crashedRound = (crashMultiplier, minutesAgo) =>
+    new AviatorGame({
+      serverSeed: `seed-${crashMultiplier}`,
+      salt: "salt",
+      publicHash: `hash-${crashMultiplier}`,
+      crashMultiplier,
+      status: "crashed",
+      crashedAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+    }).save();
+
+  const bet = (user, game, stake, cashOutAt = null) =>
+    new AviatorBet({
+      user: user._id,
+      game: game._id,
+      stake,
+      status: cashOutAt ? "won" : "lost",
+      cashOutAt,
+      payout: cashOutAt ? stake * cashOutAt : 0,
+    }).save();
+
+  beforeEach(async () => {
+    alice = await new User({
+      username: "alice",
+      email: "alice@example.com",
+      firstName: "Alice",
+      lastName: "Pilot",
+    }).save();
+    bob = await new User({
+      username: "bob",
+      email: "bob@example.com",
+      firstName: "Bob",
+      lastName: "Pilot",
+    }).save();
+
+    const instant = await crashedRound(1.0, 3);
+    const middling = await crashedRound(2.5, 2);
+    await crashedRound(150, 1);
+    await bet(alice, instant, 10);
+    await bet(bob, instant, 20);
+    await bet(alice, middling, 10, 2);
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await AviatorGame.deleteMany({});
+    await AviatorBet.deleteMany({});
+  });
+
+  it("should list crashed rounds newest first with their totals", async () => {
+    const { rounds, totalCount } = await aviatorStatsService.getRoundHistory();
+
+    expect(totalCount).toBe(3);
+    expect(rounds.map((round) => round.crashMultiplier)).toEqual([
+      150, 2.5, 1.0,
+    ]);
+    expect(rounds[0]).toMatchObject({ playerCount: 0, totalStaked: 0 });
+    expect(rounds[2]).toMatchObject({
+      playerCount: 2,
+      totalStaked: 30,
+      totalPaid: 0,
+    });
+    expect(rounds[2].serverSeed).toBe("seed-1");
+  });
+
+  it("should list a user's own bets with a summary", async () => {
+    const { bets, summary } = await aviatorStatsService.getUserBetHistory(
+      alice._id
+    );
+
+    expect(bets).toHaveLength(2);
+    expect(bets[0].game.crashMultiplier).toBe(2.5);
+    expect(summary).toMatchObject({
+      betCount: 2,
+      totalStaked: 20,
+      totalPaid: 20,
+      net: 0,
+      bestCashOut: 2,
+    });
+  });
+
+  it("should report the realised house edge and crash distribution", async () => {
+    const stats = await aviatorStatsService.getAviatorStats();
+
+    expect(stats.rounds).toBe(3);
+    expect(stats.crashPoints.median).toBe(2.5);
+    expect(stats.betting).toMatchObject({
+      bets: 3,
+      players: 2,
+      cashedOut: 1,
+      totalStaked: 40,
+      totalPaid: 20,
+      houseProfit: 20,
+      realisedHouseEdge: 0.5,
+    });
+    const byRange = Object.fromEntries(
+      stats.distribution.map((bucket) => [bucket.range, bucket.rounds])
+    );
+    expect(byRange).toMatchObject({
+      "1.00x": 1,
+      "2x-4.99x": 1,
+      "100x+": 1,
+    });
+  });
+
+  it("should limit the stats to a date range", async () => {
+    const stats = await aviatorStatsService.getAviatorStats({
+      from: new Date(Date.now() - 90 * 1000),
+    });
+
+    expect(stats.rounds).toBe(1);
+    expect(stats.betting.bets).toBe(0);
+    expect(stats.betting.realisedHouseEdge).toBeNull();
+  });
+});
@@ -1,10 +1,18 @@
 const mongoose = require("mongoose");
 const { MongoMemoryServer } = require("mongodb-memory-server");
-const { resolveBetsForGame } = require("../services/betResolutionService");
+const {
+  resolveBetsForGame,
+  voidSelectionsForGame,
+  resettleGame,
+} = require("../services/betResolutionService");
 const User = require("../models/User");
 const Game = require("../models/Game");
 const Bet = require("../models/Bet");
 const Transaction = require("../models/Transaction");
+const Notification = require("../models/Notification");
+const JournalEntry = require("../models/JournalEntry");
+const { placeStake, reconcileUser } = require("../services/ledgerService");
+const { priceSameGameSelections } = require("../services/marketService");
 
 describe("Bet Resolution Service", () => {
   let mongoServer;
@@ -297,3 +305,449 @@ it("should correctly settle a LOST multi-bet if one leg is incorrect", async ()
     session.endSession();
   }
 });
+
+describe("Game resettlement", () => {
+  let mongoServer;
+  const io = { to: () => ({ emit: () => {} }) };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.deleteMany({});
+    await Transaction.deleteMany({});
+    await Notification.deleteMany({});
+    await JournalEntry.collection.deleteMany({});
+  });
+
+  it("should reverse a wrong settlement and pay the bets that actually won", async () => {
+    const admin = await new User({
+      username: "resettleadmin",
+      email: "resettleadmin@example.com",
+      role: "admin",
+    }).save();
+    const homeBacker = await new User({
+      username: "homebacker",
+      email: "homebacker@example.com",
+      walletBalance: 100,
+    }).save();
+    const awayBacker = await new User({
+      username: "awaybacker",
+      email: "awaybacker@example.com",
+      walletBalance: 100,
+    }).save();
+
+    const game = await new Game({
+      homeTeam: "Team M",
+      awayTeam: "Team N",
+      odds: { home: 2.0, away: 3.0, draw: 3.5 },
+      matchDate: new Date(),
+      league: "Test League",
+      status: "finished",
+      result: "A", // Wrong: the provider later corrects this to an away win.
+      scores: { home: 1, away: 0 },
+    }).save();
+
+    const placeBet = async (user, outcome, odds) => {
+      const bet = await new Bet({
+        user: user._id,
+        betType: "single",
+        stake: 10,
+        totalOdds: odds,
+        selections: [{ game: game._id, outcome, odds }],
+      }).save();
+      await placeStake(user, 10, { bet, game, description: "Stake" });
+      return bet;
+    };
+    const homeBet = await placeBet(homeBacker, "A", 2.0);
+    const awayBet = await placeBet(awayBacker, "B", 3.0);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    await resolveBetsForGame(game, session, io);
+    await session.commitTransaction();
+    session.endSession();
+
+    const audit = await resettleGame(
+      game._id,
+      {
+        result: "B",
+        scores: { home: 0, away: 1 },
+        reason: "Provider corrected the score.",
+        adminId: admin._id,
+      },
+      io
+    );
+
+    const updatedHomeBet = await Bet.findById(homeBet._id);
+    const updatedAwayBet = await Bet.findById(awayBet._id);
+    const updatedHomeBacker = await User.findById(homeBacker._id);
+    const updatedAwayBacker = await User.findById(awayBacker._id);
+    const staleWins = await Notification.countDocuments({
+      bet: homeBet._id,
+      type: "bet_won",
+    });
+
+    expect(updatedHomeBet.status).toBe("lost");
+    expect(updatedAwayBet.status).toBe("won");
+    expect(updatedHomeBacker.walletBalance).toBe(90);
+    expect(updatedAwayBacker.walletBalance).toBe(120);
+    expect(staleWins).toBe(0);
+    expect(audit.previousResult).toBe("A");
+    expect(audit.reversal).toHaveLength(2);
+    expect(audit.resettlement).toHaveLength(2);
+    expect((await reconcileUser(updatedHomeBacker)).isReconciled).toBe(true);
+    expect((await reconcileUser(updatedAwayBacker)).isReconciled).toBe(true);
+  });
+
+  it("should take back a push refund and pay the bets a corrected score wins", async () => {
+    const admin = await new User({
+      username: "pushadmin",
+      email: "pushadmin@example.com",
+      role: "admin",
+    }).save();
+    const user = await new User({
+      username: "pushbacker",
+      email: "pushbacker@example.com",
+      walletBalance: 100,
+    }).save();
+
+    const makeGame = (homeTeam, awayTeam, fields) =>
+      new Game({
+        homeTeam,
+        awayTeam,
+        odds: { home: 2.0, away: 3.0, draw: 3.5 },
+        matchDate: new Date(),
+        league: "Test League",
+        status: "finished",
+        ...fields,
+      }).save();
+    // Two goals on a line of 2 is a push; the provider later corrects it to 2-1.
+    const game = await makeGame("Team S", "Team T", {
+      result: "Draw",
+      scores: { home: 1, away: 1 },
+    });
+    const otherGame = await makeGame("Team W", "Team X", {
+      result: "A",
+      scores: { home: 1, away: 0 },
+    });
+
+    const overTwo = { game: game._id, market: "over_under", line: 2 };
+    const single = await new Bet({
+      user: user._id,
+      betType: "single",
+      stake: 10,
+      totalOdds: 2.0,
+      selections: [{ ...overTwo, outcome: "Over", odds: 2.0 }],
+    }).save();
+    await placeStake(user, 10, { bet: single, game, description: "Stake" });
+    const multi = await new Bet({
+      user: user._id,
+      betType: "multi",
+      stake: 10,
+      totalOdds: 4.0,
+      selections: [
+        { ...overTwo, outcome: "Over", odds: 2.0 },
+        { game: otherGame._id, outcome: "A", odds: 2.0 },
+      ],
+    }).save();
+    await placeStake(user, 10, { bet: multi, description: "Stake" });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    await resolveBetsForGame(game, session, io);
+    await session.commitTransaction();
+    session.endSession();
+
+    expect((await Bet.findById(single._id)).status).toBe("cancelled");
+    const pushedMulti = await Bet.findById(multi._id);
+    expect(pushedMulti.status).toBe("won");
+    expect(pushedMulti.selections[0].status).toBe("void");
+    expect((await User.findById(user._id)).walletBalance).toBe(110); // 80 + 10 + 20
+
+    const audit = await resettleGame(
+      game._id,
+      {
+        result: "A",
+        scores: { home: 2, away: 1 },
+        reason: "Provider corrected the score.",
+        adminId: admin._id,
+      },
+      io
+    );
+
+    const updatedSingle = await Bet.findById(single._id);
+    const updatedMulti = await Bet.findById(multi._id);
+    const updatedUser = await User.findById(user._id);
+
+    expect(updatedSingle.status).toBe("won");
+    expect(updatedSingle.payout).toBe(20);
+    expect(updatedMulti.status).toBe("won");
+    expect(updatedMulti.selections.map((s) => s.status)).toEqual([
+      "won",
+      "won",
+    ]);
+    expect(updatedMulti.payout).toBe(40);
+    expect(updatedUser.walletBalance).toBe(140); // 80 + 20 + 40
+    expect(audit.reversal.map((r) => r.status).sort()).toEqual([
+      "cancelled",
+      "won",
+    ]);
+    expect((await reconcileUser(updatedUser)).isReconciled).toBe(true);
+  });
+
+  it("should restore a bet builder's price when a void leg is resettled", async () => {
+    const admin = await new User({
+      username: "builderadmin",
+      email: "builderadmin@example.com",
+      role: "admin",
+    }).save();
+    const user = await new User({
+      username: "builderbacker",
+      email: "builderbacker@example.com",
+      walletBalance: 100,
+    }).save();
+    // Two goals on a line of 2 is a push; the provider later corrects it to 3-0.
+    const game = await new Game({
+      homeTeam: "Team Y",
+      awayTeam: "Team Z",
+      odds: { home: 1.8, away: 4.5, draw: 3.6 },
+      matchDate: new Date(),
+      league: "Test League",
+      status: "finished",
+      result: "A",
+      scores: { home: 2, away: 0 },
+    }).save();
+    const expectedGoals = { home: 1.5, away: 0.85 };
+    const selections = [
+      { game: game._id, market: "1x2", outcome: "A", odds: 1.8 },
+      {
+        game: game._id,
+        market: "over_under",
+        line: 2,
+        outcome: "Over",
+        odds: 2.0,
+      },
+    ];
+    const placedOdds = priceSameGameSelections(expectedGoals, selections);
+    const bet = await new Bet({
+      user: user._id,
+      betType: "bet_builder",
+      stake: 10,
+      totalOdds: placedOdds,
+      expectedGoals,
+      selections,
+    }).save();
+    await placeStake(user, 10, { bet, game, description: "Stake" });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    await resolveBetsForGame(game, session, io);
+    await session.commitTransaction();
+    session.endSession();
+    expect((await Bet.findById(bet._id)).totalOdds).toBe(1.8);
+
+    await resettleGame(
+      game._id,
+      {
+        result: "A",
+        scores: { home: 3, away: 0 },
+        reason: "Provider corrected the score.",
+        adminId: admin._id,
+      },
+      io
+    );
+
+    const updatedBet = await Bet.findById(bet._id);
+    const updatedUser = await User.findById(user._id);
+
+    expect(updatedBet.status).toBe("won");
+    expect(updatedBet.totalOdds).toBe(placedOdds);
+    expect(updatedBet.payout).toBe(parseFloat((10 * placedOdds).toFixed(2)));
+    expect((await reconcileUser(updatedUser)).isReconciled).toBe(true);
+  });
+});
+
+describe("Void selections on cancelled games", () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.deleteMany({});
+    await Transaction.deleteMany({});
+    await JournalEntry.collection.deleteMany({});
+  });
+
+  it("should void only the cancelled leg of a multi-bet and settle the rest", async () => {
+    const user = await new User({
+      username: "accauser",
+      email: "acca@example.com",
+      walletBalance: 100,
+    }).save();
+
+    const makeGame = (homeTeam, awayTeam, fields) =>
+      new Game({
+        homeTeam,
+        awayTeam,
+        odds: { home: 2.0, away: 3.0, draw: 3.5 },
+        matchDate: new Date(),
+        league: "Test League",
+        ...fields,
+      }).save();
+    const finishedGame = await makeGame("Team O", "Team P", {
+      status: "finished",
+      result: "A",
+    });
+    const postponedGame = await makeGame("Team Q", "Team R", {
+      status: "live",
+    });
+
+    const bet = await new Bet({
+      user: user._id,
+      betType: "multi",
+      stake: 10,
+      totalOdds: 6, // 2.0 * 3.0
+      selections: [
+        { game: finishedGame._id, outcome: "A", odds: 2.0 },
+        { game: postponedGame._id, outcome: "B", odds: 3.0 },
+      ],
+    }).save();
+    await placeStake(user, 10, { bet, description: "Stake" });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    postponedGame.status = "cancelled";
+    await postponedGame.save({ session });
+    const outcome = await voidSelectionsForGame(postponedGame, session);
+    await session.commitTransaction();
+    session.endSession();
+
+    const updatedBet = await Bet.findById(bet._id);
+    const updatedUser = await User.findById(user._id);
+
+    expect(outcome).toEqual({ refunded: 0, voidedLegs: 1 });
+    expect(updatedBet.selections.map((s) => s.status)).toEqual(["won", "void"]);
+    expect(updatedBet.totalOdds).toBe(2);
+    expect(updatedBet.status).toBe("won");
+    expect(updatedUser.walletBalance).toBe(110); // 90 + 10 * 2.0
+  });
+
+  it("should refund a single bet on a cancelled game", async () => {
+    const user = await new User({
+      username: "singleuser",
+      email: "single@example.com",
+      walletBalance: 100,
+    }).save();
+    const game = await new Game({
+      homeTeam: "Team S",
+      awayTeam: "Team T",
+      odds: { home: 2.0, away: 3.0, draw: 3.5 },
+      matchDate: new Date(),
+      league: "Test League",
+      status: "cancelled",
+    }).save();
+    const bet = await new Bet({
+      user: user._id,
+      betType: "single",
+      stake: 25,
+      totalOdds: 2.0,
+      selections: [{ game: game._id, outcome: "A", odds: 2.0 }],
+    }).save();
+    await placeStake(user, 25, { bet, game, description: "Stake" });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    await voidSelectionsForGame(game, session);
+    await session.commitTransaction();
+    session.endSession();
+
+    const updatedBet = await Bet.findById(bet._id);
+    const updatedUser = await User.findById(user._id);
+
+    expect(updatedBet.status).toBe("cancelled");
+    expect(updatedBet.selections[0].status).toBe("void");
+    expect(updatedUser.walletBalance).toBe(100);
+  });
+
+  it("should settle a bet builder against the one game and re-price a void leg", async () => {
+    const user = await new User({
+      username: "builderuser",
+      email: "builder@example.com",
+      walletBalance: 100,
+    }).save();
+    const game = await new Game({
+      homeTeam: "Team U",
+      awayTeam: "Team V",
+      odds: { home: 1.8, away: 4.5, draw: 3.6 },
+      matchDate: new Date(),
+      league: "Test League",
+      status: "finished",
+      result: "A",
+      scores: { home: 2, away: 1 },
+    }).save();
+    const bet = await new Bet({
+      user: user._id,
+      betType: "bet_builder",
+      stake: 10,
+      totalOdds: 4.2,
+      expectedGoals: { home: 1.5, away: 0.85 },
+      selections: [
+        { game: game._id, market: "1x2", outcome: "A", odds: 1.8 },
+        {
+          game: game._id,
+          market: "over_under",
+          line: 2.5,
+          outcome: "Over",
+          odds: 2.24,
+        },
+        // Three goals: a push.
+        {
+          game: game._id,
+          market: "over_under",
+          line: 3,
+          outcome: "Over",
+          odds: 2.9,
+        },
+      ],
+    }).save();
+    await placeStake(user, 10, { bet, game, description: "Stake" });
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    await resolveBetsForGame(game, session);
+    await session.commitTransaction();
+    session.endSession();
+
+    const updatedBet = await Bet.findById(bet._id);
+    const updatedUser = await User.findById(user._id);
+
+    expect(updatedBet.selections.map((s) => s.status)).toEqual([
+      "won",
+      "won",
+      "void",
+    ]);
+    expect(updatedBet.status).toBe("won");
+    expect(updatedBet.totalOdds).toBe(3.4); // home win and over 2.5, priced together
+    expect(updatedUser.walletBalance).toBe(124); // 90 + 10 * 3.4
+  });
+});
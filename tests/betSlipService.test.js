@@ -0,0 +1,140 @@
+// In: Bet/Backend/tests/betSlipService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const betSlipService = require("../services/betSlipService");
+const User = require("../models/User");
+const Game = require("../models/Game");
+const Bet = require("../models/Bet");
+const BetSlip = require("../models/BetSlip");
+const Transaction = require("../models/Transaction");
+
+describe("Bet Slip Service", () => {
+  let mongoServer;
+  let user;
+  let gameA;
+  let gameB;
+
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "slipuser",
+      email: "slip@example.com",
+      firstName: "Slip",
+      lastName: "User",
+      walletBalance: 100,
+    }).save();
+    [gameA, gameB] = await Game.insertMany([
+      {
+        homeTeam: "Team A",
+        awayTeam: "Team B",
+        odds: { home: 2.0, away: 3.0, draw: 3.2 },
+        league: "Test League",
+        matchDate: tomorrow(),
+      },
+      {
+        homeTeam: "Team C",
+        awayTeam: "Team D",
+        odds: { home: 1.5, away: 4.0, draw: 3.5 },
+        league: "Test League",
+        matchDate: tomorrow(),
+      },
+    ]);
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.deleteMany({});
+    await BetSlip.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  it("should replace a selection on the same game and market", async () => {
+    await betSlipService.addSelection(user._id, {
+      gameId: gameA._id,
+      outcome: "A",
+    });
+    const slip = await betSlipService.addSelection(user._id, {
+      gameId: gameA._id,
+      outcome: "B",
+    });
+
+    expect(slip.selections).toHaveLength(1);
+    expect(slip.selections[0].outcome).toBe("B");
+    expect(slip.selections[0].odds).toBe(3.0);
+  });
+
+  it("should flag changed odds and started games when the slip is read", async () => {
+    await betSlipService.addSelection(user._id, {
+      gameId: gameA._id,
+      outcome: "A",
+    });
+    await betSlipService.addSelection(user._id, {
+      gameId: gameB._id,
+      outcome: "A",
+    });
+    await Game.updateOne({ _id: gameA._id }, { "odds.home": 2.2 });
+    await Game.updateOne({ _id: gameB._id }, { status: "live" });
+
+    const slip = await betSlipService.getSlip(user._id);
+    const [first, second] = slip.selections;
+
+    expect(first.state).toBe("odds_changed");
+    expect(first.currentOdds).toBe(2.2);
+    expect(second.state).toBe("started");
+    expect(slip.placeable).toBe(false);
+
+    // The price the user has now seen is the one the slip will be placed against.
+    const stored = await BetSlip.findOne({ user: user._id });
+    expect(stored.selections[0].odds).toBe(2.2);
+  });
+
+  it("should place a multi-bet from the slip and empty it", async () => {
+    await betSlipService.addSelection(user._id, {
+      gameId: gameA._id,
+      outcome: "A",
+    });
+    await betSlipService.addSelection(user._id, {
+      gameId: gameB._id,
+      outcome: "A",
+    });
+    await betSlipService.updateSlip(user._id, { stake: 10, betType: "multi" });
+
+    const { bets, walletBalance } = await betSlipService.placeSlip(user._id);
+    const slip = await betSlipService.getSlip(user._id);
+
+    expect(bets).toHaveLength(1);
+    expect(bets[0].betType).toBe("multi");
+    expect(bets[0].totalOdds).toBe(3.0);
+    expect(walletBalance).toBe(90);
+    expect(slip.selections).toHaveLength(0);
+    expect(slip.stake).toBe(10);
+  });
+
+  it("should refuse to place a slip with a suspended selection", async () => {
+    await betSlipService.addSelection(user._id, {
+      gameId: gameA._id,
+      outcome: "A",
+    });
+    await betSlipService.updateSlip(user._id, { stake: 10 });
+    await Game.updateOne({ _id: gameA._id }, { status: "cancelled" });
+
+    await expect(betSlipService.placeSlip(user._id)).rejects.toMatchObject({
+      statusCode: 400,
+      details: { code: "slip_not_placeable" },
+    });
+    expect(await Bet.countDocuments()).toBe(0);
+  });
+});
@@ -8,6 +8,7 @@ const User = require("../models/User");
 const Game = require("../models/Game");
 const Bet = require("../models/Bet");
 const Transaction = require("../models/Transaction");
+const TradingLimit = require("../models/TradingLimit");
 
 // Mock the AI helper to avoid actual AI calls during tests
 jest.mock("../services/aiHelperService", () => ({
@@ -34,6 +35,7 @@ describe("Betting Service", () => {
     await Game.deleteMany({});
     await Bet.deleteMany({});
     await Transaction.deleteMany({});
+    await TradingLimit.deleteMany({});
     jest.clearAllMocks();
   });
 
@@ -172,5 +174,167 @@ describe("Betting Service", () => {
         )
       ).rejects.toThrow("Betting is closed for this game.");
     });
+
+    it("should reject a bet whose odds shortened when only higher odds are accepted", async () => {
+      await expect(
+        bettingService.placeSingleBetTransaction(user._id, game._id, "A", 20, {
+          odds: 2.2,
+          oddsChangePolicy: "higher",
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        details: {
+          code: "odds_changed",
+          changes: [
+            expect.objectContaining({ requestedOdds: 2.2, currentOdds: 2 }),
+          ],
+        },
+      });
+      expect((await User.findById(user._id)).walletBalance).toBe(100);
+    });
+
+    it("should place the bet at the new price when the odds lengthened", async () => {
+      const result = await bettingService.placeSingleBetTransaction(
+        user._id,
+        game._id,
+        "A",
+        20,
+        { odds: 1.8, oddsChangePolicy: "higher" }
+      );
+
+      expect(result.bet.totalOdds).toBe(2);
+    });
+  });
+
+  describe("trading limits", () => {
+    let user;
+    let game;
+
+    beforeEach(async () => {
+      user = await new User({ username: "bettor", walletBalance: 500 }).save();
+      game = await new Game({
+        homeTeam: "Team A",
+        awayTeam: "Team B",
+        odds: { home: 2.0, away: 3.0, draw: 3.2 },
+        matchDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        league: "Test League",
+      }).save();
+    });
+
+    it("should reject a bet over the maximum payout and offer the largest stake", async () => {
+      await TradingLimit.create({ league: null, maxPayoutPerBet: 100 });
+
+      await expect(
+        bettingService.placeSingleBetTransaction(user._id, game._id, "B", 50)
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        details: { code: "stake_limit_exceeded", maxStake: 33.33 },
+      });
+    });
+
+    it("should place the bet at the maximum stake when the user accepts it", async () => {
+      await TradingLimit.create({
+        league: "Test League",
+        maxStakePerSelection: 25,
+      });
+
+      const result = await bettingService.placeSingleBetTransaction(
+        user._id,
+        game._id,
+        "A",
+        50,
+        { acceptMaxStake: true }
+      );
+
+      expect(result.bet.stake).toBe(25);
+      expect(result.walletBalance).toBe(475);
+    });
+
+    it("should count earlier bets against the liability on an outcome", async () => {
+      await TradingLimit.create({ league: null, maxLiabilityPerOutcome: 150 });
+      await bettingService.placeSingleBetTransaction(
+        user._id,
+        game._id,
+        "A",
+        50
+      );
+
+      await expect(
+        bettingService.placeSingleBetTransaction(user._id, game._id, "A", 50)
+      ).rejects.toMatchObject({ details: { maxStake: 25 } });
+      await expect(
+        bettingService.placeSingleBetTransaction(user._id, game._id, "B", 50)
+      ).resolves.toBeDefined();
+    });
+  });
+
+  describe("placeSystemBet", () => {
+    let user;
+    let games;
+
+    beforeEach(async () => {
+      user = await new User({
+        username: "systemer",
+        walletBalance: 500,
+      }).save();
+      games = await Game.insertMany(
+        ["A", "B", "C"].map((team, i) => ({
+          homeTeam: `Home ${team}`,
+          awayTeam: `Away ${team}`,
+          odds: { home: 2.0, away: 3.0, draw: 3.2 },
+          matchDate: new Date(Date.now() + (i + 1) * 60 * 60 * 1000),
+          league: "Test League",
+        }))
+      );
+    });
+
+    const trixie = () =>
+      bettingService.placeSystemBet(
+        user._id,
+        games.map((game) => ({ gameId: game._id, outcome: "A" })),
+        "trixie",
+        10
+      );
+
+    it("should take the stake of every line once", async () => {
+      const { bet, walletBalance } = await trixie();
+
+      expect(bet.lines).toHaveLength(4);
+      expect(bet.stake).toBe(40);
+      expect(walletBalance).toBe(460);
+    });
+
+    it("should apply the weekly limits to the total stake and count it", async () => {
+      user.limits.weeklyStakeAmount.limit = 60;
+      await user.save();
+
+      await trixie();
+      const updated = await User.findById(user._id);
+      expect(updated.limits.weeklyStakeAmount.currentAmount).toBe(40);
+
+      await expect(trixie()).rejects.toMatchObject({ statusCode: 403 });
+      expect((await User.findById(user._id)).walletBalance).toBe(460);
+    });
+  });
+
+  describe("assertOddsAcceptable", () => {
+    const quote = (requestedOdds, currentOdds) => ({
+      gameId: "game",
+      outcome: "A",
+      requestedOdds,
+      currentOdds,
+    });
+
+    it("should follow the odds-change policy", () => {
+      expect(() =>
+        bettingService.assertOddsAcceptable([quote(2, 1.5)], "any")
+      ).not.toThrow();
+      expect(() =>
+        bettingService.assertOddsAcceptable([quote(2, 2.5)], "none")
+      ).toThrow(/have changed/);
+      expect(() =>
+        bettingService.assertOddsAcceptable([quote(undefined, 2.5)], "none")
+      ).not.toThrow();
+    });
   });
 });
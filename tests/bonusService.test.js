@@ -0,0 +1,209 @@
+// In: Bet/Backend/tests/bonusService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const bonusService = require("../services/bonusService");
+const bettingService = require("../services/bettingService");
+const cashOutService = require("../services/cashOutService");
+const {
+  resolveBetsForGame,
+  voidSelectionsForGame,
+} = require("../services/betResolutionService");
+const User = require("../models/User");
+const Game = require("../models/Game");
+const Bet = require("../models/Bet");
+const Promo = require("../models/Promo");
+const BonusGrant = require("../models/BonusGrant");
+const Transaction = require("../models/Transaction");
+
+jest.mock("../services/aiHelperService", () => ({
+  generateInterventionMessage: jest
+    .fn()
+    .mockResolvedValue("This is a friendly intervention message."),
+}));
+
+describe("Bonus Service", () => {
+  let mongoServer;
+  let user;
+  let game;
+  let promo;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "bonususer",
+      email: "bonus@example.com",
+      firstName: "Bonus",
+      lastName: "User",
+      walletBalance: 100,
+    }).save();
+    game = await new Game({
+      homeTeam: "Team A",
+      awayTeam: "Team B",
+      odds: { home: 2.0, away: 3.0, draw: 3.2 },
+      league: "Test League",
+      matchDate: new Date(Date.now() + 2 * 60 * 60 * 1000),
+    }).save();
+    promo = await new Promo({
+      title: "Welcome Bonus",
+      description: "A bonus for new players.",
+      promoType: "Bonus",
+      bonusAmount: 20,
+      wagering: { multiplier: 2, minOdds: 1.5, expiryDays: 7 },
+    }).save();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.deleteMany({});
+    await Promo.deleteMany({});
+    await BonusGrant.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  it("should credit the bonus balance when a promotion is claimed", async () => {
+    const { grant, bonusBalance } = await bonusService.claimBonus(
+      user._id,
+      promo._id
+    );
+    const updatedUser = await User.findById(user._id);
+
+    expect(bonusBalance).toBe(20);
+    expect(grant.wageringRequired).toBe(40);
+    expect(updatedUser.bonusBalance).toBe(20);
+    expect(updatedUser.walletBalance).toBe(100);
+  });
+
+  it("should not let a promotion be claimed twice", async () => {
+    await bonusService.claimBonus(user._id, promo._id);
+
+    await expect(
+      bonusService.claimBonus(user._id, promo._id)
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  const settle = async (update, settleGame) => {
+    const settled = await Game.findByIdAndUpdate(game._id, update, {
+      new: true,
+    });
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    await settleGame(settled, session);
+    await session.commitTransaction();
+    session.endSession();
+  };
+
+  it("should turn the bonus into cash once enough bets have settled", async () => {
+    await bonusService.claimBonus(user._id, promo._id);
+    const nextGame = await new Game({
+      homeTeam: "Team C",
+      awayTeam: "Team D",
+      odds: { home: 2.0, away: 3.0, draw: 3.2 },
+      league: "Test League",
+      matchDate: new Date(Date.now() + 4 * 60 * 60 * 1000),
+    }).save();
+
+    // Staked from the bonus: 10 of the 40 required.
+    await bettingService.placeSingleBet(user._id, game._id, "A", 10, {
+      useBonus: true,
+    });
+    // Staked from cash: the remaining 30.
+    await bettingService.placeSingleBet(user._id, game._id, "A", 30);
+    const { bet: openBet } = await bettingService.placeSingleBet(
+      user._id,
+      nextGame._id,
+      "A",
+      5,
+      { useBonus: true }
+    );
+
+    // Nothing counts until the bets settle.
+    expect((await BonusGrant.findOne({ user: user._id })).wageredAmount).toBe(
+      0
+    );
+
+    await settle(
+      { status: "finished", result: "B", scores: { home: 0, away: 1 } },
+      resolveBetsForGame
+    );
+
+    const updatedUser = await User.findById(user._id);
+    const grant = await BonusGrant.findOne({ user: user._id });
+
+    expect(grant.status).toBe("completed");
+    expect(grant.wageredAmount).toBe(40);
+    expect(grant.convertedAmount).toBe(5);
+    expect(updatedUser.bonusBalance).toBe(0);
+    expect(updatedUser.walletBalance).toBe(75);
+    // The open bonus bet now settles to cash.
+    expect((await Bet.findById(openBet._id)).stakeSource).toBe("cash");
+  });
+
+  it("should not count bets that are cashed out or refunded", async () => {
+    await bonusService.claimBonus(user._id, promo._id);
+    const { bet: cashedOut } = await bettingService.placeSingleBet(
+      user._id,
+      game._id,
+      "A",
+      40
+    );
+    await bettingService.placeSingleBet(user._id, game._id, "A", 40);
+
+    const quote = await cashOutService.createQuote(user._id, cashedOut._id);
+    await cashOutService.acceptQuote(user._id, cashedOut._id, quote._id);
+    await settle({ status: "cancelled" }, voidSelectionsForGame);
+
+    const grant = await BonusGrant.findOne({ user: user._id });
+    expect(grant.wageredAmount).toBe(0);
+    expect(grant.status).toBe("active");
+  });
+
+  it("should not count bets below the minimum odds towards wagering", async () => {
+    await Game.updateOne({ _id: game._id }, { "odds.home": 1.2 });
+    await bonusService.claimBonus(user._id, promo._id);
+
+    await bettingService.placeSingleBet(user._id, game._id, "A", 50);
+
+    const grant = await BonusGrant.findOne({ user: user._id });
+    expect(grant.wageredAmount).toBe(0);
+    expect(grant.status).toBe("active");
+  });
+
+  it("should forfeit the bonus on withdrawal, but not while bonus bets are open", async () => {
+    await bonusService.claimBonus(user._id, promo._id);
+    const { bet } = await bettingService.placeSingleBet(
+      user._id,
+      game._id,
+      "A",
+      5,
+      { useBonus: true }
+    );
+
+    await expect(
+      bonusService.assertBonusForfeitable(user._id)
+    ).rejects.toMatchObject({ statusCode: 409 });
+    await expect(
+      bonusService.forfeitActiveBonus(await User.findById(user._id))
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    await Bet.updateOne({ _id: bet._id }, { status: "lost" });
+    await bonusService.assertBonusForfeitable(user._id);
+    const grant = await bonusService.forfeitActiveBonus(
+      await User.findById(user._id)
+    );
+
+    expect(grant.status).toBe("forfeited");
+    expect(grant.forfeitedAmount).toBe(15);
+    expect((await User.findById(user._id)).bonusBalance).toBe(0);
+  });
+});
@@ -0,0 +1,84 @@
+// In: Bet/Backend/tests/cashOutRoutes.test.js
+
+const request = require("supertest");
+const app = require("../index");
+const User = require("../models/User");
+const Game = require("../models/Game");
+const Bet = require("../models/Bet");
+const CashOutQuote = require("../models/CashOutQuote");
+const { placeStake } = require("../services/ledgerService");
+const {
+  setup,
+  teardown,
+  createTestUser,
+  generateToken,
+} = require("./test-setup");
+
+jest.mock("../services/aiHelperService", () => ({
+  generateInterventionMessage: jest
+    .fn()
+    .mockResolvedValue("This is a friendly intervention message."),
+}));
+
+describe("Cash Out Routes", () => {
+  let user;
+  let token;
+  let bet;
+
+  beforeAll(setup);
+  afterAll(teardown);
+
+  beforeEach(async () => {
+    user = await createTestUser({
+      username: "cashoutroutes",
+      email: "cashoutroutes@example.com",
+      firstName: "Cash",
+      lastName: "Out",
+      walletBalance: 100,
+    });
+    token = generateToken(user);
+    const game = await new Game({
+      homeTeam: "Home FC",
+      awayTeam: "Away FC",
+      odds: { home: 2.0, away: 4.0, draw: 3.5 },
+      matchDate: new Date(Date.now() + 60 * 60 * 1000),
+      league: "Test League",
+    }).save();
+    bet = await new Bet({
+      user: user._id,
+      betType: "single",
+      stake: 10,
+      totalOdds: 2.5,
+      selections: [{ game: game._id, outcome: "A", odds: 2.5 }],
+    }).save();
+    await placeStake(user, 10, { bet, description: "Test bet" });
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.deleteMany({});
+    await CashOutQuote.deleteMany({});
+  });
+
+  it("should cash the bet out when a quote is accepted", async () => {
+    const quoteRes = await request(app)
+      .post(`/api/v1/bets/${bet._id}/cash-out/quote`)
+      .set("Authorization", `Bearer ${token}`);
+    expect(quoteRes.statusCode).toBe(200);
+
+    const res = await request(app)
+      .post(`/api/v1/bets/${bet._id}/cash-out`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ quoteId: quoteRes.body.quoteId });
+    const updatedBet = await Bet.findById(bet._id);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.payout).toBe(quoteRes.body.amount);
+    expect(res.body).not.toHaveProperty("quoteId");
+    // A fully cashed-out bet is settled as won at the cash-out value.
+    expect(updatedBet.status).toBe("won");
+    expect(updatedBet.cashedOutAt).not.toBeNull();
+    expect(updatedBet.payout).toBe(quoteRes.body.amount);
+  });
+});
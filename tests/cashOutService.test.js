@@ -0,0 +1,276 @@
+// In: Bet/Backend/tests/cashOutService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const cashOutService = require("../services/cashOutService");
+const User = require("../models/User");
+const Game = require("../models/Game");
+const Bet = require("../models/Bet");
+const CashOutQuote = require("../models/CashOutQuote");
+const Transaction = require("../models/Transaction");
+const JournalEntry = require("../models/JournalEntry");
+const Notification = require("../models/Notification");
+const { placeStake } = require("../services/ledgerService");
+const { MARKETS, buildStandardMarkets } = require("../services/marketService");
+
+describe("Cash Out Service", () => {
+  let mongoServer;
+  let user;
+
+  const createGame = (overrides = {}) =>
+    new Game({
+      homeTeam: "Home FC",
+      awayTeam: "Away FC",
+      odds: { home: 2.0, away: 4.0, draw: 3.5 },
+      matchDate: new Date(Date.now() + 60 * 60 * 1000),
+      league: "Test League",
+      status: "upcoming",
+      ...overrides,
+    }).save();
+
+  const placeBet = async (selections, stake = 10) => {
+    const totalOdds = selections.reduce((acc, s) => acc * s.odds, 1);
+    const bet = await new Bet({
+      user: user._id,
+      betType: selections.length > 1 ? "multi" : "single",
+      stake,
+      totalOdds,
+      selections,
+    }).save();
+    await placeStake(user, stake, { bet, description: "Test bet" });
+    return bet;
+  };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "cashoutuser",
+      email: "cashout@example.com",
+      firstName: "Cash",
+      lastName: "Out",
+      walletBalance: 100,
+    }).save();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.deleteMany({});
+    await CashOutQuote.deleteMany({});
+    await Transaction.deleteMany({});
+    await JournalEntry.collection.deleteMany({});
+    await Notification.deleteMany({});
+  });
+
+  it("should price a pre-match single from the current odds less the margin", async () => {
+    const game = await createGame();
+    const bet = await placeBet([{ game: game._id, outcome: "A", odds: 2.5 }]);
+
+    const { fairValue, amount } = await cashOutService.priceBet(bet, 0.05);
+
+    expect(fairValue).toBe(12.5); // 10 x 2.5 / 2.0
+    expect(amount).toBe(11.88);
+  });
+
+  it("should count a multi-bet leg that has already won at its full odds", async () => {
+    const finished = await createGame({
+      status: "finished",
+      result: "A",
+      scores: { home: 2, away: 0 },
+    });
+    const upcoming = await createGame();
+    const bet = await placeBet([
+      { game: finished._id, outcome: "A", odds: 2 },
+      { game: upcoming._id, outcome: "B", odds: 5 },
+    ]);
+
+    const { fairValue } = await cashOutService.priceBet(bet, 0);
+
+    expect(fairValue).toBe(25); // 10 x 2 x 5 / 4
+  });
+
+  it("should refuse to price a multi-bet with a losing leg", async () => {
+    const finished = await createGame({
+      status: "finished",
+      result: "B",
+      scores: { home: 0, away: 1 },
+    });
+    const upcoming = await createGame();
+    const bet = await placeBet([
+      { game: finished._id, outcome: "A", odds: 2 },
+      { game: upcoming._id, outcome: "A", odds: 2 },
+    ]);
+
+    await expect(cashOutService.priceBet(bet)).rejects.toThrow(/already lost/);
+  });
+
+  it("should suspend cash out on an over/under leg once the game is live", async () => {
+    const odds = { home: 2.0, away: 4.0, draw: 3.5 };
+    const game = await createGame({
+      markets: buildStandardMarkets(odds),
+      status: "live",
+      scores: { home: 3, away: 0 },
+    });
+    const bet = await placeBet([
+      {
+        game: game._id,
+        market: MARKETS.OVER_UNDER,
+        line: 2.5,
+        outcome: "Under",
+        odds: 1.9,
+      },
+    ]);
+
+    // The stored Under 2.5 price is still the pre-match one; the score has
+    // already settled the leg.
+    await expect(cashOutService.priceBet(bet)).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringMatching(/suspended/),
+    });
+  });
+
+  it("should honour a quote once, even if the odds move after it was made", async () => {
+    const game = await createGame();
+    const bet = await placeBet([{ game: game._id, outcome: "A", odds: 2.5 }]);
+    const quote = await cashOutService.createQuote(user._id, bet._id);
+
+    await Game.updateOne({ _id: game._id }, { "odds.home": 1.2 });
+    const result = await cashOutService.acceptQuote(
+      user._id,
+      bet._id,
+      quote._id
+    );
+
+    expect(result.payout).toBe(quote.amount);
+    const updatedBet = await Bet.findById(bet._id);
+    expect(updatedBet.status).toBe("won");
+    expect(updatedBet.cashedOutAt).not.toBeNull();
+
+    await expect(
+      cashOutService.acceptQuote(user._id, bet._id, quote._id)
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it("should reject an expired quote", async () => {
+    const game = await createGame();
+    const bet = await placeBet([{ game: game._id, outcome: "A", odds: 2.5 }]);
+    const quote = await cashOutService.createQuote(user._id, bet._id);
+    await CashOutQuote.updateOne(
+      { _id: quote._id },
+      { expiresAt: new Date(Date.now() - 1000) }
+    );
+
+    await expect(
+      cashOutService.acceptQuote(user._id, bet._id, quote._id)
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect((await Bet.findById(bet._id)).status).toBe("pending");
+  });
+
+  it("should invalidate older quotes after a partial cash-out", async () => {
+    const game = await createGame();
+    const bet = await placeBet([{ game: game._id, outcome: "A", odds: 2.5 }]);
+    const first = await cashOutService.createQuote(user._id, bet._id);
+    const second = await cashOutService.createQuote(user._id, bet._id);
+
+    await cashOutService.acceptQuote(user._id, bet._id, first._id, 5);
+    const updatedBet = await Bet.findById(bet._id);
+
+    expect(updatedBet.status).toBe("pending");
+    expect(updatedBet.stake).toBeLessThan(10);
+    await expect(
+      cashOutService.acceptQuote(user._id, bet._id, second._id)
+    ).rejects.toThrow(/changed since it was quoted/);
+  });
+
+  describe("auto cash-out rules", () => {
+    const io = { to: () => ({ emit: jest.fn() }) };
+
+    it("should cash out in full once the value reaches the threshold", async () => {
+      const game = await createGame({ status: "live" });
+      const bet = await placeBet([{ game: game._id, outcome: "A", odds: 2.5 }]);
+      await cashOutService.addCashOutRule(user._id, bet._id, {
+        type: "full",
+        threshold: 15,
+      });
+
+      expect(
+        await cashOutService.evaluateAutoCashOutRules([game._id], io)
+      ).toBe(0);
+
+      await Game.updateOne({ _id: game._id }, { "odds.home": 1.5 });
+      const executed = await cashOutService.evaluateAutoCashOutRules(
+        [game._id],
+        io
+      );
+      const updatedBet = await Bet.findById(bet._id);
+
+      expect(executed).toBe(1);
+      expect(updatedBet.status).toBe("won");
+      expect(updatedBet.cashOutRules[0].status).toBe("triggered");
+      expect(
+        await Notification.countDocuments({ type: "bet_cashed_out" })
+      ).toBe(1);
+    });
+
+    it("should not run rules on a bet with an over/under leg in play", async () => {
+      const odds = { home: 2.0, away: 4.0, draw: 3.5 };
+      const game = await createGame({ markets: buildStandardMarkets(odds) });
+      const bet = await placeBet([
+        {
+          game: game._id,
+          market: MARKETS.OVER_UNDER,
+          line: 2.5,
+          outcome: "Under",
+          odds: 1.9,
+        },
+      ]);
+      await cashOutService.addCashOutRule(user._id, bet._id, {
+        type: "full",
+        threshold: 1,
+      });
+
+      await Game.updateOne(
+        { _id: game._id },
+        { status: "live", scores: { home: 3, away: 0 } }
+      );
+      const executed = await cashOutService.evaluateAutoCashOutRules(
+        [game._id],
+        io
+      );
+      const updatedBet = await Bet.findById(bet._id);
+
+      expect(executed).toBe(0);
+      expect(updatedBet.status).toBe("pending");
+      expect(updatedBet.cashOutRules[0].status).toBe("active");
+    });
+
+    it("should take a percentage and keep the rest of the bet running", async () => {
+      const game = await createGame({ status: "live" });
+      const bet = await placeBet([{ game: game._id, outcome: "A", odds: 2.5 }]);
+      await cashOutService.addCashOutRule(user._id, bet._id, {
+        type: "partial",
+        threshold: 10,
+        percentage: 50,
+      });
+
+      await cashOutService.evaluateAutoCashOutRules([game._id], io);
+      const updatedBet = await Bet.findById(bet._id);
+
+      expect(updatedBet.status).toBe("pending");
+      expect(updatedBet.stake).toBe(5);
+      expect(updatedBet.cashOutRules[0].status).toBe("triggered");
+      expect(
+        await cashOutService.evaluateAutoCashOutRules([game._id], io)
+      ).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+// In: Bet/Backend/tests/depositService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const depositService = require("../services/depositService");
+const paymentService = require("../services/paymentService");
+const User = require("../models/User");
+const Deposit = require("../models/Deposit");
+const Transaction = require("../models/Transaction");
+const JournalEntry = require("../models/JournalEntry");
+
+jest.mock("../services/paymentService", () => ({
+  createPaymentLink: jest.fn(),
+  verifyTransaction: jest.fn(),
+  verifyWebhookSignature: jest.fn(),
+}));
+
+jest.mock("../services/emailService", () => ({
+  sendEmail: jest.fn().mockResolvedValue(),
+}));
+
+describe("Deposit Service", () => {
+  let mongoServer;
+  let user;
+  let deposit;
+
+  const webhookFor = (txRef) => ({
+    event: "charge.completed",
+    data: { tx_ref: txRef, flw_ref: "FLW-123", status: "successful" },
+  });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "deposituser",
+      email: "deposit@example.com",
+      firstName: "Deposit",
+      lastName: "User",
+      walletBalance: 0,
+    }).save();
+
+    paymentService.createPaymentLink.mockImplementation(
+      async (amount, email, name, txRef) => ({
+        link: `https://checkout.example/${txRef}`,
+        tx_ref: txRef,
+      })
+    );
+    deposit = await depositService.createDeposit(user, 500);
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await User.deleteMany({});
+    await Deposit.deleteMany({});
+    await Transaction.deleteMany({});
+    await JournalEntry.collection.deleteMany({});
+  });
+
+  it("should create a pending deposit with a payment link", () => {
+    expect(deposit.status).toBe("pending");
+    expect(deposit.amount).toBe(500);
+    expect(deposit.paymentLink).toContain(deposit.txRef);
+  });
+
+  it("should credit the wallet only once when a webhook is replayed", async () => {
+    paymentService.verifyTransaction.mockResolvedValue({
+      id: 42,
+      flw_ref: "FLW-123",
+      amount: 500,
+      currency: "NGN",
+      status: "successful",
+    });
+
+    const first = await depositService.handleWebhookEvent(
+      webhookFor(deposit.txRef)
+    );
+    const replay = await depositService.handleWebhookEvent(
+      webhookFor(deposit.txRef)
+    );
+
+    const updatedUser = await User.findById(user._id);
+    const updatedDeposit = await Deposit.findById(deposit._id);
+    const topups = await Transaction.countDocuments({
+      user: user._id,
+      type: "topup",
+    });
+
+    expect(first.outcome).toBe("credited");
+    expect(replay.outcome).toBe("duplicate");
+    expect(updatedUser.walletBalance).toBe(500);
+    expect(topups).toBe(1);
+    expect(updatedDeposit.status).toBe("successful");
+    expect(updatedDeposit.webhookCount).toBe(2);
+  });
+
+  it("should not credit a payment whose verified amount differs from the intent", async () => {
+    paymentService.verifyTransaction.mockResolvedValue({
+      id: 43,
+      flw_ref: "FLW-123",
+      amount: 50,
+      currency: "NGN",
+      status: "successful",
+    });
+
+    const result = await depositService.handleWebhookEvent(
+      webhookFor(deposit.txRef)
+    );
+    const updatedUser = await User.findById(user._id);
+
+    expect(result.outcome).toBe("failed");
+    expect(result.deposit.failureReason).toMatch(/does not match/);
+    expect(updatedUser.walletBalance).toBe(0);
+  });
+
+  it("should ignore a webhook for an unknown reference", async () => {
+    const result = await depositService.handleWebhookEvent(
+      webhookFor("BetWise-Deposit-unknown")
+    );
+
+    expect(result.outcome).toBe("ignored");
+    expect(paymentService.verifyTransaction).not.toHaveBeenCalled();
+  });
+
+  it("should expire a stale deposit that Flutterwave never completed", async () => {
+    await Deposit.updateOne(
+      { _id: deposit._id },
+      { expiresAt: new Date(Date.now() - 60 * 1000) }
+    );
+    paymentService.verifyTransaction.mockResolvedValue(null);
+
+    await depositService.expireStaleDeposits();
+    const updatedDeposit = await Deposit.findById(deposit._id);
+
+    expect(updatedDeposit.status).toBe("expired");
+  });
+});
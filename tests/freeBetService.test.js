@@ -0,0 +1,174 @@
+// In: Bet/Backend/tests/freeBetService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const freeBetService = require("../services/freeBetService");
+const bettingService = require("../services/bettingService");
+const {
+  resolveBetsForGame,
+  voidSelectionsForGame,
+} = require("../services/betResolutionService");
+const { getTrialBalance } = require("../services/ledgerService");
+const User = require("../models/User");
+const Game = require("../models/Game");
+const Bet = require("../models/Bet");
+const Promo = require("../models/Promo");
+const FreeBetToken = require("../models/FreeBetToken");
+const Transaction = require("../models/Transaction");
+const JournalEntry = require("../models/JournalEntry");
+
+jest.mock("../services/aiHelperService", () => ({
+  generateInterventionMessage: jest
+    .fn()
+    .mockResolvedValue("This is a friendly intervention message."),
+}));
+
+describe("Free Bet Service", () => {
+  let mongoServer;
+  let user;
+  let game;
+  let promo;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "freebetuser",
+      email: "freebet@example.com",
+      firstName: "Free",
+      lastName: "Bet",
+      walletBalance: 100,
+    }).save();
+    game = await new Game({
+      homeTeam: "Team A",
+      awayTeam: "Team B",
+      odds: { home: 3.0, away: 2.5, draw: 3.2 },
+      league: "Premier League",
+      matchDate: new Date(Date.now() + 2 * 60 * 60 * 1000),
+    }).save();
+    promo = await new Promo({
+      title: "Free Tenner",
+      description: "A free bet on the Premier League.",
+      promoType: "FreeBet",
+      freeBet: {
+        amount: 10,
+        minOdds: 2,
+        eligibleLeagues: ["Premier League"],
+        expiryDays: 7,
+      },
+    }).save();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.deleteMany({});
+    await Promo.deleteMany({});
+    await FreeBetToken.deleteMany({});
+    await Transaction.deleteMany({});
+    await JournalEntry.deleteMany({});
+  });
+
+  const placeFreeBet = (token, outcome = "A") =>
+    bettingService.placeSingleBet(user._id, game._id, outcome, undefined, {
+      freeBetId: token._id,
+    });
+
+  const finishGame = async (result) => {
+    game.status = "finished";
+    game.result = result;
+    await game.save();
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    await resolveBetsForGame(game, session);
+    await session.commitTransaction();
+    session.endSession();
+  };
+
+  it("should issue one token per user when a promotion is claimed", async () => {
+    const token = await freeBetService.claimFreeBet(user._id, promo._id);
+
+    expect(token.amount).toBe(10);
+    expect(token.status).toBe("available");
+    await expect(
+      freeBetService.claimFreeBet(user._id, promo._id)
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it("should stake the token without touching the wallet", async () => {
+    const token = await freeBetService.claimFreeBet(user._id, promo._id);
+
+    const { bet, walletBalance } = await placeFreeBet(token);
+
+    expect(bet.stake).toBe(10);
+    expect(bet.stakeSource).toBe("free_bet");
+    expect(walletBalance).toBe(100);
+    expect((await FreeBetToken.findById(token._id)).status).toBe("used");
+    await expect(placeFreeBet(token)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it("should refuse a bet below the token's minimum odds or outside its leagues", async () => {
+    const token = await freeBetService.claimFreeBet(user._id, promo._id);
+    await Game.updateOne({ _id: game._id }, { "odds.home": 1.5 });
+
+    await expect(placeFreeBet(token)).rejects.toThrow(/odds of 2 or more/);
+
+    await Game.updateOne(
+      { _id: game._id },
+      { "odds.home": 3.0, league: "La Liga" }
+    );
+    await expect(placeFreeBet(token)).rejects.toThrow(/Premier League/);
+    expect((await FreeBetToken.findById(token._id)).status).toBe("available");
+  });
+
+  it("should pay only the winnings when a free bet wins", async () => {
+    const token = await freeBetService.claimFreeBet(user._id, promo._id);
+    const { bet } = await placeFreeBet(token);
+
+    await finishGame("A");
+
+    const settled = await Bet.findById(bet._id);
+    expect(settled.status).toBe("won");
+    expect(settled.payout).toBe(20);
+    expect((await User.findById(user._id)).walletBalance).toBe(120);
+    expect((await getTrialBalance()).isBalanced).toBe(true);
+  });
+
+  it("should give the token back when the bet is voided", async () => {
+    const token = await freeBetService.claimFreeBet(user._id, promo._id);
+    const { bet } = await placeFreeBet(token);
+
+    game.status = "cancelled";
+    await game.save();
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    await voidSelectionsForGame(game, session);
+    await session.commitTransaction();
+    session.endSession();
+
+    expect((await Bet.findById(bet._id)).status).toBe("cancelled");
+    expect((await FreeBetToken.findById(token._id)).status).toBe("available");
+    expect((await User.findById(user._id)).walletBalance).toBe(100);
+  });
+
+  it("should expire unused tokens", async () => {
+    const token = await freeBetService.claimFreeBet(user._id, promo._id);
+    await FreeBetToken.updateOne(
+      { _id: token._id },
+      { expiresAt: new Date(Date.now() - 1000) }
+    );
+
+    expect(await freeBetService.expireFreeBets()).toBe(1);
+    expect((await FreeBetToken.findById(token._id)).status).toBe("expired");
+  });
+});
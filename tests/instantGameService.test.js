@@ -0,0 +1,184 @@
+// In: Bet/Backend/tests/instantGameService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const instantGames = require("../services/instantGames");
+const fairness = require("../services/instantGameFairnessService");
+const User = require("../models/User");
+const InstantGameBet = require("../models/InstantGameBet");
+const InstantGameSeed = require("../models/InstantGameSeed");
+const Transaction = require("../models/Transaction");
+
+jest.mock("../services/aiHelperService", () => ({
+  generateInterventionMessage: jest
+    .fn()
+    .mockResolvedValue("This is a friendly intervention message."),
+}));
+
+describe("Instant Game Service", () => {
+  let mongoServer;
+  let user;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "roller",
+      email: "roller@example.com",
+      firstName: "Robin",
+      lastName: "Roller",
+      walletBalance: 100,
+    }).save();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await InstantGameBet.deleteMany({});
+    await InstantGameSeed.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  const balance = async () => (await User.findById(user._id)).walletBalance;
+
+  const startMines = () =>
+    instantGames.placeInstantBet(user._id, "mines", {
+      stake: 10,
+      params: { mines: 3 },
+    });
+
+  const safeTiles = async (betId) => {
+    const { result } = await InstantGameBet.findById(betId).lean();
+    return [...Array(25).keys()].filter((tile) => !result.mines.includes(tile));
+  };
+
+  it("should list every registered game, Aviator included", () => {
+    const keys = instantGames.listGames().map((game) => game.key);
+
+    expect(keys).toEqual(expect.arrayContaining(["aviator", "dice", "mines"]));
+  });
+
+  it("should settle a dice roll at once and pay or keep the stake", async () => {
+    const { bet, walletBalance } = await instantGames.placeInstantBet(
+      user._id,
+      "dice",
+      { stake: 10, params: { target: 50, direction: "over" } }
+    );
+
+    expect(["won", "lost"]).toContain(bet.status);
+    expect(bet.nonce).toBe(1);
+    expect(walletBalance).toBe(bet.status === "won" ? 109.8 : 90);
+    expect(await balance()).toBe(walletBalance);
+  });
+
+  it("should keep a mines round in play until it is cashed out", async () => {
+    const { bet } = await startMines();
+    expect(bet.status).toBe("active");
+    expect(bet).not.toHaveProperty("result");
+    expect(await balance()).toBe(90);
+
+    const [tile] = await safeTiles(bet._id);
+    await instantGames.actOnInstantBet(user._id, bet._id, {
+      action: "reveal",
+      tile,
+    });
+    const { bet: settled, walletBalance } = await instantGames.actOnInstantBet(
+      user._id,
+      bet._id,
+      { action: "cash_out" }
+    );
+
+    expect(settled.status).toBe("won");
+    expect(settled.payout).toBe(11.25);
+    expect(walletBalance).toBe(101.25);
+  });
+
+  it("should allow one mines round in play at a time", async () => {
+    await startMines();
+
+    await expect(startMines()).rejects.toMatchObject({ statusCode: 400 });
+    expect(await balance()).toBe(90);
+  });
+
+  it("should apply the weekly stake limit", async () => {
+    user.limits.weeklyStakeAmount.limit = 15;
+    await user.save();
+
+    await startMines();
+    await expect(
+      instantGames.placeInstantBet(user._id, "dice", {
+        stake: 10,
+        params: { target: 50, direction: "over" },
+      })
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it("should make one seed pair when two first requests race", async () => {
+    await InstantGameSeed.init();
+
+    const [first, second] = await Promise.all([
+      fairness.getSeedPair(user._id),
+      fairness.getSeedPair(user._id),
+    ]);
+
+    expect(second.serverSeedHash).toBe(first.serverSeedHash);
+    expect(
+      await InstantGameSeed.countDocuments({ user: user._id, status: "active" })
+    ).toBe(1);
+  });
+
+  it("should not rotate the seeds while a round is in play", async () => {
+    await startMines();
+
+    await expect(fairness.rotateSeedPair(user._id)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it("should verify a settled bet once its seeds are rotated", async () => {
+    const { bet } = await instantGames.placeInstantBet(user._id, "dice", {
+      stake: 5,
+      params: { target: 30, direction: "under" },
+    });
+    await expect(instantGames.verifyInstantBet(bet._id)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+
+    const { previous, current } = await fairness.rotateSeedPair(
+      user._id,
+      "my-seed"
+    );
+    const verification = await instantGames.verifyInstantBet(bet._id);
+
+    expect(verification.serverSeed).toBe(previous.serverSeed);
+    expect(verification.verified).toBe(true);
+    expect(current).toMatchObject({ clientSeed: "my-seed", nonce: 0 });
+  });
+
+  it("should sum a player's settled bets in their history", async () => {
+    const { bet } = await startMines();
+    const { result } = await InstantGameBet.findById(bet._id).lean();
+    await instantGames.actOnInstantBet(user._id, bet._id, {
+      action: "reveal",
+      tile: result.mines[0],
+    });
+    await startMines();
+
+    const history = await instantGames.getUserHistory(user._id, "mines");
+
+    expect(history.totalCount).toBe(2);
+    expect(history.summary).toMatchObject({
+      betCount: 1,
+      totalStaked: 10,
+      totalPaid: 0,
+      net: -10,
+    });
+  });
+});
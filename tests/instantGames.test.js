@@ -0,0 +1,123 @@
+// In: Bet/Backend/tests/instantGames.test.js
+
+const dice = require("../services/instantGames/dice");
+const mines = require("../services/instantGames/mines");
+const { createRng } = require("../services/instantGameFairnessService");
+
+describe("Instant game modules", () => {
+  const rngFor = (nonce) =>
+    createRng({ serverSeed: "server", clientSeed: "client", nonce });
+
+  describe("createRng", () => {
+    it("should give the same floats for the same seeds", () => {
+      const first = rngFor(1);
+      const second = rngFor(1);
+      const draws = [...Array(20)].map(() => first());
+
+      expect([...Array(20)].map(() => second())).toEqual(draws);
+      expect(draws.every((value) => value >= 0 && value < 1)).toBe(true);
+    });
+
+    it("should give different floats for the next nonce", () => {
+      expect(rngFor(2)()).not.toBe(rngFor(1)());
+    });
+  });
+
+  describe("dice", () => {
+    it("should price a roll from its chance, less the house edge", () => {
+      expect(dice.validate({ target: 50, direction: "over" }).multiplier).toBe(
+        1.98
+      );
+      expect(dice.validate({ target: 10, direction: "under" }).multiplier).toBe(
+        9.9
+      );
+    });
+
+    it("should reject targets too close to the ends", () => {
+      expect(() => dice.validate({ target: 99, direction: "under" })).toThrow(
+        /between 2 and 98/
+      );
+      expect(() =>
+        dice.validate({ target: 50, direction: "sideways" })
+      ).toThrow(/'over' or 'under'/);
+    });
+
+    it("should settle a roll at once against the target", () => {
+      const params = dice.validate({ target: 50, direction: "under" });
+      const { result, outcome } = dice.play({ params, rng: rngFor(1) });
+
+      expect(result.roll).toBeGreaterThanOrEqual(0);
+      expect(result.roll).toBeLessThanOrEqual(100);
+      expect(outcome.multiplier).toBe(result.roll < 50 ? 1.98 : 0);
+    });
+  });
+
+  describe("mines", () => {
+    const params = mines.validate({ mines: 3 });
+    const round = () => {
+      const { result, state } = mines.play({ params, rng: rngFor(1) });
+      const safe = [...Array(25).keys()].filter(
+        (tile) => !result.mines.includes(tile)
+      );
+      return { result, state, safe };
+    };
+
+    it("should place the chosen number of distinct mines", () => {
+      const { result } = round();
+
+      expect(result.mines).toHaveLength(3);
+      expect(new Set(result.mines).size).toBe(3);
+    });
+
+    it("should raise the multiplier with each safe tile and pay on cash-out", () => {
+      const { result, state, safe } = round();
+
+      const first = mines.act(
+        { params, result, state },
+        { action: "reveal", tile: safe[0] }
+      );
+      const second = mines.act(
+        { params, result, state: first.state },
+        { action: "reveal", tile: safe[1] }
+      );
+      const cashOut = mines.act(
+        { params, result, state: second.state },
+        { action: "cash_out" }
+      );
+
+      // 25/22 then 25/22 * 24/21, less 1%.
+      expect(first.state.multiplier).toBe(1.125);
+      expect(first.outcome).toBeNull();
+      expect(second.state.multiplier).toBe(1.2857);
+      expect(cashOut.outcome).toEqual({ multiplier: 1.2857 });
+    });
+
+    it("should lose the round on a mine", () => {
+      const { result, state } = round();
+
+      const { outcome } = mines.act(
+        { params, result, state },
+        { action: "reveal", tile: result.mines[0] }
+      );
+
+      expect(outcome).toEqual({ multiplier: 0 });
+    });
+
+    it("should refuse to cash out before any tile is revealed", () => {
+      const { result, state } = round();
+
+      expect(() =>
+        mines.act({ params, result, state }, { action: "cash_out" })
+      ).toThrow(/at least one tile/);
+    });
+
+    it("should show the next multiplier but not the mines", () => {
+      const { state } = round();
+
+      const view = mines.view({ params, state });
+
+      expect(view.nextMultiplier).toBe(1.125);
+      expect(view).not.toHaveProperty("mines");
+    });
+  });
+});
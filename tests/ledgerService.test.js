@@ -0,0 +1,112 @@
+// In: Bet/Backend/tests/ledgerService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const ledgerService = require("../services/ledgerService");
+const User = require("../models/User");
+const Transaction = require("../models/Transaction");
+const JournalEntry = require("../models/JournalEntry");
+
+const { ACCOUNTS } = JournalEntry;
+
+describe("Ledger Service", () => {
+  let mongoServer;
+  let user;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "ledgeruser",
+      email: "ledger@example.com",
+      firstName: "Ledger",
+      lastName: "User",
+      walletBalance: 100,
+    }).save();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Transaction.deleteMany({});
+    // Journal entries are immutable through the model, so clear the raw collection.
+    await JournalEntry.collection.deleteMany({});
+  });
+
+  it("should post an opening balance when a user is created", async () => {
+    const reconciliation = await ledgerService.reconcileUser(user);
+
+    expect(reconciliation.ledgerBalance).toBe(100);
+    expect(reconciliation.isReconciled).toBe(true);
+  });
+
+  it("should reject an unbalanced journal entry", async () => {
+    await expect(
+      ledgerService.postJournalEntry({
+        type: "topup",
+        lines: [
+          { account: ACCOUNTS.USER_CASH, user: user._id, amount: 50 },
+          { account: ACCOUNTS.PAYMENT_CLEARING, amount: -40 },
+        ],
+      })
+    ).rejects.toThrow(/not balanced/);
+  });
+
+  it("should keep the wallet and ledger in step through a bet lifecycle", async () => {
+    await ledgerService.placeStake(user, 20, { description: "Stake" });
+    await ledgerService.payWinnings(user, {
+      stake: 20,
+      payout: 50,
+      description: "Win",
+    });
+
+    const reconciliation = await ledgerService.reconcileUser(user);
+    const pending = await ledgerService.getAccountBalance(
+      ACCOUNTS.PENDING_STAKES
+    );
+    const transactions = await Transaction.find({ user: user._id }).sort({
+      createdAt: 1,
+    });
+
+    expect(user.walletBalance).toBe(130);
+    expect(reconciliation.isReconciled).toBe(true);
+    expect(pending).toBe(0);
+    expect(transactions.map((t) => t.amount)).toEqual([-20, 50]);
+  });
+
+  it("should move a lost stake to the house without touching the wallet", async () => {
+    await ledgerService.placeStake(user, 30, { description: "Stake" });
+    await ledgerService.forfeitStake({ userId: user._id, stake: 30 });
+
+    const house = await ledgerService.getAccountBalance(ACCOUNTS.HOUSE);
+    const reconciliation = await ledgerService.reconcileUser(user);
+
+    // The house funded the 100 opening balance and then kept the 30 stake.
+    expect(house).toBe(-70);
+    expect(reconciliation.ledgerBalance).toBe(70);
+    expect(reconciliation.isReconciled).toBe(true);
+  });
+
+  it("should refuse a movement that would overdraw the wallet", async () => {
+    await expect(
+      ledgerService.placeStake(user, 150, { description: "Too much" })
+    ).rejects.toThrow("Insufficient funds in your wallet.");
+  });
+
+  it("should report a balanced trial balance", async () => {
+    await ledgerService.recordDeposit(user, 200, { description: "Deposit" });
+    await ledgerService.recordWithdrawal(user, 50, { description: "Payout" });
+
+    const trialBalance = await ledgerService.getTrialBalance();
+
+    expect(trialBalance.total).toBe(0);
+    expect(trialBalance.isBalanced).toBe(true);
+  });
+});
@@ -0,0 +1,211 @@
+// In: Bet/Backend/tests/marketService.test.js
+
+const {
+  MARKETS,
+  isValidSelection,
+  assertValidMarkets,
+  getSelectionOdds,
+  settleSelection,
+  buildStandardMarkets,
+  rederiveMarkets,
+  priceSameGameSelections,
+  priceBetBuilder,
+} = require("../services/marketService");
+
+describe("Market Service", () => {
+  const finishedGame = (home, away) => ({
+    result: home > away ? "A" : home < away ? "B" : "Draw",
+    scores: { home, away },
+  });
+
+  describe("settleSelection", () => {
+    it("should settle the match result from game.result", () => {
+      const game = { result: "Draw", scores: { home: null, away: null } };
+
+      expect(settleSelection({ outcome: "Draw" }, game)).toBe("won");
+      expect(settleSelection({ outcome: "A" }, game)).toBe("lost");
+    });
+
+    it("should settle over/under and push on a whole-number line", () => {
+      const game = finishedGame(2, 1);
+      const overUnder = (outcome, line) => ({
+        market: MARKETS.OVER_UNDER,
+        outcome,
+        line,
+      });
+
+      expect(settleSelection(overUnder("Over", 2.5), game)).toBe("won");
+      expect(settleSelection(overUnder("Under", 2.5), game)).toBe("lost");
+      expect(settleSelection(overUnder("Over", 3), game)).toBe("void");
+    });
+
+    it("should settle both teams to score, double chance and correct score", () => {
+      const game = finishedGame(1, 1);
+
+      expect(
+        settleSelection({ market: MARKETS.BTTS, outcome: "Yes" }, game)
+      ).toBe("won");
+      expect(
+        settleSelection({ market: MARKETS.DOUBLE_CHANCE, outcome: "12" }, game)
+      ).toBe("lost");
+      expect(
+        settleSelection({ market: MARKETS.DOUBLE_CHANCE, outcome: "X2" }, game)
+      ).toBe("won");
+      expect(
+        settleSelection({ market: MARKETS.CORRECT_SCORE, outcome: "1-1" }, game)
+      ).toBe("won");
+    });
+
+    it("should apply the handicap to the home team", () => {
+      const game = finishedGame(2, 1);
+      const handicap = (outcome, line) => ({
+        market: MARKETS.HANDICAP,
+        outcome,
+        line,
+      });
+
+      expect(settleSelection(handicap("A", -1.5), game)).toBe("lost");
+      expect(settleSelection(handicap("B", -1.5), game)).toBe("won");
+      expect(settleSelection(handicap("A", -1), game)).toBe("void");
+    });
+
+    it("should not settle a scores-based market without a final score", () => {
+      const game = { result: "A", scores: { home: null, away: null } };
+
+      expect(
+        settleSelection({ market: MARKETS.BTTS, outcome: "No" }, game)
+      ).toBeNull();
+    });
+  });
+
+  describe("pricing", () => {
+    const odds = { home: 1.8, draw: 3.6, away: 4.5 };
+    const game = { odds, markets: buildStandardMarkets(odds) };
+
+    it("should derive every standard market from the 1X2 odds", () => {
+      const types = new Set(game.markets.map((m) => m.type));
+
+      expect([...types].sort()).toEqual(
+        [
+          MARKETS.BTTS,
+          MARKETS.CORRECT_SCORE,
+          MARKETS.DOUBLE_CHANCE,
+          MARKETS.HANDICAP,
+          MARKETS.OVER_UNDER,
+        ].sort()
+      );
+      expect(() => assertValidMarkets(game.markets)).not.toThrow();
+    });
+
+    it("should price a double chance shorter than either of its outcomes", () => {
+      const homeOrDraw = getSelectionOdds(game, {
+        market: MARKETS.DOUBLE_CHANCE,
+        outcome: "1X",
+      });
+
+      expect(homeOrDraw).toBeGreaterThan(1);
+      expect(homeOrDraw).toBeLessThan(odds.home);
+    });
+
+    it("should return null for a line the game does not offer", () => {
+      expect(
+        getSelectionOdds(game, {
+          market: MARKETS.OVER_UNDER,
+          outcome: "Over",
+          line: 7.5,
+        })
+      ).toBeNull();
+    });
+  });
+
+  describe("rederiveMarkets", () => {
+    const over = { market: MARKETS.OVER_UNDER, outcome: "Over", line: 2.5 };
+
+    it("should re-price derived markets from the new 1X2 odds", () => {
+      const before = { home: 2.5, draw: 3.2, away: 2.8 };
+      const after = { home: 1.3, draw: 5.5, away: 9 };
+      const markets = rederiveMarkets(after, buildStandardMarkets(before));
+
+      expect(markets).toEqual(buildStandardMarkets(after));
+      expect(getSelectionOdds({ odds: after, markets }, over)).not.toBe(
+        getSelectionOdds(
+          { odds: before, markets: buildStandardMarkets(before) },
+          over
+        )
+      );
+    });
+
+    it("should keep a market priced by hand", () => {
+      const manual = {
+        type: MARKETS.BTTS,
+        line: null,
+        manual: true,
+        selections: [
+          { name: "Yes", odds: 1.5 },
+          { name: "No", odds: 2.5 },
+        ],
+      };
+      const odds = { home: 1.3, draw: 5.5, away: 9 };
+
+      const markets = rederiveMarkets(odds, [
+        manual,
+        ...buildStandardMarkets({ home: 2.5, draw: 3.2, away: 2.8 }),
+      ]);
+
+      expect(markets.filter((m) => m.type === MARKETS.BTTS)).toEqual([manual]);
+      expect(markets).toHaveLength(buildStandardMarkets(odds).length);
+    });
+  });
+
+  describe("bet builder pricing", () => {
+    const odds = { home: 1.8, draw: 3.6, away: 4.5 };
+    const game = { odds, markets: buildStandardMarkets(odds) };
+    const homeWin = { market: MARKETS.MATCH_RESULT, outcome: "A" };
+    const over = { market: MARKETS.OVER_UNDER, outcome: "Over", line: 2.5 };
+
+    it("should price correlated legs below the product of their odds", () => {
+      const { odds: builderOdds } = priceBetBuilder(game, [homeWin, over]);
+      const naive = odds.home * getSelectionOdds(game, over);
+
+      expect(builderOdds).toBeGreaterThan(1);
+      expect(builderOdds).toBeLessThan(naive);
+    });
+
+    it("should refuse legs that cannot all win", () => {
+      const { odds: builderOdds } = priceBetBuilder(game, [
+        { market: MARKETS.CORRECT_SCORE, outcome: "1-0" },
+        over,
+      ]);
+
+      expect(builderOdds).toBeNull();
+    });
+
+    it("should price the same legs the same way from stored expected goals", () => {
+      const { odds: builderOdds, expectedGoals } = priceBetBuilder(game, [
+        homeWin,
+        over,
+      ]);
+
+      expect(priceSameGameSelections(expectedGoals, [homeWin, over])).toBe(
+        builderOdds
+      );
+    });
+  });
+
+  it("should reject selections that do not belong to the market", () => {
+    expect(isValidSelection(MARKETS.MATCH_RESULT, "Over")).toBe(false);
+    expect(isValidSelection(MARKETS.OVER_UNDER, "Over")).toBe(false); // no line
+    expect(isValidSelection(MARKETS.CORRECT_SCORE, "2-1")).toBe(true);
+    expect(() =>
+      assertValidMarkets([
+        {
+          type: MARKETS.BTTS,
+          selections: [
+            { name: "Yes", odds: 1.9 },
+            { name: "Maybe", odds: 1.9 },
+          ],
+        },
+      ])
+    ).toThrow(/not a valid selection/);
+  });
+});
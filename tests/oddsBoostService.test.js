@@ -0,0 +1,135 @@
+// In: Bet/Backend/tests/oddsBoostService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const oddsBoostService = require("../services/oddsBoostService");
+const bettingService = require("../services/bettingService");
+const User = require("../models/User");
+const Game = require("../models/Game");
+const Bet = require("../models/Bet");
+const OddsBoost = require("../models/OddsBoost");
+const Transaction = require("../models/Transaction");
+
+jest.mock("../services/aiHelperService", () => ({
+  generateInterventionMessage: jest
+    .fn()
+    .mockResolvedValue("This is a friendly intervention message."),
+}));
+
+describe("Odds Boost Service", () => {
+  let mongoServer;
+  let admin;
+  let user;
+  let game;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    admin = await new User({
+      username: "boostadmin",
+      email: "boostadmin@example.com",
+      firstName: "Boost",
+      lastName: "Admin",
+      role: "admin",
+    }).save();
+    user = await new User({
+      username: "boostuser",
+      email: "boost@example.com",
+      firstName: "Boost",
+      lastName: "User",
+      walletBalance: 100,
+    }).save();
+    game = await new Game({
+      homeTeam: "Team A",
+      awayTeam: "Team B",
+      odds: { home: 2.0, away: 3.0, draw: 3.2 },
+      league: "Test League",
+      matchDate: new Date(Date.now() + 2 * 60 * 60 * 1000),
+    }).save();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.deleteMany({});
+    await OddsBoost.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  const boostHomeWin = (overrides = {}) =>
+    oddsBoostService.createOddsBoost(
+      game._id,
+      { outcome: "A", boostedOdds: 3.0, maxStake: 20, ...overrides },
+      admin._id
+    );
+
+  const placeBoostedBet = (boost, stake = 10, options = {}) =>
+    bettingService.placeSingleBet(user._id, game._id, "A", stake, {
+      oddsBoostId: boost._id,
+      ...options,
+    });
+
+  it("should refuse a boost that does not beat the current price", async () => {
+    await expect(boostHomeWin({ boostedOdds: 1.9 })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it("should list a live boost next to the normal price", async () => {
+    const boost = await boostHomeWin();
+
+    const [listed] = await oddsBoostService.withBoosts([game.toObject()]);
+
+    expect(listed.boosts).toHaveLength(1);
+    expect(listed.boosts[0]._id).toEqual(boost._id);
+    expect(listed.boosts[0].odds).toBe(2.0);
+    expect(listed.boosts[0].boostedOdds).toBe(3.0);
+  });
+
+  it("should place a single bet at the boosted price", async () => {
+    const boost = await boostHomeWin();
+
+    const { bet } = await placeBoostedBet(boost);
+
+    expect(bet.totalOdds).toBe(3.0);
+    expect(bet.selections[0].odds).toBe(3.0);
+    expect(bet.oddsBoost).toEqual(boost._id);
+  });
+
+  it("should enforce the boost's maximum stake", async () => {
+    const boost = await boostHomeWin();
+
+    await expect(placeBoostedBet(boost, 50)).rejects.toMatchObject({
+      statusCode: 422,
+      details: { code: "stake_limit_exceeded", maxStake: 20 },
+    });
+
+    const { bet } = await placeBoostedBet(boost, 50, { acceptMaxStake: true });
+    expect(bet.stake).toBe(20);
+  });
+
+  it("should enforce the per-user limit", async () => {
+    const boost = await boostHomeWin({ perUserLimit: 1 });
+
+    await placeBoostedBet(boost);
+
+    await expect(placeBoostedBet(boost)).rejects.toThrow(
+      /already used this odds boost/
+    );
+  });
+
+  it("should stop honouring a withdrawn boost", async () => {
+    const boost = await boostHomeWin();
+    await oddsBoostService.cancelOddsBoost(game._id, boost._id);
+
+    await expect(placeBoostedBet(boost)).rejects.toThrow(/no longer available/);
+  });
+});
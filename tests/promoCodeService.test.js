@@ -0,0 +1,235 @@
+// In: Bet/Backend/tests/promoCodeService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const promoCodeService = require("../services/promoCodeService");
+const depositService = require("../services/depositService");
+const paymentService = require("../services/paymentService");
+const User = require("../models/User");
+const Bet = require("../models/Bet");
+const Deposit = require("../models/Deposit");
+const PromoCode = require("../models/PromoCode");
+const PromoCodeRedemption = require("../models/PromoCodeRedemption");
+const BonusGrant = require("../models/BonusGrant");
+const FreeBetToken = require("../models/FreeBetToken");
+const Transaction = require("../models/Transaction");
+const JournalEntry = require("../models/JournalEntry");
+
+jest.mock("../services/paymentService", () => ({
+  createPaymentLink: jest.fn(),
+  verifyTransaction: jest.fn(),
+  verifyWebhookSignature: jest.fn(),
+}));
+
+jest.mock("../services/emailService", () => ({
+  sendEmail: jest.fn().mockResolvedValue(),
+}));
+
+describe("Promo Code Service", () => {
+  let mongoServer;
+  let user;
+  let otherUser;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "codeuser",
+      email: "code@example.com",
+      firstName: "Code",
+      lastName: "User",
+      walletBalance: 0,
+    }).save();
+    otherUser = await new User({
+      username: "otheruser",
+      email: "other@example.com",
+      firstName: "Other",
+      lastName: "User",
+      walletBalance: 0,
+    }).save();
+
+    paymentService.createPaymentLink.mockImplementation(
+      async (amount, email, name, txRef) => ({
+        link: `https://checkout.example/${txRef}`,
+        tx_ref: txRef,
+      })
+    );
+  });
+
+  afterEach(async () => {
+    jest.clearAllMocks();
+    await User.deleteMany({});
+    await Bet.deleteMany({});
+    await Deposit.deleteMany({});
+    await PromoCode.deleteMany({});
+    await PromoCodeRedemption.deleteMany({});
+    await BonusGrant.deleteMany({});
+    await FreeBetToken.deleteMany({});
+    await Transaction.deleteMany({});
+    await JournalEntry.collection.deleteMany({});
+  });
+
+  const createCode = (overrides = {}) =>
+    promoCodeService.createPromoCode({
+      code: "welcome10",
+      reward: { type: "bonus", amount: 10 },
+      ...overrides,
+    });
+
+  it("should grant bonus funds for an instant code", async () => {
+    await createCode();
+
+    const redemption = await promoCodeService.redeemPromoCode(
+      user._id,
+      "WELCOME10",
+      { ipAddress: "10.0.0.1" }
+    );
+
+    const updatedUser = await User.findById(user._id);
+    const promoCode = await PromoCode.findOne({ code: "WELCOME10" });
+    expect(redemption.status).toBe("granted");
+    expect(redemption.bonusGrant).toBeDefined();
+    expect(updatedUser.bonusBalance).toBe(10);
+    expect(promoCode.redemptionCount).toBe(1);
+  });
+
+  it("should issue a free bet for a free bet code", async () => {
+    await createCode({ reward: { type: "free_bet", amount: 5 } });
+
+    const redemption = await promoCodeService.redeemPromoCode(
+      user._id,
+      "welcome10"
+    );
+
+    const token = await FreeBetToken.findById(redemption.freeBetToken);
+    expect(token.amount).toBe(5);
+    expect(token.status).toBe("available");
+  });
+
+  it("should stop a single-use code after its first redemption", async () => {
+    await createCode({ maxRedemptions: 1 });
+    await promoCodeService.redeemPromoCode(user._id, "welcome10");
+
+    await expect(
+      promoCodeService.redeemPromoCode(otherUser._id, "welcome10")
+    ).rejects.toThrow(/fully redeemed/);
+  });
+
+  it("should enforce the per-user limit", async () => {
+    await createCode({
+      reward: { type: "free_bet", amount: 5 },
+      perUserLimit: 1,
+    });
+    await promoCodeService.redeemPromoCode(user._id, "welcome10");
+
+    await expect(
+      promoCodeService.redeemPromoCode(user._id, "welcome10")
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it("should recount the per-user limit inside the redemption transaction", async () => {
+    await createCode({
+      reward: { type: "free_bet", amount: 5 },
+      perUserLimit: 1,
+    });
+    await promoCodeService.redeemPromoCode(user._id, "welcome10");
+    // The early check reads before the other redemption was committed.
+    const count = jest
+      .spyOn(PromoCodeRedemption, "countDocuments")
+      .mockImplementationOnce(() => ({ session: async () => 0 }));
+
+    await expect(
+      promoCodeService.redeemPromoCode(user._id, "welcome10")
+    ).rejects.toMatchObject({ statusCode: 409 });
+    count.mockRestore();
+    expect(await FreeBetToken.countDocuments({ user: user._id })).toBe(1);
+    expect((await PromoCode.findOne({})).redemptionCount).toBe(1);
+  });
+
+  it("should refuse a new-customer code to a user who has deposited", async () => {
+    await createCode({ newCustomersOnly: true });
+    await new Deposit({
+      user: user._id,
+      txRef: "BetWise-Deposit-old",
+      amount: 500,
+      status: "successful",
+      expiresAt: new Date(),
+    }).save();
+
+    await expect(
+      promoCodeService.redeemPromoCode(user._id, "welcome10")
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it("should block and log a redemption from an IP address already used", async () => {
+    await createCode();
+    await promoCodeService.redeemPromoCode(user._id, "welcome10", {
+      ipAddress: "10.0.0.1",
+    });
+
+    await expect(
+      promoCodeService.redeemPromoCode(otherUser._id, "welcome10", {
+        ipAddress: "10.0.0.1",
+      })
+    ).rejects.toMatchObject({ statusCode: 403 });
+
+    const blocked = await PromoCodeRedemption.findOne({
+      user: otherUser._id,
+      status: "blocked",
+    });
+    expect(blocked.reason).toMatch(/same network/);
+    const updatedOther = await User.findById(otherUser._id);
+    expect(updatedOther.bonusBalance).toBe(0);
+  });
+
+  it("should pay a deposit match once the deposit succeeds", async () => {
+    await createCode({
+      code: "MATCH50",
+      kind: "deposit_match",
+      reward: { type: "bonus", matchPercent: 50, maxAmount: 100 },
+    });
+
+    const promoCode = await promoCodeService.checkDepositCode(user, "match50");
+    const deposit = await depositService.createDeposit(user, 500);
+    await promoCodeService.reserveDepositCode(promoCode, user, deposit);
+
+    paymentService.verifyTransaction.mockResolvedValue({
+      id: 42,
+      flw_ref: "FLW-123",
+      amount: 500,
+      currency: "NGN",
+      status: "successful",
+    });
+    const { outcome } = await depositService.confirmDeposit(deposit);
+
+    const updatedUser = await User.findById(user._id);
+    const redemption = await PromoCodeRedemption.findOne({
+      deposit: deposit._id,
+    });
+    expect(outcome).toBe("credited");
+    expect(updatedUser.walletBalance).toBe(500);
+    expect(updatedUser.bonusBalance).toBe(100);
+    expect(redemption.status).toBe("granted");
+    expect(redemption.amount).toBe(100);
+  });
+
+  it("should refuse a deposit match code redeemed on its own", async () => {
+    await createCode({
+      code: "MATCH50",
+      kind: "deposit_match",
+      reward: { type: "bonus", matchPercent: 50 },
+    });
+
+    await expect(
+      promoCodeService.redeemPromoCode(user._id, "MATCH50")
+    ).rejects.toThrow(/when you make a deposit/);
+  });
+});
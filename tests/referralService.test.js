@@ -0,0 +1,164 @@
+// In: Bet/Backend/tests/referralService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const referralService = require("../services/referralService");
+const config = require("../config/env");
+const User = require("../models/User");
+const Bet = require("../models/Bet");
+const Game = require("../models/Game");
+const Deposit = require("../models/Deposit");
+const Withdrawal = require("../models/Withdrawal");
+const Referral = require("../models/Referral");
+const Transaction = require("../models/Transaction");
+const JournalEntry = require("../models/JournalEntry");
+
+describe("Referral Service", () => {
+  let mongoServer;
+  let referrer;
+  let referee;
+  let game;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    referrer = await new User({
+      username: "referrer",
+      email: "referrer@example.com",
+      firstName: "Re",
+      lastName: "Ferrer",
+      walletBalance: 0,
+    }).save();
+    referee = await new User({
+      username: "referee",
+      email: "referee@example.com",
+      firstName: "Re",
+      lastName: "Feree",
+      walletBalance: 0,
+    }).save();
+    game = await new Game({
+      homeTeam: "Team A",
+      awayTeam: "Team B",
+      odds: { home: 2.0, away: 3.0, draw: 3.2 },
+      league: "Test League",
+      matchDate: new Date(Date.now() - 2 * 60 * 60 * 1000),
+    }).save();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Bet.deleteMany({});
+    await Game.deleteMany({});
+    await Deposit.deleteMany({});
+    await Withdrawal.deleteMany({});
+    await Referral.deleteMany({});
+    await Transaction.deleteMany({});
+    await JournalEntry.collection.deleteMany({});
+  });
+
+  const qualify = async (user) => {
+    await new Deposit({
+      user: user._id,
+      txRef: `BetWise-Deposit-${user._id}`,
+      amount: 500,
+      status: "successful",
+      completedAt: new Date(),
+      expiresAt: new Date(),
+    }).save();
+    for (let i = 0; i < config.REFERRAL_QUALIFYING_BETS; i++) {
+      await new Bet({
+        user: user._id,
+        betType: "single",
+        stake: 10,
+        totalOdds: 2.0,
+        selections: [{ game: game._id, outcome: "A", odds: 2.0 }],
+        status: "lost",
+      }).save();
+    }
+  };
+
+  it("should give every user a referral code", () => {
+    expect(referrer.referralCode).toMatch(/^[0-9A-F]{8}$/);
+  });
+
+  it("should find the referrer by code, ignoring case", async () => {
+    const found = await referralService.findReferrer(
+      referrer.referralCode.toLowerCase()
+    );
+    expect(found._id).toEqual(referrer._id);
+    expect(await referralService.findReferrer("NOSUCHCODE")).toBeNull();
+  });
+
+  it("should track progress without paying before the referee qualifies", async () => {
+    const referral = await referralService.recordReferral(referrer, referee);
+
+    const evaluated = await referralService.evaluateReferral(referral);
+
+    expect(evaluated.status).toBe("pending");
+    expect(evaluated.firstDepositAt).toBeNull();
+    const updatedReferrer = await User.findById(referrer._id);
+    expect(updatedReferrer.walletBalance).toBe(0);
+  });
+
+  it("should pay the referrer once the referee qualifies", async () => {
+    await referralService.recordReferral(referrer, referee);
+    await qualify(referee);
+
+    const rewarded = await referralService.processReferrals();
+
+    const updatedReferrer = await User.findById(referrer._id);
+    const referral = await Referral.findOne({ referee: referee._id });
+    expect(rewarded).toBe(1);
+    expect(referral.status).toBe("rewarded");
+    expect(updatedReferrer.walletBalance).toBe(config.REFERRAL_REWARD_AMOUNT);
+    expect(
+      await Transaction.countDocuments({
+        user: referrer._id,
+        type: "referral_reward",
+      })
+    ).toBe(1);
+
+    // A second run pays nothing more.
+    expect(await referralService.processReferrals()).toBe(0);
+  });
+
+  it("should reject a referee who shares a payout account with the referrer", async () => {
+    referrer.payoutDetails = { bankName: "Bank", accountNumber: "0123456789" };
+    await referrer.save();
+    await new Withdrawal({
+      user: referee._id,
+      amount: 50,
+      payoutAccount: { bankCode: "044", accountNumber: "0123456789" },
+    }).save();
+    await referralService.recordReferral(referrer, referee);
+    await qualify(referee);
+
+    await referralService.processReferrals();
+
+    const referral = await Referral.findOne({ referee: referee._id });
+    const flagged = await User.findById(referee._id);
+    const updatedReferrer = await User.findById(referrer._id);
+    expect(referral.status).toBe("rejected");
+    expect(referral.reason).toMatch(/with their referrer/);
+    expect(flagged.flags.isFlaggedForFraud).toBe(true);
+    expect(updatedReferrer.walletBalance).toBe(0);
+  });
+
+  it("should show the referrer's dashboard", async () => {
+    await referralService.recordReferral(referrer, referee);
+
+    const dashboard = await referralService.getReferralDashboard(referrer._id);
+
+    expect(dashboard.referralCode).toBe(referrer.referralCode);
+    expect(dashboard.totals).toMatchObject({ referred: 1, pending: 1 });
+    expect(dashboard.referrals[0].referee.username).toBe("referee");
+  });
+});
@@ -0,0 +1,177 @@
+// In: Bet/Backend/tests/scheduledBetService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const scheduledBetService = require("../services/scheduledBetService");
+const bettingService = require("../services/bettingService");
+const User = require("../models/User");
+const Game = require("../models/Game");
+const Bet = require("../models/Bet");
+const ScheduledBet = require("../models/ScheduledBet");
+const Notification = require("../models/Notification");
+const Transaction = require("../models/Transaction");
+
+jest.mock("../services/aiHelperService", () => ({
+  generateInterventionMessage: jest
+    .fn()
+    .mockResolvedValue("This is a friendly intervention message."),
+}));
+
+describe("Scheduled Bet Service", () => {
+  let mongoServer;
+  let user;
+  let game;
+
+  const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "scheduser",
+      email: "sched@example.com",
+      firstName: "Sched",
+      lastName: "User",
+      walletBalance: 100,
+    }).save();
+    game = await new Game({
+      homeTeam: "Team A",
+      awayTeam: "Team B",
+      odds: { home: 2.0, away: 3.0, draw: 3.2 },
+      league: "Test League",
+      matchDate: inMinutes(120),
+    }).save();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.deleteMany({});
+    await ScheduledBet.deleteMany({});
+    await Notification.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  const schedule = (trigger, stake = 10) =>
+    scheduledBetService.createScheduledBet(user._id, {
+      gameId: game._id,
+      outcome: "A",
+      stake,
+      trigger,
+    });
+
+  it("should place a time-triggered bet once it is due and notify the user", async () => {
+    const scheduled = await schedule({ type: "time", placeAt: inMinutes(30) });
+    await ScheduledBet.updateOne(
+      { _id: scheduled._id },
+      { "trigger.placeAt": inMinutes(-1) }
+    );
+
+    const summary = await scheduledBetService.runDueScheduledBets();
+    const updated = await ScheduledBet.findById(scheduled._id);
+    const notification = await Notification.findOne({ user: user._id });
+
+    expect(summary.placed).toBe(1);
+    expect(updated.status).toBe("placed");
+    expect(updated.bet).not.toBeNull();
+    expect(notification.type).toBe("scheduled_bet_placed");
+    expect((await User.findById(user._id)).walletBalance).toBe(90);
+  });
+
+  it("should place an odds-triggered bet only when the target price is reached", async () => {
+    const scheduled = await schedule({ type: "odds", targetOdds: 2.5 });
+
+    expect(await scheduledBetService.evaluateOddsTriggers([game._id])).toBe(0);
+
+    await Game.updateOne({ _id: game._id }, { "odds.home": 2.6 });
+    const placed = await scheduledBetService.evaluateOddsTriggers([game._id]);
+    const bet = await Bet.findOne({ user: user._id });
+
+    expect(placed).toBe(1);
+    expect(bet.totalOdds).toBe(2.6);
+    expect((await ScheduledBet.findById(scheduled._id)).status).toBe("placed");
+  });
+
+  it("should record why a bet could not be placed", async () => {
+    const scheduled = await schedule(
+      { type: "time", placeAt: inMinutes(30) },
+      500
+    );
+
+    await scheduledBetService.executeScheduledBet(scheduled);
+    const updated = await ScheduledBet.findById(scheduled._id);
+    const notification = await Notification.findOne({ user: user._id });
+
+    expect(updated.status).toBe("failed");
+    expect(updated.failureReason).toMatch(/Insufficient funds/);
+    expect(notification.type).toBe("scheduled_bet_failed");
+  });
+
+  it("should report a bet as placed even if the user cannot be notified", async () => {
+    const scheduled = await schedule({ type: "time", placeAt: inMinutes(30) });
+    jest
+      .spyOn(Notification.prototype, "save")
+      .mockRejectedValueOnce(new Error("Notification store unavailable"));
+
+    const status = await scheduledBetService.executeScheduledBet(scheduled);
+    const updated = await ScheduledBet.findById(scheduled._id);
+
+    expect(status).toBe("placed");
+    expect(updated.status).toBe("placed");
+    expect(updated.failureReason).toBeNull();
+    expect(await Bet.countDocuments({ user: user._id })).toBe(1);
+  });
+
+  it("should recover claims left behind by an interrupted run", async () => {
+    const placedFirst = await schedule({
+      type: "time",
+      placeAt: inMinutes(30),
+    });
+    const neverPlaced = await schedule(
+      { type: "time", placeAt: inMinutes(30) },
+      20
+    );
+    const claimedAt = inMinutes(-10);
+    await ScheduledBet.collection.updateMany(
+      { _id: { $in: [placedFirst._id, neverPlaced._id] } },
+      { $set: { status: "processing", updatedAt: claimedAt } }
+    );
+    // The first one's bet went on before the run stopped. The user's own bet at
+    // the same stake must not be taken for the second one's.
+    const { bet } = await bettingService.placeSingleBet(
+      user._id,
+      game._id,
+      "A",
+      10,
+      { scheduledBet: placedFirst._id }
+    );
+    await bettingService.placeSingleBet(user._id, game._id, "A", 20);
+
+    const summary = await scheduledBetService.runDueScheduledBets();
+
+    expect(summary).toMatchObject({ placed: 1, failed: 1 });
+    expect((await ScheduledBet.findById(placedFirst._id)).bet).toEqual(bet._id);
+    expect((await ScheduledBet.findById(neverPlaced._id)).status).toBe(
+      "failed"
+    );
+  });
+
+  it("should expire waiting bets once the game has kicked off", async () => {
+    const scheduled = await schedule({ type: "odds", targetOdds: 5 });
+    await Game.updateOne({ _id: game._id }, { status: "live" });
+
+    const summary = await scheduledBetService.runDueScheduledBets();
+
+    expect(summary.expired).toBe(1);
+    expect((await ScheduledBet.findById(scheduled._id)).status).toBe("expired");
+  });
+});
@@ -0,0 +1,144 @@
+// In: Bet/Backend/tests/sharedSlipService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const sharedSlipService = require("../services/sharedSlipService");
+const User = require("../models/User");
+const Game = require("../models/Game");
+const Bet = require("../models/Bet");
+const SharedSlip = require("../models/SharedSlip");
+const Transaction = require("../models/Transaction");
+
+describe("Shared Slip Service", () => {
+  let mongoServer;
+  let tipster;
+  let tailer;
+  let games;
+
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  const shareSlip = (betType) =>
+    new SharedSlip({
+      shareId: `slip-${betType}`,
+      user: tipster._id,
+      betType,
+      selections: games.map((game) => ({ gameId: game._id, outcome: "A" })),
+    }).save();
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    [tipster, tailer] = await User.insertMany([
+      {
+        username: "tipster",
+        email: "tipster@example.com",
+        firstName: "Tip",
+        lastName: "Ster",
+        walletBalance: 0,
+      },
+      {
+        username: "tailer",
+        email: "tailer@example.com",
+        firstName: "Tail",
+        lastName: "Er",
+        walletBalance: 100,
+      },
+    ]);
+    games = await Game.insertMany([
+      {
+        homeTeam: "Team A",
+        awayTeam: "Team B",
+        odds: { home: 2.0, away: 3.0, draw: 3.2 },
+        league: "Test League",
+        matchDate: tomorrow(),
+      },
+      {
+        homeTeam: "Team C",
+        awayTeam: "Team D",
+        odds: { home: 1.5, away: 4.0, draw: 3.5 },
+        league: "Test League",
+        matchDate: tomorrow(),
+      },
+    ]);
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.deleteMany({});
+    await SharedSlip.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  it("should place a tailed multi-bet credited to the tipster", async () => {
+    const slip = await shareSlip("multi");
+
+    const { bets, walletBalance } = await sharedSlipService.tailSharedSlip(
+      tailer._id,
+      slip.shareId,
+      { stake: 10 }
+    );
+
+    expect(bets).toHaveLength(1);
+    expect(bets[0].user.toString()).toBe(tailer._id.toString());
+    expect(bets[0].tailedFrom.sharedSlip.toString()).toBe(slip._id.toString());
+    expect(bets[0].tailedFrom.tipster.toString()).toBe(tipster._id.toString());
+    expect(walletBalance).toBe(90);
+  });
+
+  it("should refuse a tail when the price moved against the displayed odds", async () => {
+    const slip = await shareSlip("single");
+    await Game.updateOne({ _id: games[0]._id }, { "odds.home": 1.8 });
+
+    await expect(
+      sharedSlipService.tailSharedSlip(tailer._id, slip.shareId, {
+        stake: 5,
+        odds: [2.0, 1.5],
+        oddsChangePolicy: "higher",
+      })
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      details: { code: "odds_changed" },
+    });
+  });
+
+  it("should not let a user tail their own slip", async () => {
+    const slip = await shareSlip("single");
+
+    await expect(
+      sharedSlipService.tailSharedSlip(tipster._id, slip.shareId, { stake: 5 })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("should report tails, tailers, stake and win rate for a tipster", async () => {
+    const slip = await shareSlip("single");
+    const { bets } = await sharedSlipService.tailSharedSlip(
+      tailer._id,
+      slip.shareId,
+      { stake: 10 }
+    );
+    await Bet.updateOne({ _id: bets[0]._id }, { status: "won" });
+    await Bet.updateOne({ _id: bets[1]._id }, { status: "lost" });
+
+    const stats = await sharedSlipService.getTipsterStats(tipster._id);
+    const [leader] = await sharedSlipService.getTopTipsters();
+
+    expect(stats).toMatchObject({
+      tails: 2,
+      tailers: 1,
+      totalStake: 20,
+      wins: 1,
+      losses: 1,
+      winRate: 0.5,
+    });
+    expect(leader.username).toBe("tipster");
+  });
+});
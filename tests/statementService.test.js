@@ -0,0 +1,159 @@
+// In: Bet/Backend/tests/statementService.test.js
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const statementService = require("../services/statementService");
+const User = require("../models/User");
+const Game = require("../models/Game");
+const Bet = require("../models/Bet");
+const Transaction = require("../models/Transaction");
+
+describe("Statement Service", () => {
+  let mongoServer;
+  let user;
+  let game;
+
+  const at = (iso) => new Date(iso);
+
+  const transaction = (type, amount, balanceAfter, createdAt) =>
+    Transaction.collection.insertOne({
+      user: user._id,
+      type,
+      amount,
+      balanceAfter,
+      description: `${type} ${amount}`,
+      createdAt,
+      updatedAt: createdAt,
+    });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    user = await new User({
+      username: "statementuser",
+      email: "statement@example.com",
+      firstName: "Statement",
+      lastName: "User",
+      walletBalance: 150,
+    }).save();
+    game = await new Game({
+      homeTeam: "Home FC",
+      awayTeam: "Away, United",
+      odds: { home: 2.0, away: 3.0, draw: 3.2 },
+      league: "Test League",
+      matchDate: at("2026-03-10T15:00:00Z"),
+    }).save();
+
+    // One deposit before the period, then a bet, a win and a withdrawal inside it.
+    await transaction("topup", 100, 100, at("2026-02-20T09:00:00Z"));
+    await transaction("bet", -20, 80, at("2026-03-05T12:00:00Z"));
+    await transaction("win", 40, 120, at("2026-03-10T18:00:00Z"));
+    await transaction("withdrawal", -50, 70, at("2026-03-31T20:00:00Z"));
+
+    await Bet.collection.insertOne({
+      user: user._id,
+      betType: "single",
+      selections: [{ game: game._id, outcome: "A", odds: 2.0 }],
+      stake: 20,
+      totalOdds: 2.0,
+      potentialPayout: 40,
+      status: "won",
+      payout: 40,
+      createdAt: at("2026-03-05T12:00:00Z"),
+      updatedAt: at("2026-03-10T18:00:00Z"),
+    });
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Game.deleteMany({});
+    await Bet.collection.deleteMany({});
+    await Transaction.collection.deleteMany({});
+  });
+
+  it("should open on the balance carried into the period and total its activity", async () => {
+    const statement = await statementService.buildStatement(user._id, {
+      from: "2026-03-01",
+      to: "2026-03-31",
+    });
+
+    expect(statement.openingBalance).toBe(100);
+    expect(statement.closingBalance).toBe(70);
+    expect(statement.transactions.map((t) => t.type)).toEqual([
+      "bet",
+      "win",
+      "withdrawal",
+    ]);
+    expect(statement.summary).toEqual({
+      betCount: 1,
+      totalStaked: 20,
+      totalReturned: 40,
+      totalDeposited: 0,
+      totalWithdrawn: 50,
+    });
+  });
+
+  it("should derive the opening balance from the first transaction when none precede the period", async () => {
+    const statement = await statementService.buildStatement(user._id, {
+      from: "2026-02-01",
+      to: "2026-02-28",
+    });
+
+    expect(statement.openingBalance).toBe(0);
+    expect(statement.closingBalance).toBe(100);
+    expect(statement.summary.totalDeposited).toBe(100);
+  });
+
+  it("should write bets and transactions to CSV, quoting cells that need it", async () => {
+    const statement = await statementService.buildStatement(user._id, {
+      from: "2026-03-01",
+      to: "2026-03-31",
+    });
+    const csv = statementService.statementToCsv(statement);
+
+    expect(csv).toContain("Opening balance,100.00");
+    expect(csv).toContain('"Home FC vs Away, United: ');
+    expect(csv).toMatch(/withdrawal,withdrawal -50,-50\.00,70\.00/);
+  });
+
+  it("should keep text cells from being read as spreadsheet formulas", () => {
+    const csv = statementService.statementToCsv({
+      user: { username: "=HYPERLINK(1)", email: "@mail" },
+      period: { from: at("2026-03-01"), to: at("2026-03-31") },
+      openingBalance: 0,
+      closingBalance: 0,
+      summary: { totalStaked: 0, totalReturned: 0 },
+      bets: [],
+      transactions: [
+        {
+          date: at("2026-03-02"),
+          type: "withdrawal",
+          description: "+SUM(A1:A9)",
+          amount: -50,
+          balanceAfter: 0,
+        },
+      ],
+    });
+
+    expect(csv).toContain("Account,'=HYPERLINK(1)");
+    expect(csv).toContain("Email,'@mail");
+    expect(csv).toContain("withdrawal,'+SUM(A1:A9),-50.00,0.00");
+  });
+
+  it("should reject a period longer than the maximum", async () => {
+    await expect(
+      statementService.buildStatement(user._id, {
+        from: "2024-01-01",
+        to: "2026-01-01",
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,56 @@
+// In: Bet/Backend/tests/systemBetService.test.js
+
+const {
+  CUSTOM_SYSTEM_TYPE,
+  combinations,
+  resolveFolds,
+  buildSystemLines,
+} = require("../services/systemBetService");
+
+describe("System Bet Service", () => {
+  const selections = (count) =>
+    Array.from({ length: count }, (_, i) => ({ odds: 2 + i * 0.5 }));
+
+  it("should list every combination of k indexes", () => {
+    expect(combinations(4, 2)).toEqual([
+      [0, 1],
+      [0, 2],
+      [0, 3],
+      [1, 2],
+      [1, 3],
+      [2, 3],
+    ]);
+    expect(combinations(5, 5)).toHaveLength(1);
+  });
+
+  it("should expand the named systems into the right number of lines", () => {
+    expect(buildSystemLines(selections(3), "trixie", 1)).toHaveLength(4);
+    expect(buildSystemLines(selections(3), "patent", 1)).toHaveLength(7);
+    expect(buildSystemLines(selections(4), "yankee", 1)).toHaveLength(11);
+    expect(buildSystemLines(selections(4), "lucky15", 1)).toHaveLength(15);
+    expect(buildSystemLines(selections(6), "heinz", 1)).toHaveLength(57);
+  });
+
+  it("should price each line as the product of its selections' odds", () => {
+    const lines = buildSystemLines(selections(3), "trixie", 2.5);
+    const treble = lines.find((l) => l.selectionIndexes.length === 3);
+
+    expect(treble.totalOdds).toBe(15); // 2 x 2.5 x 3
+    expect(lines.every((l) => l.stake === 2.5)).toBe(true);
+  });
+
+  it("should build custom n-from-m lines from the requested folds", () => {
+    const doubles = buildSystemLines(selections(5), CUSTOM_SYSTEM_TYPE, 1, [2]);
+
+    expect(doubles).toHaveLength(10);
+    expect(resolveFolds(CUSTOM_SYSTEM_TYPE, 5, [3, 2, 2])).toEqual([2, 3]);
+  });
+
+  it("should reject a slip that does not fit the system type", () => {
+    expect(() => resolveFolds("yankee", 3)).toThrow(/exactly 4 selections/);
+    expect(() => resolveFolds("goliath", 8)).toThrow(/Unknown system/);
+    expect(() => resolveFolds(CUSTOM_SYSTEM_TYPE, 4, [5])).toThrow(
+      /between 1 and 4/
+    );
+  });
+});
@@ -0,0 +1,108 @@
+// In: Bet/Backend/tests/withdrawalRoutes.test.js
+
+const request = require("supertest");
+const app = require("../index");
+const User = require("../models/User");
+const Promo = require("../models/Promo");
+const BonusGrant = require("../models/BonusGrant");
+const Withdrawal = require("../models/Withdrawal");
+const Notification = require("../models/Notification");
+const Transaction = require("../models/Transaction");
+const { claimBonus } = require("../services/bonusService");
+const {
+  setup,
+  teardown,
+  createTestUser,
+  generateToken,
+} = require("./test-setup");
+
+jest.mock("../services/aiHelperService", () => ({
+  generateInterventionMessage: jest
+    .fn()
+    .mockResolvedValue("This is a friendly intervention message."),
+}));
+
+describe("Withdrawal Routes", () => {
+  let user;
+  let userToken;
+  let adminToken;
+
+  beforeAll(setup);
+  afterAll(teardown);
+
+  beforeEach(async () => {
+    user = await createTestUser({
+      username: "withdrawer",
+      email: "withdrawer@example.com",
+      firstName: "With",
+      lastName: "Drawer",
+      walletBalance: 100,
+    });
+    const admin = await createTestUser({
+      username: "withdrawaladmin",
+      email: "withdrawaladmin@example.com",
+      firstName: "Admin",
+      lastName: "User",
+      role: "admin",
+    });
+    userToken = generateToken(user);
+    adminToken = generateToken(admin);
+    const promo = await new Promo({
+      title: "Welcome Bonus",
+      description: "A bonus for new players.",
+      promoType: "Bonus",
+      bonusAmount: 20,
+      wagering: { multiplier: 2, minOdds: 1.5, expiryDays: 7 },
+    }).save();
+    await claimBonus(user._id, promo._id);
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Promo.deleteMany({});
+    await BonusGrant.deleteMany({});
+    await Withdrawal.deleteMany({});
+    await Notification.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  const requestAndProcess = async (status) => {
+    const requestRes = await request(app)
+      .post("/api/v1/wallet/request-withdrawal")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ amount: 50 });
+    expect(requestRes.statusCode).toBe(201);
+
+    return request(app)
+      .post(
+        `/api/v1/admin/withdrawals/${requestRes.body.withdrawalRequest._id}/process`
+      )
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ status });
+  };
+
+  it("should keep the bonus when the withdrawal is rejected", async () => {
+    const res = await requestAndProcess("rejected");
+    const updatedUser = await User.findById(user._id);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.withdrawalRequest.status).toBe("rejected");
+    expect(updatedUser.walletBalance).toBe(100);
+    expect(updatedUser.bonusBalance).toBe(20);
+    expect((await BonusGrant.findOne({ user: user._id })).status).toBe(
+      "active"
+    );
+  });
+
+  it("should forfeit the bonus when the withdrawal is approved", async () => {
+    const res = await requestAndProcess("approved");
+    const updatedUser = await User.findById(user._id);
+    const grant = await BonusGrant.findOne({ user: user._id });
+
+    expect(res.statusCode).toBe(200);
+    expect(updatedUser.walletBalance).toBe(50);
+    expect(updatedUser.bonusBalance).toBe(0);
+    expect(grant.status).toBe("forfeited");
+    expect(grant.forfeitedAmount).toBe(20);
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Builds an Error carrying the HTTP status the error middleware should answer with.
+ * @param {string} message - The message sent to the client.
+ * @param {number} statusCode - The HTTP status code.
+ * @param {object} [details] - Extra data for the client, e.g. the legs that failed.
+ * @returns {Error} The error, ready to be thrown.
+ */
+function httpError(message, statusCode, details) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+}
+
+module.exports = { httpError };